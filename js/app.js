@@ -1,7 +1,7 @@
 // Fantasy Football App - Main Application Entry Point (Refactored with EventManager)
 
 // Application managers
-let configManager, navigationManager, learningManager, draftTracker, eventManager, teamManager, waiverWireManager, performanceAnalytics, leagueAnalyzer, tradeAnalyzer, playoffSimulator, weatherAnalyzer, predictiveAnalytics, profileSync;
+let configManager, navigationManager, learningManager, draftTracker, eventManager, teamManager, waiverWireManager, performanceAnalytics, leagueAnalyzer, tradeAnalyzer, tradeGrader, playoffSimulator, powerRankings, leagueHistory, managerProfiles, liveMatchupTracker, weatherAnalyzer, predictiveAnalytics, mockDraftSimulator, keeperManager, profileSync;
 
 /** Human-readable names of anything that failed to start, for the warning. */
 const failedManagers = [];
@@ -116,12 +116,22 @@ document.addEventListener('DOMContentLoaded', async function() {
             return manager;
         });
 
+        tradeGrader = await startManager('tradeGrader', 'Trade history', () => new TradeGrader(configManager, tradeAnalyzer));
+
         playoffSimulator = await startManager('playoffSimulator', 'Playoff odds', async () => {
             const manager = new PlayoffSimulator(configManager);
             await manager.initialize();
             return manager;
         });
 
+        powerRankings = await startManager('powerRankings', 'Power rankings', () => new PowerRankings(configManager));
+
+        leagueHistory = await startManager('leagueHistory', 'League history', () => new LeagueHistory(configManager));
+
+        managerProfiles = await startManager('managerProfiles', 'Manager profiles', () => new ManagerProfiles(configManager));
+
+        liveMatchupTracker = await startManager('liveMatchupTracker', 'Live scoring', () => new LiveMatchupTracker(configManager));
+
         weatherAnalyzer = await startManager('weatherAnalyzer', 'Weather', async () => {
             const manager = new WeatherAnalyzer(configManager);
             await manager.initialize();
@@ -134,6 +144,11 @@ document.addEventListener('DOMContentLoaded', async function() {
             return manager;
         });
 
+        // Drives the draft tracker's own feed and advisor, so it only needs the
+        // tracker standing - not Sleeper.
+        mockDraftSimulator = await startManager('mockDraftSimulator', 'Mock drafts', () => new MockDraftSimulator(configManager, draftTracker));
+        keeperManager = await startManager('keeperManager', 'Keepers', () => new KeeperManager(configManager, draftTracker));
+
         if (failedManagers.length) {
             console.warn(`⚠️ Started with ${failedManagers.length} part(s) unavailable:`, failedManagers.join(', '));
             // Name what is actually missing. The old message said "some features
@@ -296,9 +311,16 @@ function getAppStatus() {
         performanceAnalytics: !!performanceAnalytics,
         leagueAnalyzer: !!leagueAnalyzer,
         tradeAnalyzer: !!tradeAnalyzer,
+        tradeGrader: !!tradeGrader,
         playoffSimulator: !!playoffSimulator,
+        powerRankings: !!powerRankings,
+        leagueHistory: !!leagueHistory,
+        managerProfiles: !!managerProfiles,
+        liveMatchupTracker: !!liveMatchupTracker,
         weatherAnalyzer: !!weatherAnalyzer,
         predictiveAnalytics: !!predictiveAnalytics,
+        mockDraftSimulator: !!mockDraftSimulator,
+        keeperManager: !!keeperManager,
         profileSync: !!profileSync,
         eventManager: !!eventManager,
         failedManagers: [...failedManagers],
@@ -1222,7 +1222,7 @@ class ConfigManager {
      * so a backup only needs to carry these.
      */
     getPersistedKeys() {
-        return ['fantasyAppConfig', 'draftPlan', 'conceptsLearned'];
+        return ['fantasyAppConfig', 'draftPlan', 'keeperCosts', 'conceptsLearned'];
     }
 
     /**
@@ -131,6 +131,18 @@ class EventManager {
                 case 'deactivate-panic-mode':
                     this.deactivatePanicMode();
                     break;
+                case 'start-mock-draft':
+                    this.startMockDraft();
+                    break;
+                case 'mock-draft-pick':
+                    this.mockDraftPick(element.getAttribute('data-player-id'));
+                    break;
+                case 'end-mock-draft':
+                    this.endMockDraft();
+                    break;
+                case 'load-keepers':
+                    this.loadKeepers();
+                    break;
 
                 // Learning Actions
                 case 'start-learning-module':
@@ -148,8 +160,8 @@ class EventManager {
                 case 'generate-insights':
                     this.handleStreakAnalysis();
                     break;
-                case 'run-streak-demo':
-                    this.runStreakDemo();
+                case 'run-streak-analysis':
+                    this.runStreakAnalysis();
                     break;
                 case 'enable-profile-sync':
                     this.enableProfileSync();
@@ -168,12 +180,33 @@ class EventManager {
                     this.configManager.importAppData();
                     break;
 
+                case 'load-power-rankings':
+                    this.loadPowerRankings();
+                    break;
+                case 'load-league-history':
+                    this.loadLeagueHistory();
+                    break;
+                case 'load-manager-profiles':
+                    this.loadManagerProfiles();
+                    break;
                 case 'load-weather':
                     this.loadWeatherAnalysis();
                     break;
                 case 'run-predictions':
                     this.runPredictions();
                     break;
+                case 'rerun-predictions-same-seed':
+                    this.rerunPredictionsSameSeed();
+                    break;
+                case 'cancel-predictions':
+                    this.cancelPredictions();
+                    break;
+                case 'force-result':
+                    this.forceScenarioResult(element);
+                    break;
+                case 'clear-scenario':
+                    this.clearScenario();
+                    break;
 
                 // Mobile Actions
                 case 'toggle-mobile-menu':
@@ -561,6 +594,11 @@ class EventManager {
         if (startBtn) startBtn.disabled = true;
         if (stopBtn) stopBtn.disabled = false;
 
+        // A mock draft owns the tracker's pick list; a live draft needs it back.
+        if (window.mockDraftSimulator && window.mockDraftSimulator.isActive()) {
+            window.mockDraftSimulator.end();
+        }
+
         try {
             await this.draftTracker.startDraftTracking();
         } catch (error) {
@@ -605,6 +643,38 @@ class EventManager {
         this.draftTracker.deactivatePanicMode();
     }
 
+    startMockDraft() {
+        if (!window.mockDraftSimulator) {
+            this.showNotification('❌ Mock draft simulator not available', 'error');
+            return;
+        }
+        window.mockDraftSimulator.start();
+    }
+
+    mockDraftPick(playerId) {
+        if (!window.mockDraftSimulator) {
+            this.showNotification('❌ Mock draft simulator not available', 'error');
+            return;
+        }
+        window.mockDraftSimulator.userPick(playerId);
+    }
+
+    endMockDraft() {
+        if (!window.mockDraftSimulator) {
+            this.showNotification('❌ Mock draft simulator not available', 'error');
+            return;
+        }
+        window.mockDraftSimulator.end();
+    }
+
+    loadKeepers() {
+        if (!window.keeperManager) {
+            this.showNotification('❌ Keeper planning not available', 'error');
+            return;
+        }
+        window.keeperManager.load();
+    }
+
     // ======================
     // LEARNING ACTIONS
     // ======================
@@ -666,6 +736,30 @@ class EventManager {
         }, 2000);
     }
 
+    loadPowerRankings() {
+        if (!window.powerRankings) {
+            this.showNotification('❌ Power rankings not available', 'error');
+            return;
+        }
+        window.powerRankings.loadRankings();
+    }
+
+    loadLeagueHistory() {
+        if (!window.leagueHistory) {
+            this.showNotification('❌ League history not available', 'error');
+            return;
+        }
+        window.leagueHistory.loadHistory();
+    }
+
+    loadManagerProfiles() {
+        if (!window.managerProfiles) {
+            this.showNotification('❌ Manager profiles not available', 'error');
+            return;
+        }
+        window.managerProfiles.loadProfiles();
+    }
+
     loadWeatherAnalysis() {
         if (!window.weatherAnalyzer) {
             this.showNotification('❌ Weather analyzer not available', 'error');
@@ -682,7 +776,47 @@ class EventManager {
         window.predictiveAnalytics.runPredictions();
     }
 
-    handleStreakAnalysis() {
+    rerunPredictionsSameSeed() {
+        if (!window.predictiveAnalytics) {
+            this.showNotification('❌ Predictive analytics not available', 'error');
+            return;
+        }
+        window.predictiveAnalytics.rerunWithSameSeed();
+    }
+
+    cancelPredictions() {
+        if (window.predictiveAnalytics) {
+            window.predictiveAnalytics.cancelPredictions();
+        }
+    }
+
+    forceScenarioResult(element) {
+        if (!window.predictiveAnalytics) {
+            this.showNotification('❌ Predictive analytics not available', 'error');
+            return;
+        }
+        const read = name => Number(element.getAttribute(`data-${name}`));
+        window.predictiveAnalytics.toggleForcedResult(read('week'), read('team-a'), read('team-b'), read('winner'));
+    }
+
+    clearScenario() {
+        if (window.predictiveAnalytics) {
+            window.predictiveAnalytics.clearScenario();
+        }
+    }
+
+    /**
+     * Scores every rostered player in the league for streaks, from the game
+     * logs PlayerStats loads alongside the league.
+     */
+    async handleStreakAnalysis() {
+        const leagueId = this.configManager?.config?.sleeperLeagueId;
+        if (!leagueId) {
+            this.showNotification('❌ Please configure your Sleeper League ID first', 'warning');
+            this.showConfiguration();
+            return;
+        }
+
         try {
             // Initialize streak analysis UI if not already done
             if (!this.streakAnalysisUI) {
@@ -692,42 +826,33 @@ class EventManager {
             // Show loading state
             this.showStreakLoading();
 
-            // For demo purposes, use sample data
-            // In production, this would fetch real player data
-            const sampleData = StreakAnalysisDemo.getSampleData();
-            
-            // Render the analysis
-            this.streakAnalysisUI.renderStreakAnalysis(sampleData);
-            
-            // Hide empty state
-            const emptyState = document.getElementById('streak-empty-state');
-            if (emptyState) {
-                emptyState.style.display = 'none';
+            const leagueAnalyzer = window.leagueAnalyzer || new LeagueAnalyzer(this.configManager);
+            const leagueData = await leagueAnalyzer.loadLeagueData(leagueId);
+            const userRosterId = (await leagueAnalyzer.identifyUserTeam(leagueData).catch(() => null))
+                ?.roster?.roster_id ?? null;
+
+            const playersData = await this.streakAnalysisUI.analyzer.collectRosteredPlayers(leagueData, userRosterId);
+            if (!playersData.length) {
+                this.streakAnalysisUI.renderNoData(
+                    'Streaks are scored from games played this season. Check back once the first week is in.');
+                return;
             }
 
-            this.showNotification('🔥 Streak analysis generated! Educational insights included.', 'success');
-            
+            this.streakAnalysisUI.renderStreakAnalysis(playersData);
+            this.showNotification(`🔥 Streaks scored for ${playersData.length} rostered players`, 'success');
+
         } catch (error) {
             console.error('Error generating streak analysis:', error);
             this.showNotification('❌ Error generating streak analysis. Please try again.', 'error');
         }
     }
 
-    runStreakDemo() {
+    runStreakAnalysis() {
         // Switch to streak analysis tab if not already active
         this.switchToTab('streak-analysis');
-        
+
         // Run the streak analysis
         this.handleStreakAnalysis();
-        
-        // Show educational notification
-        setTimeout(() => {
-            this.showNotification(
-                '📚 Demo shows how AI detects performance patterns and explains WHY they matter for fantasy decisions.',
-                'info',
-                6000
-            );
-        }, 1000);
     }
 
     showStreakLoading() {
@@ -0,0 +1,235 @@
+/**
+ * Auction Advisor
+ *
+ * Turns value over replacement into dollars, and reads a Sleeper auction's pick
+ * feed for what each team has left to spend.
+ *
+ * Snake advice is about order: who will be gone by the time you pick again. An
+ * auction has no order to speak of - anyone can buy anyone, and what limits a
+ * team is its money. So the questions change: what is this player worth in
+ * this room's dollars, what can each team still afford, and which nomination
+ * spends someone else's budget rather than yours.
+ *
+ * Dollar values follow the usual method. Every roster spot costs at least the
+ * minimum bid, so only the money above that is spread across players, in
+ * proportion to their VOR. As the auction runs, the money left is compared with
+ * the value left on the board: when teams have overspent on early players the
+ * remaining ones get cheaper, and when they have hoarded, dearer.
+ */
+
+class AuctionAdvisor {
+    constructor(configManager) {
+        this.configManager = configManager;
+        this.pickAdvisor = new PickAdvisor(configManager);
+    }
+
+    // ======================
+    // DRAFT SETTINGS
+    // ======================
+
+    static isAuction(draftData) {
+        return draftData?.type === 'auction';
+    }
+
+    /** Each team's starting budget. Sleeper defaults auctions to $200. */
+    static budget(draftData) {
+        return Number(draftData?.settings?.budget) || AuctionAdvisor.DEFAULT_BUDGET;
+    }
+
+    /** Sleeper reports the winning bid as a string in the pick's metadata. */
+    static pickAmount(pick) {
+        const amount = Number(pick?.metadata?.amount);
+        return Number.isFinite(amount) ? amount : 0;
+    }
+
+    /**
+     * The draft slot a pick belongs to. Auction picks carry it directly; the
+     * roster id is the fallback when they do not.
+     */
+    static slotForPick(pick, draftData) {
+        return Number(pick.draft_slot)
+            || PickAdvisor.slotForRoster(pick.roster_id, draftData?.slot_to_roster_id);
+    }
+
+    // ======================
+    // BUDGETS
+    // ======================
+
+    /**
+     * Every team's money and roster space, from the picks so far.
+     *
+     * The max bid is what a team can put on one player while still filling
+     * every other open spot at the minimum bid - Sleeper enforces the same
+     * limit, so a nomination priced above it cannot go to that team.
+     */
+    teamBudgets({ draftData, picks = [], playerLookup = () => null }) {
+        const teams = Number(draftData?.settings?.teams) || 12;
+        const rosterSpots = Number(draftData?.settings?.rounds) || 15;
+        const budget = AuctionAdvisor.budget(draftData);
+
+        const bySlot = new Map();
+        for (let slot = 1; slot <= teams; slot++) {
+            bySlot.set(slot, { slot, spent: 0, filled: 0, counts: {} });
+        }
+
+        picks.forEach(pick => {
+            const team = bySlot.get(AuctionAdvisor.slotForPick(pick, draftData));
+            if (!team) return;
+            team.spent += AuctionAdvisor.pickAmount(pick);
+            team.filled++;
+            const position = playerLookup(pick)?.position;
+            if (position) team.counts[position] = (team.counts[position] || 0) + 1;
+        });
+
+        return Array.from(bySlot.values()).map(team => {
+            const remaining = Math.max(0, budget - team.spent);
+            const open = Math.max(0, rosterSpots - team.filled);
+            return {
+                ...team,
+                remaining,
+                open,
+                maxBid: open > 0 ? Math.max(0, remaining - (open - 1) * AuctionAdvisor.MIN_BID) : 0
+            };
+        });
+    }
+
+    // ======================
+    // DOLLAR VALUES
+    // ======================
+
+    /**
+     * Pre-auction dollar value for every player, as a Map of id to dollars.
+     *
+     * Measured across the whole player pool rather than who is left, for the
+     * same reason replacement level is: a player's worth is set by the league,
+     * not by the order the room happened to nominate in. In keeper mode the
+     * players are ranked on their multi-year value, and the money is shared
+     * out on that same value, so the players bought are the ones paid for.
+     * The draft-day price comes from `currentValue`.
+     */
+    dollarValues(allPlayers, options) {
+        const { teams = 12, rosterSpots = 15, budget = AuctionAdvisor.DEFAULT_BUDGET } = options;
+        const valued = this.pickAdvisor.valuePlayers(allPlayers, options);
+        const worth = player => Math.max(0, player.multiYearVor ?? player.vor);
+        const values = new Map();
+
+        // The players who will be rostered at all. Anyone past this line goes
+        // unbought or for the minimum.
+        const pool = valued.slice(0, teams * rosterSpots);
+        const totalVor = pool.reduce((sum, player) => sum + worth(player), 0);
+        const surplus = teams * (budget - rosterSpots * AuctionAdvisor.MIN_BID);
+
+        valued.forEach((player, index) => {
+            const share = index < pool.length && totalVor > 0 ? worth(player) / totalVor : 0;
+            values.set(String(player.id), AuctionAdvisor.MIN_BID + share * surplus);
+        });
+
+        return values;
+    }
+
+    /**
+     * How far prices have moved from the pre-auction values: the money left
+     * above the minimum bids, over the value left above the minimum on the
+     * board. 1 means the room is spending exactly to value.
+     */
+    inflation({ values, budgets, draftedIds }) {
+        const spendable = budgets.reduce(
+            (sum, team) => sum + Math.max(0, team.remaining - team.open * AuctionAdvisor.MIN_BID), 0);
+
+        let valueLeft = 0;
+        values.forEach((value, id) => {
+            if (!draftedIds.has(id)) valueLeft += value - AuctionAdvisor.MIN_BID;
+        });
+
+        return valueLeft > 0 ? spendable / valueLeft : 1;
+    }
+
+    /** A player's price in this room right now, rounded to whole dollars. */
+    currentValue(baseValue, inflation) {
+        if (typeof baseValue !== 'number') return null;
+        return Math.max(AuctionAdvisor.MIN_BID,
+            Math.round(AuctionAdvisor.MIN_BID + (baseValue - AuctionAdvisor.MIN_BID) * inflation));
+    }
+
+    /**
+     * A closed nomination against its value. The margin widens with price:
+     * three dollars on a $5 player is a steal, on a $60 player it is noise.
+     */
+    gradeSale(amount, value) {
+        if (typeof value !== 'number') return { verdict: 'unrated', amount, value: null, difference: null };
+
+        const difference = value - amount;
+        const margin = Math.max(AuctionAdvisor.MIN_MARGIN, Math.round(value * 0.2));
+        let verdict = 'fair';
+        if (difference >= margin) verdict = 'bargain';
+        else if (-difference >= margin) verdict = 'overpay';
+
+        return { verdict, amount, value, difference };
+    }
+
+    // ======================
+    // NOMINATIONS
+    // ======================
+
+    /**
+     * Players worth nominating to spend rivals' money.
+     *
+     * The best nomination is an expensive player you do not need, at a position
+     * several rivals still have to fill and can afford. They bid each other up,
+     * and whoever wins has that much less to spend against you later.
+     *
+     * "Do not need" is either a position you have already filled, or one you
+     * start only one of: a quarterback or tight end bought late for a few
+     * dollars is close enough to the expensive ones that paying up is optional.
+     * Running backs and receivers you still need are left out - nominating
+     * them only starts the bidding on your own targets.
+     */
+    nominationAdvice({ available = [], budgets = [], userSlot = null, limits, inflation = 1, values }) {
+        const user = budgets.find(team => team.slot === userSlot) || null;
+        const rivals = budgets.filter(team => team !== user && team.open > 0);
+        const needs = (team, position) => (team.counts[position] || 0) < (limits[position]?.starters || 0);
+
+        return available
+            .map(player => {
+                const position = player.position;
+                const price = this.currentValue(values.get(String(player.id)), inflation);
+                if (!price || price < AuctionAdvisor.NOMINATION_FLOOR) return null;
+
+                const filled = user && !needs(user, position);
+                const singleStarter = (limits[position]?.starters || 0) === 1;
+                if (user && !filled && !singleStarter) return null;
+
+                const bidders = rivals.filter(team => needs(team, position) && team.maxBid >= price);
+                if (bidders.length < 2) return null;
+
+                const why = !user ? ''
+                    : filled ? `You are set at ${position}. `
+                    : `You start one ${position} and can wait for a cheap one. `;
+
+                return {
+                    player,
+                    price,
+                    bidders: bidders.length,
+                    score: price * bidders.length,
+                    reasoning: `${why}${bidders.length} teams still need one and can afford $${price}; ` +
+                        `whoever wins spends money they cannot use against you later.`
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, 3);
+    }
+}
+
+AuctionAdvisor.DEFAULT_BUDGET = 200;
+AuctionAdvisor.MIN_BID = 1;
+// Smallest gap between price and value, in dollars, that counts as a verdict.
+AuctionAdvisor.MIN_MARGIN = 3;
+// Nominating a cheap player drains nobody.
+AuctionAdvisor.NOMINATION_FLOOR = 10;
+AuctionAdvisor.BOARD_SIZE = 12;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AuctionAdvisor;
+}
@@ -0,0 +1,372 @@
+/**
+ * Clinch Analyzer
+ *
+ * Exact playoff math for every team: whether it has clinched a playoff spot
+ * or a bye, whether it has been eliminated from either, and its magic number -
+ * the fewest further wins that guarantee a spot whatever else happens.
+ *
+ * Counting wins against the bubble is not enough. Two rivals who still play
+ * each other cannot both win that game; a weekly median game hands out a
+ * fixed number of wins; a division winner is seeded ahead of every wild
+ * card whatever its record. So each question is answered against the real
+ * remaining schedule, as a flow problem: can the wins still to be handed out
+ * be shared so that enough teams finish ahead? That is the classic baseball
+ * elimination argument, run once per set of rivals.
+ *
+ * A tie in the standings is broken on points for, which are not decided
+ * until the games are played, so a tie is treated as something that could
+ * go either way: it counts against a team when asking whether it has
+ * clinched, and for it when asking whether it is still alive.
+ */
+
+class ClinchAnalyzer {
+    /**
+     * `standings` is PlayoffSimulator.calculateCurrentStandings' output,
+     * `weeks` the remaining schedule from PlayoffSimulator.loadSchedule, and
+     * `playoffStructure` PlayoffSimulator.determinePlayoffStructure's.
+     */
+    constructor(standings, weeks, playoffStructure) {
+        this.standings = standings;
+        this.structure = playoffStructure;
+        this.teams = new Map(standings.map(team => [team.rosterId, {
+            rosterId: team.rosterId,
+            division: team.division || null,
+            record: (team.wins || 0) + (team.ties || 0) / 2
+        }]));
+
+        this.games = (weeks || []).flatMap(({ week, games }) => games
+            .filter(([idA, idB]) => this.teams.has(idA) && this.teams.has(idB))
+            .map(([idA, idB]) => ({ week, idA, idB })));
+        this.medianWeeks = playoffStructure.medianGames ? (weeks || []).map(({ week }) => week) : [];
+        // The median game's winners each week: the top half of the league.
+        this.medianWinners = Math.floor(this.teams.size / 2);
+        this.divisions = playoffStructure.divisions >= 2 ? playoffStructure.divisions : 0;
+
+        this.remaining = new Map([...this.teams.keys()].map(id => [
+            id,
+            this.games.filter(game => game.idA === id || game.idB === id).length + this.medianWeeks.length
+        ]));
+    }
+
+    // ======================
+    // ANALYSIS
+    // ======================
+
+    /**
+     * Every team's status, keyed by roster id, or null when the league is too
+     * big to solve exactly (see MAX_TEAMS).
+     */
+    analyze() {
+        if (this.teams.size > ClinchAnalyzer.MAX_TEAMS) return null;
+
+        const { playoffTeams, firstRoundByes } = this.structure;
+        const seasonOver = [...this.remaining.values()].every(count => count === 0);
+        const results = new Map();
+
+        this.standings.forEach((team, index) => {
+            const id = team.rosterId;
+            const status = seasonOver
+                ? {
+                    clinchedBerth: index < playoffTeams,
+                    clinchedBye: index < firstRoundByes,
+                    eliminated: index >= playoffTeams,
+                    eliminatedFromBye: index >= firstRoundByes,
+                    magicNumber: index < playoffTeams ? 0 : null
+                }
+                : {
+                    clinchedBerth: !this.canMiss(id, playoffTeams, 0),
+                    clinchedBye: firstRoundByes > 0 && !this.canMiss(id, firstRoundByes, 0),
+                    eliminated: !this.canReach(id, playoffTeams),
+                    eliminatedFromBye: firstRoundByes === 0 || !this.canReach(id, firstRoundByes),
+                    magicNumber: this.magicNumber(id, playoffTeams)
+                };
+
+            results.set(id, {
+                rosterId: id,
+                remainingGames: this.remaining.get(id),
+                ...status,
+                state: ClinchAnalyzer.state(status),
+                label: ClinchAnalyzer.describe(status)
+            });
+        });
+
+        return results;
+    }
+
+    /**
+     * The fewest further wins that clinch a spot in the top `places`,
+     * whichever games they come in and whatever happens elsewhere; 0 once
+     * clinched, null when even winning out needs help. More wins never hurt,
+     * so the smallest such number is found by bisection.
+     */
+    magicNumber(id, places) {
+        const remaining = this.remaining.get(id);
+        if (this.canMiss(id, places, remaining)) return null;
+
+        let low = 0;
+        let high = remaining;
+        while (low < high) {
+            const mid = Math.floor((low + high) / 2);
+            if (this.canMiss(id, places, mid)) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    }
+
+    /**
+     * Whether the team can finish outside the top `places` if it wins only
+     * `wins` more of its games. Its losses are spent where they hurt it most,
+     * and the question is whether some set of rivals can all finish level with
+     * it or better at once.
+     */
+    canMiss(id, places, wins) {
+        const target = this.teams.get(id).record + wins;
+        const losses = this.remaining.get(id) - wins;
+        const candidates = this.rivals(id).filter(rival =>
+            this.teams.get(rival).record + this.remaining.get(rival) >= target
+        );
+
+        return this.someSubset(candidates, rivals =>
+            this.teamsAhead(id, rivals) >= places && this.rivalsCanCatch(id, rivals, target, losses)
+        );
+    }
+
+    /**
+     * Whether the team can still finish in the top `places`. It wins out; the
+     * question is whether every rival except a few can be held to its total
+     * at most, with too few of those few ahead of it to push it out.
+     */
+    canReach(id, places) {
+        const target = this.teams.get(id).record + this.remaining.get(id);
+        const rivals = this.rivals(id);
+        const alreadyAhead = rivals.filter(rival => this.teams.get(rival).record > target);
+        const optional = rivals.filter(rival => !alreadyAhead.includes(rival));
+
+        return this.someSubset(optional, chosen => {
+            const ahead = [...alreadyAhead, ...chosen];
+            return this.teamsAhead(id, ahead) < places && this.restCanBeHeld(id, ahead, target);
+        });
+    }
+
+    /**
+     * How many teams are seeded ahead of this one when exactly `ahead` finish
+     * above it. Without divisions that is just their number. With them,
+     * division winners are seeded first: a team that wins its division is
+     * behind only the other winners above it, and one that does not is
+     * behind every division winner as well as the wild cards above it.
+     */
+    teamsAhead(id, ahead) {
+        if (!this.divisions) return ahead.length;
+
+        const ownDivision = this.teams.get(id).division;
+        const divisionsTaken = new Set(ahead.map(rival => this.teams.get(rival).division));
+        if (!divisionsTaken.has(ownDivision)) return divisionsTaken.size;
+
+        return this.divisions + ahead.length - divisionsTaken.size;
+    }
+
+    rivals(id) {
+        return [...this.teams.keys()].filter(rival => rival !== id);
+    }
+
+    /** Whether `test` holds for any subset of `items`. */
+    someSubset(items, test) {
+        const count = 2 ** items.length;
+        for (let mask = 0; mask < count; mask++) {
+            if (test(items.filter((_, bit) => mask & (1 << bit)))) return true;
+        }
+        return false;
+    }
+
+    // ======================
+    // FLOW MODELS
+    // ======================
+
+    /**
+     * Can every team in `rivals` reach `target`, when the team `id` loses
+     * `losses` of its games? A rival beats anyone outside the set for free;
+     * games inside the set, the team's losses and the median wins left over
+     * after the team takes its own are shared out by the flow.
+     */
+    rivalsCanCatch(id, rivals, target, losses) {
+        const inSet = new Set(rivals);
+        const network = new FlowNetwork();
+        const budget = network.node();
+        network.edge(network.source, budget, losses);
+
+        const teamNodes = new Map();
+        let needed = 0;
+        rivals.forEach(rival => {
+            const freeWins = this.games.filter(game =>
+                (game.idA === rival && !inSet.has(game.idB) && game.idB !== id)
+                || (game.idB === rival && !inSet.has(game.idA) && game.idA !== id)
+            ).length;
+            const need = Math.max(0, Math.ceil(target - this.teams.get(rival).record - freeWins));
+            const node = network.node();
+            network.edge(node, network.sink, need);
+            teamNodes.set(rival, node);
+            needed += need;
+        });
+        if (!needed) return true;
+
+        this.games.forEach(({ idA, idB }) => {
+            if (inSet.has(idA) && inSet.has(idB)) {
+                const game = network.node();
+                network.edge(network.source, game, 1);
+                network.edge(game, teamNodes.get(idA), 1);
+                network.edge(game, teamNodes.get(idB), 1);
+            } else if ((idA === id && inSet.has(idB)) || (idB === id && inSet.has(idA))) {
+                network.edge(budget, teamNodes.get(idA === id ? idB : idA), 1);
+            }
+        });
+
+        this.medianWeeks.forEach(() => {
+            const week = network.node();
+            network.edge(network.source, week, this.medianWinners - 1);
+            // A median loss for the team leaves one more spot for the rest.
+            network.edge(budget, week, 1);
+            teamNodes.forEach(node => network.edge(week, node, 1));
+        });
+
+        return network.maxFlow() >= needed;
+    }
+
+    /**
+     * Can every rival outside `ahead` be held to `target` or less while the
+     * team `id` wins out? Rivals in `ahead` take any game against the rest
+     * and any median spot going, so only the games between held rivals and
+     * the median wins have to be fitted under the caps.
+     */
+    restCanBeHeld(id, ahead, target) {
+        const aheadSet = new Set(ahead);
+        const held = this.rivals(id).filter(rival => !aheadSet.has(rival));
+        const network = new FlowNetwork();
+
+        const teamNodes = new Map();
+        for (const rival of held) {
+            const cap = Math.floor(target - this.teams.get(rival).record);
+            if (cap < 0) return false;
+            const node = network.node();
+            network.edge(node, network.sink, cap);
+            teamNodes.set(rival, node);
+        }
+
+        let required = 0;
+        this.games.forEach(({ idA, idB }) => {
+            if (!teamNodes.has(idA) || !teamNodes.has(idB)) return;
+            const game = network.node();
+            network.edge(network.source, game, 1);
+            network.edge(game, teamNodes.get(idA), 1);
+            network.edge(game, teamNodes.get(idB), 1);
+            required++;
+        });
+
+        if (this.medianWeeks.length) {
+            const others = network.node();
+            network.edge(others, network.sink, Infinity);
+
+            this.medianWeeks.forEach(() => {
+                const spots = this.medianWinners - 1;
+                const week = network.node();
+                network.edge(network.source, week, spots);
+                teamNodes.forEach(node => network.edge(week, node, 1));
+                network.edge(week, others, ahead.length);
+                required += spots;
+            });
+        }
+
+        return network.maxFlow() >= required;
+    }
+
+    // ======================
+    // DISPLAY
+    // ======================
+
+    /** One word for styling: clinched-bye, clinched, eliminated, magic or needs-help. */
+    static state(status) {
+        if (status.clinchedBye) return 'clinched-bye';
+        if (status.clinchedBerth) return 'clinched';
+        if (status.eliminated) return 'eliminated';
+        return status.magicNumber !== null ? 'magic' : 'needs-help';
+    }
+
+    static describe(status) {
+        switch (ClinchAnalyzer.state(status)) {
+            case 'clinched-bye': return 'Clinched bye';
+            case 'clinched': return 'Clinched playoffs';
+            case 'eliminated': return 'Eliminated';
+            case 'magic': return `Magic number ${status.magicNumber}`;
+            default: return 'Needs help';
+        }
+    }
+}
+
+/**
+ * A small max-flow network (Edmonds-Karp). The networks here have a few dozen
+ * nodes and flows in the tens, so nothing cleverer is needed.
+ */
+class FlowNetwork {
+    constructor() {
+        this.capacity = {};
+        this.adjacent = [];
+        this.source = this.node();
+        this.sink = this.node();
+    }
+
+    node() {
+        this.adjacent.push([]);
+        return this.adjacent.length - 1;
+    }
+
+    edge(from, to, capacity) {
+        if (capacity <= 0) return;
+        const key = `${from}-${to}`;
+        if (!(key in this.capacity)) {
+            this.capacity[key] = 0;
+            this.capacity[`${to}-${from}`] = this.capacity[`${to}-${from}`] || 0;
+            this.adjacent[from].push(to);
+            this.adjacent[to].push(from);
+        }
+        this.capacity[key] += capacity;
+    }
+
+    maxFlow() {
+        let total = 0;
+
+        for (;;) {
+            const previous = new Array(this.adjacent.length).fill(-1);
+            previous[this.source] = this.source;
+            const queue = [this.source];
+
+            while (queue.length && previous[this.sink] === -1) {
+                const current = queue.shift();
+                this.adjacent[current].forEach(next => {
+                    if (previous[next] === -1 && this.capacity[`${current}-${next}`] > 0) {
+                        previous[next] = current;
+                        queue.push(next);
+                    }
+                });
+            }
+            if (previous[this.sink] === -1) return total;
+
+            let bottleneck = Infinity;
+            for (let node = this.sink; node !== this.source; node = previous[node]) {
+                bottleneck = Math.min(bottleneck, this.capacity[`${previous[node]}-${node}`]);
+            }
+            for (let node = this.sink; node !== this.source; node = previous[node]) {
+                this.capacity[`${previous[node]}-${node}`] -= bottleneck;
+                this.capacity[`${node}-${previous[node]}`] += bottleneck;
+            }
+            total += bottleneck;
+        }
+    }
+}
+
+// Leagues above this size are not solved: every set of rivals is tried, and
+// that doubles with each team.
+ClinchAnalyzer.MAX_TEAMS = 16;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ClinchAnalyzer;
+}
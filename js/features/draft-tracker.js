@@ -15,6 +15,12 @@ class DraftTracker {
         
         // AI Analysis System
         this.playerDatabase = new Map();
+        this.projections = null;
+        this.scoring = null; // ScoringEngine for the league, when there is one
+        this.auctionAdvisor = null;
+        this.auctionValues = null; // pre-auction dollar values, built on first use
+        this.tradedPicks = [];
+        this.leagueMode = null; // redraft, keeper or dynasty, from the draft's league
         this.positionScarcity = {
             QB: { total: 0, drafted: 0 },
             RB: { total: 0, drafted: 0 },
@@ -85,6 +91,14 @@ class DraftTracker {
                 || String(new Date().getFullYear());
 
             this.projections = await this.sleeperAPI.getSeasonProjections(season);
+            this.auctionValues = null; // priced from the projections, so re-price
+
+            // The league's own scoring settings, so projections are valued the
+            // way this league actually scores them. Mock drafts have no league.
+            this.scoring = await ScoringEngine.forLeague(
+                this.sleeperAPI,
+                this.draftData?.league_id || this.configManager.config.sleeperLeagueId
+            ).catch(() => null);
 
             if (this.projections) {
                 const count = Object.keys(this.projections).length;
@@ -382,6 +396,8 @@ class DraftTracker {
                 this.configManager.showNotification('🔥 DRAFT IS LIVE! Starting real-time tracking...', 'success');
             }
             
+            await this.loadKeeperContext();
+
             // Get user's roster ID (skip for mock drafts without league)
             if (leagueId && !isMockDraft) {
                 await this.identifyUserRoster(leagueId);
@@ -394,6 +410,10 @@ class DraftTracker {
             this.isTracking = true;
             this.updateDraftStatus();
             this.startPolling();
+
+            // An auction's board is worth reading before the first nomination
+            // closes, and nothing else would draw it until a pick arrives.
+            this.updateAuctionDisplay();
             
             // Update UI to show tracking is active
             const draftStatusElement = document.getElementById('draftStatus');
@@ -408,6 +428,34 @@ class DraftTracker {
         }
     }
 
+    /**
+     * The draft's traded picks and its league's keeper rules. Neither is fatal
+     * to miss - without them the draft is read as a redraft in its original
+     * order, which is what it was before either was known.
+     */
+    async loadKeeperContext() {
+        const traded = this.draftId
+            ? await this.sleeperAPI.getTradedPicks(this.draftId).catch(() => [])
+            : [];
+        this.tradedPicks = Array.isArray(traded) ? traded : [];
+
+        const leagueId = this.draftData?.league_id;
+        const league = leagueId ? await this.sleeperAPI.getLeague(leagueId).catch(() => null) : null;
+        this.leagueMode = KeeperAdvisor.leagueMode(league);
+
+        if (this.leagueMode.mode !== 'redraft') {
+            console.log(`🔒 ${this.leagueMode.mode} league - valuing players over ${this.leagueMode.horizon} seasons`);
+            this.configManager.showNotification(
+                `🔒 ${this.leagueMode.mode === 'dynasty' ? 'Dynasty' : 'Keeper'} league - advice values players over ` +
+                `${this.leagueMode.horizon} seasons`,
+                'info'
+            );
+        }
+        if (this.tradedPicks.length) {
+            console.log(`🔁 ${this.tradedPicks.length} traded picks in this draft`);
+        }
+    }
+
     async identifyUserRoster(leagueId) {
         try {
             // Fetch both rosters and users
@@ -662,6 +710,7 @@ class DraftTracker {
         this.updateDraftDisplay();
         this.checkUserTurn();
         this.updatePositionScarcityDisplay();
+        this.updateAuctionDisplay();
     }
 
     async processPick(pick) {
@@ -678,8 +727,13 @@ class DraftTracker {
         }
 
         if (player) {
-            // Generate AI analysis for this pick
-            const analysis = this.generatePickAnalysis(pick, player);
+            // Generate AI analysis for this pick. An auction pick number is only
+            // the order nominations closed in, so price is what gets graded; a
+            // keeper was decided before the draft and is not a pick to grade.
+            let analysis;
+            if (KeeperAdvisor.isKeeperPick(pick)) analysis = this.generateKeeperAnalysis(pick, player);
+            else if (this.isAuctionDraft()) analysis = this.generateAuctionAnalysis(pick, player);
+            else analysis = this.generatePickAnalysis(pick, player);
             
             // Display pick with analysis
             this.displayPick(pick, player, analysis);
@@ -750,6 +804,29 @@ class DraftTracker {
         };
     }
 
+    /**
+     * A keeper in the feed: what was kept and which round it cost. The player
+     * still counts against the position's supply like any other pick.
+     */
+    generateKeeperAnalysis(pick, player) {
+        const round = Number(pick.round) || Math.ceil(pick.pick_no / (this.draftData?.settings?.teams || 12));
+        const reasoning = [`Kept at the cost of a round ${round} pick`];
+        if (Number.isFinite(player.adp) && player.adp < 999) {
+            const adpRound = Math.ceil(player.adp / (this.draftData?.settings?.teams || 12));
+            reasoning.push(adpRound < round
+                ? `Would go around round ${adpRound} in a redraft - ${round - adpRound} round${round - adpRound === 1 ? '' : 's'} of value kept`
+                : `Would go around round ${adpRound} in a redraft`);
+        }
+
+        return {
+            grade: 'Keeper',
+            reasoning,
+            confidence: 75,
+            educationalTip: 'A keeper is worth the gap between where they would be drafted and the round they cost - not how good they are.',
+            positionScarcity: this.calculateCurrentScarcity(player.position).level
+        };
+    }
+
     getExpectedPickRange(player) {
         const adp = player.adp;
         return {
@@ -1045,7 +1122,7 @@ class DraftTracker {
             // Generate emergency recommendations with fresh data
             console.log('🤖 Generating panic recommendations...');
             const result = this.generatePanicRecommendations();
-            const { recommendations, usingDemoData } = result;
+            const { recommendations, usingDemoData, availabilityAdvice } = result;
             console.log('📋 Generated fresh recommendations:', recommendations.length, 'players');
             
             // Validate recommendations
@@ -1055,7 +1132,7 @@ class DraftTracker {
                 this.displayPanicMode(fallbackRecommendations, false); // fallback is not demo data
             } else {
                 // Update UI with panic mode
-                this.displayPanicMode(recommendations, usingDemoData);
+                this.displayPanicMode(recommendations, usingDemoData, availabilityAdvice);
             }
             
             // Urgent notification
@@ -1317,16 +1394,18 @@ class DraftTracker {
             teams: this.draftData?.settings?.teams || this.configManager.config.leagueSize || 12,
             scoringFormat: this.configManager.config.scoringFormat || 'Half PPR',
             rosterFormat: this.resolveRosterFormat(),
-            playerLookup: pick => this.playerDatabase.get(pick.player_id)
-                || (pick.metadata ? { position: this.normalizePosition(pick.metadata.position) } : null),
+            playerLookup: pick => this.playerForPick(pick),
             projections: this.projections,
+            scoring: this.scoring,
+            horizon: this.leagueMode?.horizon || 1,
             // Measured across the whole player database, not the shrinking board.
             replacementBaselines: advisor.computeReplacementBaselines(
                 Array.from(this.playerDatabase.values()),
                 this.projections,
                 this.draftData?.settings?.teams || this.configManager.config.leagueSize || 12,
                 this.configManager.config.scoringFormat || 'Half PPR',
-                this.resolveRosterFormat()
+                this.resolveRosterFormat(),
+                this.scoring
             )
         });
 
@@ -1334,13 +1413,55 @@ class DraftTracker {
             validRecommendations.map(r => `${r.player.name} - ${r.strategy}`)
         );
 
+        // Survival odds to the user's next pick, so the shortlist can say which
+        // player to take now and which is likely to come back. Sample players
+        // are not on the real board, so there is nothing to simulate for them.
+        let availabilityAdvice = null;
+        if (!usingDemoData && !this.isAuctionDraft()) {
+            const availability = advisor.estimateAvailability({
+                targets: validRecommendations.map(rec => rec.player),
+                availablePlayers: undraftedPlayers,
+                picks: this.picks,
+                teams: this.draftData?.settings?.teams || this.configManager.config.leagueSize || 12,
+                rounds: this.draftData?.settings?.rounds || null,
+                userSlot: this.resolveUserDraftSlot(),
+                orderOptions: PickAdvisor.draftOrderOptions(this.draftData, this.tradedPicks),
+                playerLookup: pick => this.playerForPick(pick),
+                rosterFormat: this.resolveRosterFormat()
+            });
+            validRecommendations.forEach(rec => {
+                rec.availability = availability.get(String(rec.player.id)) || null;
+            });
+            availabilityAdvice = advisor.availabilityAdvice(validRecommendations);
+        }
+
         // Return recommendations with metadata about data source
         return {
             recommendations: validRecommendations,
-            usingDemoData: usingDemoData
+            usingDemoData: usingDemoData,
+            availabilityAdvice
         };
     }
 
+    /**
+     * The drafted player, or as much as the pick's own metadata says about them
+     * when they are outside the filtered database.
+     */
+    playerForPick(pick) {
+        return this.playerDatabase.get(pick.player_id)
+            || (pick.metadata ? { position: this.normalizePosition(pick.metadata.position) } : null);
+    }
+
+    /**
+     * The user's draft slot, which is not their roster id: Sleeper maps one to
+     * the other in `slot_to_roster_id` once the commissioner sets the order.
+     * Null before then, and for a draft the user's roster is not part of.
+     */
+    resolveUserDraftSlot() {
+        if (!this.userRosterId) return null;
+        return PickAdvisor.slotForRoster(this.userRosterId, this.draftData?.slot_to_roster_id);
+    }
+
     analyzeMyRoster() {
         console.log('🔍 Analyzing roster with userRosterId:', this.userRosterId);
         console.log('📊 Total picks in draft:', this.picks.length);
@@ -1753,6 +1874,17 @@ class DraftTracker {
                 </div>
             </div>
 
+            <!-- Auction Panel -->
+            <div class="auction-panel" id="auctionPanel" style="display: none;">
+                <div class="card">
+                    <div class="card-header">
+                        <h3 class="card-title">💰 Auction Board</h3>
+                        <div class="auction-inflation" id="auctionInflation"></div>
+                    </div>
+                    <div id="auctionContent"></div>
+                </div>
+            </div>
+
             <!-- Queue Panel -->
             <div class="queue-panel" id="queuePanel" style="display: none;">
                 <div class="card">
@@ -1947,7 +2079,7 @@ class DraftTracker {
         pickElement.innerHTML = `
             <div class="pick-item" style="border-left: 4px solid ${gradeColor}; margin-bottom: 15px; padding: 12px; background: rgba(255,255,255,0.05); border-radius: 8px;">
                 <div class="pick-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
-                    <div class="pick-number" style="font-weight: bold; color: var(--accent-color);">Pick ${pick.pick_no}</div>
+                    <div class="pick-number" style="font-weight: bold; color: var(--accent-color);">Pick ${pick.pick_no}${analysis.amount != null ? ` · $${analysis.amount}` : ''}</div>
                     <div class="pick-grade ${gradeClass}" style="padding: 4px 8px; border-radius: 4px; font-size: 0.8em; font-weight: bold;">${analysis.grade}</div>
                     <div class="confidence-badge" style="font-size: 0.8em; color: var(--text-secondary);">AI: ${analysis.confidence}%</div>
                 </div>
@@ -1986,7 +2118,7 @@ class DraftTracker {
         });
     }
 
-    displayPanicMode(recommendations, usingDemoData = false) {
+    displayPanicMode(recommendations, usingDemoData = false, availabilityAdvice = null) {
         console.log('📱 Displaying panic mode with recommendations:', recommendations?.length || 0, 'Demo data:', usingDemoData);
         
         const panicPanel = document.getElementById('panicModePanel');
@@ -2018,6 +2150,9 @@ class DraftTracker {
                     </div>
                 </div>
             ` : ''}
+            ${availabilityAdvice ? `
+                <div class="availability-advice">🔁 ${availabilityAdvice}</div>
+            ` : ''}
             <div class="panic-recommendations">
                 ${recommendations.map((rec, index) => `
                     <div class="panic-rec" style="background: rgba(255, 255, 255, 0.05); padding: 12px; border-radius: 8px; margin-bottom: 10px;">
@@ -2028,6 +2163,9 @@ class DraftTracker {
                         <div style="font-size: 0.9em; color: var(--text-secondary);">
                             ${rec.player.position} - ${rec.strategy}: ${rec.reasoning}
                         </div>
+                        ${rec.availability ? `
+                            <div class="availability-odds">${this.describeAvailability(rec.availability)}</div>
+                        ` : ''}
                     </div>
                 `).join('')}
             </div>
@@ -2041,6 +2179,13 @@ class DraftTracker {
         recommendationsElement.innerHTML = recommendationsHTML;
     }
 
+    /** "62% to be there at pick 27 (9 picks away)" */
+    describeAvailability(availability) {
+        const odds = PickAdvisor.formatOdds(availability.probability);
+        const away = availability.picksUntil === 1 ? '1 pick away' : `${availability.picksUntil} picks away`;
+        return `${odds} to be there at pick ${availability.nextPick} (${away})`;
+    }
+
     clearPanicMode() {
         const panicPanel = document.getElementById('panicModePanel');
         if (panicPanel) {
@@ -2078,11 +2223,204 @@ class DraftTracker {
         const colors = {
             'Great Value': 'var(--success-color)',
             'Good Pick': 'var(--primary-color)',
-            'Reach': 'var(--warning-color)'
+            'Reach': 'var(--warning-color)',
+            'Keeper': 'var(--info-color)'
         };
         return colors[grade] || 'var(--accent-color)';
     }
 
+    // ======================
+    // AUCTION
+    // ======================
+
+    isAuctionDraft() {
+        return AuctionAdvisor.isAuction(this.draftData);
+    }
+
+    /**
+     * Pre-auction dollar values for the whole player database, priced against
+     * this draft's teams, budget and roster size.
+     */
+    ensureAuctionValues() {
+        if (!this.auctionAdvisor) this.auctionAdvisor = new AuctionAdvisor(this.configManager);
+        if (this.auctionValues) return this.auctionValues;
+
+        const teams = Number(this.draftData?.settings?.teams) || this.configManager.config.leagueSize || 12;
+        const scoringFormat = this.configManager.config.scoringFormat || 'Half PPR';
+        const rosterFormat = this.resolveRosterFormat();
+        const allPlayers = Array.from(this.playerDatabase.values());
+
+        this.auctionValues = this.auctionAdvisor.dollarValues(allPlayers, {
+            teams,
+            rosterSpots: Number(this.draftData?.settings?.rounds) || 15,
+            budget: AuctionAdvisor.budget(this.draftData),
+            scoringFormat,
+            rosterFormat,
+            projections: this.projections,
+            scoring: this.scoring,
+            replacementBaselines: this.auctionAdvisor.pickAdvisor.computeReplacementBaselines(
+                allPlayers, this.projections, teams, scoringFormat, rosterFormat, this.scoring
+            )
+        });
+        return this.auctionValues;
+    }
+
+    /** Budgets and price inflation from the picks processed so far. */
+    auctionState() {
+        const values = this.ensureAuctionValues();
+        const budgets = this.auctionAdvisor.teamBudgets({
+            draftData: this.draftData,
+            picks: this.picks,
+            playerLookup: pick => this.playerForPick(pick)
+        });
+        const draftedIds = new Set(this.picks.map(pick => String(pick.player_id)));
+        const inflation = this.auctionAdvisor.inflation({ values, budgets, draftedIds });
+        return { values, budgets, draftedIds, inflation };
+    }
+
+    /**
+     * Grades a closed nomination by price against value at the moment it sold,
+     * in the same shape as the snake analysis so the feed can draw either.
+     */
+    generateAuctionAnalysis(pick, player) {
+        const { values, inflation } = this.auctionState();
+        const amount = AuctionAdvisor.pickAmount(pick);
+        const value = this.auctionAdvisor.currentValue(values.get(String(player.id)), inflation);
+        const sale = this.auctionAdvisor.gradeSale(amount, value);
+        const positionScarcity = this.calculateCurrentScarcity(player.position);
+
+        const grades = { bargain: 'Great Value', overpay: 'Reach' };
+        const grade = grades[sale.verdict] || 'Good Pick';
+        const reasoning = [];
+        let confidence = 75;
+
+        if (sale.value === null) {
+            reasoning.push(`Won for $${amount} - not rated`);
+        } else {
+            reasoning.push(`Won for $${amount}, worth about $${sale.value} at current prices`);
+            if (sale.verdict === 'bargain') {
+                reasoning.push(`$${sale.difference} under value`);
+                confidence += 15;
+            } else if (sale.verdict === 'overpay') {
+                reasoning.push(`$${-sale.difference} over value`);
+                confidence -= 15;
+            }
+        }
+
+        if (positionScarcity.level === 'Critical') {
+            reasoning.push(`${player.position} position is running thin`);
+        }
+
+        const tips = {
+            bargain: 'Bargains cluster late, once the room has spent its money - keeping some back is how you get them.',
+            overpay: 'Overpaying drains a budget: that team now has less to bid against you on every player left.',
+            fair: 'Paying fair value for your core and finding depth for a dollar or two is how auctions are won.',
+            unrated: 'Without a projection there is no price to compare against - judge this one on the room.'
+        };
+
+        return {
+            grade,
+            reasoning,
+            confidence: Math.max(10, Math.min(95, confidence)),
+            educationalTip: tips[sale.verdict],
+            positionScarcity: positionScarcity.level,
+            amount
+        };
+    }
+
+    /**
+     * The auction board: what you can bid, who to nominate, the best values
+     * left and every team's money. Hidden for snake and linear drafts.
+     */
+    updateAuctionDisplay() {
+        const panel = document.getElementById('auctionPanel');
+        const content = document.getElementById('auctionContent');
+        if (!panel || !content) return;
+
+        if (!this.isAuctionDraft() || this.playerDatabase.size === 0) {
+            panel.style.display = 'none';
+            return;
+        }
+
+        const { values, budgets, draftedIds, inflation } = this.auctionState();
+        const userSlot = this.resolveUserDraftSlot();
+        const user = budgets.find(team => team.slot === userSlot) || null;
+
+        const available = Array.from(this.playerDatabase.values())
+            .filter(player => !draftedIds.has(String(player.id)))
+            .map(player => ({ player, price: this.auctionAdvisor.currentValue(values.get(String(player.id)), inflation) }))
+            .filter(entry => entry.price !== null)
+            .sort((a, b) => b.price - a.price);
+
+        const nominations = this.auctionAdvisor.nominationAdvice({
+            available: available.slice(0, 60).map(entry => entry.player),
+            budgets,
+            userSlot,
+            limits: PickAdvisor.rosterLimits(this.resolveRosterFormat()),
+            inflation,
+            values
+        });
+
+        const inflationElement = document.getElementById('auctionInflation');
+        if (inflationElement) {
+            const percent = Math.round((inflation - 1) * 100);
+            inflationElement.textContent = percent === 0
+                ? 'Prices at value'
+                : `Prices ${percent > 0 ? '+' : ''}${percent}% vs. pre-auction values`;
+        }
+
+        content.innerHTML = `
+            ${user ? `
+                <div class="auction-user-budget">
+                    Your max bid: <strong>$${user.maxBid}</strong>
+                    <span>($${user.remaining} left for ${user.open} spot${user.open === 1 ? '' : 's'})</span>
+                </div>
+            ` : `
+                <div class="auction-user-budget">Your team is not in this draft's order yet - budgets are shown for every team.</div>
+            `}
+
+            <h4>🎯 Nominate to drain budgets</h4>
+            ${nominations.length ? `
+                <ul class="auction-nominations">
+                    ${nominations.map(option => `
+                        <li><strong>${option.player.name}</strong> (${option.player.position}, ~$${option.price}) - ${option.reasoning}</li>
+                    `).join('')}
+                </ul>
+            ` : '<p class="auction-empty">No expensive player is wanted by enough rivals right now.</p>'}
+
+            <h4>💵 Best values left</h4>
+            <table class="auction-table">
+                <thead><tr><th>Player</th><th>Pos</th><th>Value</th></tr></thead>
+                <tbody>
+                    ${available.slice(0, AuctionAdvisor.BOARD_SIZE).map(entry => `
+                        <tr>
+                            <td>${entry.player.name}</td>
+                            <td>${entry.player.position}</td>
+                            <td>$${entry.price}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+
+            <h4>🏦 Team budgets</h4>
+            <table class="auction-table">
+                <thead><tr><th>Team</th><th>Spent</th><th>Left</th><th>Open</th><th>Max bid</th></tr></thead>
+                <tbody>
+                    ${budgets.map(team => `
+                        <tr class="${team === user ? 'auction-user-row' : ''}">
+                            <td>${team === user ? 'You' : `Team ${team.slot}`}</td>
+                            <td>$${team.spent}</td>
+                            <td>$${team.remaining}</td>
+                            <td>${team.open}</td>
+                            <td>$${team.maxBid}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        panel.style.display = 'block';
+    }
+
     // ======================
     // AUDIO SYSTEM
     // ======================
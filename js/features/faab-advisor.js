@@ -0,0 +1,258 @@
+/**
+ * FAAB Advisor
+ *
+ * How much to bid on a waiver claim in a free-agent budget league, priced
+ * from what this league has actually paid.
+ *
+ * A FAAB claim is a sealed-bid auction: the highest bid wins, and nobody sees
+ * the others. The only evidence of what a player will cost is what similar
+ * players went for earlier in the season, so every claim Sleeper processed
+ * is read back from the weekly transactions. Each winning bid is taken as a
+ * share of the money the league had left at the time - $20 in week 2 is not
+ * $20 in week 12, when half the budgets are spent - and brought back to
+ * today's dollars against the budgets left now.
+ *
+ * A target's price is then read off the winning bids on comparable players:
+ * the same position and a similar scoring rate count most. The chance a bid
+ * wins is the share of those comparable claims it would have beaten, and a
+ * bid no rival can afford to top always wins.
+ */
+
+class FaabAdvisor {
+    constructor(configManager) {
+        this.configManager = configManager;
+        this.sleeperAPI = new SleeperAPI();
+        this.playerStats = PlayerStats.shared();
+    }
+
+    // ======================
+    // LEAGUE SETTINGS
+    // ======================
+
+    /** Sleeper's waiver_type 2 is a free-agent budget; 0 and 1 are priority orders. */
+    static isFaab(league) {
+        return Number(league?.settings?.waiver_type) === 2;
+    }
+
+    static budget(league) {
+        return Number(league?.settings?.waiver_budget) || FaabAdvisor.DEFAULT_BUDGET;
+    }
+
+    /** The smallest bid the league accepts. Sleeper allows $0 unless told otherwise. */
+    static minimumBid(league) {
+        return Number(league?.settings?.waiver_bid_min) || 0;
+    }
+
+    // ======================
+    // BUDGETS
+    // ======================
+
+    /** What every team has left, from the budget used Sleeper keeps on each roster. */
+    teamBudgets(league, rosters = []) {
+        const budget = FaabAdvisor.budget(league);
+        return rosters.map(roster => {
+            const spent = Number(roster.settings?.waiver_budget_used) || 0;
+            return { rosterId: roster.roster_id, spent, remaining: Math.max(0, budget - spent) };
+        });
+    }
+
+    // ======================
+    // BID HISTORY
+    // ======================
+
+    /**
+     * Every waiver claim processed this season, won or lost, oldest first.
+     * Weeks that fail to load are skipped; the history is whatever could be
+     * read.
+     */
+    async loadClaims(leagueId, throughWeek) {
+        const transactions = await this.sleeperAPI.getSeasonTransactions(leagueId, throughWeek);
+
+        return transactions
+            .filter(transaction => transaction.type === 'waiver' && transaction.adds)
+            .map(transaction => ({
+                week: Number(transaction.leg) || 0,
+                processed: transaction.status_updated || transaction.created || 0,
+                playerId: String(Object.keys(transaction.adds)[0]),
+                rosterId: transaction.roster_ids?.[0] ?? Object.values(transaction.adds)[0],
+                bid: Number(transaction.settings?.waiver_bid) || 0,
+                won: transaction.status === 'complete'
+            }))
+            .sort((a, b) => a.week - b.week || a.processed - b.processed);
+    }
+
+    /**
+     * The winning bids, each as a share of the average budget the league had
+     * left when it was placed. Spending is replayed claim by claim, so a bid
+     * is measured against the money left before its own run of claims.
+     */
+    winningBids(claims, league, rosters) {
+        const budget = FaabAdvisor.budget(league);
+        const spent = new Map(rosters.map(roster => [roster.roster_id, 0]));
+        const averageLeft = () => {
+            let left = 0;
+            spent.forEach(amount => { left += Math.max(0, budget - amount); });
+            return spent.size ? left / spent.size : budget;
+        };
+
+        const bids = [];
+        let runKey = null;
+        let leftAtRun = budget;
+        claims.filter(claim => claim.won).forEach(claim => {
+            // Sleeper processes a week's claims together; every one of them
+            // was placed against the budgets as they stood beforehand.
+            const key = `${claim.week}:${claim.processed}`;
+            if (key !== runKey) {
+                runKey = key;
+                leftAtRun = averageLeft();
+            }
+
+            bids.push({ ...claim, share: leftAtRun > 0 ? claim.bid / leftAtRun : 0 });
+            if (spent.has(claim.rosterId)) spent.set(claim.rosterId, spent.get(claim.rosterId) + claim.bid);
+        });
+
+        return bids;
+    }
+
+    // ======================
+    // BID ADVICE
+    // ======================
+
+    /**
+     * Bid advice for each waiver target, as a Map of player id to advice.
+     * Null when the league does not bid for players.
+     *
+     * `userRosterId` caps the advice at your own remaining budget and leaves
+     * your money out of the rivals' - it is optional.
+     */
+    async adviseTargets(targets, { leagueId, currentWeek, allPlayers = {}, userRosterId = null }) {
+        const [league, rosters] = await Promise.all([
+            this.sleeperAPI.getLeague(leagueId),
+            this.sleeperAPI.getRosters(leagueId)
+        ]);
+        if (!FaabAdvisor.isFaab(league)) return null;
+
+        const budgets = this.teamBudgets(league, rosters || []);
+        const claims = await this.loadClaims(leagueId, currentWeek);
+        const history = this.winningBids(claims, league, rosters || []);
+        const context = this.biddingContext(league, budgets, userRosterId);
+
+        const advice = new Map();
+        targets.forEach(target => {
+            advice.set(String(target.id), this.recommendBid(target, history, context, allPlayers));
+        });
+        return advice;
+    }
+
+    /** The money in play for a bid: yours, the rivals', and the league's average. */
+    biddingContext(league, budgets, userRosterId = null) {
+        const user = budgets.find(team => team.rosterId === userRosterId) || null;
+        const rivals = budgets.filter(team => team !== user);
+        return {
+            minimumBid: FaabAdvisor.minimumBid(league),
+            yourRemaining: user ? user.remaining : FaabAdvisor.budget(league),
+            rivalMax: rivals.reduce((max, team) => Math.max(max, team.remaining), 0),
+            averageLeft: budgets.length
+                ? budgets.reduce((sum, team) => sum + team.remaining, 0) / budgets.length
+                : FaabAdvisor.budget(league)
+        };
+    }
+
+    /**
+     * A bid range for one target and the chance of winning at the amounts in
+     * it. The range runs from the cheapest bid that wins more often than not
+     * to the cheapest that wins RANGE_HIGH of the time. Either end can be out
+     * of reach of your budget, in which case it is null.
+     */
+    recommendBid(target, history, context, allPlayers) {
+        const comparables = this.comparableBids(target, history, context, allPlayers);
+        if (!comparables.length) {
+            return { available: false, reason: 'No winning bids in this league yet to price from' };
+        }
+
+        const cap = Math.max(context.minimumBid, Math.floor(context.yourRemaining));
+        const probability = amount => this.winProbability(amount, comparables, context);
+        const cheapestAt = odds => {
+            for (let amount = context.minimumBid; amount <= cap; amount++) {
+                if (probability(amount) >= odds) return amount;
+            }
+            return null;
+        };
+
+        const ladder = [...new Set(FaabAdvisor.LADDER_ODDS.map(cheapestAt).filter(amount => amount !== null))]
+            .sort((a, b) => a - b)
+            .map(amount => ({ amount, probability: probability(amount) * 100 }));
+
+        const weight = comparables.reduce((sum, bid) => sum + bid.weight, 0);
+        const effectiveSample = weight ** 2 / comparables.reduce((sum, bid) => sum + bid.weight ** 2, 0);
+
+        return {
+            available: true,
+            low: cheapestAt(FaabAdvisor.RANGE_LOW),
+            high: cheapestAt(FaabAdvisor.RANGE_HIGH),
+            ladder,
+            comparables: comparables.length,
+            thinHistory: effectiveSample < FaabAdvisor.MIN_COMPARABLES,
+            yourRemaining: context.yourRemaining,
+            rivalMax: context.rivalMax
+        };
+    }
+
+    /**
+     * The season's winning bids weighted by how alike their players are to
+     * the target, each priced in today's dollars. A bid can never have needed
+     * more than the richest rival has left now.
+     */
+    comparableBids(target, history, context, allPlayers) {
+        const rateOf = id => this.playerStats.projectionFor(id)?.rate ?? 0;
+        const targetRate = rateOf(target.id);
+
+        return history.map(bid => {
+            const samePosition = allPlayers[bid.playerId]?.position === target.position;
+            const weight = (samePosition ? 1 : FaabAdvisor.CROSS_POSITION_WEIGHT)
+                * Math.exp(-Math.abs(rateOf(bid.playerId) - targetRate) / FaabAdvisor.RATE_BANDWIDTH);
+            return {
+                ...bid,
+                weight,
+                price: Math.min(Math.round(bid.share * context.averageLeft), context.rivalMax)
+            };
+        }).filter(bid => bid.weight >= FaabAdvisor.MIN_WEIGHT);
+    }
+
+    /**
+     * The share of comparable claims a bid would have won, a tie counting
+     * half - Sleeper settles it by waiver order, which could go either way.
+     */
+    winProbability(amount, comparables, context) {
+        if (amount > context.rivalMax) return 1;
+
+        let won = 0;
+        let total = 0;
+        comparables.forEach(bid => {
+            total += bid.weight;
+            if (amount > bid.price) won += bid.weight;
+            else if (amount === bid.price) won += bid.weight / 2;
+        });
+        return total > 0 ? won / total : 0;
+    }
+}
+
+// Sleeper's default free-agent budget.
+FaabAdvisor.DEFAULT_BUDGET = 100;
+// Win chances that bound the recommended range, and the amounts shown in it.
+FaabAdvisor.RANGE_LOW = 0.5;
+FaabAdvisor.RANGE_HIGH = 0.8;
+FaabAdvisor.LADDER_ODDS = [0.25, 0.5, 0.65, 0.8, 0.95];
+// A bid on another position still says something about the market, but less.
+FaabAdvisor.CROSS_POSITION_WEIGHT = 0.35;
+// Points per week over which a comparable's weight falls to about a third.
+FaabAdvisor.RATE_BANDWIDTH = 4;
+// Below this weight a past bid is not comparable at all.
+FaabAdvisor.MIN_WEIGHT = 0.01;
+// Effective number of comparable bids below which the advice is flagged as thin.
+FaabAdvisor.MIN_COMPARABLES = 4;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FaabAdvisor;
+}
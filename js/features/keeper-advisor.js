@@ -0,0 +1,171 @@
+/**
+ * Keeper Advisor
+ *
+ * Values players beyond a single season, and prices keepers against the draft
+ * pick they cost.
+ *
+ * Everything else in the draft tools values one season, which is the right
+ * question in a redraft league and the wrong one in a keeper or dynasty
+ * league: a 22-year-old receiver and a 30-year-old running back with the same
+ * projection this year are nowhere near the same asset. The age curves below
+ * carry the shape TradeAnalyzer.getAgeAdjustment applies - rising into the
+ * mid-twenties, flat through a prime, falling after it - but per position,
+ * since running backs fall off years before quarterbacks do.
+ *
+ * A keeper is only worth keeping by comparison with what the forfeited pick
+ * would have bought. Surplus value is the player's VOR minus the VOR a typical
+ * pick in that round lands, read off the same board the draft advice uses.
+ */
+
+class KeeperAdvisor {
+    constructor(configManager) {
+        this.configManager = configManager;
+    }
+
+    // ======================
+    // LEAGUE MODE
+    // ======================
+
+    /**
+     * Redraft, keeper or dynasty, from Sleeper's `settings.type` (0, 1 and 2),
+     * with how many seasons ahead a player's value should look.
+     */
+    static leagueMode(league) {
+        const type = Number(league?.settings?.type) || 0;
+        const mode = KeeperAdvisor.MODES[type] || 'redraft';
+        return {
+            mode,
+            maxKeepers: Number(league?.settings?.max_keepers) || 0,
+            horizon: KeeperAdvisor.HORIZONS[mode]
+        };
+    }
+
+    /** Sleeper marks keepers on the pick itself; older picks carry it in metadata. */
+    static isKeeperPick(pick) {
+        const flag = pick?.is_keeper ?? pick?.metadata?.is_keeper;
+        return flag === true || flag === 'true';
+    }
+
+    // ======================
+    // AGE CURVES
+    // ======================
+
+    /**
+     * Share of peak production expected at an age. 1 through the position's
+     * prime, climbing toward it before and falling away after. Positions
+     * without an age curve - defenses, and kickers, who last for ever - are
+     * flat.
+     */
+    static ageFactor(position, age) {
+        const curve = KeeperAdvisor.AGE_CURVES[position];
+        if (!curve || !Number.isFinite(age)) return 1;
+
+        const [peakStart, peakEnd] = curve.peak;
+        if (age < peakStart) return Math.max(0.5, 1 - curve.rise * (peakStart - age));
+        if (age > peakEnd) return Math.max(0, 1 - curve.decline * (age - peakEnd));
+        return 1;
+    }
+
+    /**
+     * A season value carried over several seasons: this season at its value,
+     * each later one scaled by the age curve relative to this year, and all
+     * of them discounted, since a season two years out is less certain than
+     * this one. A player the curve already has at nothing has no later
+     * seasons to scale. Without an age there is no curve to apply, and the
+     * seasons are only discounted.
+     */
+    static multiYearValue(seasonValue, position, age, years) {
+        const now = KeeperAdvisor.ageFactor(position, age);
+        let total = 0;
+        for (let year = 0; year < years; year++) {
+            let factor = 1;
+            if (year > 0) factor = now > 0 ? KeeperAdvisor.ageFactor(position, age + year) / now : 0;
+            total += seasonValue * factor * Math.pow(KeeperAdvisor.YEARLY_DISCOUNT, year);
+        }
+        return Math.round(total);
+    }
+
+    // ======================
+    // KEEPER COSTS
+    // ======================
+
+    /**
+     * The VOR a pick in each round typically lands, by walking the board in ADP
+     * order to the middle of the round. Index 1 is the first round.
+     */
+    roundValues(valued, teams, rounds) {
+        const byAdp = valued
+            .filter(player => player.adp && player.adp < 999)
+            .sort((a, b) => a.adp - b.adp);
+        const values = [null];
+
+        for (let round = 1; round <= rounds; round++) {
+            const index = Math.round((round - 0.5) * teams) - 1;
+            const player = byAdp[Math.min(byAdp.length - 1, index)];
+            values.push(player ? Math.max(0, player.vor) : 0);
+        }
+
+        return values;
+    }
+
+    /**
+     * One row per rostered player: this season's VOR, its multi-year value,
+     * the round it costs to keep and the surplus over that round.
+     *
+     * A player with no marked cost has no surplus - the question cannot be
+     * answered without knowing what keeping him gives up. The recommended
+     * keepers are the best surpluses up to the league's limit, positive ones
+     * only: a keeper worth less than his round is better thrown back.
+     */
+    evaluateKeepers({ players = [], valued = [], costs = {}, teams = 12, rounds = 15, maxKeepers = 0, horizon = 1 }) {
+        const byId = new Map(valued.map(player => [String(player.id), player]));
+        const roundValues = this.roundValues(valued, teams, rounds);
+
+        const rows = players.map(player => {
+            const id = String(player.id);
+            const value = byId.get(id) || null;
+            const round = Number(costs[id]) || null;
+            const roundVor = round ? (roundValues[Math.min(round, rounds)] ?? 0) : null;
+
+            return {
+                player,
+                round,
+                seasonVor: value ? value.vor : null,
+                multiYearVor: value
+                    ? KeeperAdvisor.multiYearValue(value.vor, player.position, player.age, horizon)
+                    : null,
+                roundVor,
+                surplus: value && round ? value.vor - roundVor : null,
+                recommended: false
+            };
+        });
+
+        rows
+            .filter(row => row.surplus !== null && row.surplus > 0)
+            .sort((a, b) => b.surplus - a.surplus || b.multiYearVor - a.multiYearVor)
+            .slice(0, maxKeepers || rows.length)
+            .forEach(row => { row.recommended = true; });
+
+        return rows.sort((a, b) =>
+            (b.surplus ?? -Infinity) - (a.surplus ?? -Infinity)
+            || (b.multiYearVor ?? -Infinity) - (a.multiYearVor ?? -Infinity));
+    }
+}
+
+KeeperAdvisor.MODES = ['redraft', 'keeper', 'dynasty'];
+// Seasons of value worth counting. A keeper is usually held a season or two;
+// a dynasty asset for as long as he produces.
+KeeperAdvisor.HORIZONS = { redraft: 1, keeper: 2, dynasty: 4 };
+KeeperAdvisor.YEARLY_DISCOUNT = 0.85;
+// Prime ages, and the share of peak gained or lost per year outside them.
+KeeperAdvisor.AGE_CURVES = {
+    QB: { peak: [26, 33], rise: 0.06, decline: 0.10 },
+    RB: { peak: [23, 26], rise: 0.08, decline: 0.15 },
+    WR: { peak: [25, 29], rise: 0.08, decline: 0.12 },
+    TE: { peak: [26, 30], rise: 0.10, decline: 0.12 }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KeeperAdvisor;
+}
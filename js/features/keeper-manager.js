@@ -0,0 +1,335 @@
+/**
+ * Keeper Manager
+ *
+ * The keeper decision, made before the draft: which of your rostered players
+ * to keep, given the round each one costs.
+ *
+ * Sleeper knows who is on your roster and which picks have changed hands, but
+ * not what a keeper costs - leagues price them by the round a player was
+ * drafted in, a round earlier each year, or whatever the commissioner wrote in
+ * the league chat. So the cost is entered here, per player, and kept in the
+ * browser with the rest of your draft preparation. KeeperAdvisor does the
+ * arithmetic; this draws it.
+ */
+
+class KeeperManager {
+    constructor(configManager, draftTracker) {
+        this.configManager = configManager;
+        this.draftTracker = draftTracker;
+        this.sleeperAPI = draftTracker?.sleeperAPI || new SleeperAPI();
+        this.keeperAdvisor = new KeeperAdvisor(configManager);
+        this.context = null;
+
+        console.log('🔒 KeeperManager: Initializing keeper planning...');
+        this.setupKeeperUI();
+    }
+
+    // ======================
+    // SETUP
+    // ======================
+
+    setupKeeperUI() {
+        const draftPage = document.getElementById('live-draft');
+        if (!draftPage || document.getElementById('keeperPanel')) return;
+
+        const panel = document.createElement('div');
+        panel.className = 'keeper-panel';
+        panel.id = 'keeperPanel';
+        panel.innerHTML = `
+            <div class="card">
+                <div class="card-header">
+                    <h3 class="card-title">🔒 Keepers</h3>
+                    <div class="draft-status" id="keeperStatus">Keeper and dynasty leagues</div>
+                </div>
+                <div class="keeper-actions">
+                    <button class="btn btn-primary" data-action="load-keepers" id="loadKeepersBtn">
+                        <span>🔒</span> Load My Keepers
+                    </button>
+                </div>
+                <div id="keeperBoard" class="keeper-board" style="display: none;"></div>
+            </div>
+        `;
+
+        // Cost changes re-price the table in place. Clicks go through
+        // EventManager; a select's change event is this panel's own business.
+        panel.addEventListener('change', (e) => {
+            if (e.target.classList.contains('keeper-cost')) {
+                this.setCost(e.target.getAttribute('data-player-id'), e.target.value);
+            }
+        });
+
+        const anchor = document.getElementById('mockDraftPanel') || draftPage.querySelector('.draft-tracker-controls');
+        if (anchor) {
+            anchor.insertAdjacentElement('afterend', panel);
+        } else {
+            draftPage.appendChild(panel);
+        }
+    }
+
+    // ======================
+    // LOADING
+    // ======================
+
+    async load() {
+        const leagueId = this.configManager.config.sleeperLeagueId;
+        if (!leagueId) {
+            this.configManager.showNotification('❌ Please configure your Sleeper League ID first', 'error');
+            return;
+        }
+
+        const button = document.getElementById('loadKeepersBtn');
+        if (button) {
+            button.disabled = true;
+            button.innerHTML = '<span>⏳</span> Loading...';
+        }
+
+        try {
+            const [league, rosters, users, drafts, allPlayers] = await Promise.all([
+                this.sleeperAPI.getLeague(leagueId),
+                this.sleeperAPI.getRosters(leagueId),
+                this.sleeperAPI.getUsers(leagueId),
+                this.sleeperAPI.getDrafts(leagueId).catch(() => []),
+                this.sleeperAPI.getAllPlayers()
+            ]);
+
+            const roster = this.findUserRoster(rosters || [], users || []);
+            if (!roster) {
+                throw new Error('Could not find your team - set your Sleeper username in the configuration');
+            }
+
+            // The league's next draft is the one keepers are kept out of.
+            const draft = (drafts || [])[0] || null;
+            const tradedPicks = draft
+                ? await this.sleeperAPI.getTradedPicks(draft.draft_id).catch(() => [])
+                : [];
+
+            this.context = {
+                leagueId: String(leagueId),
+                league,
+                mode: KeeperAdvisor.leagueMode(league),
+                roster,
+                users: users || [],
+                rosters: rosters || [],
+                draft,
+                tradedPicks: Array.isArray(tradedPicks) ? tradedPicks : [],
+                allPlayers,
+                teams: Number(draft?.settings?.teams) || league?.total_rosters || this.configManager.config.leagueSize || 12,
+                rounds: Number(draft?.settings?.rounds) || 15
+            };
+
+            this.render();
+
+            if (this.context.mode.mode === 'redraft') {
+                this.configManager.showNotification(
+                    'ℹ️ Sleeper lists this league as redraft - keeper values are shown anyway', 'info');
+            }
+        } catch (error) {
+            console.error('❌ Error loading keepers:', error);
+            this.configManager.showNotification(`❌ Could not load keepers: ${error.message}`, 'error');
+        } finally {
+            if (button) {
+                button.disabled = false;
+                button.innerHTML = '<span>🔒</span> Load My Keepers';
+            }
+        }
+    }
+
+    /**
+     * Your roster: the one already loaded on My Team, then the configured
+     * Sleeper username, then the roster the draft tracker identified.
+     */
+    findUserRoster(rosters, users) {
+        const loaded = window.teamManager?.currentRoster?.roster;
+        if (loaded && rosters.some(r => r.roster_id === loaded.roster_id && r.owner_id === loaded.owner_id)) {
+            return rosters.find(r => r.roster_id === loaded.roster_id);
+        }
+
+        const username = (this.configManager.config.sleeperUsername || '').toLowerCase();
+        if (username) {
+            const user = users.find(u => (u.display_name || '').toLowerCase() === username);
+            const roster = user && rosters.find(r => r.owner_id === user.user_id);
+            if (roster) return roster;
+        }
+
+        const trackedId = this.draftTracker?.userRosterId;
+        return trackedId ? rosters.find(r => r.roster_id === trackedId) || null : null;
+    }
+
+    // ======================
+    // KEEPER COSTS
+    // ======================
+
+    getCosts() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('keeperCosts') || '{}');
+            return saved[this.context.leagueId] || {};
+        } catch (error) {
+            console.error('Error loading keeper costs:', error);
+            return {};
+        }
+    }
+
+    setCost(playerId, round) {
+        if (!this.context || !playerId) return;
+
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem('keeperCosts') || '{}');
+        } catch (error) {
+            console.warn('⚠️ Discarding unreadable keeper costs:', error);
+        }
+
+        const costs = saved[this.context.leagueId] || {};
+        if (Number(round) > 0) costs[playerId] = Number(round);
+        else delete costs[playerId];
+        saved[this.context.leagueId] = costs;
+
+        localStorage.setItem('keeperCosts', JSON.stringify(saved));
+        this.render();
+    }
+
+    // ======================
+    // VALUATION
+    // ======================
+
+    /**
+     * Every player the draft tracker knows, valued the way the draft advice
+     * values them, over the league's horizon.
+     */
+    valuePool() {
+        const tracker = this.draftTracker;
+        const { teams, mode } = this.context;
+        const scoringFormat = this.configManager.config.scoringFormat || 'Half PPR';
+        const rosterFormat = this.configManager.config.rosterFormat || 'Standard';
+        const advisor = tracker.pickAdvisor || (tracker.pickAdvisor = new PickAdvisor(this.configManager));
+        const players = Array.from(tracker.playerDatabase.values());
+
+        return advisor.valuePlayers(players, {
+            teams,
+            scoringFormat,
+            rosterFormat,
+            projections: tracker.projections,
+            scoring: tracker.scoring,
+            horizon: Math.max(2, mode.horizon),
+            replacementBaselines: advisor.computeReplacementBaselines(
+                players, tracker.projections, teams, scoringFormat, rosterFormat, tracker.scoring
+            )
+        });
+    }
+
+    /** Your rostered players, in the draft tracker's shape where it has them. */
+    rosterPlayers() {
+        const { roster, allPlayers } = this.context;
+        return (roster.players || []).map(id => {
+            const known = this.draftTracker.playerDatabase.get(String(id));
+            if (known) return known;
+            const raw = allPlayers?.[id] || {};
+            return {
+                id: String(id),
+                name: raw.full_name || [raw.first_name, raw.last_name].filter(Boolean).join(' ') || raw.team || `Player ${id}`,
+                position: raw.fantasy_positions?.[0] || raw.position || 'N/A',
+                team: raw.team,
+                age: raw.age
+            };
+        });
+    }
+
+    /**
+     * The picks that have changed hands in the upcoming draft, from your side:
+     * extra picks you own and your own picks someone else does.
+     */
+    describeTradedPicks() {
+        const { tradedPicks, roster, rosters, users } = this.context;
+        const nameFor = rosterId => {
+            const owner = rosters.find(r => r.roster_id === Number(rosterId))?.owner_id;
+            const user = users.find(u => u.user_id === owner);
+            return user?.metadata?.team_name || user?.display_name || `Team ${rosterId}`;
+        };
+
+        const acquired = tradedPicks.filter(p => Number(p.owner_id) === roster.roster_id && Number(p.roster_id) !== roster.roster_id);
+        const lost = tradedPicks.filter(p => Number(p.roster_id) === roster.roster_id && Number(p.owner_id) !== roster.roster_id);
+
+        return {
+            acquired: acquired.map(p => `${p.season} round ${p.round} (from ${nameFor(p.roster_id)})`),
+            lost: lost.map(p => `${p.season} round ${p.round} (to ${nameFor(p.owner_id)})`)
+        };
+    }
+
+    // ======================
+    // RENDERING
+    // ======================
+
+    render() {
+        const board = document.getElementById('keeperBoard');
+        if (!board || !this.context) return;
+
+        const { mode, teams, rounds } = this.context;
+        const horizon = Math.max(2, mode.horizon);
+        const rows = this.keeperAdvisor.evaluateKeepers({
+            players: this.rosterPlayers(),
+            valued: this.valuePool(),
+            costs: this.getCosts(),
+            teams,
+            rounds,
+            maxKeepers: mode.maxKeepers,
+            horizon
+        });
+        const traded = this.describeTradedPicks();
+        const signed = value => (value === null ? '-' : `${value >= 0 ? '+' : ''}${value}`);
+        const roundOptions = selected => ['<option value="">-</option>']
+            .concat(Array.from({ length: rounds }, (_, i) => i + 1)
+                .map(round => `<option value="${round}" ${round === selected ? 'selected' : ''}>${round}</option>`))
+            .join('');
+
+        const status = document.getElementById('keeperStatus');
+        if (status) {
+            status.textContent = `${mode.mode.charAt(0).toUpperCase()}${mode.mode.slice(1)} league` +
+                (mode.maxKeepers ? ` - keep up to ${mode.maxKeepers}` : '');
+        }
+
+        board.innerHTML = `
+            <p class="keeper-explainer">
+                Set the round each player would cost to keep. Surplus is his VOR this season
+                minus what a typical pick in that round lands; the ${horizon}-season value
+                follows his position's age curve.
+            </p>
+            <table class="keeper-table">
+                <thead>
+                    <tr>
+                        <th>Player</th><th>Pos</th><th>Age</th><th>Cost (round)</th>
+                        <th>VOR</th><th>${horizon}-season</th><th>Round buys</th><th>Surplus</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr class="${row.recommended ? 'keeper-recommended' : ''}">
+                            <td>${row.player.name}${row.recommended ? ' <span class="keeper-badge">Keep</span>' : ''}</td>
+                            <td>${row.player.position}</td>
+                            <td>${Number.isFinite(row.player.age) ? row.player.age : '-'}</td>
+                            <td>
+                                <select class="keeper-cost" data-player-id="${row.player.id}">${roundOptions(row.round)}</select>
+                            </td>
+                            <td>${row.seasonVor === null ? 'not rated' : signed(row.seasonVor)}</td>
+                            <td>${signed(row.multiYearVor)}</td>
+                            <td>${row.roundVor === null ? '-' : `+${row.roundVor}`}</td>
+                            <td class="${row.surplus > 0 ? 'keeper-surplus' : row.surplus < 0 ? 'keeper-deficit' : ''}">${signed(row.surplus)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${traded.acquired.length || traded.lost.length ? `
+                <div class="keeper-traded-picks">
+                    <h4>🔁 Traded picks in the upcoming draft</h4>
+                    ${traded.acquired.length ? `<div>You own: ${traded.acquired.join(', ')}</div>` : ''}
+                    ${traded.lost.length ? `<div>You traded away: ${traded.lost.join(', ')}</div>` : ''}
+                </div>
+            ` : ''}
+        `;
+        board.style.display = 'block';
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KeeperManager;
+}
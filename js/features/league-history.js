@@ -0,0 +1,542 @@
+/**
+ * League History
+ *
+ * The all-time record book for a league that has been renewed on Sleeper.
+ *
+ * Every renewal is a new league with its own id; the only link back is the
+ * `previous_league_id` on each season's league object. Walking that chain
+ * finds every past season, and for each one the standings (the rosters'
+ * records), the playoff bracket, the weekly matchups and the draft are
+ * loaded. Managers are followed across seasons by their Sleeper user id, so
+ * a renamed team keeps its history.
+ *
+ * A finished season never changes, so its data is kept in IndexedDB and a
+ * ten-season league only has to be downloaded once.
+ */
+
+class LeagueHistory {
+    constructor(configManager) {
+        this.configManager = configManager;
+        this.sleeperAPI = new SleeperAPI();
+        this.recordBook = null;
+        this.loading = false;
+    }
+
+    // ======================
+    // DATA LOADING
+    // ======================
+
+    /**
+     * Every season in the chain, newest first. Stops at the first season
+     * without a predecessor, a league that fails to load, or MAX_SEASONS -
+     * whichever comes first.
+     */
+    async loadLeagueChain(leagueId) {
+        const leagues = [];
+        const seen = new Set();
+        let id = leagueId;
+
+        while (id && id !== '0' && !seen.has(id) && leagues.length < LeagueHistory.MAX_SEASONS) {
+            seen.add(id);
+            const league = await this.sleeperAPI.getLeague(id).catch(() => null);
+            if (!league) break;
+
+            leagues.push(league);
+            id = league.previous_league_id;
+        }
+
+        return leagues;
+    }
+
+    /** One season's standings, bracket, scores and draft. */
+    async loadSeason(league, currentWeek) {
+        const leagueId = league.league_id;
+        const finished = league.status === 'complete';
+        const fetch = endpoint => this.fetchSeason(endpoint, finished);
+
+        const [rosters, users, winnersBracket, drafts] = await Promise.all([
+            fetch(`/league/${leagueId}/rosters`),
+            fetch(`/league/${leagueId}/users`),
+            fetch(`/league/${leagueId}/winners_bracket`).catch(() => []),
+            fetch(`/league/${leagueId}/drafts`).catch(() => [])
+        ]);
+
+        const lastWeek = SleeperAPI.lastScoredWeek(league, currentWeek);
+        const weeks = Array.from({ length: lastWeek }, (_, i) => i + 1);
+        const matchups = await Promise.all(weeks.map(week => fetch(`/league/${leagueId}/matchups/${week}`)
+            .then(rows => ({ week, rows: Array.isArray(rows) ? rows : [] }))
+            .catch(() => ({ week, rows: [] }))));
+
+        const draft = (Array.isArray(drafts) ? drafts : []).find(d => d.status === 'complete') || null;
+        const draftPicks = draft
+            ? await fetch(`/draft/${draft.draft_id}/picks`).catch(() => [])
+            : [];
+
+        return {
+            league,
+            rosters: rosters || [],
+            users: users || [],
+            winnersBracket: Array.isArray(winnersBracket) ? winnersBracket : [],
+            matchups,
+            draftPicks: Array.isArray(draftPicks) ? draftPicks : []
+        };
+    }
+
+    /**
+     * A past season is fixed, so it is persisted and kept for as long as
+     * FINISHED_SEASON_MAX_AGE; the season in progress goes through the normal
+     * short-lived cache.
+     */
+    fetchSeason(endpoint, finished) {
+        return finished
+            ? this.sleeperAPI.fetchAPI(endpoint, true, { persist: true, maxAge: LeagueHistory.FINISHED_SEASON_MAX_AGE })
+            : this.sleeperAPI.fetchAPI(endpoint);
+    }
+
+    // ======================
+    // RECORD BOOK
+    // ======================
+
+    /**
+     * The record book from every loaded season (newest first): each season's
+     * champion, career records, head-to-head records and the highest weekly
+     * scores.
+     *
+     * Career records are the regular-season standings Sleeper keeps on each
+     * roster - the same numbers the league saw, median games included.
+     * Head-to-head and playoff records count regular-season pairings and the
+     * games on the path to the title; consolation games and the placement
+     * games in the winners bracket are left out.
+     */
+    buildRecordBook(seasons) {
+        const managers = new Map();
+        const headToHead = new Map();
+        const weeklyScores = [];
+
+        const manager = (userId, name) => {
+            if (!managers.has(userId)) {
+                managers.set(userId, {
+                    userId, name, seasons: 0, wins: 0, losses: 0, ties: 0, pointsFor: 0,
+                    titles: 0, runnerUps: 0, playoffAppearances: 0, playoffWins: 0, playoffLosses: 0
+                });
+            }
+            return managers.get(userId);
+        };
+
+        const seasonSummaries = seasons.map(season => {
+            const { league, rosters, users } = season;
+            const ownerOf = new Map(rosters.map(roster => [roster.roster_id, roster.owner_id]));
+            const names = new Map(users.map(user => [user.user_id, user.display_name || user.metadata?.team_name]));
+            const owned = rosterId => {
+                const userId = ownerOf.get(rosterId);
+                return userId ? manager(userId, names.get(userId) || `Team ${rosterId}`) : null;
+            };
+
+            // Standings
+            rosters.forEach(roster => {
+                const entry = owned(roster.roster_id);
+                if (!entry) return;
+                const s = roster.settings || {};
+                entry.seasons += 1;
+                entry.wins += Number(s.wins) || 0;
+                entry.losses += Number(s.losses) || 0;
+                entry.ties += Number(s.ties) || 0;
+                entry.pointsFor += (Number(s.fpts) || 0) + (Number(s.fpts_decimal) || 0) / 100;
+            });
+
+            // Playoffs
+            const playoffTeams = new Set();
+            let champion = null;
+            let runnerUp = null;
+            season.winnersBracket.forEach(game => {
+                [game.t1, game.t2].forEach(team => { if (typeof team === 'number') playoffTeams.add(team); });
+                if (typeof game.w !== 'number' || typeof game.l !== 'number') return;
+                // Sleeper plays the third- and fifth-place games in the winners
+                // bracket too, but they are not on the way to the title.
+                if (game.p !== undefined && game.p !== null && game.p !== 1) return;
+
+                const winner = owned(game.w);
+                const loser = owned(game.l);
+                if (winner) winner.playoffWins += 1;
+                if (loser) loser.playoffLosses += 1;
+                this.recordGame(headToHead, winner, loser, false);
+
+                if (game.p === 1) {
+                    champion = winner;
+                    runnerUp = loser;
+                }
+            });
+            playoffTeams.forEach(rosterId => {
+                const entry = owned(rosterId);
+                if (entry) entry.playoffAppearances += 1;
+            });
+            if (champion) champion.titles += 1;
+            if (runnerUp) runnerUp.runnerUps += 1;
+
+            // Weekly scores and regular-season head-to-head
+            const playoffStart = Number(league.settings?.playoff_week_start) || Infinity;
+            season.matchups.forEach(({ week, rows }) => {
+                const pairs = new Map();
+                rows.forEach(row => {
+                    const score = Number(row.points) || 0;
+                    if (score <= 0) return;
+
+                    weeklyScores.push({
+                        season: league.season, week, score, rosterId: row.roster_id,
+                        manager: owned(row.roster_id), playoff: week >= playoffStart, matchupId: row.matchup_id
+                    });
+                    if (week < playoffStart && row.matchup_id !== null && row.matchup_id !== undefined) {
+                        if (!pairs.has(row.matchup_id)) pairs.set(row.matchup_id, []);
+                        pairs.get(row.matchup_id).push({ rosterId: row.roster_id, score });
+                    }
+                });
+
+                pairs.forEach(pair => {
+                    if (pair.length !== 2) return;
+                    const [a, b] = pair;
+                    if (a.score === b.score) this.recordGame(headToHead, owned(a.rosterId), owned(b.rosterId), true);
+                    else if (a.score > b.score) this.recordGame(headToHead, owned(a.rosterId), owned(b.rosterId), false);
+                    else this.recordGame(headToHead, owned(b.rosterId), owned(a.rosterId), false);
+                });
+            });
+
+            const best = [...rosters].sort((a, b) =>
+                (Number(b.settings?.wins) || 0) - (Number(a.settings?.wins) || 0)
+                || (Number(b.settings?.fpts) || 0) - (Number(a.settings?.fpts) || 0))[0];
+
+            return {
+                season: league.season,
+                leagueId: league.league_id,
+                name: league.name,
+                status: league.status,
+                champion,
+                runnerUp,
+                bestRecord: best ? {
+                    manager: owned(best.roster_id),
+                    wins: Number(best.settings?.wins) || 0,
+                    losses: Number(best.settings?.losses) || 0
+                } : null,
+                draft: this.summarizeDraft(season.draftPicks, userId => managers.get(userId)?.name || names.get(userId), champion)
+            };
+        });
+
+        // Opponents for the high scores, now every week's rows are known
+        const byMatchup = new Map();
+        weeklyScores.forEach(entry => {
+            const key = `${entry.season}:${entry.week}:${entry.matchupId}`;
+            if (!byMatchup.has(key)) byMatchup.set(key, []);
+            byMatchup.get(key).push(entry);
+        });
+        const highScores = [...weeklyScores]
+            .sort((a, b) => b.score - a.score)
+            .slice(0, LeagueHistory.HIGH_SCORES)
+            .map(entry => {
+                const opponent = entry.matchupId === null || entry.matchupId === undefined ? null
+                    : byMatchup.get(`${entry.season}:${entry.week}:${entry.matchupId}`)
+                        .find(other => other !== entry) || null;
+                return {
+                    season: entry.season,
+                    week: entry.week,
+                    score: entry.score,
+                    playoff: entry.playoff,
+                    manager: entry.manager,
+                    opponent: opponent ? { manager: opponent.manager, score: opponent.score } : null
+                };
+            });
+
+        const careers = [...managers.values()]
+            .map(entry => {
+                const games = entry.wins + entry.losses + entry.ties;
+                return { ...entry, winPct: games ? (entry.wins + entry.ties / 2) / games : 0 };
+            })
+            .sort((a, b) => b.winPct - a.winPct || b.titles - a.titles);
+
+        return {
+            seasons: seasonSummaries,
+            managers: careers,
+            headToHead,
+            highScores
+        };
+    }
+
+    /** Adds one game to the head-to-head table, keyed by the pair of user ids in sorted order. */
+    recordGame(headToHead, winner, loser, tie) {
+        if (!winner || !loser || winner === loser) return;
+
+        const [first, second] = [winner.userId, loser.userId].sort();
+        const key = `${first}|${second}`;
+        if (!headToHead.has(key)) headToHead.set(key, { [first]: 0, [second]: 0, ties: 0 });
+
+        const record = headToHead.get(key);
+        if (tie) record.ties += 1;
+        else record[winner.userId] += 1;
+    }
+
+    /** One manager's record against another: { wins, losses, ties }, or null if they never met. */
+    static recordBetween(headToHead, userId, opponentId) {
+        const key = [userId, opponentId].sort().join('|');
+        const record = headToHead.get(key);
+        if (!record) return null;
+        return { wins: record[userId], losses: record[opponentId], ties: record.ties };
+    }
+
+    /** The first overall pick and the champion's first pick. */
+    summarizeDraft(picks, nameOf, champion) {
+        if (!picks.length) return null;
+
+        const describe = pick => pick ? {
+            player: `${pick.metadata?.first_name || ''} ${pick.metadata?.last_name || ''}`.trim() || pick.player_id,
+            position: pick.metadata?.position || '',
+            round: pick.round,
+            pickNo: pick.pick_no,
+            manager: nameOf(pick.picked_by) || null
+        } : null;
+
+        const ordered = [...picks].sort((a, b) => a.pick_no - b.pick_no);
+        return {
+            firstOverall: describe(ordered[0]),
+            championFirstPick: champion ? describe(ordered.find(pick => pick.picked_by === champion.userId)) : null
+        };
+    }
+
+    // ======================
+    // LOADING FLOW
+    // ======================
+
+    async loadHistory() {
+        if (this.loading) return;
+
+        const leagueId = this.configManager.config.sleeperLeagueId;
+        if (!leagueId) {
+            this.renderEmptyState('Configure your Sleeper League ID to load its history.');
+            return;
+        }
+
+        this.loading = true;
+        try {
+            this.renderProgress('Finding past seasons...');
+            const leagues = await this.loadLeagueChain(leagueId);
+            if (!leagues.length) {
+                throw new Error('Sleeper did not return your league');
+            }
+
+            const state = await this.sleeperAPI.getNFLState().catch(() => null);
+            const seasons = [];
+            for (const league of leagues) {
+                this.renderProgress(`Loading the ${league.season} season (${seasons.length + 1} of ${leagues.length})...`);
+                seasons.push(await this.loadSeason(league, state?.week));
+            }
+
+            this.recordBook = this.buildRecordBook(seasons);
+            this.renderRecordBook(this.recordBook);
+            console.log(`📜 LeagueHistory: ${seasons.length} seasons, ${this.recordBook.managers.length} managers`);
+        } catch (error) {
+            console.error('❌ Error loading league history:', error);
+            this.renderEmptyState(`Could not load league history: ${error.message}`);
+            this.configManager.showNotification('❌ Could not load league history', 'error');
+        } finally {
+            this.loading = false;
+        }
+    }
+
+    // ======================
+    // RENDERING
+    // ======================
+
+    getContainer() {
+        return document.getElementById('league-history-container');
+    }
+
+    renderEmptyState(message) {
+        const container = this.getContainer();
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="card">
+                <div class="empty-state">
+                    <div class="icon">📜</div>
+                    <h3>League History</h3>
+                    <p>${message}</p>
+                    <button class="btn btn-primary" data-action="load-league-history" style="margin-top: 15px;">
+                        <span>📜</span> Load League History
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    renderProgress(message) {
+        const container = this.getContainer();
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="card">
+                <div class="empty-state">
+                    <div class="icon">⏳</div>
+                    <p>${message}</p>
+                </div>
+            </div>
+        `;
+    }
+
+    renderRecordBook(book) {
+        const container = this.getContainer();
+        if (!container) return;
+
+        const seasons = book.seasons;
+        const span = seasons.length > 1
+            ? `${seasons[seasons.length - 1].season}-${seasons[0].season}`
+            : seasons[0].season;
+
+        container.innerHTML = `
+            <div class="history-header">
+                <div>
+                    <h3>📜 ${seasons[0].name || 'League'} Record Book</h3>
+                    <p>${seasons.length} season${seasons.length === 1 ? '' : 's'} · ${span} · ${book.managers.length} managers</p>
+                </div>
+                <button class="btn btn-outline" data-action="load-league-history">
+                    <span>🔄</span> Refresh
+                </button>
+            </div>
+
+            <div class="history-section">
+                <h4>🏆 Champions</h4>
+                ${this.renderChampions(seasons)}
+            </div>
+
+            <div class="history-section">
+                <h4>📈 Career Records</h4>
+                ${this.renderCareers(book.managers)}
+            </div>
+
+            <div class="history-section">
+                <h4>🔥 Highest Weekly Scores</h4>
+                ${this.renderHighScores(book.highScores)}
+            </div>
+
+            <div class="history-section">
+                <h4>⚔️ Head-to-Head</h4>
+                <p class="history-note">Each row's record against each column, regular season and playoffs.</p>
+                ${this.renderHeadToHead(book)}
+            </div>
+        `;
+    }
+
+    renderChampions(seasons) {
+        const name = entry => entry?.name || '-';
+        return `
+            <div class="history-table-wrap">
+                <table class="history-table">
+                    <thead>
+                        <tr><th>Season</th><th>Champion</th><th>Runner-up</th><th>Best record</th><th>No. 1 pick</th></tr>
+                    </thead>
+                    <tbody>
+                        ${seasons.map(season => `
+                            <tr>
+                                <td>${season.season}</td>
+                                <td class="history-champion">${season.champion ? `🏆 ${season.champion.name}` : (season.status === 'complete' ? '-' : 'In progress')}</td>
+                                <td>${name(season.runnerUp)}</td>
+                                <td>${season.bestRecord ? `${name(season.bestRecord.manager)} (${season.bestRecord.wins}-${season.bestRecord.losses})` : '-'}</td>
+                                <td>${season.draft?.firstOverall
+                                    ? `${season.draft.firstOverall.player} <span class="history-meta">${season.draft.firstOverall.position}${season.draft.firstOverall.manager ? ` · ${season.draft.firstOverall.manager}` : ''}</span>`
+                                    : '-'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    renderCareers(managers) {
+        return `
+            <div class="history-table-wrap">
+                <table class="history-table">
+                    <thead>
+                        <tr><th>Manager</th><th>Seasons</th><th>Record</th><th>Win %</th><th>Titles</th><th>Playoffs</th><th>Playoff record</th><th>Points for</th></tr>
+                    </thead>
+                    <tbody>
+                        ${managers.map(entry => `
+                            <tr>
+                                <td>${entry.name}</td>
+                                <td>${entry.seasons}</td>
+                                <td>${entry.wins}-${entry.losses}${entry.ties ? `-${entry.ties}` : ''}</td>
+                                <td>${(entry.winPct * 100).toFixed(1)}%</td>
+                                <td>${entry.titles ? '🏆'.repeat(entry.titles) : '-'}</td>
+                                <td>${entry.playoffAppearances}</td>
+                                <td>${entry.playoffWins}-${entry.playoffLosses}</td>
+                                <td>${entry.pointsFor.toFixed(0)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    renderHighScores(scores) {
+        if (!scores.length) return '<p class="history-note">No weekly scores recorded yet.</p>';
+
+        return `
+            <div class="history-table-wrap">
+                <table class="history-table">
+                    <thead>
+                        <tr><th>#</th><th>Score</th><th>Manager</th><th>Opponent</th><th>When</th></tr>
+                    </thead>
+                    <tbody>
+                        ${scores.map((entry, index) => `
+                            <tr>
+                                <td>${index + 1}</td>
+                                <td><strong>${entry.score.toFixed(2)}</strong></td>
+                                <td>${entry.manager?.name || '-'}</td>
+                                <td>${entry.opponent ? `${entry.opponent.manager?.name || '-'} (${entry.opponent.score.toFixed(2)})` : '-'}</td>
+                                <td>${entry.season} Week ${entry.week}${entry.playoff ? ' <span class="history-tag">Playoffs</span>' : ''}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    renderHeadToHead(book) {
+        const managers = [...book.managers].sort((a, b) => a.name.localeCompare(b.name));
+        const cell = (row, column) => {
+            if (row === column) return '<td class="history-self"></td>';
+            const record = LeagueHistory.recordBetween(book.headToHead, row.userId, column.userId);
+            if (!record) return '<td class="history-none">-</td>';
+            const tone = record.wins > record.losses ? 'ahead' : record.wins < record.losses ? 'behind' : '';
+            return `<td class="${tone}">${record.wins}-${record.losses}${record.ties ? `-${record.ties}` : ''}</td>`;
+        };
+
+        return `
+            <div class="history-table-wrap">
+                <table class="history-table history-h2h">
+                    <thead>
+                        <tr><th></th>${managers.map(entry => `<th title="${entry.name}">${entry.name}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        ${managers.map(row => `
+                            <tr>
+                                <th>${row.name}</th>
+                                ${managers.map(column => cell(row, column)).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+}
+
+// Renewals followed back at most - far more than any real league has.
+LeagueHistory.MAX_SEASONS = 25;
+// How long a finished season's data is kept in IndexedDB.
+LeagueHistory.FINISHED_SEASON_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+// Weekly scores listed in the record book.
+LeagueHistory.HIGH_SCORES = 10;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LeagueHistory;
+}
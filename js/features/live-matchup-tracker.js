@@ -0,0 +1,558 @@
+/**
+ * Live Matchup Tracker
+ *
+ * Follows your matchup while the week is being played.
+ *
+ * Sleeper's matchups endpoint carries each team's points as they land, so
+ * polling it gives a running score - but not how much of the week is left.
+ * That comes from ESPN's scoreboard, the same keyless endpoint the weather
+ * analyzer reads fixtures from: its game states say which starters have yet
+ * to kick off, which are mid-game, and how much clock their game has left.
+ *
+ * A starter still to play is worth their projection for the share of their
+ * game that remains, with a spread that narrows as the clock runs down. The
+ * win probability is the gap between the two projected finals over the
+ * combined spread, so it moves with every poll and settles at 0 or 100 once
+ * the last game ends. Without the scoreboard, each starter is credited with
+ * whatever of their projection they have not yet scored, and the panel says
+ * so.
+ */
+
+class LiveMatchupTracker {
+    constructor(configManager) {
+        this.configManager = configManager;
+        this.sleeperAPI = new SleeperAPI();
+        this.playerStats = PlayerStats.shared();
+
+        this.isTracking = false;
+        this.updateInterval = null;
+        this.visibilityHandler = null;
+        this.polling = null;
+        this.context = null;     // the tracked week: league, rosters, projections and your roster id
+        this.live = null;        // the latest scored matchup
+        this.history = [];       // [{ time, probability }], one per poll
+        this.lastUpdated = null;
+        this.lastError = null;
+
+        this.SCHEDULE_API = 'https://site.api.espn.com/apis/site/v2/sports/football/nfl/scoreboard';
+    }
+
+    // ======================
+    // START / STOP
+    // ======================
+
+    async start() {
+        const leagueId = this.configManager.config.sleeperLeagueId;
+        if (!leagueId) {
+            this.configManager.showNotification('❌ Please configure your Sleeper League ID first', 'error');
+            return;
+        }
+        if (this.isTracking) {
+            await this.refreshNow();
+            return;
+        }
+
+        try {
+            this.renderMessage('⏳ Loading your matchup...');
+            this.context = await this.loadContext(leagueId);
+            this.live = null;
+            this.history = [];
+            this.isTracking = true;
+
+            await this.update();
+            this.startPolling();
+
+            this.configManager.showNotification(`🔴 Following Week ${this.context.week} live`, 'success');
+        } catch (error) {
+            console.error('❌ Error starting live matchup tracking:', error);
+            this.stopPolling();
+            this.renderMessage(`❌ Could not start live scoring: ${error.message}`);
+            this.configManager.showNotification(`❌ Could not start live scoring: ${error.message}`, 'error');
+        }
+    }
+
+    stop() {
+        this.stopPolling();
+        this.render();
+        this.configManager.showNotification('⏹️ Live scoring stopped', 'info');
+    }
+
+    startPolling() {
+        if (this.updateInterval) {
+            clearInterval(this.updateInterval);
+        }
+
+        this.updateInterval = setInterval(() => {
+            this.update();
+        }, LiveMatchupTracker.POLL_INTERVAL);
+
+        // A hidden tab's timers are throttled to about one a minute, and on a
+        // Sunday this tab is hidden behind the game itself - catch up the
+        // moment it is looked at again.
+        if (!this.visibilityHandler) {
+            this.visibilityHandler = () => {
+                if (!document.hidden && this.isTracking) {
+                    this.update();
+                }
+            };
+            document.addEventListener('visibilitychange', this.visibilityHandler);
+        }
+    }
+
+    stopPolling() {
+        if (this.updateInterval) {
+            clearInterval(this.updateInterval);
+            this.updateInterval = null;
+        }
+
+        if (this.visibilityHandler) {
+            document.removeEventListener('visibilitychange', this.visibilityHandler);
+            this.visibilityHandler = null;
+        }
+
+        this.isTracking = false;
+    }
+
+    /** Manual catch-up, for when the next poll is too far off to wait for. */
+    async refreshNow() {
+        if (!this.context) {
+            this.configManager.showNotification('Start live scoring first', 'warning');
+            return;
+        }
+
+        const button = document.getElementById('refreshLiveBtn');
+        if (button) {
+            button.disabled = true;
+            button.innerHTML = '<span>⏳</span> Refreshing...';
+        }
+
+        await this.update();
+
+        if (button) {
+            button.disabled = false;
+            button.innerHTML = '<span>🔄</span> Refresh';
+        }
+        this.configManager.showNotification(
+            this.lastError ? `Refresh failed: ${this.lastError}` : 'Live score refreshed',
+            this.lastError ? 'error' : 'success'
+        );
+    }
+
+    // ======================
+    // DATA
+    // ======================
+
+    /** Everything that holds still for the week, loaded once per start. */
+    async loadContext(leagueId) {
+        const state = await this.sleeperAPI.getNFLState();
+        const week = state?.week || 1;
+
+        const [league, rosters, users, allPlayers] = await Promise.all([
+            this.sleeperAPI.getLeague(leagueId),
+            this.sleeperAPI.getRosters(leagueId),
+            this.sleeperAPI.getUsers(leagueId),
+            this.sleeperAPI.getAllPlayers()
+        ]);
+
+        await this.playerStats.ensureLoaded({
+            season: league?.season,
+            week,
+            scoringFormat: this.configManager.config.scoringFormat || 'Half PPR',
+            leagueId,
+            rosterFormat: this.configManager.config.rosterFormat || 'Standard',
+            teams: league?.total_rosters || this.configManager.config.leagueSize || 12,
+            allPlayers
+        });
+        const projections = await this.playerStats.projectionsForWeek(week).catch(() => new Map());
+
+        const userRosterId = window.teamManager?.currentRoster?.roster?.roster_id
+            ?? this.findUserRosterId(rosters || [], users || []);
+        if (userRosterId === null) {
+            throw new Error('Could not identify your team. Load your roster in My Team first.');
+        }
+
+        return {
+            leagueId,
+            week,
+            season: league?.season || state?.season || new Date().getFullYear(),
+            users: users || [],
+            rosters: rosters || [],
+            allPlayers: allPlayers || {},
+            projections,
+            userRosterId
+        };
+    }
+
+    /** Your roster by configured username, or the only roster in the league. */
+    findUserRosterId(rosters, users) {
+        const username = (this.configManager.config.sleeperUsername || '').toLowerCase();
+        const user = username ? users.find(u => (u.display_name || '').toLowerCase() === username) : null;
+        const roster = user
+            ? rosters.find(r => r.owner_id === user.user_id)
+            : (rosters.length === 1 ? rosters[0] : null);
+        return roster ? roster.roster_id : null;
+    }
+
+    /**
+     * One poll: fresh matchups and game clocks, rescored and redrawn. A poll
+     * that arrives while one is running joins it. A failed poll keeps the
+     * last good score on screen and says it is stale.
+     */
+    async update() {
+        if (!this.context) return;
+        if (this.polling) return this.polling;
+
+        this.polling = (async () => {
+            const { leagueId, week, season } = this.context;
+            const [matchups, clock] = await Promise.all([
+                this.sleeperAPI.getMatchups(leagueId, week, false),
+                this.loadGameClock(week, season).catch(error => {
+                    console.warn('⚠️ LiveMatchupTracker: no game clock, estimating from points scored:', error.message);
+                    return null;
+                })
+            ]);
+
+            this.live = this.scoreMatchup(Array.isArray(matchups) ? matchups : [], clock);
+            if (this.live?.winProbability !== null && this.live?.winProbability !== undefined) {
+                this.history.push({ time: Date.now(), probability: this.live.winProbability });
+            }
+            this.lastUpdated = new Date();
+            this.lastError = null;
+        })()
+            .catch(error => {
+                console.error('❌ Live matchup update failed:', error);
+                this.lastError = error.message;
+            })
+            .finally(() => {
+                this.polling = null;
+                this.render();
+            });
+
+        return this.polling;
+    }
+
+    /**
+     * Where every NFL team's game stands, as a Map of team to
+     * { state: 'pre' | 'in' | 'post', fractionLeft, detail }.
+     */
+    async loadGameClock(week, season) {
+        const url = `${this.SCHEDULE_API}?week=${week}&seasontype=2&dates=${season}`;
+        const response = await fetch(url, { cache: 'no-store' });
+        if (!response.ok) {
+            throw new Error(`Scoreboard request failed (${response.status})`);
+        }
+
+        const data = await response.json();
+        const clock = new Map();
+        (data.events || []).forEach(event => {
+            const competition = (event.competitions || [])[0];
+            const game = LiveMatchupTracker.gameState(competition?.status || event.status);
+            (competition?.competitors || []).forEach(competitor => {
+                const team = LiveMatchupTracker.normalizeTeam(competitor.team?.abbreviation);
+                if (team) clock.set(team, game);
+            });
+        });
+        return clock;
+    }
+
+    /**
+     * The share of a game still to be played, from ESPN's status block. An
+     * overtime period is ten minutes at most, so it counts its own clock only.
+     */
+    static gameState(status) {
+        const state = status?.type?.state || 'pre';
+        const detail = status?.type?.shortDetail || '';
+        if (state === 'pre') return { state, fractionLeft: 1, detail };
+        if (state !== 'in') return { state: 'post', fractionLeft: 0, detail: detail || 'Final' };
+
+        const period = Number(status.period) || 1;
+        const seconds = Math.max(0, Number(status.clock) || 0);
+        const left = period > 4 ? seconds : (4 - period) * 900 + seconds;
+        return { state, fractionLeft: Math.min(1, left / 3600), detail };
+    }
+
+    /** ESPN and Sleeper disagree on a handful of abbreviations. */
+    static normalizeTeam(abbr) {
+        if (!abbr) return null;
+        const map = { WSH: 'WAS', LA: 'LAR', JAC: 'JAX', OAK: 'LV', SD: 'LAC', STL: 'LAR' };
+        const upper = abbr.toUpperCase();
+        return map[upper] || upper;
+    }
+
+    // ======================
+    // SCORING
+    // ======================
+
+    /** Your side of the week's matchups and your opponent's, scored. Null when you are not in one. */
+    scoreMatchup(matchups, clock) {
+        const { userRosterId } = this.context;
+        const mine = matchups.find(entry => entry.roster_id === userRosterId);
+        if (!mine) return null;
+
+        const opponent = mine.matchup_id !== null && mine.matchup_id !== undefined
+            ? matchups.find(entry => entry.matchup_id === mine.matchup_id && entry.roster_id !== userRosterId)
+            : null;
+
+        const you = this.scoreTeam(mine, clock);
+        const them = opponent ? this.scoreTeam(opponent, clock) : null;
+
+        return {
+            you,
+            them,
+            winProbability: them ? this.winProbability(you, them) : null,
+            clockAvailable: Boolean(clock)
+        };
+    }
+
+    /**
+     * One team's running score and what its starters still have to play for.
+     * Sleeper's own total is used when it has one, since a league's custom
+     * adjustments are already in it.
+     */
+    scoreTeam(entry, clock) {
+        const { allPlayers, projections } = this.context;
+
+        const starters = (entry.starters || []).map((id, index) => {
+            if (!id || id === '0') return null; // an empty slot scores nothing
+            const player = allPlayers[id] || {};
+            const points = Number(entry.players_points?.[id] ?? entry.starters_points?.[index]) || 0;
+            const projection = this.playerStats.projectionFor(id);
+            const projected = projections.get(String(id)) ?? projection?.thisWeek ?? 0;
+            const game = this.gameFor(player, points, projected, clock);
+            const spread = projection?.spread ?? PlayerStats.DEFAULT_SPREAD;
+
+            return {
+                id: String(id),
+                name: player.full_name || `${player.first_name || ''} ${player.last_name || ''}`.trim() || String(id),
+                position: player.position || '',
+                team: player.team || '',
+                points,
+                projected,
+                remaining: projected * game.fractionLeft,
+                // A game's scoring is spread across its clock, so the
+                // variance still to come shrinks with the time left.
+                variance: (spread * projected) ** 2 * game.fractionLeft,
+                state: game.state,
+                detail: game.detail
+            };
+        }).filter(Boolean);
+
+        const scored = starters.reduce((sum, starter) => sum + starter.points, 0);
+        const points = typeof entry.points === 'number' ? entry.points : scored;
+        const remaining = starters.reduce((sum, starter) => sum + starter.remaining, 0);
+
+        return {
+            rosterId: entry.roster_id,
+            teamName: this.teamName(entry.roster_id),
+            points,
+            remaining,
+            projectedFinal: points + remaining,
+            variance: starters.reduce((sum, starter) => sum + starter.variance, 0),
+            yetToPlay: starters.filter(starter => starter.state === 'pre').length,
+            playing: starters.filter(starter => starter.state === 'in').length,
+            starters
+        };
+    }
+
+    /**
+     * Where one starter's game stands. A team missing from the scoreboard is
+     * on bye. Without a scoreboard at all, the projection left unscored is
+     * all there is to go on.
+     */
+    gameFor(player, points, projected, clock) {
+        if (clock) {
+            return clock.get(player.team) || { state: 'bye', fractionLeft: 0, detail: 'No game' };
+        }
+
+        const fractionLeft = projected > 0 ? Math.max(0, 1 - points / projected) : 0;
+        return { state: points > 0 ? 'in' : 'pre', fractionLeft, detail: '' };
+    }
+
+    /**
+     * The chance your projected final beats theirs: the gap over the combined
+     * spread, read off the normal curve. With nothing left to play it is the
+     * scoreboard.
+     */
+    winProbability(you, them) {
+        const gap = you.projectedFinal - them.projectedFinal;
+        const spread = Math.sqrt(you.variance + them.variance);
+        if (spread < LiveMatchupTracker.MIN_SPREAD) return gap > 0 ? 1 : gap < 0 ? 0 : 0.5;
+        return SeededRandom.normalCdf(gap / spread);
+    }
+
+    teamName(rosterId) {
+        const roster = this.context.rosters.find(r => r.roster_id === rosterId);
+        const user = this.context.users.find(u => u.user_id === roster?.owner_id);
+        return user?.metadata?.team_name || user?.display_name || `Team ${rosterId}`;
+    }
+
+    // ======================
+    // UI
+    // ======================
+
+    container() {
+        const container = document.getElementById('liveMatchup');
+        if (container) container.style.display = 'block';
+        return container;
+    }
+
+    renderMessage(message) {
+        const container = this.container();
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="live-matchup">
+                ${this.renderHeader()}
+                <p class="live-message">${message}</p>
+            </div>
+        `;
+    }
+
+    renderHeader() {
+        const week = this.context?.week;
+        const status = this.isTracking
+            ? `<span class="live-status on">● Live${this.lastUpdated ? ` · updated ${this.lastUpdated.toLocaleTimeString()}` : ''}</span>`
+            : '<span class="live-status">Stopped</span>';
+
+        return `
+            <div class="live-header">
+                <div>
+                    <h3>🔴 ${week ? `Week ${week} ` : ''}Live Scoring</h3>
+                    ${status}
+                </div>
+                <div class="live-actions">
+                    ${this.isTracking
+                        ? `<button class="btn btn-secondary" onclick="liveMatchupTracker.stop()">
+                               <span>⏹️</span> Stop
+                           </button>
+                           <button class="btn btn-outline" onclick="liveMatchupTracker.refreshNow()" id="refreshLiveBtn">
+                               <span>🔄</span> Refresh
+                           </button>`
+                        : `<button class="btn btn-primary" onclick="liveMatchupTracker.start()">
+                               <span>▶️</span> Start
+                           </button>`}
+                </div>
+            </div>
+        `;
+    }
+
+    render() {
+        const container = this.container();
+        if (!container) return;
+
+        const live = this.live;
+        const stale = this.lastError
+            ? `<p class="live-warning">⚠️ Last update failed (${this.lastError}) - showing the previous score${this.isTracking ? ', retrying' : ''}.</p>`
+            : '';
+
+        if (!live) {
+            container.innerHTML = `
+                <div class="live-matchup">
+                    ${this.renderHeader()}
+                    ${stale}
+                    <p class="live-message">${this.lastError ? '' : 'Your team has no matchup this week.'}</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="live-matchup">
+                ${this.renderHeader()}
+                ${stale}
+                <div class="live-scoreboard">
+                    ${this.renderTeam(live.you, 'You')}
+                    ${live.them ? this.renderTeam(live.them, 'Opponent') : '<div class="live-team bye">No opponent this week</div>'}
+                </div>
+                ${live.them ? this.renderProbability(live.winProbability) : ''}
+                <div class="live-rosters">
+                    ${this.renderStarters(live.you)}
+                    ${live.them ? this.renderStarters(live.them) : ''}
+                </div>
+                ${live.clockAvailable ? '' : `
+                <p class="live-note">
+                    Game clocks are unavailable, so each starter's remaining points are their
+                    projection less what they have already scored.
+                </p>`}
+            </div>
+        `;
+    }
+
+    renderTeam(team, label) {
+        return `
+            <div class="live-team">
+                <div class="live-team-label">${label}</div>
+                <div class="live-team-name">${team.teamName}</div>
+                <div class="live-score">${team.points.toFixed(2)}</div>
+                <div class="live-team-meta">
+                    Projected ${team.projectedFinal.toFixed(1)} · ${team.remaining.toFixed(1)} pts to come
+                </div>
+                <div class="live-team-meta">
+                    ${team.yetToPlay} yet to play · ${team.playing} playing
+                </div>
+            </div>
+        `;
+    }
+
+    /** Your win chance, with how far it has moved since tracking started. */
+    renderProbability(probability) {
+        const percent = probability * 100;
+        const first = this.history[0]?.probability;
+        const moved = first !== undefined ? (probability - first) * 100 : 0;
+        const recent = this.history.slice(-LiveMatchupTracker.TREND_POLLS);
+
+        return `
+            <div class="live-probability">
+                <div class="live-probability-label">
+                    Win probability <strong>${percent.toFixed(0)}%</strong>
+                    ${Math.abs(moved) >= 1
+                        ? `<span class="odds-change ${moved > 0 ? 'up' : 'down'}">${moved > 0 ? '▲' : '▼'} ${Math.abs(moved).toFixed(0)} since start</span>`
+                        : ''}
+                </div>
+                <div class="live-probability-bar">
+                    <div class="live-probability-fill" style="width: ${percent.toFixed(1)}%"></div>
+                </div>
+                ${recent.length > 1 ? `
+                <div class="live-trend" title="Win probability at each poll">
+                    ${recent.map(point => `<span style="height: ${Math.max(2, point.probability * 100).toFixed(0)}%"></span>`).join('')}
+                </div>` : ''}
+            </div>
+        `;
+    }
+
+    renderStarters(team) {
+        return `
+            <div class="live-starters">
+                <h4>${team.teamName}</h4>
+                <table>
+                    <thead>
+                        <tr><th>Player</th><th>Game</th><th>Pts</th><th>Proj</th><th>To come</th></tr>
+                    </thead>
+                    <tbody>
+                        ${team.starters.map(starter => `
+                            <tr class="live-state-${starter.state}">
+                                <td>${starter.name} <span class="live-pos">${starter.position}</span></td>
+                                <td>${starter.detail || (starter.state === 'pre' ? 'Not started' : starter.state === 'in' ? 'Playing' : '')}</td>
+                                <td>${starter.points.toFixed(1)}</td>
+                                <td>${starter.projected.toFixed(1)}</td>
+                                <td>${starter.remaining > 0 ? starter.remaining.toFixed(1) : '-'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+}
+
+// Sleeper updates matchup points every minute or so during games.
+LiveMatchupTracker.POLL_INTERVAL = 30000;
+// Below this combined spread there is nothing left to play.
+LiveMatchupTracker.MIN_SPREAD = 0.01;
+// Polls shown in the win-probability trend.
+LiveMatchupTracker.TREND_POLLS = 40;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LiveMatchupTracker;
+}
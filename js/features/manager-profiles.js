@@ -0,0 +1,576 @@
+/**
+ * Manager Profiles
+ *
+ * How each manager in the league actually behaves, read from the record
+ * Sleeper keeps of it:
+ *
+ * - **Waivers** - claims won and lost, free-agent adds and drops, from every
+ *   week's transactions.
+ * - **FAAB** - what was spent, how big the bids run, and whether the money
+ *   went early in the season or was saved for later.
+ * - **Trades** - how often, and with whom.
+ * - **Draft** - which positions were taken in each stage of the draft, across
+ *   every season the league has been renewed (see LeagueHistory).
+ * - **Lineups** - how often the lineup they set was their highest-projected
+ *   one, using Sleeper's projections for that week.
+ *
+ * Profiles are keyed by Sleeper user id, so a manager's drafts from past
+ * seasons line up with this season's roster. `draftTendency` is the hook for
+ * draft tools: a manager's positional mix for a round, pulled toward the
+ * league's.
+ */
+
+class ManagerProfiles {
+    constructor(configManager) {
+        this.configManager = configManager;
+        this.sleeperAPI = new SleeperAPI();
+        this.playerStats = PlayerStats.shared();
+        this.profiles = null;
+        this.allPlayers = {};
+        this.loading = false;
+    }
+
+    // ======================
+    // DATA LOADING
+    // ======================
+
+    async loadLeagueActivity(leagueId) {
+        const [league, rosters, users, state, allPlayers] = await Promise.all([
+            this.sleeperAPI.getLeague(leagueId),
+            this.sleeperAPI.getRosters(leagueId),
+            this.sleeperAPI.getUsers(leagueId),
+            this.sleeperAPI.getNFLState().catch(() => null),
+            this.sleeperAPI.getAllPlayers().catch(() => null)
+        ]);
+
+        const scoredWeeks = SleeperAPI.lastScoredWeek(league, state?.week);
+        const lastLeg = league?.status === 'complete' ? scoredWeeks : Math.max(1, state?.week || 1);
+
+        const [transactions, drafts, lineups] = await Promise.all([
+            this.loadTransactions(leagueId, lastLeg),
+            this.loadDrafts(leagueId),
+            this.loadLineups(leagueId, league, rosters || [], allPlayers, scoredWeeks).catch(error => {
+                console.warn('⚠️ ManagerProfiles: lineup history unavailable:', error.message);
+                return [];
+            })
+        ]);
+
+        return {
+            league,
+            rosters: rosters || [],
+            users: users || [],
+            allPlayers: allPlayers || {},
+            transactions,
+            drafts,
+            lineups,
+            weeksElapsed: lastLeg
+        };
+    }
+
+    /** Every transaction this season, oldest first. Weeks that fail to load are skipped. */
+    async loadTransactions(leagueId, lastLeg) {
+        const transactions = await this.sleeperAPI.getSeasonTransactions(leagueId, lastLeg);
+        return transactions.sort((a, b) =>
+            (Number(a.leg) || 0) - (Number(b.leg) || 0) || (a.status_updated || 0) - (b.status_updated || 0));
+    }
+
+    /**
+     * The completed draft of every season in the league's history, newest
+     * first. One draft per manager says little about round-by-round habits;
+     * several seasons of them do.
+     */
+    async loadDrafts(leagueId) {
+        const leagues = await new LeagueHistory(this.configManager).loadLeagueChain(leagueId);
+
+        const drafts = await Promise.all(leagues.map(async league => {
+            const drafts = await this.sleeperAPI.getDrafts(league.league_id).catch(() => []);
+            const draft = (Array.isArray(drafts) ? drafts : []).find(d => d.status === 'complete');
+            if (!draft) return null;
+
+            const picks = await this.sleeperAPI.getDraftPicks(draft.draft_id).catch(() => []);
+            return { season: league.season, type: draft.type, picks: Array.isArray(picks) ? picks : [] };
+        }));
+
+        return drafts.filter(draft => draft && draft.picks.length);
+    }
+
+    /**
+     * Each scored week's matchups alongside Sleeper's projections for that
+     * week. A week Sleeper has no projections for is left out - there is no
+     * fair "best lineup" to hold the manager to.
+     */
+    async loadLineups(leagueId, league, rosters, allPlayers, scoredWeeks) {
+        const slots = LineupOptimizer.starterSlots(league?.roster_positions);
+        if (!slots.length || !allPlayers || scoredWeeks < 1) return [];
+
+        await this.playerStats.ensureLoaded({
+            season: league?.season,
+            scoringFormat: this.configManager.config.scoringFormat || 'Half PPR',
+            leagueId,
+            rosterFormat: this.configManager.config.rosterFormat || 'Standard',
+            teams: rosters.length || this.configManager.config.leagueSize || 12,
+            allPlayers
+        });
+
+        const weeks = Array.from({ length: scoredWeeks }, (_, i) => i + 1);
+        const lineups = await Promise.all(weeks.map(async week => {
+            const [rows, projections] = await Promise.all([
+                this.sleeperAPI.getMatchups(leagueId, week).catch(() => []),
+                this.playerStats.projectionsForWeek(week).catch(() => new Map())
+            ]);
+            return { week, rows: Array.isArray(rows) ? rows : [], projections };
+        }));
+
+        return lineups.filter(lineup => lineup.rows.length && lineup.projections.size);
+    }
+
+    // ======================
+    // PROFILES
+    // ======================
+
+    /** One profile per rostered manager, rivals first and your own last. */
+    buildProfiles(data, userRosterId = null) {
+        const { league, rosters, users } = data;
+        const budget = Number(league?.settings?.waiver_budget) || 0;
+
+        const profiles = new Map();
+        const byRoster = new Map();
+        rosters.forEach(roster => {
+            if (!roster.owner_id) return;
+            const user = users.find(u => u.user_id === roster.owner_id);
+            const profile = {
+                userId: roster.owner_id,
+                rosterId: roster.roster_id,
+                name: user?.metadata?.team_name || user?.display_name || `Team ${roster.roster_id}`,
+                manager: user?.display_name || '',
+                mine: roster.roster_id === userRosterId,
+                waivers: { claimsWon: 0, claimsLost: 0, freeAgentAdds: 0, drops: 0 },
+                faab: { budget, spent: 0, bids: [], byLeg: new Map() },
+                trades: { count: 0, partners: new Map(), playersIn: 0, playersOut: 0 },
+                draft: { picks: 0, seasons: new Set(), byStage: new Map(), firstAt: {} },
+                lineups: { weeks: 0, optimal: 0, benchPoints: 0 }
+            };
+            profiles.set(profile.userId, profile);
+            byRoster.set(roster.roster_id, profile);
+        });
+
+        this.tallyTransactions(data.transactions, byRoster);
+        this.tallyDrafts(data.drafts, profiles);
+        this.tallyLineups(data.lineups, data.league, data.allPlayers, byRoster);
+
+        return [...profiles.values()]
+            .map(profile => this.summarize(profile, data.weeksElapsed, byRoster))
+            .sort((a, b) => Number(a.mine) - Number(b.mine) || a.name.localeCompare(b.name));
+    }
+
+    tallyTransactions(transactions, byRoster) {
+        transactions.forEach(transaction => {
+            const leg = Number(transaction.leg) || 0;
+            const complete = transaction.status === 'complete';
+
+            if (transaction.type === 'trade') {
+                if (!complete) return;
+                const sides = (transaction.roster_ids || []).filter(id => byRoster.has(id));
+                sides.forEach(rosterId => {
+                    const trades = byRoster.get(rosterId).trades;
+                    trades.count += 1;
+                    sides.filter(other => other !== rosterId).forEach(other => {
+                        trades.partners.set(other, (trades.partners.get(other) || 0) + 1);
+                    });
+                    trades.playersIn += Object.values(transaction.adds || {}).filter(id => id === rosterId).length;
+                    trades.playersOut += Object.values(transaction.drops || {}).filter(id => id === rosterId).length;
+                });
+                return;
+            }
+
+            const profile = byRoster.get(transaction.roster_ids?.[0]);
+            if (!profile) return;
+
+            if (transaction.type === 'waiver') {
+                if (!complete) {
+                    if (transaction.status === 'failed') profile.waivers.claimsLost += 1;
+                    return;
+                }
+                profile.waivers.claimsWon += 1;
+                const bid = Number(transaction.settings?.waiver_bid) || 0;
+                const playerId = Object.keys(transaction.adds || {})[0];
+                profile.faab.spent += bid;
+                profile.faab.bids.push({ leg, bid, playerId });
+                profile.faab.byLeg.set(leg, (profile.faab.byLeg.get(leg) || 0) + bid);
+            } else if (transaction.type === 'free_agent' && complete) {
+                profile.waivers.freeAgentAdds += Object.keys(transaction.adds || {}).length;
+            }
+
+            if (complete) profile.waivers.drops += Object.keys(transaction.drops || {}).length;
+        });
+    }
+
+    tallyDrafts(drafts, profiles) {
+        drafts.forEach(({ season, picks }) => {
+            const firstAt = new Map();
+            [...picks].sort((a, b) => a.pick_no - b.pick_no).forEach(pick => {
+                const profile = profiles.get(pick.picked_by);
+                const position = pick.metadata?.position;
+                if (!profile || !position) return;
+
+                const stage = ManagerProfiles.stageFor(pick.round);
+                const counts = profile.draft.byStage.get(stage) || {};
+                counts[position] = (counts[position] || 0) + 1;
+                profile.draft.byStage.set(stage, counts);
+                profile.draft.picks += 1;
+                profile.draft.seasons.add(season);
+
+                const key = `${pick.picked_by}:${position}`;
+                if (!firstAt.has(key)) {
+                    firstAt.set(key, true);
+                    (profile.draft.firstAt[position] = profile.draft.firstAt[position] || []).push(pick.round);
+                }
+            });
+        });
+    }
+
+    /**
+     * A lineup counts as optimal when it projected within LINEUP_TOLERANCE of
+     * the best one the roster could have set. Bench points are the projected
+     * points the best lineup had over the one set.
+     */
+    tallyLineups(lineups, league, allPlayers, byRoster) {
+        const slots = LineupOptimizer.starterSlots(league?.roster_positions);
+        if (!slots.length) return;
+
+        lineups.forEach(({ rows, projections }) => {
+            const projected = id => projections.get(String(id)) ?? 0;
+
+            rows.forEach(row => {
+                const profile = byRoster.get(row.roster_id);
+                const pool = (row.players || []).map(String).filter(id => allPlayers[id]);
+                if (!profile || !pool.length) return;
+
+                const best = LineupOptimizer.bestLineupPoints(slots, pool, allPlayers, projected);
+                const set = (row.starters || []).reduce((sum, id) => sum + (id && id !== '0' ? projected(id) : 0), 0);
+                const gap = Math.max(0, best - set);
+
+                profile.lineups.weeks += 1;
+                profile.lineups.benchPoints += gap;
+                if (gap <= ManagerProfiles.LINEUP_TOLERANCE) profile.lineups.optimal += 1;
+            });
+        });
+    }
+
+    summarize(profile, weeksElapsed, byRoster) {
+        const { faab, trades, draft, lineups, waivers } = profile;
+        const legs = Math.max(1, weeksElapsed);
+
+        // Share of the season's spending that came in the first half of the weeks so far
+        let early = 0;
+        faab.byLeg.forEach((amount, leg) => { if (leg <= legs / 2) early += amount; });
+        const earlyShare = faab.spent ? early / faab.spent : null;
+        const biggest = faab.bids.reduce((top, bid) => (!top || bid.bid > top.bid ? bid : top), null);
+
+        const partners = [...trades.partners.entries()]
+            .map(([rosterId, count]) => ({ name: byRoster.get(rosterId)?.name || `Team ${rosterId}`, count }))
+            .sort((a, b) => b.count - a.count);
+
+        const firstAt = {};
+        Object.entries(draft.firstAt).forEach(([position, rounds]) => {
+            firstAt[position] = rounds.reduce((sum, round) => sum + round, 0) / rounds.length;
+        });
+
+        return {
+            userId: profile.userId,
+            rosterId: profile.rosterId,
+            name: profile.name,
+            manager: profile.manager,
+            mine: profile.mine,
+            waivers: {
+                ...waivers,
+                adds: waivers.claimsWon + waivers.freeAgentAdds,
+                addsPerWeek: (waivers.claimsWon + waivers.freeAgentAdds) / legs
+            },
+            faab: {
+                budget: faab.budget,
+                spent: faab.spent,
+                spentShare: faab.budget ? faab.spent / faab.budget : null,
+                averageBid: faab.bids.length ? faab.spent / faab.bids.length : 0,
+                zeroBids: faab.bids.filter(bid => bid.bid === 0).length,
+                biggest,
+                earlyShare,
+                pattern: ManagerProfiles.spendPattern(earlyShare)
+            },
+            trades: {
+                count: trades.count,
+                perWeek: trades.count / legs,
+                partners,
+                playersIn: trades.playersIn,
+                playersOut: trades.playersOut
+            },
+            draft: {
+                picks: draft.picks,
+                seasons: draft.seasons.size,
+                byStage: ManagerProfiles.STAGES.map(stage => ({
+                    ...stage,
+                    counts: draft.byStage.get(stage.label) || {}
+                })),
+                firstAt
+            },
+            lineups: {
+                weeks: lineups.weeks,
+                optimal: lineups.optimal,
+                optimalRate: lineups.weeks ? lineups.optimal / lineups.weeks : null,
+                benchPerWeek: lineups.weeks ? lineups.benchPoints / lineups.weeks : null
+            }
+        };
+    }
+
+    static stageFor(round) {
+        const stage = ManagerProfiles.STAGES.find(s => round >= s.from && round <= s.to);
+        return (stage || ManagerProfiles.STAGES[ManagerProfiles.STAGES.length - 1]).label;
+    }
+
+    static spendPattern(earlyShare) {
+        if (earlyShare === null) return 'No bids yet';
+        if (earlyShare >= ManagerProfiles.EARLY_SPENDER) return 'Spends early';
+        if (earlyShare <= 1 - ManagerProfiles.EARLY_SPENDER) return 'Saves for later';
+        return 'Steady';
+    }
+
+    // ======================
+    // DRAFT TENDENCIES
+    // ======================
+
+    /**
+     * A manager's positional mix in the stage of the draft a round falls in,
+     * as shares that sum to 1. Their own picks are pulled toward the league's
+     * as if the league had DRAFT_PRIOR_PICKS of them, so a manager with one
+     * draft behind them is not read as a certainty. Null before profiles are
+     * loaded or when nobody has drafted in that stage.
+     */
+    draftTendency(userId, round) {
+        if (!this.profiles) return null;
+
+        const stage = ManagerProfiles.stageFor(round);
+        const countsIn = profile => profile.draft.byStage.find(s => s.label === stage)?.counts || {};
+        const league = {};
+        this.profiles.forEach(profile => {
+            Object.entries(countsIn(profile)).forEach(([position, count]) => {
+                league[position] = (league[position] || 0) + count;
+            });
+        });
+        const leagueTotal = Object.values(league).reduce((sum, count) => sum + count, 0);
+        if (!leagueTotal) return null;
+
+        const own = countsIn(this.profiles.find(profile => profile.userId === userId) || { draft: { byStage: [] } });
+        const ownTotal = Object.values(own).reduce((sum, count) => sum + count, 0);
+        const prior = ManagerProfiles.DRAFT_PRIOR_PICKS;
+
+        const shares = {};
+        Object.keys(league).forEach(position => {
+            shares[position] = ((own[position] || 0) + prior * league[position] / leagueTotal) / (ownTotal + prior);
+        });
+        return shares;
+    }
+
+    // ======================
+    // LOADING FLOW
+    // ======================
+
+    async loadProfiles() {
+        if (this.loading) return;
+
+        const leagueId = this.configManager.config.sleeperLeagueId;
+        if (!leagueId) {
+            this.renderEmptyState('Configure your Sleeper League ID to profile its managers.');
+            return;
+        }
+
+        this.loading = true;
+        this.renderProgress('Reading transactions, drafts and lineups...');
+        try {
+            const data = await this.loadLeagueActivity(leagueId);
+            const userRosterId = window.teamManager?.currentRoster?.roster?.roster_id
+                ?? this.findUserRosterId(data.rosters, data.users);
+
+            this.allPlayers = data.allPlayers;
+            this.profiles = this.buildProfiles(data, userRosterId);
+            this.renderProfiles(this.profiles, data);
+            console.log(`🕵️ ManagerProfiles: ${this.profiles.length} managers, ${data.transactions.length} transactions, ${data.drafts.length} drafts`);
+        } catch (error) {
+            console.error('❌ Error loading manager profiles:', error);
+            this.renderEmptyState(`Could not load manager profiles: ${error.message}`);
+            this.configManager.showNotification('❌ Could not load manager profiles', 'error');
+        } finally {
+            this.loading = false;
+        }
+    }
+
+    /** Your roster by configured username, or null - every profile stands without it. */
+    findUserRosterId(rosters, users) {
+        const username = (this.configManager.config.sleeperUsername || '').toLowerCase();
+        const user = username ? users.find(u => (u.display_name || '').toLowerCase() === username) : null;
+        const roster = user ? rosters.find(r => r.owner_id === user.user_id) : null;
+        return roster ? roster.roster_id : null;
+    }
+
+    // ======================
+    // RENDERING
+    // ======================
+
+    getContainer() {
+        return document.getElementById('manager-profiles-container');
+    }
+
+    renderEmptyState(message) {
+        const container = this.getContainer();
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="card">
+                <div class="empty-state">
+                    <div class="icon">🕵️</div>
+                    <h3>Manager Profiles</h3>
+                    <p>${message}</p>
+                    <button class="btn btn-primary" data-action="load-manager-profiles" style="margin-top: 15px;">
+                        <span>🕵️</span> Profile My League
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    renderProgress(message) {
+        const container = this.getContainer();
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="card">
+                <div class="empty-state">
+                    <div class="icon">⏳</div>
+                    <p>${message}</p>
+                </div>
+            </div>
+        `;
+    }
+
+    renderProfiles(profiles, data) {
+        const container = this.getContainer();
+        if (!container) return;
+
+        const draftSeasons = data.drafts.map(draft => draft.season);
+        container.innerHTML = `
+            <div class="profiles-header">
+                <div>
+                    <h3>🕵️ Manager Profiles</h3>
+                    <p>
+                        ${data.transactions.length} transactions through week ${data.weeksElapsed} ·
+                        ${draftSeasons.length ? `drafts from ${draftSeasons.join(', ')}` : 'no completed drafts'} ·
+                        ${data.lineups.length} week${data.lineups.length === 1 ? '' : 's'} of lineups
+                    </p>
+                </div>
+                <button class="btn btn-outline" data-action="load-manager-profiles">
+                    <span>🔄</span> Refresh
+                </button>
+            </div>
+            <div class="profiles-grid">
+                ${profiles.map(profile => this.renderProfile(profile)).join('')}
+            </div>
+        `;
+    }
+
+    renderProfile(profile) {
+        const { waivers, faab, trades, draft, lineups } = profile;
+        const percent = value => `${Math.round(value * 100)}%`;
+
+        const faabLine = faab.budget
+            ? `$${faab.spent} of $${faab.budget} (${percent(faab.spentShare)}) · ${faab.pattern}
+               ${faab.biggest && faab.biggest.bid ? `<div class="profile-meta">Biggest bid $${faab.biggest.bid} on ${this.playerName(faab.biggest.playerId)} in week ${faab.biggest.leg}</div>` : ''}`
+            : 'Not a FAAB league';
+
+        const partnerLine = trades.partners.length
+            ? trades.partners.slice(0, 3).map(partner => `${partner.name} (${partner.count})`).join(', ')
+            : 'No trades yet';
+
+        const lineupLine = lineups.optimalRate === null
+            ? 'No projected weeks to compare yet'
+            : `${percent(lineups.optimalRate)} of weeks (${lineups.optimal}/${lineups.weeks})
+               <div class="profile-meta">${lineups.benchPerWeek.toFixed(1)} projected pts a week left on the bench</div>`;
+
+        const firstAt = ['QB', 'TE']
+            .filter(position => profile.draft.firstAt[position])
+            .map(position => `first ${position} in round ${draft.firstAt[position].toFixed(1)}`)
+            .join(' · ');
+
+        return `
+            <div class="profile-card${profile.mine ? ' mine' : ''}">
+                <div class="profile-title">
+                    <h4>${profile.name}${profile.mine ? ' <span class="profile-you">You</span>' : ''}</h4>
+                    ${profile.manager && profile.manager !== profile.name ? `<span class="profile-meta">${profile.manager}</span>` : ''}
+                </div>
+
+                <div class="profile-row">
+                    <span class="profile-label">Waivers</span>
+                    <span>${waivers.adds} adds (${waivers.addsPerWeek.toFixed(1)}/wk) · ${waivers.claimsWon} claims won, ${waivers.claimsLost} lost</span>
+                </div>
+                <div class="profile-row">
+                    <span class="profile-label">FAAB</span>
+                    <span>${faabLine}</span>
+                </div>
+                <div class="profile-row">
+                    <span class="profile-label">Trades</span>
+                    <span>${trades.count} · ${partnerLine}</span>
+                </div>
+                <div class="profile-row">
+                    <span class="profile-label">Optimal lineup</span>
+                    <span>${lineupLine}</span>
+                </div>
+
+                <div class="profile-draft">
+                    <span class="profile-label">Draft${draft.seasons ? ` (${draft.seasons} season${draft.seasons === 1 ? '' : 's'})` : ''}</span>
+                    ${draft.picks ? `
+                        <table>
+                            ${draft.byStage.map(stage => `
+                                <tr>
+                                    <th>${stage.label}</th>
+                                    <td>${this.describeMix(stage.counts)}</td>
+                                </tr>
+                            `).join('')}
+                        </table>
+                        ${firstAt ? `<div class="profile-meta">On average, ${firstAt}</div>` : ''}
+                    ` : '<span>No completed drafts</span>'}
+                </div>
+            </div>
+        `;
+    }
+
+    /** Positions taken in a stage of the draft, most-picked first. */
+    describeMix(counts) {
+        const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+        if (!total) return '-';
+        return Object.entries(counts)
+            .sort((a, b) => b[1] - a[1])
+            .map(([position, count]) => `<span class="profile-pos">${position} ${Math.round(count / total * 100)}%</span>`)
+            .join(' ');
+    }
+
+    playerName(playerId) {
+        const player = this.allPlayers[playerId];
+        return player ? `${player.first_name} ${player.last_name}` : `player ${playerId}`;
+    }
+}
+// Stages of the draft positional preferences are grouped into.
+ManagerProfiles.STAGES = [
+    { label: 'Rounds 1-2', from: 1, to: 2 },
+    { label: 'Rounds 3-5', from: 3, to: 5 },
+    { label: 'Rounds 6-9', from: 6, to: 9 },
+    { label: 'Rounds 10+', from: 10, to: Infinity }
+];
+// Projected points a set lineup can trail the best one by and still count as optimal.
+ManagerProfiles.LINEUP_TOLERANCE = 0.5;
+// Share of spending in the first half of the season that makes an early spender.
+ManagerProfiles.EARLY_SPENDER = 0.65;
+// League-average picks blended into a manager's own draft tendencies.
+ManagerProfiles.DRAFT_PRIOR_PICKS = 4;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ManagerProfiles;
+}
@@ -0,0 +1,537 @@
+/**
+ * Mock Draft Simulator
+ *
+ * A fully offline rehearsal draft. The other teams are bots; you pick from the
+ * board whenever the snake comes back to your slot, with PickAdvisor giving the
+ * same advice it would give on draft night.
+ *
+ * The bots are deliberately simple, and each behaviour is a dial rather than a
+ * personality:
+ *
+ *   - ADP with noise. Each bot ranks the board by average draft position plus
+ *     a random offset, so the room neither drafts in perfect ADP order nor
+ *     does anything no real room would.
+ *   - Positional need. Unfilled starting spots pull a position up the board;
+ *     a full position drops off it, and nobody takes a kicker in round three.
+ *   - Run following. When a position has gone several times in the last half
+ *     round, bots lean into it the way real drafters panic into a run.
+ *
+ * Picks are fed through DraftTracker exactly as live Sleeper picks are, so the
+ * feed, the pick grades, the scarcity tracker and the advisor all behave as
+ * they would in a real draft. Nothing here touches the network.
+ */
+
+class MockDraftSimulator {
+    constructor(configManager, draftTracker) {
+        this.configManager = configManager;
+        this.draftTracker = draftTracker;
+        this.state = null;
+
+        console.log('🎲 MockDraftSimulator: Initializing offline mock drafts...');
+        this.setupMockDraftUI();
+    }
+
+    // ======================
+    // SETUP
+    // ======================
+
+    setupMockDraftUI() {
+        const draftPage = document.getElementById('live-draft');
+        if (!draftPage || document.getElementById('mockDraftPanel')) return;
+
+        const teams = this.configManager.config.leagueSize || 12;
+        const slot = Math.min(this.configManager.config.draftPosition || 1, teams);
+
+        const panel = document.createElement('div');
+        panel.className = 'mock-draft-panel';
+        panel.id = 'mockDraftPanel';
+        panel.innerHTML = `
+            <div class="card">
+                <div class="card-header">
+                    <h3 class="card-title">🎲 Mock Draft Simulator</h3>
+                    <div class="draft-status" id="mockDraftStatus">Offline - no Sleeper draft needed</div>
+                </div>
+                <div class="mock-draft-settings">
+                    <label>Teams <input type="number" id="mockTeams" min="4" max="16" value="${teams}"></label>
+                    <label>Your slot <input type="number" id="mockSlot" min="1" max="16" value="${slot}"></label>
+                    <label>Rounds <input type="number" id="mockRounds" min="1" max="20" value="15"></label>
+                    <label title="How far, in picks, a bot may stray from ADP">ADP noise <input type="number" id="mockNoise" min="0" max="30" value="6"></label>
+                    <label title="0 ignores roster needs, 1 drafts strictly for them">Need <input type="number" id="mockNeed" min="0" max="1" step="0.1" value="0.6"></label>
+                    <label title="0 ignores positional runs, 1 chases every one">Runs <input type="number" id="mockRuns" min="0" max="1" step="0.1" value="0.4"></label>
+                </div>
+                <div class="mock-draft-actions">
+                    <button class="btn btn-primary" data-action="start-mock-draft" id="startMockDraftBtn">
+                        <span>🎲</span> Start Mock Draft
+                    </button>
+                    <button class="btn btn-secondary" data-action="end-mock-draft" id="endMockDraftBtn" disabled>
+                        <span>⏹️</span> End Mock
+                    </button>
+                </div>
+                <div id="mockDraftBoard" class="mock-draft-board" style="display: none;"></div>
+            </div>
+        `;
+
+        const controls = draftPage.querySelector('.draft-tracker-controls');
+        if (controls) {
+            controls.insertAdjacentElement('afterend', panel);
+        } else {
+            draftPage.appendChild(panel);
+        }
+    }
+
+    readSettings() {
+        const number = (id, fallback) => {
+            const value = parseFloat(document.getElementById(id)?.value);
+            return Number.isFinite(value) ? value : fallback;
+        };
+        const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+        const teams = Math.round(clamp(number('mockTeams', 12), 4, 16));
+        return {
+            teams,
+            slot: Math.round(clamp(number('mockSlot', 1), 1, teams)),
+            rounds: Math.round(clamp(number('mockRounds', 15), 1, 20)),
+            noise: clamp(number('mockNoise', 6), 0, 30),
+            needWeight: clamp(number('mockNeed', 0.6), 0, 1),
+            runWeight: clamp(number('mockRuns', 0.4), 0, 1)
+        };
+    }
+
+    // ======================
+    // DRAFT FLOW
+    // ======================
+
+    async start() {
+        const tracker = this.draftTracker;
+        if (!tracker) {
+            this.configManager.showNotification('❌ Draft tracker not available', 'error');
+            return;
+        }
+        if (tracker.isTracking) {
+            this.configManager.showNotification('⚠️ Stop live draft tracking before starting a mock draft', 'warning');
+            return;
+        }
+
+        if (this.isActive()) this.end();
+        const settings = this.readSettings();
+
+        if (tracker.playerDatabase.size === 0) {
+            tracker.loadSamplePlayerDatabase();
+            this.configManager.showNotification('⚠️ Sleeper player database unavailable - mocking with sample players', 'warning');
+        }
+
+        const pool = Array.from(tracker.playerDatabase.values())
+            .filter(player => Number.isFinite(player.adp))
+            .sort((a, b) => a.adp - b.adp);
+
+        if (pool.length < settings.teams * settings.rounds) {
+            // A short pool still drafts; it just ends when the board runs dry.
+            console.warn(`⚠️ Mock draft pool has ${pool.length} players for ${settings.teams * settings.rounds} picks`);
+        }
+
+        this.state = {
+            settings,
+            available: pool,
+            totalPicks: settings.teams * settings.rounds,
+            running: true
+        };
+
+        // The tracker is pointed at a synthetic draft with the same shape Sleeper
+        // returns, so every downstream reader - roster analysis, the advisor, the
+        // roster-format check - works without knowing it is a mock.
+        tracker.stopPolling();
+        tracker.draftId = null;
+        tracker.picks = [];
+        tracker.userRosterId = settings.slot;
+        tracker.draftData = this.buildDraftData(settings);
+        tracker.tradedPicks = [];
+        tracker.leagueMode = null;
+        Object.values(tracker.positionScarcity).forEach(entry => { entry.drafted = 0; });
+        this.resetFeed();
+
+        this.setButtons(true);
+        this.configManager.showNotification(
+            `🎲 Mock draft started - ${settings.teams} teams, you pick from slot ${settings.slot}`,
+            'success'
+        );
+
+        await this.advance();
+    }
+
+    buildDraftData(settings) {
+        const rosterFormat = this.configManager.config.rosterFormat || 'Standard';
+        const draftOrder = {};
+        const slotToRosterId = {};
+        for (let slot = 1; slot <= settings.teams; slot++) {
+            draftOrder[`mock_${slot}`] = slot;
+            slotToRosterId[slot] = slot;
+        }
+
+        return {
+            draft_id: 'mock',
+            type: 'snake',
+            status: 'drafting',
+            draft_order: draftOrder,
+            slot_to_roster_id: slotToRosterId,
+            settings: {
+                teams: settings.teams,
+                rounds: settings.rounds,
+                slots_qb: rosterFormat === '2QB' ? 2 : 1,
+                slots_super_flex: rosterFormat === 'Super Flex' ? 1 : 0
+            }
+        };
+    }
+
+    /** Runs bot picks until it is the user's turn or the draft is over. */
+    async advance() {
+        const state = this.state;
+        if (!state) return;
+
+        while (state.running && this.nextPickNumber() <= state.totalPicks && state.available.length) {
+            const pickNo = this.nextPickNumber();
+            const slot = MockDraftSimulator.slotForPick(pickNo, state.settings.teams);
+
+            if (slot === state.settings.slot) {
+                this.renderBoard();
+                return;
+            }
+
+            this.recordPick(this.chooseBotPick(slot), slot);
+
+            // A beat between bot picks so the feed reads as a draft, not a dump.
+            await new Promise(resolve => setTimeout(resolve, MockDraftSimulator.BOT_PICK_DELAY_MS));
+        }
+
+        if (state.running) this.finish();
+    }
+
+    /** Called from the board when the user drafts a player. */
+    async userPick(playerId) {
+        const state = this.state;
+        if (!state || !state.running) return;
+
+        const pickNo = this.nextPickNumber();
+        if (MockDraftSimulator.slotForPick(pickNo, state.settings.teams) !== state.settings.slot) {
+            this.configManager.showNotification('⏳ Not your turn yet', 'info');
+            return;
+        }
+
+        const player = state.available.find(p => String(p.id) === String(playerId));
+        if (!player) {
+            this.configManager.showNotification('⚠️ That player has already been drafted', 'warning');
+            return;
+        }
+
+        this.recordPick(player, state.settings.slot);
+        await this.advance();
+    }
+
+    /**
+     * Clears the mock out of the tracker. Live tracking reads new picks as
+     * everything past `picks.length`, so mock picks left behind would swallow
+     * the first picks of a real draft.
+     */
+    end() {
+        if (!this.state) return;
+        // Stops a bot loop that is mid-pause from picking into the cleared tracker.
+        this.state.running = false;
+        this.state = null;
+
+        const tracker = this.draftTracker;
+        tracker.picks = [];
+        tracker.draftData = null;
+        tracker.userRosterId = null;
+        Object.values(tracker.positionScarcity).forEach(entry => { entry.drafted = 0; });
+        this.resetFeed();
+
+        this.setButtons(false);
+        const board = document.getElementById('mockDraftBoard');
+        if (board) board.style.display = 'none';
+        this.setStatus('Offline - no Sleeper draft needed');
+    }
+
+    /** True while a mock - running or finished and under review - owns the tracker. */
+    isActive() {
+        return this.state !== null;
+    }
+
+    finish() {
+        this.state.running = false;
+        this.setButtons(false);
+        // Left enabled so the finished mock can be cleared once reviewed.
+        const endBtn = document.getElementById('endMockDraftBtn');
+        if (endBtn) endBtn.disabled = false;
+        this.setStatus('Mock draft complete');
+        this.renderSummary();
+        this.configManager.showNotification('🏁 Mock draft complete - review your team below', 'success');
+    }
+
+    nextPickNumber() {
+        return this.draftTracker.picks.length + 1;
+    }
+
+    /** Snake order: odd rounds run 1..N, even rounds run back N..1. */
+    static slotForPick(pickNo, teams) {
+        return PickAdvisor.draftSlotForPick(pickNo, teams, { type: 'snake' });
+    }
+
+    recordPick(player, slot) {
+        const state = this.state;
+        const tracker = this.draftTracker;
+        const pickNo = this.nextPickNumber();
+        const [firstName, ...rest] = (player.name || '').split(' ');
+
+        const pick = {
+            draft_id: 'mock',
+            pick_no: pickNo,
+            round: Math.ceil(pickNo / state.settings.teams),
+            draft_slot: slot,
+            roster_id: slot,
+            picked_by: `mock_${slot}`,
+            player_id: player.id,
+            is_keeper: null,
+            metadata: {
+                first_name: firstName,
+                last_name: rest.join(' '),
+                position: player.position,
+                team: player.team
+            }
+        };
+
+        state.available = state.available.filter(p => p.id !== player.id);
+        tracker.picks.push(pick);
+        tracker.processPick(pick);
+        tracker.updateDraftDisplay();
+        tracker.updateQueueForDraftedPlayers();
+
+        this.setStatus(`Pick ${pickNo} of ${state.totalPicks} - Round ${pick.round}`);
+    }
+
+    // ======================
+    // BOTS
+    // ======================
+
+    /**
+     * Chooses a bot's pick by scoring the top of the board. Lower is better,
+     * starting from ADP, so every adjustment below is expressed in "picks".
+     */
+    chooseBotPick(slot) {
+        const { settings, available } = this.state;
+        const round = Math.ceil(this.nextPickNumber() / settings.teams);
+        const roundsLeft = settings.rounds - round + 1;
+        const counts = this.rosterCounts(slot);
+        const limits = this.positionLimits();
+        const recent = this.recentPositions(Math.ceil(settings.teams / 2));
+
+        // A short window off the top of the board, plus the best kicker and
+        // defense left - their ADPs sit far down the list, and a bot that needs
+        // one late must be able to see it.
+        const candidates = available.slice(0, settings.teams + Math.ceil(settings.noise * 2));
+        ['K', 'DEF'].forEach(position => {
+            const best = available.find(p => p.position === position);
+            if (best && !candidates.includes(best)) candidates.push(best);
+        });
+
+        // Required starters still missing, counted against the picks left.
+        const missing = Object.entries(limits)
+            .filter(([position, limit]) => (counts[position] || 0) < limit.starters)
+            .map(([position]) => position);
+        const mustFill = missing.length >= roundsLeft;
+
+        let best = null;
+        let bestScore = Infinity;
+
+        candidates.forEach(player => {
+            const position = player.position;
+            const limit = limits[position] || { starters: 0, max: 2 };
+            const have = counts[position] || 0;
+
+            let score = player.adp + this.gaussian() * settings.noise;
+
+            if (have >= limit.max) score += 1000;
+            if (['K', 'DEF'].includes(position) && roundsLeft > 2 && !mustFill) score += 1000;
+            if (mustFill && !missing.includes(position)) score += 1000;
+
+            if (have < limit.starters) {
+                score -= settings.needWeight * MockDraftSimulator.NEED_PULL * (limit.starters - have);
+            } else {
+                score += settings.needWeight * MockDraftSimulator.NEED_PULL * (have - limit.starters + 1) / 2;
+            }
+
+            const run = recent.filter(p => p === position).length;
+            if (run >= 2) score -= settings.runWeight * MockDraftSimulator.RUN_PULL * run;
+
+            if (score < bestScore) {
+                bestScore = score;
+                best = player;
+            }
+        });
+
+        return best || available[0];
+    }
+
+    /**
+     * Starting requirements and roster caps per position for a bot - the same
+     * typical drafter the pick advisor simulates for availability odds.
+     */
+    positionLimits() {
+        return PickAdvisor.rosterLimits(this.configManager.config.rosterFormat);
+    }
+
+    rosterCounts(slot) {
+        const counts = {};
+        this.draftTracker.picks
+            .filter(pick => pick.roster_id === slot)
+            .forEach(pick => {
+                const position = pick.metadata?.position;
+                if (position) counts[position] = (counts[position] || 0) + 1;
+            });
+        return counts;
+    }
+
+    recentPositions(count) {
+        return this.draftTracker.picks.slice(-count).map(pick => pick.metadata?.position);
+    }
+
+    /** Standard normal draw (Box-Muller). */
+    gaussian() {
+        return PickAdvisor.gaussian(Math.random);
+    }
+
+    // ======================
+    // RENDERING
+    // ======================
+
+    renderBoard() {
+        const board = document.getElementById('mockDraftBoard');
+        if (!board) return;
+
+        const tracker = this.draftTracker;
+        const pickNo = this.nextPickNumber();
+        const round = Math.ceil(pickNo / this.state.settings.teams);
+
+        // The advisor reads the tracker's picks and roster exactly as it would
+        // in a live draft.
+        const { recommendations, availabilityAdvice } = tracker.generatePanicRecommendations();
+        const advised = new Map(recommendations.map(rec => [String(rec.player.id), rec]));
+
+        const shown = this.state.available.slice(0, MockDraftSimulator.BOARD_SIZE);
+        recommendations.forEach(rec => {
+            if (!shown.some(p => String(p.id) === String(rec.player.id))) {
+                const player = this.state.available.find(p => String(p.id) === String(rec.player.id));
+                if (player) shown.unshift(player);
+            }
+        });
+
+        board.innerHTML = `
+            <div class="mock-board-header">
+                <strong>🎯 You're on the clock - Pick ${pickNo}, Round ${round}</strong>
+            </div>
+            ${recommendations.length ? `
+                <div class="mock-advice">
+                    ${availabilityAdvice ? `<div class="availability-advice">🔁 ${availabilityAdvice}</div>` : ''}
+                    ${recommendations.map(rec => `
+                        <div class="mock-advice-item">
+                            <strong>${rec.player.name}</strong> (${rec.player.position}) - ${rec.strategy}: ${rec.reasoning}
+                            ${rec.availability ? `<div class="availability-odds">${tracker.describeAvailability(rec.availability)}</div>` : ''}
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+            <table class="mock-board-table">
+                <thead>
+                    <tr><th>ADP</th><th>Player</th><th>Pos</th><th>Team</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${shown.map(player => `
+                        <tr class="${advised.has(String(player.id)) ? 'advised' : ''}">
+                            <td>${Math.round(player.adp)}</td>
+                            <td>${player.name}${advised.has(String(player.id)) ? ' <span class="mock-advised-badge">Advisor</span>' : ''}</td>
+                            <td>${player.position}</td>
+                            <td>${player.team || 'FA'}</td>
+                            <td>
+                                <button class="btn btn-sm btn-primary" data-action="mock-draft-pick" data-player-id="${player.id}">Draft</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        board.style.display = 'block';
+        this.setStatus(`🎯 Your pick - ${pickNo} of ${this.state.totalPicks}`);
+    }
+
+    /** Your finished team, with each pick's value against where it went. */
+    renderSummary() {
+        const board = document.getElementById('mockDraftBoard');
+        if (!board) return;
+
+        const slot = this.state.settings.slot;
+        const mine = this.draftTracker.picks.filter(pick => pick.roster_id === slot);
+        const rows = mine.map(pick => {
+            const player = this.draftTracker.playerDatabase.get(pick.player_id);
+            const value = player ? Math.round(player.adp - pick.pick_no) : null;
+            return { pick, player, value };
+        });
+        const totalValue = rows.reduce((sum, row) => sum + (row.value || 0), 0);
+
+        board.innerHTML = `
+            <div class="mock-board-header">
+                <strong>🏁 Your mock draft from slot ${slot}</strong>
+                <span class="mock-value ${totalValue >= 0 ? 'positive' : 'negative'}">
+                    ${totalValue >= 0 ? '+' : ''}${totalValue} picks of ADP value
+                </span>
+            </div>
+            <table class="mock-board-table">
+                <thead>
+                    <tr><th>Rd</th><th>Pick</th><th>Player</th><th>Pos</th><th>ADP</th><th>Value</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map(({ pick, player, value }) => `
+                        <tr>
+                            <td>${pick.round}</td>
+                            <td>${pick.pick_no}</td>
+                            <td>${player?.name || `${pick.metadata.first_name} ${pick.metadata.last_name}`}</td>
+                            <td>${pick.metadata.position}</td>
+                            <td>${player ? Math.round(player.adp) : '-'}</td>
+                            <td class="mock-value ${value >= 0 ? 'positive' : 'negative'}">${value === null ? '-' : `${value >= 0 ? '+' : ''}${value}`}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        board.style.display = 'block';
+    }
+
+    resetFeed() {
+        const feed = document.getElementById('draftFeed');
+        if (feed) feed.innerHTML = '';
+    }
+
+    setButtons(running) {
+        const startBtn = document.getElementById('startMockDraftBtn');
+        const endBtn = document.getElementById('endMockDraftBtn');
+        if (startBtn) {
+            startBtn.disabled = running;
+            startBtn.innerHTML = running ? '<span>🎲</span> Mock in progress' : '<span>🎲</span> Start Mock Draft';
+        }
+        if (endBtn) endBtn.disabled = !running;
+    }
+
+    setStatus(text) {
+        const status = document.getElementById('mockDraftStatus');
+        if (status) status.textContent = text;
+    }
+}
+
+// How strongly an unfilled starting spot pulls a position up a bot's board, in
+// picks, at full need weight.
+MockDraftSimulator.NEED_PULL = 8;
+// How far each pick in an active run pulls the position up, at full run weight.
+MockDraftSimulator.RUN_PULL = 4;
+MockDraftSimulator.BOT_PICK_DELAY_MS = 120;
+MockDraftSimulator.BOARD_SIZE = 25;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MockDraftSimulator;
+}
@@ -123,6 +123,7 @@ class PerformanceAnalytics {
             await this.playerStats.ensureLoaded({
                 week: this.currentWeek,
                 scoringFormat: this.configManager.config.scoringFormat || 'Half PPR',
+                leagueId: this.configManager.config.sleeperLeagueId,
                 rosterFormat: this.configManager.config.rosterFormat || 'Standard',
                 teams: this.configManager.config.leagueSize || 12,
                 allPlayers
@@ -170,6 +171,7 @@ class PerformanceAnalytics {
             await this.playerStats.ensureLoaded({
                 week: this.currentWeek,
                 scoringFormat: this.configManager.config.scoringFormat || 'Half PPR',
+                leagueId: this.configManager.config.sleeperLeagueId,
                 rosterFormat: this.configManager.config.rosterFormat || 'Standard',
                 teams: this.configManager.config.leagueSize || 12,
                 allPlayers
@@ -981,7 +983,7 @@ class PerformanceAnalytics {
             ['League', this.configManager.config.leagueName || ''],
             ['Team', this.configManager.config.teamName || ''],
             ['Week', this.currentWeek || ''],
-            ['Scoring', this.configManager.config.scoringFormat || ''],
+            ['Scoring', this.playerStats.describeScoring() || this.configManager.config.scoringFormat || ''],
             ['Data source', analysis.source || ''],
             ['Weeks analyzed', (summary.weeksAnalyzed || []).join(' ')],
             [],
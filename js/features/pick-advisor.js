@@ -16,8 +16,9 @@
  *   - positional runs in the live pick feed, so a thinning position is visible
  *   - the gap between projection and ADP, which is where bargains live
  *
- * Points come from Sleeper's own projections when they are available, selected
- * for the league's scoring format. When they are not - the endpoint is
+ * Points come from Sleeper's own projections when they are available, scored
+ * against the league's own settings when a ScoringEngine is supplied and read
+ * from the matching canned format otherwise. When they are not - the endpoint is
  * undocumented and may be empty before a season starts - the anchored curves
  * below are used instead. Every valued player records which source was used, and
  * a position falls back wholesale rather than mixing the two, since measured and
@@ -122,7 +123,7 @@ class PickAdvisor {
      * upward all draft, and once the pool is shallower than the replacement rank
      * it collapses onto the worst player left, understating everyone's value.
      */
-    computeReplacementBaselines(allPlayers, projections, teams, scoringFormat, rosterFormat) {
+    computeReplacementBaselines(allPlayers, projections, teams, scoringFormat, rosterFormat, scoring = null) {
         if (!projections || !allPlayers || !allPlayers.length) return null;
 
         const pointsByPosition = {};
@@ -131,9 +132,7 @@ class PickAdvisor {
             const line = projections[String(player.id)];
             if (!line) return;
 
-            const pts = (typeof SleeperAPI !== 'undefined' && SleeperAPI.pointsForFormat)
-                ? SleeperAPI.pointsForFormat(line, scoringFormat)
-                : line.pts_half_ppr;
+            const pts = this.linePoints(line, player.position, scoringFormat, scoring);
 
             if (typeof pts !== 'number' || !(pts > 0)) return;
 
@@ -154,13 +153,29 @@ class PickAdvisor {
         return Object.keys(baselines).length ? baselines : null;
     }
 
+    /**
+     * Projected points for one stat line. A league's own scoring settings win
+     * over the canned format whenever they are known - a TE premium league
+     * values tight ends in a way no preset does.
+     */
+    linePoints(line, position, scoringFormat, scoring) {
+        if (scoring) return scoring.pointsFor(line, position);
+        return (typeof SleeperAPI !== 'undefined' && SleeperAPI.pointsForFormat)
+            ? SleeperAPI.pointsForFormat(line, scoringFormat)
+            : (line.pts_half_ppr != null ? line.pts_half_ppr : null);
+    }
+
     /**
      * Scores every available player. Uses Sleeper's projection for a player when
      * one exists, and falls back to the modelled curve when it does not, marking
      * which was used on each result.
+     *
+     * A `horizon` of more than one season - keeper and dynasty leagues - also
+     * carries each VOR forward along the position's age curve, and ranks by
+     * that instead of by this season alone.
      */
     valuePlayers(availablePlayers, options) {
-        const { teams, scoringFormat, rosterFormat, projections, replacementBaselines } = options;
+        const { teams, scoringFormat, rosterFormat, projections, replacementBaselines, scoring, horizon = 1 } = options;
         const byPosition = {};
 
         availablePlayers.forEach(player => {
@@ -177,9 +192,7 @@ class PickAdvisor {
             if (!projections) return null;
             const line = projections[String(player.id)];
             if (!line) return null;
-            const pts = (typeof SleeperAPI !== 'undefined' && SleeperAPI.pointsForFormat)
-                ? SleeperAPI.pointsForFormat(line, scoringFormat)
-                : (line.pts_half_ppr != null ? line.pts_half_ppr : null);
+            const pts = this.linePoints(line, player.position, scoringFormat, scoring);
             return typeof pts === 'number' && pts > 0 ? pts : null;
         };
 
@@ -234,18 +247,23 @@ class PickAdvisor {
                     ? measured
                     : this.projectedPoints(pos, positionalRank) * multiplier;
 
+                const vor = Math.round(points - replacementPoints);
                 valued.push({
                     ...player,
                     positionalRank,
                     projectedPoints: Math.round(points),
                     replacementPoints: Math.round(replacementPoints),
-                    vor: Math.round(points - replacementPoints),
+                    vor,
+                    multiYearVor: horizon > 1 ? KeeperAdvisor.multiYearValue(vor, pos, player.age, horizon) : null,
+                    valueHorizon: horizon,
                     projectionSource: (typeof measured === 'number') ? 'sleeper' : 'model'
                 });
             });
         });
 
-        return valued.sort((a, b) => b.vor - a.vor);
+        return horizon > 1
+            ? valued.sort((a, b) => b.multiYearVor - a.multiYearVor)
+            : valued.sort((a, b) => b.vor - a.vor);
     }
 
     /**
@@ -340,13 +358,15 @@ class PickAdvisor {
             rosterFormat = 'Standard',
             playerLookup = () => null,
             projections = null,
-            replacementBaselines = null
+            replacementBaselines = null,
+            scoring = null,
+            horizon = 1
         } = input;
 
         if (!availablePlayers.length) return [];
 
         const valued = this.valuePlayers(availablePlayers, {
-            teams, scoringFormat, rosterFormat, projections, replacementBaselines
+            teams, scoringFormat, rosterFormat, projections, replacementBaselines, scoring, horizon
         });
         const byId = new Map(valued.map(p => [String(p.id), p]));
         const runs = this.detectRuns(picks, teams, playerLookup);
@@ -496,6 +516,11 @@ class PickAdvisor {
         parts.push(`${player.vor >= 0 ? '+' : ''}${player.vor} points over a replacement ${player.position} ` +
             `(${player.projectedPoints} projected vs ${player.replacementPoints} for the waiver-level starter)`);
 
+        if (player.multiYearVor !== null && player.multiYearVor !== undefined) {
+            parts.push(`${player.multiYearVor >= 0 ? '+' : ''}${player.multiYearVor} over the next ` +
+                `${player.valueHorizon} seasons${Number.isFinite(player.age) ? ` from age ${player.age}` : ' (age unknown)'}`);
+        }
+
         parts.push(`${player.position}${have === 1 ? '' : 's'} on your roster: ${have}`);
 
         const tiers = tiersByPosition[player.position] || [];
@@ -557,8 +582,317 @@ class PickAdvisor {
         const ratio = player.vor / best.vor;
         return Math.max(60, Math.min(95, Math.round(60 + ratio * 35)));
     }
+
+    // ======================
+    // AVAILABILITY
+    // ======================
+
+    /**
+     * The draft slot on the clock at an overall pick number.
+     *
+     * Sleeper drafts snake unless the draft is `linear`. A reversal round (the
+     * "third-round reversal") runs the same direction as the round before it,
+     * so every round from there on is flipped.
+     */
+    static draftSlotForPick(pickNo, teams, options = {}) {
+        const round = Math.ceil(pickNo / teams);
+        const index = (pickNo - 1) % teams;
+        if (options.type === 'linear') return index + 1;
+
+        let forward = round % 2 === 1;
+        if (options.reversalRound && round >= options.reversalRound) forward = !forward;
+        return forward ? index + 1 : teams - index;
+    }
+
+    /**
+     * Order options for `draftSlotForPick` and `ownerSlotForPick`, read from a
+     * Sleeper draft object and the draft's traded picks.
+     *
+     * A traded pick is keyed by round and the roster it originally belonged
+     * to, and names the roster that now owns it.
+     */
+    static draftOrderOptions(draftData, tradedPicks = []) {
+        const owners = new Map();
+        (tradedPicks || []).forEach(trade => {
+            owners.set(`${trade.round}:${trade.roster_id}`, Number(trade.owner_id));
+        });
+
+        return {
+            type: draftData?.type,
+            reversalRound: Number(draftData?.settings?.reversal_round) || 0,
+            slotToRosterId: draftData?.slot_to_roster_id || null,
+            owners
+        };
+    }
+
+    /**
+     * The slot of the team that actually makes a pick - the slot it belongs to
+     * in the order, unless the pick has been traded.
+     */
+    static ownerSlotForPick(pickNo, teams, options = {}) {
+        const slot = PickAdvisor.draftSlotForPick(pickNo, teams, options);
+        const slots = options.slotToRosterId;
+        if (!options.owners?.size || !slots) return slot;
+
+        const round = Math.ceil(pickNo / teams);
+        const owner = options.owners.get(`${round}:${slots[slot]}`);
+        if (!owner || owner === Number(slots[slot])) return slot;
+
+        return PickAdvisor.slotForRoster(owner, slots) || slot;
+    }
+
+    /** The draft slot a roster picks from, or null when it is not in the order. */
+    static slotForRoster(rosterId, slotToRosterId) {
+        if (rosterId == null || !slotToRosterId) return null;
+        const entry = Object.entries(slotToRosterId).find(([, id]) => Number(id) === Number(rosterId));
+        return entry ? Number(entry[0]) : null;
+    }
+
+    /**
+     * The first open pick at or after `fromPick` that a slot makes, or null when
+     * the draft ends first. Picks already filled - keepers are placed in the
+     * order before the draft starts - are skipped. Untraded, a slot picks once
+     * in any two rounds; traded picks can leave a longer gap, so the search
+     * runs four rounds deep.
+     */
+    static nextPickForSlot(slot, fromPick, teams, totalPicks = Infinity, options = {}, filled = new Set()) {
+        if (!slot || slot > teams) return null;
+        const last = Math.min(totalPicks, fromPick + teams * 4);
+        for (let pickNo = fromPick; pickNo <= last; pickNo++) {
+            if (filled.has(pickNo)) continue;
+            if (PickAdvisor.ownerSlotForPick(pickNo, teams, options) === slot) return pickNo;
+        }
+        return null;
+    }
+
+    /**
+     * Starting requirements and roster caps per position for a typical drafter.
+     * Two-QB formats need a second quarterback, which is what makes a room take
+     * them early in those leagues.
+     */
+    static rosterLimits(rosterFormat) {
+        const twoQB = rosterFormat === 'Super Flex' || rosterFormat === '2QB';
+        return {
+            QB: { starters: twoQB ? 2 : 1, max: twoQB ? 4 : 3 },
+            RB: { starters: 2, max: 7 },
+            WR: { starters: 3, max: 7 },
+            TE: { starters: 1, max: 3 },
+            K: { starters: 1, max: 1 },
+            DEF: { starters: 1, max: 1 }
+        };
+    }
+
+    /**
+     * How far a player's real draft spot strays from ADP, in picks. ADP is an
+     * average, and the spread around it widens down the board: a top-five pick
+     * goes within a couple of spots of it, a tenth-rounder anywhere in a round
+     * or two either side.
+     */
+    static adpSpread(adp) {
+        return 1.5 + 0.12 * adp;
+    }
+
+    /** Standard normal draw from a uniform source. */
+    static gaussian(random = Math.random) {
+        return SeededRandom.gaussian(random);
+    }
+
+    /**
+     * The chance each target is still on the board at the user's next pick.
+     *
+     * Plays out the picks in between many times. Every other team takes the
+     * player whose jittered ADP ranks best once its roster is counted from the
+     * live picks: a team missing a starter leans toward the position, a team
+     * that has filled one leans away, and kickers and defenses wait for the
+     * last two rounds. Nothing about the real opponents is known beyond what
+     * they have already taken, so this is a typical room, not this one.
+     *
+     * When the user is on the clock, the question is whether a player comes
+     * back to their following pick; otherwise it is whether he reaches the
+     * upcoming one. Returns a Map of player id to
+     * `{ probability, nextPick, picksUntil }`, empty when the user's slot is
+     * unknown or they have no pick left.
+     */
+    estimateAvailability(input) {
+        const {
+            targets = [],
+            availablePlayers = [],
+            picks = [],
+            teams = 12,
+            rounds = null,
+            userSlot = null,
+            orderOptions = {},
+            playerLookup = () => null,
+            rosterFormat = 'Standard',
+            simulations = PickAdvisor.AVAILABILITY_SIMULATIONS,
+            random = Math.random
+        } = input;
+
+        const availability = new Map();
+        if (!userSlot || !targets.length) return availability;
+
+        // Keeper picks sit in the feed at their own pick numbers from the start,
+        // so the clock is on the first number nobody has filled yet.
+        const filled = new Set(picks.map((pick, index) => Number(pick.pick_no) || index + 1));
+        let onClock = 1;
+        while (filled.has(onClock)) onClock++;
+
+        const totalPicks = rounds ? rounds * teams : Infinity;
+        const userOnClock = PickAdvisor.ownerSlotForPick(onClock, teams, orderOptions) === userSlot;
+        const firstPick = userOnClock ? onClock + 1 : onClock;
+        const nextPick = PickAdvisor.nextPickForSlot(userSlot, firstPick, teams, totalPicks, orderOptions, filled);
+        if (!nextPick) return availability;
+
+        const between = [];
+        for (let pickNo = firstPick; pickNo < nextPick; pickNo++) {
+            if (filled.has(pickNo)) continue;
+            between.push({
+                round: Math.ceil(pickNo / teams),
+                slot: PickAdvisor.ownerSlotForPick(pickNo, teams, orderOptions)
+            });
+        }
+
+        // A handful of picks only ever reaches the top of the board. The window
+        // is wide enough that the spread does not carry anyone past it, and it
+        // always holds the targets and the best kicker and defense left.
+        const ranked = availablePlayers
+            .filter(player => player && player.position)
+            .sort((a, b) => (a.adp || 999) - (b.adp || 999));
+        const pool = ranked.slice(0, between.length * 2 + 30);
+        const inPool = new Set(pool.map(player => String(player.id)));
+        [...targets, ranked.find(p => p.position === 'K'), ranked.find(p => p.position === 'DEF')]
+            .forEach(player => {
+                if (player && !inPool.has(String(player.id))) {
+                    inPool.add(String(player.id));
+                    pool.push(player);
+                }
+            });
+
+        const baseCounts = this.countsBySlot(picks, teams, orderOptions, playerLookup);
+        const limits = PickAdvisor.rosterLimits(rosterFormat);
+        const targetIds = targets.map(player => String(player.id));
+        const survived = new Map(targetIds.map(id => [id, 0]));
+
+        for (let run = 0; run < simulations; run++) {
+            const taken = new Set();
+            const counts = new Map();
+
+            between.forEach(({ round, slot }) => {
+                if (!counts.has(slot)) counts.set(slot, { ...(baseCounts.get(slot) || {}) });
+                const have = counts.get(slot);
+                const roundsLeft = rounds ? rounds - round + 1 : Infinity;
+
+                let best = null;
+                let bestScore = Infinity;
+                pool.forEach(player => {
+                    if (taken.has(player)) return;
+                    const score = this.opponentPickScore(player, have, limits, roundsLeft, random);
+                    if (score < bestScore) {
+                        bestScore = score;
+                        best = player;
+                    }
+                });
+
+                if (!best) return;
+                taken.add(best);
+                have[best.position] = (have[best.position] || 0) + 1;
+            });
+
+            pool.forEach(player => {
+                const id = String(player.id);
+                if (!taken.has(player) && survived.has(id)) survived.set(id, survived.get(id) + 1);
+            });
+        }
+
+        survived.forEach((count, id) => {
+            availability.set(id, {
+                probability: count / Math.max(1, simulations),
+                nextPick,
+                picksUntil: between.length
+            });
+        });
+
+        return availability;
+    }
+
+    /**
+     * One simulated opponent's view of a player, in picks: lower is taken
+     * first. Infinity means the team would not take him at all.
+     */
+    opponentPickScore(player, have, limits, roundsLeft, random) {
+        const position = player.position;
+        const limit = limits[position] || { starters: 0, max: 2 };
+        const count = have[position] || 0;
+
+        if (count >= limit.max) return Infinity;
+        if (['K', 'DEF'].includes(position) && roundsLeft > 2) return Infinity;
+
+        const adp = player.adp || 999;
+        let score = adp + PickAdvisor.gaussian(random) * PickAdvisor.adpSpread(adp);
+
+        if (count < limit.starters) {
+            score -= PickAdvisor.OPPONENT_NEED_PULL * (limit.starters - count);
+        } else {
+            score += PickAdvisor.OPPONENT_NEED_PULL * (count - limit.starters + 1) / 2;
+        }
+
+        return score;
+    }
+
+    /** Positions already drafted by each slot, from the live pick feed. */
+    countsBySlot(picks, teams, orderOptions, playerLookup) {
+        const counts = new Map();
+        picks.forEach((pick, index) => {
+            // The roster that made the pick, not the column it sits in - those
+            // differ when the pick was traded.
+            const slot = PickAdvisor.slotForRoster(pick.roster_id, orderOptions.slotToRosterId)
+                || Number(pick.draft_slot)
+                || PickAdvisor.ownerSlotForPick(pick.pick_no || index + 1, teams, orderOptions);
+            const position = playerLookup(pick)?.position;
+            if (!position) return;
+            if (!counts.has(slot)) counts.set(slot, {});
+            const have = counts.get(slot);
+            have[position] = (have[position] || 0) + 1;
+        });
+        return counts;
+    }
+
+    /**
+     * One line on pick order, when the odds make it worth saying: take the
+     * player who will not last, and wait on the one who is likely to come back.
+     * Returns null when there is nothing to choose between.
+     */
+    availabilityAdvice(recommendations) {
+        const rated = recommendations.filter(rec => rec.availability);
+        if (rated.length < 2) return null;
+
+        const percent = rec => PickAdvisor.formatOdds(rec.availability.probability);
+        const nextPick = rated[0].availability.nextPick;
+        const gone = rated.filter(rec => rec.availability.probability < 0.4);
+        const back = rated.filter(rec => rec.availability.probability >= 0.6);
+        if (!gone.length || !back.length) return null;
+
+        const now = gone[0];
+        const later = back.find(rec => rec.player.position !== now.player.position) || back[0];
+        return `Take ${now.player.name} now - only ${percent(now)} to last to pick ${nextPick}. ` +
+            `${later.player.name} is ${percent(later)} likely to come back.`;
+    }
+
+    /**
+     * A simulated probability as a percentage. A thousand runs cannot tell
+     * "never" from "one time in two thousand", so the ends are left open.
+     */
+    static formatOdds(probability) {
+        if (probability >= 0.995) return '>99%';
+        if (probability < 0.005) return '<1%';
+        return `${Math.round(probability * 100)}%`;
+    }
 }
 
+PickAdvisor.AVAILABILITY_SIMULATIONS = 1000;
+// A missing starter moves a player this many picks up an opponent's board.
+PickAdvisor.OPPONENT_NEED_PULL = 4;
+
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = PickAdvisor;
@@ -10,8 +10,12 @@ class PlayoffSimulator {
         this.currentWeek = null;
         this.leagueData = null;
         this.simulationCache = new Map();
-        this.seasonLength = 14; // Standard regular season length
+        this.seasonLength = PlayoffSimulator.DEFAULT_SEASON_LENGTH; // Until the league says otherwise
         this.playoffWeeks = 3; // Weeks 15-17
+        this.rules = { divisions: 0, medianGames: false };
+        this.seed = null;
+        this.random = Math.random;
+        this.simulationController = null;
         
         console.log('🏆 PlayoffSimulator: Initializing playoff probability calculator...');
     }
@@ -23,6 +27,17 @@ class PlayoffSimulator {
         console.log('✅ PlayoffSimulator: Initialization complete');
     }
 
+    /**
+     * Every draw in the season and bracket models comes from `this.random`.
+     * Seeding it replays a run exactly; see SeededRandom.
+     */
+    useSeed(seed = SeededRandom.newSeed()) {
+        const rng = new SeededRandom(seed);
+        this.seed = rng.seed;
+        this.random = rng.next;
+        return this.seed;
+    }
+
     async loadCurrentWeek() {
         try {
             const nflState = await this.sleeperAPI.fetchAPI('/state/nfl');
@@ -34,26 +49,40 @@ class PlayoffSimulator {
         }
     }
 
-    async runPlayoffSimulation(leagueData, targetTeam, numSimulations = 10000) {
+    /**
+     * `options.seed` replays an earlier run; `onProgress` and `signal` are
+     * passed through to simulate().
+     */
+    async runPlayoffSimulation(leagueData, targetTeam, numSimulations = 100000, { seed = null, onProgress = null, signal = null } = {}) {
         try {
             console.log(`🎲 Running ${numSimulations} playoff simulations...`);
             
             this.leagueData = leagueData;
             const { rosters, users } = leagueData;
+
+            // Who plays whom for the rest of the season, and how each lineup
+            // projects. Demo data has no schedule, and runs on records alone.
+            this.applyLeagueSettings(leagueData.league);
+            await this.loadSchedule(leagueData);
             
             // Calculate current standings
             const standings = this.calculateCurrentStandings(rosters, users);
             
             // Determine playoff structure
-            const playoffStructure = this.determinePlayoffStructure(rosters.length);
+            const playoffStructure = this.determinePlayoffStructure(rosters.length, leagueData.league);
             
+            // Seeded after the loading, so the draws start from the same
+            // place however long the requests took.
+            this.useSeed(seed ?? SeededRandom.newSeed());
+
             // Run simulations
             const simResults = await this.runSeasonSimulations(
-                standings, playoffStructure, targetTeam, numSimulations
+                standings, playoffStructure, targetTeam, numSimulations, { onProgress, signal, clinching: true }
             );
             
             // Generate scenario analysis
-            const scenarios = this.generateScenarios(standings, targetTeam, playoffStructure);
+            const { clinching } = simResults;
+            const scenarios = this.generateScenarios(standings, targetTeam, playoffStructure, clinching);
             
             // Calculate championship odds
             const championshipOdds = this.calculateChampionshipOdds(simResults, targetTeam);
@@ -61,43 +90,72 @@ class PlayoffSimulator {
             return {
                 currentWeek: this.currentWeek,
                 seasonLength: this.seasonLength,
+                seed: this.seed,
                 remainingGames: Math.max(0, this.seasonLength - this.currentWeek + 1),
                 standings,
+                clinching,
                 playoffStructure,
                 simulations: {
-                    total: numSimulations,
+                    total: simResults.simulations,
                     results: simResults
                 },
                 playoffOdds: simResults.playoffOdds,
                 championshipOdds,
                 scenarios,
+                remainingSchedule: this.describeRemainingSchedule(targetTeam.roster.roster_id, standings),
                 keyInsights: this.generateKeyInsights(simResults, scenarios, targetTeam),
                 recommendations: this.generatePlayoffRecommendations(simResults, scenarios, targetTeam)
             };
 
         } catch (error) {
-            console.error('❌ Error running playoff simulation:', error);
+            if (error.name !== 'AbortError') console.error('❌ Error running playoff simulation:', error);
             throw error;
         }
     }
 
+    /**
+     * Reads the league's own rules from `league.settings`: the week the
+     * playoffs start, which ends the regular season, whether teams are split
+     * into divisions, and whether each week adds a game against the league
+     * median. Without a league the defaults stand.
+     */
+    applyLeagueSettings(league) {
+        const settings = league?.settings || {};
+        const playoffWeekStart = Number(settings.playoff_week_start);
+
+        this.seasonLength = playoffWeekStart > 1 ? playoffWeekStart - 1 : PlayoffSimulator.DEFAULT_SEASON_LENGTH;
+        this.rules = {
+            divisions: Number(settings.divisions) || 0,
+            medianGames: Number(settings.league_average_match) === 1
+        };
+    }
+
+    /** Weeks a record covers. A median league plays two games a week. */
+    weeksPlayed(gamesPlayed) {
+        return this.rules.medianGames ? gamesPlayed / 2 : gamesPlayed;
+    }
+
     calculateCurrentStandings(rosters, users) {
         const standings = rosters.map(roster => {
             const user = users.find(u => u.user_id === roster.owner_id);
             const wins = roster.settings?.wins || 0;
             const losses = roster.settings?.losses || 0;
             const ties = roster.settings?.ties || 0;
-            const pointsFor = roster.settings?.fpts || 0;
-            const pointsAgainst = roster.settings?.fpts_against || 0;
+            // Sleeper splits points into whole and hundredths; ties in the
+            // standings are broken on the full figure.
+            const pointsFor = (roster.settings?.fpts || 0) + (roster.settings?.fpts_decimal || 0) / 100;
+            const pointsAgainst = (roster.settings?.fpts_against || 0) + (roster.settings?.fpts_against_decimal || 0) / 100;
             
             const gamesPlayed = wins + losses + ties;
+            const weeksPlayed = this.weeksPlayed(gamesPlayed);
             const winPercentage = gamesPlayed > 0 ? wins / gamesPlayed : 0;
-            const avgPointsFor = gamesPlayed > 0 ? pointsFor / gamesPlayed : 0;
-            const avgPointsAgainst = gamesPlayed > 0 ? pointsAgainst / gamesPlayed : 0;
+            const avgPointsFor = weeksPlayed > 0 ? pointsFor / weeksPlayed : 0;
+            const avgPointsAgainst = weeksPlayed > 0 ? pointsAgainst / weeksPlayed : 0;
             
             return {
                 rosterId: roster.roster_id,
                 teamName: user?.metadata?.team_name || user?.display_name || `Team ${roster.roster_id}`,
+                division: Number(roster.settings?.division) || null,
                 wins,
                 losses,
                 ties,
@@ -112,11 +170,164 @@ class PlayoffSimulator {
             };
         });
 
-        // Sort by wins, then points for
-        return standings.sort((a, b) => {
-            if (a.wins !== b.wins) return b.wins - a.wins;
-            return b.pointsFor - a.pointsFor;
+        return this.rankTeams(standings);
+    }
+
+    /**
+     * Standings in the order Sleeper seeds them: by record, ties in the
+     * record broken on points for. In a league with divisions, each
+     * division's leader is seeded ahead of every wild card.
+     *
+     * `winsKey` and `lossesKey` pick the record to rank by - the current one,
+     * or a simulated season's.
+     */
+    rankTeams(teams, winsKey = 'wins', lossesKey = 'losses') {
+        const record = team => {
+            const wins = team[winsKey] || 0;
+            const games = wins + (team[lossesKey] || 0) + (team.ties || 0);
+            return games > 0 ? (wins + (team.ties || 0) / 2) / games : 0;
+        };
+        const byRecord = [...teams].sort((a, b) => record(b) - record(a) || b.pointsFor - a.pointsFor);
+        if (this.rules.divisions < 2) return byRecord;
+
+        const leaders = [];
+        const divisionsSeen = new Set();
+        byRecord.forEach(team => {
+            if (team.division && !divisionsSeen.has(team.division)) {
+                divisionsSeen.add(team.division);
+                leaders.push(team);
+            }
+        });
+
+        return [...leaders, ...byRecord.filter(team => !leaders.includes(team))];
+    }
+
+    /**
+     * Every team's final rank, playoffs included, as the share of simulated
+     * seasons ending at each rank. runSeasonSimulations follows one team; a
+     * draft pick needs them all, since its slot is set by where its original
+     * owner finishes.
+     */
+    async projectFinishes(leagueData, numSimulations = 2000, seed = null) {
+        const { rosters, users = [] } = leagueData;
+        this.applyLeagueSettings(leagueData.league);
+        await this.loadSchedule(leagueData);
+
+        const standings = this.calculateCurrentStandings(rosters, users);
+        const playoffStructure = this.determinePlayoffStructure(rosters.length, leagueData.league);
+        this.useSeed(seed ?? SeededRandom.newSeed());
+
+        const { tallies, simulations } = await this.simulate(standings, playoffStructure, numSimulations);
+
+        const finishes = new Map();
+        standings.forEach(({ rosterId }) => {
+            const distribution = {};
+            Object.entries(tallies[rosterId].finishes).forEach(([rank, count]) => {
+                distribution[rank] = count / simulations;
+            });
+            finishes.set(rosterId, { averageFinish: tallies[rosterId].finishSum / simulations, distribution });
+        });
+
+        return finishes;
+    }
+
+    /**
+     * Both teams' odds with and without a trade. `trade` is
+     * `{ teamA, teamB, gives, gets }`: the two roster ids, the player ids
+     * teamA sends and the player ids it gets back.
+     *
+     * The trade is applied to both rosters and their best weekly lineups are
+     * re-projected for the rest of the season; every other team keeps its
+     * projection, and both teams keep their scoring spread. Both runs share a
+     * seed, so the only thing that differs between them is the trade.
+     *
+     * Resolves null when the rest of the season cannot be projected from
+     * lineups - without the schedule and weekly projections, a simulation
+     * from records alone cannot tell the rosters apart.
+     */
+    async projectTradeOdds(leagueData, trade, numSimulations = PlayoffSimulator.TRADE_SIMULATIONS,
+        { seed = null, signal = null, onProgress = null } = {}) {
+        const { rosters, users = [] } = leagueData;
+        this.applyLeagueSettings(leagueData.league);
+        await this.loadSchedule(leagueData);
+
+        const ids = [trade.teamA, trade.teamB];
+        const before = this.schedule?.strengths;
+        const weeks = [...(before?.get(trade.teamA)?.byWeek.keys() || [])];
+        if (!weeks.length || !before.has(trade.teamB)) return null;
+
+        const moving = new Map([
+            ...trade.gives.map(id => [String(id), trade.teamB]),
+            ...trade.gets.map(id => [String(id), trade.teamA])
+        ]);
+        const tradedRosters = rosters.map(roster => {
+            if (!ids.includes(roster.roster_id)) return roster;
+            const kept = (roster.players || []).map(String).filter(id => !moving.has(id));
+            const incoming = [...moving].filter(([, to]) => to === roster.roster_id).map(([id]) => id);
+            return { ...roster, players: [...kept, ...incoming] };
+        });
+
+        const means = await this.projectLineups({ ...leagueData, rosters: tradedRosters }, weeks);
+        if (!means) return null;
+
+        const after = new Map(before);
+        ids.forEach(id => {
+            const byWeek = means.get(id);
+            const projected = [...byWeek.values()].filter(points => points > 0);
+            if (!projected.length) return;
+            after.set(id, {
+                ...before.get(id),
+                byWeek,
+                mean: projected.reduce((sum, points) => sum + points, 0) / projected.length
+            });
         });
+
+        const standings = this.calculateCurrentStandings(rosters, users);
+        const playoffStructure = this.determinePlayoffStructure(rosters.length, leagueData.league);
+        seed = this.useSeed(seed ?? SeededRandom.newSeed());
+
+        // Two runs back to back, reported as one.
+        const run = async (strengths, offset) => {
+            this.schedule.strengths = strengths;
+            this.useSeed(seed);
+            return this.simulate(standings, playoffStructure, numSimulations, {
+                signal,
+                onProgress: onProgress && ((done, total) => onProgress(offset + done, total * 2))
+            });
+        };
+
+        let baseline, traded;
+        try {
+            baseline = await run(before, 0);
+            traded = await run(after, numSimulations);
+        } finally {
+            this.schedule.strengths = before;
+        }
+
+        const odds = ({ tallies, simulations }, rosterId) => {
+            const tally = tallies[rosterId] || PlayoffSimulator.emptyTally();
+            return {
+                playoffOdds: (tally.playoffs / simulations) * 100,
+                byeOdds: (tally.byes / simulations) * 100,
+                championshipOdds: (tally.titles / simulations) * 100,
+                projectedWins: tally.winsSum / simulations,
+                averageFinish: tally.finishSum / simulations
+            };
+        };
+
+        return {
+            seed,
+            simulations: traded.simulations,
+            teams: ids.map(rosterId => ({
+                rosterId,
+                before: odds(baseline, rosterId),
+                after: odds(traded, rosterId),
+                weeklyPoints: {
+                    before: before.get(rosterId).mean,
+                    after: after.get(rosterId).mean
+                }
+            }))
+        };
     }
 
     calculateStrengthOfSchedule(roster, allRosters) {
@@ -165,124 +376,100 @@ class PlayoffSimulator {
         return totalGames > 0 ? totalPoints / totalGames : 100;
     }
 
-    determinePlayoffStructure(leagueSize) {
-        let playoffTeams, firstRoundByes;
-        
-        if (leagueSize <= 8) {
-            playoffTeams = 4;
-            firstRoundByes = 0;
-        } else if (leagueSize <= 10) {
-            playoffTeams = 4;
-            firstRoundByes = 0;
-        } else if (leagueSize <= 12) {
-            playoffTeams = 6;
-            firstRoundByes = 2;
-        } else {
-            playoffTeams = 6;
-            firstRoundByes = 2;
-        }
+    /**
+     * The bracket, from `league.settings.playoff_teams` when the league is
+     * known. A bracket that is not a power of two is filled out with byes
+     * for the top seeds, as Sleeper does - six teams means two byes.
+     * Without a league the size is guessed from the number of teams.
+     */
+    determinePlayoffStructure(leagueSize, league = null) {
+        const playoffTeams = Math.min(leagueSize, Number(league?.settings?.playoff_teams) || (leagueSize <= 10 ? 4 : 6));
+        const bracketSize = 2 ** Math.ceil(Math.log2(Math.max(2, playoffTeams)));
+        const firstRoundByes = bracketSize - playoffTeams;
+        const roundCount = Math.log2(bracketSize);
+        const roundNames = ['Championship', 'Semifinals', 'Quarterfinals'];
+
+        const rules = [];
+        if (firstRoundByes === 1) rules.push('Top seed gets a bye');
+        else if (firstRoundByes > 1) rules.push(`Top ${firstRoundByes} get byes`);
+        if (this.rules.divisions > 1) rules.push(`${this.rules.divisions} division winners seeded first`);
+        if (this.rules.medianGames) rules.push('weekly median games');
         
         return {
             leagueSize,
             playoffTeams,
             firstRoundByes,
-            playoffFormat: firstRoundByes > 0 ? 'Top 2 get byes' : 'No byes',
-            rounds: [
-                { round: 1, teams: playoffTeams - firstRoundByes, description: 'Wild Card' },
-                { round: 2, teams: playoffTeams / 2, description: 'Semifinals' },
-                { round: 3, teams: 2, description: 'Championship' }
-            ]
+            divisions: this.rules.divisions,
+            medianGames: this.rules.medianGames,
+            playoffWeekStart: this.seasonLength + 1,
+            playoffFormat: rules.length ? rules.join(', ') : 'No byes',
+            rounds: Array.from({ length: roundCount }, (_, index) => {
+                const remaining = roundCount - index;
+                return {
+                    round: index + 1,
+                    teams: index === 0 ? playoffTeams - firstRoundByes : 2 ** remaining,
+                    description: roundNames[remaining - 1] || 'Wild Card'
+                };
+            })
         };
     }
 
-    async runSeasonSimulations(standings, playoffStructure, targetTeam, numSimulations) {
+    async runSeasonSimulations(standings, playoffStructure, targetTeam, numSimulations, options = {}) {
+        const { tallies, simulations, clinching } = await this.simulate(standings, playoffStructure, numSimulations, options);
+        const tally = tallies[targetTeam.roster.roster_id] || PlayoffSimulator.emptyTally();
+
         const results = {
-            playoffAppearances: 0,
-            championshipAppearances: 0,
-            championships: 0,
-            averageFinish: 0,
+            simulations,
+            clinching: clinching || null,
+            playoffAppearances: tally.playoffs,
+            championshipAppearances: tally.finals,
+            championships: tally.titles,
+            averageFinish: tally.finishSum / simulations,
             finishDistribution: {},
-            playoffOdds: 0,
-            championshipOdds: 0,
+            playoffOdds: (tally.playoffs / simulations) * 100,
+            championshipOdds: (tally.titles / simulations) * 100,
+            playoffOddsInterval: SeededRandom.proportionInterval(tally.playoffs, simulations),
+            championshipOddsInterval: SeededRandom.proportionInterval(tally.titles, simulations),
             seedDistribution: {},
             scenarioOutcomes: {}
         };
 
-        const targetRosterId = targetTeam.roster.roster_id;
-        let totalFinish = 0;
-
-        for (let sim = 0; sim < numSimulations; sim++) {
-            const seasonResult = this.simulateRestOfSeason(standings);
-            const playoffResult = this.simulatePlayoffs(seasonResult, playoffStructure);
-            
-            const targetTeamResult = playoffResult.find(t => t.rosterId === targetRosterId);
-            
-            if (targetTeamResult) {
-                totalFinish += targetTeamResult.finalRank;
-                
-                // Track finish distribution
-                const finish = targetTeamResult.finalRank;
-                results.finishDistribution[finish] = (results.finishDistribution[finish] || 0) + 1;
-                
-                // Track playoff appearances
-                if (targetTeamResult.madePlayoffs) {
-                    results.playoffAppearances++;
-                    
-                    // Track seed distribution
-                    const seed = targetTeamResult.playoffSeed;
-                    results.seedDistribution[seed] = (results.seedDistribution[seed] || 0) + 1;
-                    
-                    // Track championship game appearances
-                    if (targetTeamResult.reachedChampionship) {
-                        results.championshipAppearances++;
-                        
-                        // Track championships
-                        if (targetTeamResult.wonChampionship) {
-                            results.championships++;
-                        }
-                    }
-                }
-            }
-        }
-
-        // Calculate percentages
-        results.playoffOdds = (results.playoffAppearances / numSimulations) * 100;
-        results.championshipOdds = (results.championships / numSimulations) * 100;
-        results.averageFinish = totalFinish / numSimulations;
-
-        // Convert distributions to percentages
-        Object.keys(results.finishDistribution).forEach(finish => {
-            results.finishDistribution[finish] = (results.finishDistribution[finish] / numSimulations) * 100;
+        Object.entries(tally.finishes).forEach(([finish, count]) => {
+            results.finishDistribution[finish] = (count / simulations) * 100;
         });
 
         // Seed shares are conditional on making the playoffs at all, so a team
         // that never got there would otherwise divide by zero and report NaN.
-        Object.keys(results.seedDistribution).forEach(seed => {
-            results.seedDistribution[seed] = results.playoffAppearances
-                ? (results.seedDistribution[seed] / results.playoffAppearances) * 100
-                : 0;
+        Object.entries(tally.seeds).forEach(([seed, count]) => {
+            results.seedDistribution[seed] = tally.playoffs ? (count / tally.playoffs) * 100 : 0;
         });
 
         return results;
     }
 
-    simulateRestOfSeason(standings) {
+    /**
+     * One simulated finish to the regular season. `forcedResults` and
+     * `winners` only apply to the scheduled model; see simulateScheduledSeason.
+     */
+    simulateRestOfSeason(standings, forcedResults = null, winners = null) {
+        if (this.schedule?.weeks.length) return this.simulateScheduledSeason(standings, forcedResults, winners);
+
         const remainingWeeks = Math.max(0, this.seasonLength - this.currentWeek + 1);
         if (remainingWeeks === 0) return standings;
 
-        return standings.map(team => {
-            const additionalWins = this.simulateRemainingGames(team, remainingWeeks);
+        // A median league plays the median as well as an opponent each week.
+        const remainingGames = remainingWeeks * (this.rules.medianGames ? 2 : 1);
+
+        return this.rankTeams(standings.map(team => {
+            const additionalWins = this.simulateRemainingGames(team, remainingGames);
             
             return {
                 ...team,
                 projectedWins: team.wins + additionalWins,
-                projectedLosses: team.losses + (remainingWeeks - additionalWins),
-                finalWinPercentage: (team.wins + additionalWins) / this.seasonLength
+                projectedLosses: team.losses + (remainingGames - additionalWins),
+                finalWinPercentage: (team.wins + additionalWins) / (team.gamesPlayed + remainingGames)
             };
-        }).sort((a, b) => {
-            if (a.projectedWins !== b.projectedWins) return b.projectedWins - a.projectedWins;
-            return b.pointsFor - a.pointsFor; // Tiebreaker
-        });
+        }), 'projectedWins', 'projectedLosses');
     }
 
     simulateRemainingGames(team, remainingWeeks) {
@@ -297,7 +484,7 @@ class PlayoffSimulator {
         adjustedWinProb = Math.max(0.1, Math.min(0.9, adjustedWinProb));
         
         for (let week = 0; week < remainingWeeks; week++) {
-            if (Math.random() < adjustedWinProb) {
+            if (this.random() < adjustedWinProb) {
                 wins++;
             }
         }
@@ -305,6 +492,70 @@ class PlayoffSimulator {
         return wins;
     }
 
+    /**
+     * The rest of the season game by game, as Sleeper scheduled it. Each team
+     * scores its projected lineup plus its own week-to-week noise, so a strong
+     * team with a hard run-in can finish behind a weaker one with an easy one,
+     * and a game against a rival for the last playoff spot costs that rival a
+     * win as well. Simulated points count toward points for, which breaks
+     * ties in the standings.
+     *
+     * `forcedResults` (gameKey -> winning roster id) settles games in advance
+     * for a what-if. Both scores are still drawn, so a forced game uses up
+     * the same draws as a played one and every other game comes out as it
+     * would have on the same seed; the forced winner takes the higher score.
+     * When a `winners` array is passed, each game's winner is appended to it
+     * in schedule order.
+     */
+    simulateScheduledSeason(standings, forcedResults = null, winners = null) {
+        const teams = new Map(standings.map(team => [team.rosterId, {
+            ...team,
+            projectedWins: team.wins,
+            projectedLosses: team.losses
+        }]));
+
+        this.schedule.weeks.forEach(({ week, games }) => {
+            const scores = [];
+            games.forEach(([idA, idB]) => {
+                const teamA = teams.get(idA);
+                const teamB = teams.get(idB);
+                if (!teamA || !teamB) {
+                    if (winners) winners.push(null);
+                    return;
+                }
+
+                let scoreA = this.sampleScore(idA, week);
+                let scoreB = this.sampleScore(idB, week);
+                const forced = forcedResults?.[PlayoffSimulator.gameKey(week, idA, idB)];
+                if (forced !== undefined && (forced === idA) !== (scoreA >= scoreB)) {
+                    [scoreA, scoreB] = [scoreB, scoreA];
+                }
+                if (winners) winners.push(scoreA >= scoreB ? idA : idB);
+
+                teamA.pointsFor += scoreA;
+                teamB.pointsFor += scoreB;
+                scores.push([teamA, scoreA], [teamB, scoreB]);
+
+                const [winner, loser] = scoreA >= scoreB ? [teamA, teamB] : [teamB, teamA];
+                winner.projectedWins++;
+                loser.projectedLosses++;
+            });
+
+            // The median game: the top half of the week's scores win it.
+            if (this.rules.medianGames && scores.length) {
+                scores.sort((a, b) => b[1] - a[1]).forEach(([team], index) => {
+                    if (index < scores.length / 2) team.projectedWins++;
+                    else team.projectedLosses++;
+                });
+            }
+        });
+
+        return this.rankTeams(Array.from(teams.values()).map(team => ({
+            ...team,
+            finalWinPercentage: team.projectedWins / Math.max(1, team.projectedWins + team.projectedLosses + team.ties)
+        })), 'projectedWins', 'projectedLosses');
+    }
+
     /**
      * Plays a real single-elimination bracket: byes sit out the opening round,
      * survivors are reseeded each round, and exactly one team is left standing.
@@ -385,26 +636,478 @@ class PlayoffSimulator {
     }
 
     /**
-     * Decides one playoff game. Scoring average drives the edge, damped so a
-     * strong team is a favourite rather than a certainty - fantasy weeks are
-     * high-variance and even the best roster loses often enough to matter.
+     * Decides one playoff game. With a loaded schedule both teams score their
+     * projected lineups with their own variance, as in the regular season.
+     * Without one, scoring average drives the edge, damped so a strong team is
+     * a favourite rather than a certainty - fantasy weeks are high-variance
+     * and even the best roster loses often enough to matter.
      *
      * Seeding advantage is not applied on top of this: it already emerges from
      * the bracket, where a high seed skips a round or faces a weaker opponent.
      */
     playMatchup(teamA, teamB) {
+        if (this.schedule?.strengths.has(teamA.rosterId) && this.schedule.strengths.has(teamB.rosterId)) {
+            return this.sampleScore(teamA.rosterId) >= this.sampleScore(teamB.rosterId)
+                ? [teamA, teamB]
+                : [teamB, teamA];
+        }
+
         const strengthA = Math.max(1, teamA.avgPointsFor || 100);
         const strengthB = Math.max(1, teamB.avgPointsFor || 100);
 
         const edge = (strengthA - strengthB) / (strengthA + strengthB);
         const probA = Math.max(0.25, Math.min(0.75, 0.5 + edge * 1.5));
 
-        return Math.random() < probA ? [teamA, teamB] : [teamB, teamA];
+        return this.random() < probA ? [teamA, teamB] : [teamB, teamA];
+    }
+
+    // ======================
+    // SIMULATION ENGINE
+    // ======================
+
+    /**
+     * Plays the rest of the season and the bracket `numSimulations` times and
+     * counts, for every team, how each one ended. Every set of odds in the app
+     * is read off these tallies, whichever team or question it is about.
+     *
+     * Options: `onProgress(done, total)`; `forcedResults` for a what-if (see
+     * simulateScheduledSeason); and `focusRosterId`, which also counts, for
+     * every scheduled game, how often that team made the playoffs with each
+     * side winning - the raw material for gamesThatMatter().
+     *
+     * This is the loop the simulation worker runs. It draws only from
+     * `this.random` and reads only the state in simulationState(), so the
+     * worker and the page get the same answer from the same seed.
+     */
+    tallySeasons(standings, playoffStructure, numSimulations, { onProgress = null, forcedResults = null, focusRosterId = null } = {}) {
+        const tallies = {};
+        standings.forEach(team => { tallies[team.rosterId] = PlayoffSimulator.emptyTally(); });
+        const games = focusRosterId !== null && this.schedule
+            ? this.schedule.weeks.flatMap(({ week, games: pairs }) => pairs.map(([teamA, teamB]) => ({
+                week, teamA, teamB, winsA: 0, focusInWhenA: 0, focusInWhenB: 0
+            })))
+            : [];
+        const reportEvery = Math.max(1, Math.floor(numSimulations / PlayoffSimulator.PROGRESS_STEPS));
+
+        for (let sim = 1; sim <= numSimulations; sim++) {
+            const winners = games.length ? [] : null;
+            const season = this.simulateRestOfSeason(standings, forcedResults, winners);
+            let focusIn = false;
+
+            this.simulatePlayoffs(season, playoffStructure).forEach(team => {
+                const tally = tallies[team.rosterId];
+                if (!tally) return;
+
+                tally.finishes[team.finalRank] = (tally.finishes[team.finalRank] || 0) + 1;
+                tally.finishSum += team.finalRank;
+                tally.winsSum += team.projectedWins ?? team.wins;
+
+                if (team.madePlayoffs) {
+                    tally.playoffs++;
+                    tally.seeds[team.playoffSeed] = (tally.seeds[team.playoffSeed] || 0) + 1;
+                    if (team.playoffSeed <= playoffStructure.firstRoundByes) tally.byes++;
+                    if (team.reachedChampionship) tally.finals++;
+                    if (team.wonChampionship) tally.titles++;
+                    if (team.rosterId === focusRosterId) focusIn = true;
+                }
+            });
+
+            games.forEach((game, index) => {
+                if (winners[index] === game.teamA) {
+                    game.winsA++;
+                    if (focusIn) game.focusInWhenA++;
+                } else if (winners[index] === game.teamB && focusIn) {
+                    game.focusInWhenB++;
+                }
+            });
+
+            if (onProgress && (sim % reportEvery === 0 || sim === numSimulations)) {
+                onProgress(sim, numSimulations);
+            }
+        }
+
+        return { teams: tallies, games };
+    }
+
+    static emptyTally() {
+        return { finishes: {}, seeds: {}, finishSum: 0, winsSum: 0, playoffs: 0, byes: 0, finals: 0, titles: 0 };
+    }
+
+    /**
+     * The remaining games ranked by how much their result moves the focus
+     * team's playoff odds, from tallySeasons' game counts: its odds in the
+     * seasons one side won against those the other side won. Games decided
+     * almost every time one way are left out - a handful of upsets is too few
+     * seasons to say what the other result would do.
+     */
+    static gamesThatMatter(games, simulations) {
+        const minimum = simulations * PlayoffSimulator.MIN_OUTCOME_SHARE;
+
+        return games
+            .filter(game => game.winsA >= minimum && simulations - game.winsA >= minimum)
+            .map(game => {
+                const oddsIfA = (game.focusInWhenA / game.winsA) * 100;
+                const oddsIfB = (game.focusInWhenB / (simulations - game.winsA)) * 100;
+                return {
+                    week: game.week,
+                    teamA: game.teamA,
+                    teamB: game.teamB,
+                    oddsIfA,
+                    oddsIfB,
+                    swing: Math.abs(oddsIfA - oddsIfB)
+                };
+            })
+            .sort((a, b) => b.swing - a.swing);
+    }
+
+    /** The key a scheduled game is forced by, whichever side is listed first. */
+    static gameKey(week, idA, idB) {
+        return `${week}:${Math.min(idA, idB)}-${Math.max(idA, idB)}`;
+    }
+
+    /** Everything tallySeasons reads besides its arguments. */
+    simulationState() {
+        return {
+            currentWeek: this.currentWeek,
+            seasonLength: this.seasonLength,
+            rules: this.rules,
+            schedule: this.schedule || null
+        };
+    }
+
+    /**
+     * A simulator for the worker, rebuilt from simulationState(). The
+     * constructor is skipped: it sets up an API client the worker has no use
+     * for and could not load.
+     */
+    static fromSimulationState(state) {
+        return Object.assign(Object.create(PlayoffSimulator.prototype), {
+            random: Math.random,
+            seed: null,
+            ...state
+        });
+    }
+
+    /**
+     * Runs tallySeasons on the current seed, in the simulation worker when the
+     * browser allows one, so a 100,000-season run leaves the page responsive.
+     * `onProgress(done, total)` is called as it goes; aborting `signal` stops
+     * the worker and rejects with an AbortError. `forcedResults` and
+     * `focusRosterId` are passed through to tallySeasons. With `clinching`
+     * set, the worker also runs analyzeClinching once the seasons are played -
+     * for a full league it takes long enough to stall the page as well - and
+     * the result carries it.
+     *
+     * Where a worker cannot be started - a page opened from disk, an old
+     * browser, a worker script that fails to load - the seasons are played
+     * here instead, capped at MAIN_THREAD_SIMULATIONS so the page does not
+     * freeze, and cannot be stopped part way. Resolves with the team tallies,
+     * the game counts, the number of seasons actually played and the
+     * clinching statuses, if asked for.
+     */
+    async simulate(standings, playoffStructure, numSimulations,
+        { onProgress = null, signal = null, forcedResults = null, focusRosterId = null, clinching = false } = {}) {
+        if (signal?.aborted) throw PlayoffSimulator.cancelled();
+
+        let worker = null;
+        try {
+            worker = typeof Worker !== 'undefined' ? new Worker(PlayoffSimulator.WORKER_URL) : null;
+        } catch (error) {
+            console.warn('⚠️ Simulation worker unavailable, simulating on the page:', error.message);
+        }
+
+        const simulateHere = () => {
+            const simulations = Math.min(numSimulations, PlayoffSimulator.MAIN_THREAD_SIMULATIONS);
+            const { teams, games } = this.tallySeasons(standings, playoffStructure, simulations,
+                { onProgress, forcedResults, focusRosterId });
+            const statuses = clinching ? this.analyzeClinching(standings, playoffStructure) : null;
+            return { tallies: teams, games, simulations, clinching: statuses };
+        };
+
+        if (!worker) return simulateHere();
+
+        return new Promise((resolve, reject) => {
+            // The worker reports failures in the job as messages, so an error
+            // before it has said anything is its script failing to load.
+            let heard = false;
+            const stop = () => {
+                worker.terminate();
+                signal?.removeEventListener('abort', abort);
+            };
+            const abort = () => {
+                stop();
+                reject(PlayoffSimulator.cancelled());
+            };
+            signal?.addEventListener('abort', abort);
+
+            worker.onmessage = ({ data }) => {
+                heard = true;
+                if (data.type === 'progress') {
+                    if (onProgress) onProgress(data.done, data.total);
+                    return;
+                }
+
+                stop();
+                if (data.type === 'result') {
+                    resolve({ tallies: data.teams, games: data.games, simulations: numSimulations, clinching: data.clinching });
+                } else {
+                    reject(new Error(data.message || 'Simulation failed'));
+                }
+            };
+
+            worker.onerror = event => {
+                event.preventDefault();
+                stop();
+                if (heard) {
+                    reject(new Error(event.message || 'Simulation worker failed'));
+                    return;
+                }
+
+                console.warn('⚠️ Simulation worker failed to load, simulating on the page:', event.message);
+                try {
+                    resolve(simulateHere());
+                } catch (error) {
+                    reject(error);
+                }
+            };
+
+            worker.postMessage({
+                state: this.simulationState(),
+                seed: this.seed,
+                standings,
+                playoffStructure,
+                numSimulations,
+                forcedResults,
+                focusRosterId,
+                clinching
+            });
+        });
+    }
+
+    static cancelled() {
+        return new DOMException('Simulation cancelled', 'AbortError');
+    }
+
+    // ======================
+    // REMAINING SCHEDULE
+    // ======================
+
+    /**
+     * Loads the rest of the regular season from Sleeper's weekly matchups,
+     * with what each team is expected to score in every one of those weeks.
+     *
+     * Sleeper publishes the whole season's pairings up front, so the weeks
+     * ahead already say who plays whom. A team's expected score is its best
+     * lineup from that week's projections, in the league's own roster slots;
+     * in a week without projections, the blended weekly rate stands in, and a
+     * roster with no numbers at all is taken at its scoring average. The
+     * spread around it comes from the games already played.
+     *
+     * Leaves `this.schedule` null when there is no league to load from.
+     */
+    async loadSchedule(leagueData) {
+        this.schedule = null;
+        const leagueId = leagueData?.league?.league_id;
+        if (!leagueId || !Array.isArray(leagueData.rosters)) return null;
+        if (this.currentWeek === null) await this.loadCurrentWeek();
+
+        const range = (from, to) => Array.from({ length: Math.max(0, to - from + 1) }, (_, i) => from + i);
+        const firstWeek = Math.max(1, this.currentWeek);
+        const playedWeeks = range(1, Math.min(firstWeek - 1, this.seasonLength));
+        const remainingWeeks = range(firstWeek, this.seasonLength);
+        const fetchWeek = week => this.sleeperAPI.getMatchups(leagueId, week)
+            .then(rows => (Array.isArray(rows) ? rows : []))
+            .catch(() => []);
+
+        try {
+            const [played, upcoming] = await Promise.all([
+                Promise.all(playedWeeks.map(fetchWeek)),
+                Promise.all(remainingWeeks.map(fetchWeek))
+            ]);
+
+            const weeks = remainingWeeks.map((week, index) => ({
+                week,
+                games: PlayoffSimulator.pairMatchups(upcoming[index])
+            })).filter(entry => entry.games.length);
+
+            const means = await this.projectLineups(leagueData, remainingWeeks);
+            const averages = new Map(leagueData.rosters.map(roster => {
+                const settings = roster.settings || {};
+                const weeks = this.weeksPlayed((settings.wins || 0) + (settings.losses || 0) + (settings.ties || 0));
+                return [roster.roster_id, weeks > 0 ? (settings.fpts || 0) / weeks : null];
+            }));
+            const spreads = PlayoffSimulator.scoreSpreads(played);
+
+            // One strength per team: its weekly projections, the average of
+            // them for the playoffs, and its spread.
+            const strengths = new Map();
+            leagueData.rosters.forEach(roster => {
+                const id = roster.roster_id;
+                const byWeek = means?.get(id) || new Map();
+                const projected = [...byWeek.values()].filter(points => points > 0);
+                const mean = projected.length
+                    ? projected.reduce((sum, points) => sum + points, 0) / projected.length
+                    : averages.get(id);
+                if (!mean) return;
+
+                strengths.set(id, {
+                    byWeek,
+                    mean,
+                    spread: spreads.byTeam.get(id)
+                        || spreads.pooled
+                        || mean * PlayoffSimulator.DEFAULT_SCORE_SPREAD
+                });
+            });
+
+            this.schedule = { leagueId, weeks, strengths };
+            console.log(`📅 PlayoffSimulator: ${weeks.length} scheduled weeks, ${strengths.size} teams projected`);
+        } catch (error) {
+            console.warn('⚠️ Could not load the remaining schedule, simulating from records:', error);
+            this.schedule = null;
+        }
+
+        return this.schedule;
+    }
+
+    /** Sleeper lists each team's side of a game; a shared matchup_id pairs them. */
+    static pairMatchups(rows) {
+        const byMatchup = new Map();
+        (rows || []).forEach(row => {
+            if (row.matchup_id === null || row.matchup_id === undefined) return;
+            if (!byMatchup.has(row.matchup_id)) byMatchup.set(row.matchup_id, []);
+            byMatchup.get(row.matchup_id).push(row.roster_id);
+        });
+        return [...byMatchup.values()].filter(pair => pair.length === 2);
+    }
+
+    /**
+     * Each team's standard deviation of weekly score over the games played,
+     * for teams with enough games to measure one, and the league's pooled
+     * figure for the rest.
+     */
+    static scoreSpreads(playedWeeks) {
+        const scores = new Map();
+        playedWeeks.forEach(rows => rows.forEach(row => {
+            if (!(row.points > 0)) return;
+            if (!scores.has(row.roster_id)) scores.set(row.roster_id, []);
+            scores.get(row.roster_id).push(row.points);
+        }));
+
+        const byTeam = new Map();
+        const variances = [];
+        scores.forEach((list, rosterId) => {
+            if (list.length < 2) return;
+            const mean = list.reduce((sum, points) => sum + points, 0) / list.length;
+            const variance = list.reduce((sum, points) => sum + (points - mean) ** 2, 0) / (list.length - 1);
+            variances.push(variance);
+            if (list.length >= PlayoffSimulator.MIN_GAMES_FOR_SPREAD) byTeam.set(rosterId, Math.sqrt(variance));
+        });
+
+        return {
+            byTeam,
+            pooled: variances.length
+                ? Math.sqrt(variances.reduce((sum, v) => sum + v, 0) / variances.length)
+                : null
+        };
+    }
+
+    /**
+     * Every roster's best projected lineup in each week, as a Map of roster
+     * id to a Map of week to points. Null when the league's slots or player
+     * numbers are not available.
+     */
+    async projectLineups(leagueData, weeks) {
+        const { league, rosters } = leagueData;
+        const slots = LineupOptimizer.starterSlots(league?.roster_positions);
+        if (!slots.length) return null;
+
+        const stats = PlayerStats.shared();
+        const allPlayers = leagueData.allPlayers || await this.sleeperAPI.getAllPlayers().catch(() => null);
+        if (!allPlayers) return null;
+
+        await stats.ensureLoaded({
+            season: league?.season,
+            week: this.currentWeek,
+            scoringFormat: this.configManager.config.scoringFormat || 'Half PPR',
+            leagueId: league?.league_id,
+            rosterFormat: this.configManager.config.rosterFormat || 'Standard',
+            teams: rosters.length,
+            allPlayers
+        });
+        if (!stats.hasData()) return null;
+
+        const projections = await Promise.all(weeks.map(week => stats.projectionsForWeek(week).catch(() => new Map())));
+        const means = new Map();
+
+        rosters.forEach(roster => {
+            const unavailable = new Set([...(roster.reserve || []), ...(roster.taxi || [])].map(String));
+            const pool = (roster.players || []).map(String).filter(id => allPlayers[id] && !unavailable.has(id));
+            const byWeek = new Map();
+
+            weeks.forEach((week, index) => {
+                const weekly = projections[index];
+                const pointsFor = weekly.size
+                    ? id => weekly.get(id) ?? 0
+                    : id => stats.projectionFor(id)?.rate ?? 0;
+                byWeek.set(week, LineupOptimizer.bestLineupPoints(slots, pool, allPlayers, pointsFor));
+            });
+
+            means.set(roster.roster_id, byWeek);
+        });
+
+        return means;
+    }
+
+    /** One simulated score: the week's projection, or the team's average, plus noise. */
+    sampleScore(rosterId, week = null) {
+        const strength = this.schedule.strengths.get(rosterId);
+        if (!strength) return 0;
+
+        const weekly = week !== null ? strength.byWeek.get(week) : null;
+        const mean = weekly > 0 ? weekly : strength.mean;
+        return Math.max(0, mean + strength.spread * SeededRandom.gaussian(this.random));
+    }
+
+    /**
+     * The chance team A outscores team B in a week: the gap between their
+     * projections over the combined spread, read off the normal curve.
+     */
+    gameWinProbability(idA, idB, week = null) {
+        const a = this.schedule?.strengths.get(idA);
+        const b = this.schedule?.strengths.get(idB);
+        if (!a || !b) return null;
+
+        const meanA = (week !== null && a.byWeek.get(week) > 0) ? a.byWeek.get(week) : a.mean;
+        const meanB = (week !== null && b.byWeek.get(week) > 0) ? b.byWeek.get(week) : b.mean;
+        const spread = Math.sqrt(a.spread ** 2 + b.spread ** 2);
+        return spread > 0 ? SeededRandom.normalCdf((meanA - meanB) / spread) : 0.5;
+    }
+
+    /** The target team's games left, with the opponent and its chance in each. */
+    describeRemainingSchedule(rosterId, standings) {
+        if (!this.schedule) return [];
+
+        return this.schedule.weeks.map(({ week, games }) => {
+            const game = games.find(pair => pair.includes(rosterId));
+            if (!game) return null;
+
+            const opponentId = game[0] === rosterId ? game[1] : game[0];
+            const opponent = standings.find(team => team.rosterId === opponentId);
+            return {
+                week,
+                opponent: opponent?.teamName || `Team ${opponentId}`,
+                opponentRecord: opponent ? `${opponent.wins}-${opponent.losses}` : '',
+                projected: Math.round(this.schedule.strengths.get(rosterId)?.byWeek.get(week) || 0),
+                opponentProjected: Math.round(this.schedule.strengths.get(opponentId)?.byWeek.get(week) || 0),
+                winProbability: this.gameWinProbability(rosterId, opponentId, week)
+            };
+        }).filter(Boolean);
     }
 
     calculateChampionshipOdds(simResults, targetTeam) {
         return {
             current: simResults.championshipOdds,
+            interval: simResults.championshipOddsInterval,
             comparison: this.compareToLeagueAverage(simResults.championshipOdds, this.leagueData?.rosters?.length || 12),
             factors: this.identifyChampionshipFactors(targetTeam, simResults),
             pathway: this.identifyChampionshipPathway(simResults)
@@ -455,7 +1158,17 @@ class PlayoffSimulator {
         }
     }
 
-    generateScenarios(standings, targetTeam, playoffStructure) {
+    /**
+     * Exact clinch, bye and elimination status and magic number for every
+     * team, keyed by roster id - see ClinchAnalyzer. Null without the
+     * remaining schedule, which the answer depends on.
+     */
+    analyzeClinching(standings, playoffStructure) {
+        if (!this.schedule) return null;
+        return new ClinchAnalyzer(standings, this.schedule.weeks, playoffStructure).analyze();
+    }
+
+    generateScenarios(standings, targetTeam, playoffStructure, clinching = null) {
         const targetRosterId = targetTeam.roster.roster_id;
         const currentTeam = standings.find(t => t.rosterId === targetRosterId);
         const currentRank = standings.findIndex(t => t.rosterId === targetRosterId) + 1;
@@ -467,7 +1180,7 @@ class PlayoffSimulator {
             title: 'Win Remaining Games',
             description: 'If you win all remaining regular season games',
             probability: this.calculateScenarioProb(currentTeam, 'win_out'),
-            outcome: this.calculateWinOutOutcome(currentTeam, standings, playoffStructure),
+            outcome: this.calculateWinOutOutcome(currentTeam, standings, playoffStructure, clinching),
             impact: 'Maximizes playoff chances and seeding'
         });
         
@@ -476,12 +1189,12 @@ class PlayoffSimulator {
             title: 'Lose Remaining Games',
             description: 'If you lose all remaining regular season games',
             probability: this.calculateScenarioProb(currentTeam, 'lose_out'),
-            outcome: this.calculateLoseOutOutcome(currentTeam, standings, playoffStructure),
+            outcome: this.calculateLoseOutOutcome(currentTeam, standings, playoffStructure, clinching),
             impact: 'Likely eliminates playoff chances'
         });
         
         // Scenario 3: What do they need for playoffs?
-        const clinchScenario = this.calculateClinchScenario(standings, targetRosterId, playoffStructure);
+        const clinchScenario = this.calculateClinchScenario(standings, targetRosterId, playoffStructure, clinching);
         scenarios.push({
             title: 'Playoff Clinch',
             description: clinchScenario.description,
@@ -516,7 +1229,12 @@ class PlayoffSimulator {
         return 0;
     }
 
-    calculateWinOutOutcome(currentTeam, standings, playoffStructure) {
+    /**
+     * The seed is an estimate from win totals. Whether winning out is enough
+     * comes from the exact analysis when there is one, which knows who plays
+     * whom; without it, from the same win totals.
+     */
+    calculateWinOutOutcome(currentTeam, standings, playoffStructure, clinching = null) {
         const remainingGames = Math.max(0, this.seasonLength - currentTeam.gamesPlayed);
         const maxWins = currentTeam.wins + remainingGames;
         
@@ -528,6 +1246,20 @@ class PlayoffSimulator {
         }).length;
         
         const projectedSeed = Math.max(1, betterTeams + 1);
+        const status = clinching?.get(currentTeam.rosterId);
+
+        if (status) {
+            const clinches = status.magicNumber !== null;
+            return {
+                projectedWins: maxWins,
+                projectedSeed: clinches ? projectedSeed : null,
+                madePlayoffs: clinches,
+                description: clinches ? 'Winning out clinches a playoff spot'
+                    : status.eliminated ? 'Eliminated - even winning out is not enough'
+                    : 'Winning out keeps you alive, but you need help elsewhere'
+            };
+        }
+
         const madePlayoffs = projectedSeed <= playoffStructure.playoffTeams;
         
         return {
@@ -540,8 +1272,18 @@ class PlayoffSimulator {
         };
     }
 
-    calculateLoseOutOutcome(currentTeam, standings, playoffStructure) {
+    calculateLoseOutOutcome(currentTeam, standings, playoffStructure, clinching = null) {
         const finalWins = currentTeam.wins;
+
+        // A clinched spot is safe whatever happens from here.
+        if (clinching?.get(currentTeam.rosterId)?.clinchedBerth) {
+            return {
+                projectedWins: finalWins,
+                projectedSeed: null,
+                madePlayoffs: true,
+                description: 'Already clinched - your spot is safe even if you lose out'
+            };
+        }
         
         // Count how many teams will likely have fewer wins
         const worseTeams = standings.filter(team => {
@@ -561,9 +1303,32 @@ class PlayoffSimulator {
         };
     }
 
-    calculateClinchScenario(standings, targetRosterId, playoffStructure) {
+    /**
+     * What it takes to guarantee a spot. With the schedule loaded this is the
+     * exact magic number; without it, an estimate from the bubble teams' win
+     * totals that cannot see head-to-head games or tiebreakers.
+     */
+    calculateClinchScenario(standings, targetRosterId, playoffStructure, clinching = null) {
         const currentTeam = standings.find(t => t.rosterId === targetRosterId);
         const remainingGames = Math.max(0, this.seasonLength - currentTeam.gamesPlayed);
+
+        const status = clinching?.get(targetRosterId);
+        if (status) {
+            if (status.clinchedBerth) return { description: 'Playoff spot clinched', probability: 100 };
+            if (status.eliminated) return { description: 'Eliminated from playoff contention', probability: 0 };
+            if (status.magicNumber === null) {
+                return {
+                    description: `Cannot clinch alone - even winning all ${status.remainingGames} remaining games needs help elsewhere`,
+                    probability: null
+                };
+            }
+
+            const winProb = Math.max(0.1, Math.min(0.9, currentTeam.winPercentage || 0.5));
+            return {
+                description: `Magic number ${status.magicNumber}: ${status.magicNumber} more win${status.magicNumber === 1 ? '' : 's'} in ${status.remainingGames} games clinches a spot whatever else happens`,
+                probability: this.calculateBinomialProb(status.remainingGames, status.magicNumber, winProb) * 100
+            };
+        }
         
         if (remainingGames === 0) {
             const currentRank = standings.findIndex(t => t.rosterId === targetRosterId) + 1;
@@ -755,12 +1520,16 @@ class PlayoffSimulator {
                 <div class="control-group">
                     <label>Number of Simulations:</label>
                     <select id="simulationCount">
-                        <option value="1000">1,000 (Fast)</option>
-                        <option value="5000">5,000 (Balanced)</option>
-                        <option value="10000" selected>10,000 (Accurate)</option>
-                        <option value="25000">25,000 (Precise)</option>
+                        <option value="10000">10,000 (Fast)</option>
+                        <option value="50000">50,000 (Balanced)</option>
+                        <option value="100000" selected>100,000 (Accurate)</option>
+                        <option value="250000">250,000 (Precise)</option>
                     </select>
                 </div>
+                <div class="control-group">
+                    <label>Seed:</label>
+                    <input type="text" id="simulationSeed" placeholder="New each run">
+                </div>
                 <button class="btn btn-primary" onclick="window.playoffSimulator.runSimulation()">
                     🎲 Run Simulation
                 </button>
@@ -774,10 +1543,16 @@ class PlayoffSimulator {
         return container;
     }
 
-    async runSimulation() {
+    /**
+     * Runs from the controls. The seed is, in order: one passed in (the
+     * re-run button), the one typed into the seed box, or a fresh one.
+     */
+    async runSimulation(seedOverride = null) {
         const simulationBtn = document.querySelector('.playoff-simulator-container .btn-primary');
         const resultsContainer = document.getElementById('simulationResults');
         const simulationCount = parseInt(document.getElementById('simulationCount').value);
+        const seedInput = document.getElementById('simulationSeed');
+        const seed = seedOverride ?? (seedInput?.value.trim() || SeededRandom.newSeed());
 
         if (!simulationBtn || !resultsContainer) return;
 
@@ -790,24 +1565,47 @@ class PlayoffSimulator {
                 <div class="simulation-loading">
                     <div class="icon">🎲</div>
                     <p>Running ${simulationCount.toLocaleString()} playoff simulations...</p>
-                    <p>This may take a few moments...</p>
+                    <div class="simulation-progress">
+                        <div class="simulation-progress-bar" id="simulationProgressBar"></div>
+                    </div>
+                    <p id="simulationProgressText">Starting...</p>
+                    <button class="btn btn-secondary" onclick="window.playoffSimulator.cancelSimulation()">
+                        ⏹ Cancel
+                    </button>
                 </div>
             `;
             resultsContainer.style.display = 'block';
 
+            this.simulationController?.abort();
+            const controller = new AbortController();
+            this.simulationController = controller;
+
             // Get league data (would normally load from Sleeper API)
-            const leagueData = await this.loadLeagueDataForSimulation();
+            const leagueData = await this.loadLeagueDataForSimulation(new SeededRandom(seed).next);
             
             // Find user's team
             const userTeam = await this.identifyUserTeam(leagueData);
             
             // Run the simulation
-            const results = await this.runPlayoffSimulation(leagueData, userTeam, simulationCount);
+            const results = await this.runPlayoffSimulation(leagueData, userTeam, simulationCount, {
+                seed,
+                signal: controller.signal,
+                onProgress: (done, total) => this.showSimulationProgress(done, total)
+            });
             
             // Display results
             this.displaySimulationResults(results, resultsContainer);
 
         } catch (error) {
+            if (error.name === 'AbortError') {
+                resultsContainer.innerHTML = `
+                    <div class="simulation-loading">
+                        <div class="icon">⏹</div>
+                        <p>Simulation cancelled.</p>
+                    </div>
+                `;
+                return;
+            }
             console.error('❌ Error running simulation:', error);
             resultsContainer.innerHTML = `
                 <div class="simulation-loading">
@@ -822,7 +1620,19 @@ class PlayoffSimulator {
         }
     }
 
-    async loadLeagueDataForSimulation() {
+    cancelSimulation() {
+        this.simulationController?.abort();
+        this.simulationController = null;
+    }
+
+    showSimulationProgress(done, total) {
+        const bar = document.getElementById('simulationProgressBar');
+        const text = document.getElementById('simulationProgressText');
+        if (bar) bar.style.width = `${(done / total) * 100}%`;
+        if (text) text.textContent = `${done.toLocaleString()} of ${total.toLocaleString()} seasons`;
+    }
+
+    async loadLeagueDataForSimulation(random = Math.random) {
         // This would load actual league data from Sleeper API
         // For now, return demo data
         if (window.leagueAnalyzer && window.leagueAnalyzer.leagueData) {
@@ -830,10 +1640,10 @@ class PlayoffSimulator {
         }
 
         // Generate demo league data if real data not available
-        return this.generateDemoLeagueData();
+        return this.generateDemoLeagueData(random);
     }
 
-    generateDemoLeagueData() {
+    generateDemoLeagueData(random = Math.random) {
         const demoRosters = [];
         const demoUsers = [];
         
@@ -844,9 +1654,9 @@ class PlayoffSimulator {
                 metadata: { team_name: `Fantasy Team ${i}` }
             });
             
-            const wins = Math.floor(Math.random() * 10) + 1;
-            const losses = Math.floor(Math.random() * (14 - wins));
-            const pointsFor = Math.floor(Math.random() * 500) + 1200;
+            const wins = Math.floor(random() * 10) + 1;
+            const losses = Math.floor(random() * (14 - wins));
+            const pointsFor = Math.floor(random() * 500) + 1200;
             
             demoRosters.push({
                 roster_id: i,
@@ -858,7 +1668,7 @@ class PlayoffSimulator {
                     losses,
                     ties: 0,
                     fpts: pointsFor,
-                    fpts_against: Math.floor(Math.random() * 500) + 1200
+                    fpts_against: Math.floor(random() * 500) + 1200
                 }
             });
         }
@@ -886,7 +1696,14 @@ class PlayoffSimulator {
                 <div class="simulation-meta">
                     Based on ${results.simulations.total.toLocaleString()} simulations | 
                     Week ${results.currentWeek} of ${results.seasonLength} | 
-                    ${results.remainingGames} games remaining
+                    ${results.remainingGames} games remaining |
+                    ${results.playoffStructure.playoffFormat}
+                </div>
+                <div class="simulation-seed">
+                    Seed <strong>${results.seed}</strong>
+                    <button class="btn btn-secondary" onclick="window.playoffSimulator.runSimulation(${results.seed})">
+                        🔁 Re-run with this seed
+                    </button>
                 </div>
             </div>
 
@@ -912,15 +1729,57 @@ class PlayoffSimulator {
                 </div>
             </div>
 
+            ${results.clinching ? `
+                <div class="playoff-race">
+                    <h4>🏁 Playoff Race</h4>
+                    <table class="race-table">
+                        <thead>
+                            <tr><th>#</th><th>Team</th><th>Record</th><th>Status</th></tr>
+                        </thead>
+                        <tbody>
+                            ${results.standings.map((team, index) => {
+                                const status = results.clinching.get(team.rosterId);
+                                return `
+                                    <tr class="${index + 1 === results.playoffStructure.playoffTeams ? 'playoff-line' : ''}">
+                                        <td>${index + 1}</td>
+                                        <td>${team.teamName}</td>
+                                        <td>${team.wins}-${team.losses}${team.ties ? `-${team.ties}` : ''}</td>
+                                        <td><span class="clinch-badge ${status.state}">${status.label}</span></td>
+                                    </tr>
+                                `;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            ` : ''}
+
+            ${results.remainingSchedule?.length ? `
+                <div class="remaining-schedule">
+                    <h4>🗓️ Remaining Schedule</h4>
+                    <div class="schedule-list">
+                        ${results.remainingSchedule.map(game => `
+                            <div class="schedule-game">
+                                <div class="schedule-week">Week ${game.week}</div>
+                                <div class="schedule-opponent">vs ${game.opponent} <span>${game.opponentRecord}</span></div>
+                                <div class="schedule-projection">${game.projected ? `${game.projected} - ${game.opponentProjected}` : ''}</div>
+                                <div class="schedule-odds">${game.winProbability === null ? '-' : `${Math.round(game.winProbability * 100)}%`}</div>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            ` : ''}
+
             <div class="key-metrics">
                 <div class="metric-card playoff-odds">
                     <div class="metric-value">${results.playoffOdds.toFixed(1)}%</div>
                     <div class="metric-label">Playoff Probability</div>
+                    <div class="metric-interval">${this.formatInterval(results.simulations.results.playoffOddsInterval)}</div>
                     <div class="metric-comparison">${results.championshipOdds.comparison} than league average</div>
                 </div>
                 <div class="metric-card championship-odds">
                     <div class="metric-value">${results.championshipOdds.current.toFixed(1)}%</div>
                     <div class="metric-label">Championship Odds</div>
+                    <div class="metric-interval">${this.formatInterval(results.championshipOdds.interval)}</div>
                     <div class="metric-comparison">${results.championshipOdds.pathway}</div>
                 </div>
                 <div class="metric-card average-finish">
@@ -1028,6 +1887,11 @@ class PlayoffSimulator {
         `;
     }
 
+    /** A 95% interval as the display shows it. */
+    formatInterval(interval) {
+        return interval ? `95% CI ${interval.low.toFixed(1)}-${interval.high.toFixed(1)}%` : '';
+    }
+
     getOrdinalSuffix(num) {
         const number = parseInt(num);
         if (number === 1) return '1st';
@@ -1061,6 +1925,22 @@ class PlayoffSimulator {
     }
 }
 
+PlayoffSimulator.DEFAULT_SEASON_LENGTH = 14;
+// Relative to the page, like the other scripts.
+PlayoffSimulator.WORKER_URL = 'js/workers/simulation-worker.js';
+// Progress reports per run.
+PlayoffSimulator.PROGRESS_STEPS = 100;
+// Share of seasons each side of a game must win before its swing is reported.
+PlayoffSimulator.MIN_OUTCOME_SHARE = 0.02;
+// The most seasons played on the page itself when no worker can be started.
+PlayoffSimulator.MAIN_THREAD_SIMULATIONS = 10000;
+// Seasons per side of a trade comparison; it runs twice per trade.
+PlayoffSimulator.TRADE_SIMULATIONS = 20000;
+// Games a team needs before its own scoring spread is trusted over the league's.
+PlayoffSimulator.MIN_GAMES_FOR_SPREAD = 4;
+// Weekly standard deviation as a share of the mean, before any games are played.
+PlayoffSimulator.DEFAULT_SCORE_SPREAD = 0.2;
+
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = PlayoffSimulator;
@@ -0,0 +1,422 @@
+/**
+ * Power Rankings
+ *
+ * Weekly rankings from what actually happened on the field, rather than
+ * LeagueAnalyzer's on-paper roster ratings.
+ *
+ * Every completed week of the regular season is read from Sleeper's matchups:
+ *
+ * - **All-play record** - each week, a team is credited with a win against
+ *   every team it outscored, as if it had played the whole league.
+ * - **Luck index** - actual wins minus expected wins, where a week's expected
+ *   wins are the share of the league the team outscored. A team that keeps
+ *   drawing the week's top scorer has negative luck.
+ * - **Points-for percentile** - where the team's season points sit in the
+ *   league, tracked week by week.
+ * - **Power score** - season all-play win rate, recent all-play form and the
+ *   actual record, blended by POWER_WEIGHTS. Teams are ranked on it after
+ *   every week, which is what the rank movement chart plots.
+ */
+
+class PowerRankings {
+    constructor(configManager) {
+        this.configManager = configManager;
+        this.sleeperAPI = new SleeperAPI();
+        this.rankings = null;
+        this.loading = false;
+    }
+
+    // ======================
+    // DATA LOADING
+    // ======================
+
+    async loadLeagueWeeks(leagueId) {
+        const [league, rosters, users, state] = await Promise.all([
+            this.sleeperAPI.getLeague(leagueId),
+            this.sleeperAPI.getRosters(leagueId),
+            this.sleeperAPI.getUsers(leagueId),
+            this.sleeperAPI.getNFLState().catch(() => null)
+        ]);
+
+        // Playoff games are left out: half the league has stopped playing by
+        // then, so an all-play record would be comparing teams against empty
+        // weeks.
+        const playoffStart = Number(league?.settings?.playoff_week_start) || SleeperAPI.DEFAULT_PLAYOFF_WEEK;
+        const lastWeek = Math.max(0, Math.min(SleeperAPI.lastScoredWeek(league, state?.week), playoffStart - 1));
+        const weeks = await Promise.all(Array.from({ length: lastWeek }, (_, i) => i + 1)
+            .map(week => this.sleeperAPI.getMatchups(leagueId, week)
+                .then(rows => ({ week, rows: Array.isArray(rows) ? rows : [] }))
+                .catch(() => ({ week, rows: [] }))));
+
+        return { league, rosters: rosters || [], users: users || [], weeks };
+    }
+
+    // ======================
+    // RANKINGS
+    // ======================
+
+    /**
+     * Every team's all-play record, luck, points-for percentile and power
+     * rank after each scored week, ordered by the latest rank.
+     *
+     * A week nobody scored in has not been played and is skipped. In a league
+     * with median games, each week's median result counts toward both actual
+     * and expected wins - it follows from the score alone, so it carries no
+     * luck either way.
+     */
+    buildRankings({ league, rosters, users, weeks }, userRosterId = null) {
+        const medianGames = Number(league?.settings?.league_average_match) === 1;
+        const teams = new Map(rosters.map(roster => [roster.roster_id, {
+            rosterId: roster.roster_id,
+            name: this.teamName(roster, users),
+            mine: roster.roster_id === userRosterId,
+            wins: 0, losses: 0, ties: 0,
+            allPlay: { wins: 0, losses: 0, ties: 0 },
+            expectedWins: 0,
+            pointsFor: 0,
+            history: []
+        }]));
+
+        const rankedWeeks = [];
+        [...weeks].sort((a, b) => a.week - b.week).forEach(({ week, rows }) => {
+            const scores = rows
+                .filter(row => teams.has(row.roster_id))
+                .map(row => ({ rosterId: row.roster_id, matchupId: row.matchup_id, points: Number(row.points) || 0 }));
+            if (scores.length < 2 || scores.every(score => score.points === 0)) return;
+
+            rankedWeeks.push(week);
+            teams.forEach(team => { team.weekScore = 0; team.weekPercentile = 0; });
+            const others = scores.length - 1;
+            const median = PowerRankings.median(scores.map(score => score.points));
+
+            scores.forEach(score => {
+                const team = teams.get(score.rosterId);
+                const beaten = scores.filter(other => other.points < score.points).length;
+                const tied = scores.filter(other => other !== score && other.points === score.points).length;
+
+                team.allPlay.wins += beaten;
+                team.allPlay.ties += tied;
+                team.allPlay.losses += others - beaten - tied;
+                team.expectedWins += (beaten + tied / 2) / others;
+                team.pointsFor += score.points;
+                team.weekScore = score.points;
+                team.weekPercentile = (beaten + tied / 2) / others;
+
+                if (medianGames) {
+                    const result = Math.sign(score.points - median);
+                    this.addResult(team, result);
+                    team.expectedWins += (result + 1) / 2;
+                }
+            });
+
+            // Head-to-head results, paired by matchup_id
+            const pairs = new Map();
+            scores.forEach(score => {
+                if (score.matchupId === null || score.matchupId === undefined) return;
+                if (!pairs.has(score.matchupId)) pairs.set(score.matchupId, []);
+                pairs.get(score.matchupId).push(score);
+            });
+            pairs.forEach(pair => {
+                if (pair.length !== 2) return;
+                const [a, b] = pair;
+                this.addResult(teams.get(a.rosterId), Math.sign(a.points - b.points));
+                this.addResult(teams.get(b.rosterId), Math.sign(b.points - a.points));
+            });
+
+            this.rankWeek([...teams.values()], week);
+        });
+
+        const latest = [...teams.values()].map(team => {
+            const last = team.history[team.history.length - 1];
+            const previous = team.history[team.history.length - 2];
+            const trendFrom = team.history[Math.max(0, team.history.length - 1 - PowerRankings.RECENT_WEEKS)];
+            const allPlayGames = team.allPlay.wins + team.allPlay.losses + team.allPlay.ties;
+
+            return {
+                ...team,
+                rank: last ? last.rank : null,
+                power: last ? last.power : null,
+                movement: last && previous ? previous.rank - last.rank : 0,
+                allPlayPct: allPlayGames ? (team.allPlay.wins + team.allPlay.ties / 2) / allPlayGames : 0,
+                luck: team.wins + team.ties / 2 - team.expectedWins,
+                pfPercentile: last ? last.pfPercentile : null,
+                pfTrend: last && trendFrom ? last.pfPercentile - trendFrom.pfPercentile : 0
+            };
+        }).sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity));
+
+        return { weeks: rankedWeeks, medianGames, teams: latest };
+    }
+
+    addResult(team, result) {
+        if (result > 0) team.wins += 1;
+        else if (result < 0) team.losses += 1;
+        else team.ties += 1;
+    }
+
+    /**
+     * Scores and ranks every team on the season so far and records the week in
+     * each team's history. Ties in power score go to points for.
+     */
+    rankWeek(teams, week) {
+        const others = Math.max(1, teams.length - 1);
+        const weights = PowerRankings.POWER_WEIGHTS;
+
+        const scored = teams.map(team => {
+            const recent = [...team.history.slice(1 - PowerRankings.RECENT_WEEKS).map(h => h.percentile), team.weekPercentile];
+            const games = team.wins + team.losses + team.ties;
+            const allPlayGames = team.allPlay.wins + team.allPlay.losses + team.allPlay.ties;
+
+            const seasonForm = allPlayGames ? (team.allPlay.wins + team.allPlay.ties / 2) / allPlayGames : 0.5;
+            const recentForm = recent.reduce((sum, value) => sum + value, 0) / recent.length;
+            const record = games ? (team.wins + team.ties / 2) / games : 0.5;
+
+            return {
+                team,
+                power: 100 * (weights.season * seasonForm + weights.recent * recentForm + weights.record * record)
+            };
+        }).sort((a, b) => b.power - a.power || b.team.pointsFor - a.team.pointsFor);
+
+        scored.forEach(({ team, power }, index) => {
+            const below = teams.filter(other => other.pointsFor < team.pointsFor).length;
+            const level = teams.filter(other => other !== team && other.pointsFor === team.pointsFor).length;
+            team.history.push({
+                week,
+                rank: index + 1,
+                power,
+                score: team.weekScore,
+                percentile: team.weekPercentile,
+                pfPercentile: (below + level / 2) / others
+            });
+        });
+    }
+
+    static median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    teamName(roster, users) {
+        const user = users.find(u => u.user_id === roster.owner_id);
+        return user?.metadata?.team_name || user?.display_name || `Team ${roster.roster_id}`;
+    }
+
+    // ======================
+    // LOADING FLOW
+    // ======================
+
+    async loadRankings() {
+        if (this.loading) return;
+
+        const leagueId = this.configManager.config.sleeperLeagueId;
+        if (!leagueId) {
+            this.renderEmptyState('Configure your Sleeper League ID to rank your league.');
+            return;
+        }
+
+        this.loading = true;
+        this.renderProgress('Loading every week of matchups...');
+        try {
+            const data = await this.loadLeagueWeeks(leagueId);
+            const userRosterId = window.teamManager?.currentRoster?.roster?.roster_id
+                ?? this.findUserRosterId(data.rosters, data.users);
+
+            this.rankings = this.buildRankings(data, userRosterId);
+            if (!this.rankings.weeks.length) {
+                this.renderEmptyState('No regular-season weeks have been scored yet. Power rankings start after Week 1.');
+                return;
+            }
+
+            this.renderRankings(this.rankings);
+            console.log(`🏅 PowerRankings: ${this.rankings.teams.length} teams through Week ${this.rankings.weeks[this.rankings.weeks.length - 1]}`);
+        } catch (error) {
+            console.error('❌ Error loading power rankings:', error);
+            this.renderEmptyState(`Could not load power rankings: ${error.message}`);
+            this.configManager.showNotification('❌ Could not load power rankings', 'error');
+        } finally {
+            this.loading = false;
+        }
+    }
+
+    /** Your roster by configured username, or null - the rankings stand without it. */
+    findUserRosterId(rosters, users) {
+        const username = (this.configManager.config.sleeperUsername || '').toLowerCase();
+        const user = username ? users.find(u => (u.display_name || '').toLowerCase() === username) : null;
+        const roster = user ? rosters.find(r => r.owner_id === user.user_id) : null;
+        return roster ? roster.roster_id : null;
+    }
+
+    // ======================
+    // RENDERING
+    // ======================
+
+    getContainer() {
+        return document.getElementById('power-rankings-container');
+    }
+
+    renderEmptyState(message) {
+        const container = this.getContainer();
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="card">
+                <div class="empty-state">
+                    <div class="icon">🏅</div>
+                    <h3>Power Rankings</h3>
+                    <p>${message}</p>
+                    <button class="btn btn-primary" data-action="load-power-rankings" style="margin-top: 15px;">
+                        <span>🏅</span> Rank My League
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    renderProgress(message) {
+        const container = this.getContainer();
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="card">
+                <div class="empty-state">
+                    <div class="icon">⏳</div>
+                    <p>${message}</p>
+                </div>
+            </div>
+        `;
+    }
+
+    renderRankings(rankings) {
+        const container = this.getContainer();
+        if (!container) return;
+
+        const lastWeek = rankings.weeks[rankings.weeks.length - 1];
+        container.innerHTML = `
+            <div class="power-header">
+                <div>
+                    <h3>🏅 Power Rankings - Week ${lastWeek}</h3>
+                    <p>From ${rankings.weeks.length} scored week${rankings.weeks.length === 1 ? '' : 's'}${rankings.medianGames ? ', median games included' : ''}</p>
+                </div>
+                <button class="btn btn-outline" data-action="load-power-rankings">
+                    <span>🔄</span> Refresh
+                </button>
+            </div>
+
+            <div class="power-section">
+                <div class="power-table-wrap">
+                    <table class="power-table">
+                        <thead>
+                            <tr>
+                                <th>Rank</th><th>Team</th><th>Record</th><th>All-play</th>
+                                <th title="Actual wins minus the wins their scores would have earned on average">Luck</th>
+                                <th title="Season points for, as a percentile of the league">PF pct.</th>
+                                <th>Weekly scoring</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rankings.teams.map(team => this.renderTeamRow(team)).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <p class="power-note">
+                    All-play is the record against every team every week. Luck is actual wins minus
+                    expected wins, where each week is worth the share of the league the team outscored.
+                </p>
+            </div>
+
+            <div class="power-section">
+                <h4>📉 Rank Movement</h4>
+                ${this.renderMovementChart(rankings)}
+            </div>
+        `;
+    }
+
+    renderTeamRow(team) {
+        const record = `${team.wins}-${team.losses}${team.ties ? `-${team.ties}` : ''}`;
+        const allPlay = `${team.allPlay.wins}-${team.allPlay.losses}${team.allPlay.ties ? `-${team.allPlay.ties}` : ''}`;
+        const movement = team.movement > 0
+            ? `<span class="power-move up">▲${team.movement}</span>`
+            : team.movement < 0 ? `<span class="power-move down">▼${-team.movement}</span>` : '<span class="power-move">-</span>';
+        const luckClass = team.luck >= PowerRankings.LUCK_NOTABLE ? 'lucky' : team.luck <= -PowerRankings.LUCK_NOTABLE ? 'unlucky' : '';
+        const trend = Math.round(team.pfTrend * 100);
+
+        return `
+            <tr class="${team.mine ? 'mine' : ''}">
+                <td><strong>${team.rank}</strong> ${movement}</td>
+                <td>${team.name}${team.mine ? ' <span class="power-you">You</span>' : ''}</td>
+                <td>${record}</td>
+                <td>${allPlay} <span class="power-meta">${(team.allPlayPct * 100).toFixed(0)}%</span></td>
+                <td class="${luckClass}">${team.luck >= 0 ? '+' : ''}${team.luck.toFixed(1)}
+                    <span class="power-meta">${team.expectedWins.toFixed(1)} exp.</span></td>
+                <td>${Math.round(team.pfPercentile * 100)}
+                    ${trend ? `<span class="power-meta ${trend > 0 ? 'up' : 'down'}">${trend > 0 ? '+' : ''}${trend}</span>` : ''}</td>
+                <td>${this.renderSparkline(team.history)}</td>
+            </tr>
+        `;
+    }
+
+    /** One bar per week, as tall as the share of the league the team outscored. */
+    renderSparkline(history) {
+        return `
+            <div class="power-spark">
+                ${history.map(h => `<span style="height: ${Math.max(8, Math.round(h.percentile * 100))}%"
+                    title="Week ${h.week}: ${h.score.toFixed(2)} pts, beat ${Math.round(h.percentile * 100)}% of the league"></span>`).join('')}
+            </div>
+        `;
+    }
+
+    /** Rank after each week as a bump chart, rank 1 at the top. Your team is drawn over the rest. */
+    renderMovementChart(rankings) {
+        const { weeks, teams } = rankings;
+        if (weeks.length < 2) {
+            return '<p class="power-note">Rank movement appears once two weeks have been scored.</p>';
+        }
+
+        const width = 640;
+        const rowHeight = 22;
+        const left = 30;
+        const right = 150;
+        const top = 16;
+        const height = top * 2 + rowHeight * (teams.length - 1);
+        const x = index => left + (index * (width - left - right)) / (weeks.length - 1);
+        const y = rank => top + (rank - 1) * rowHeight;
+
+        const ordered = [...teams].sort((a, b) => Number(a.mine) - Number(b.mine));
+        const lines = ordered.map(team => {
+            const color = team.mine ? 'var(--accent-color)' : `hsl(${(team.rosterId * 67) % 360}, 45%, 60%)`;
+            const points = team.history.map(h => `${x(weeks.indexOf(h.week)).toFixed(1)},${y(h.rank)}`).join(' ');
+            const last = team.history[team.history.length - 1];
+            return `
+                <g class="power-line${team.mine ? ' mine' : ''}">
+                    <title>${team.name}: ${team.history.map(h => `W${h.week} #${h.rank}`).join(', ')}</title>
+                    <polyline points="${points}" stroke="${color}" />
+                    <text x="${x(weeks.length - 1) + 8}" y="${y(last.rank) + 4}" fill="${color}">${last.rank}. ${team.name}</text>
+                </g>
+            `;
+        }).join('');
+
+        const axis = weeks.map((week, index) =>
+            `<text class="power-axis" x="${x(index)}" y="${height + 8}" text-anchor="middle">${week}</text>`).join('');
+
+        return `
+            <div class="power-chart">
+                <svg viewBox="0 0 ${width} ${height + 12}" role="img" aria-label="Power rank by week">
+                    ${lines}
+                    ${axis}
+                </svg>
+            </div>
+        `;
+    }
+}
+
+// Weeks that count as recent form, and how far back the points-for trend looks.
+PowerRankings.RECENT_WEEKS = 3;
+// Season all-play, recent all-play and actual record, blended into the power score.
+PowerRankings.POWER_WEIGHTS = { season: 0.5, recent: 0.3, record: 0.2 };
+// Luck, in wins, worth calling out either way.
+PowerRankings.LUCK_NOTABLE = 1;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PowerRankings;
+}
@@ -18,9 +18,18 @@ class PredictiveAnalytics {
         this.sleeperAPI = new SleeperAPI();
         this.currentWeek = null;
         this.lastPredictions = null;
-
-        // Enough passes for the odds to settle without blocking the UI for long.
-        this.SIMULATION_COUNT = 5000;
+        this.abortController = null;
+        this.scenario = PredictiveAnalytics.emptyScenario();
+
+        // Played in the simulation worker, so the count is set by how steady
+        // the odds should be rather than by how long the page can stall: at
+        // 100,000 seasons a figure moves by a third of a point at most.
+        this.SIMULATION_COUNT = 100000;
+        // A what-if reruns on every click, so it trades some precision for
+        // speed. It is compared against a baseline of the same size and seed,
+        // which keeps the change it reports down to the forced results alone.
+        this.SCENARIO_SIMULATION_COUNT = 20000;
+        this.GAMES_THAT_MATTER = 8;
 
         console.log('📈 PredictiveAnalytics: Initializing prediction engine...');
     }
@@ -44,12 +53,21 @@ class PredictiveAnalytics {
     // ORCHESTRATION
     // ======================
 
-    async runPredictions() {
+    /**
+     * `seed` replays an earlier run's draws; without one, each run gets a
+     * fresh seed, shown with the results.
+     */
+    async runPredictions({ seed = null } = {}) {
         const button = document.getElementById('runPredictionsBtn');
         if (button) {
             button.disabled = true;
             button.innerHTML = '<span>⏳</span> Running simulations...';
         }
+        const cancelButton = this.showCancelButton(button);
+
+        this.abortController?.abort();
+        const controller = new AbortController();
+        this.abortController = controller;
 
         try {
             const leagueId = this.configManager.config.sleeperLeagueId;
@@ -67,26 +85,61 @@ class PredictiveAnalytics {
                 throw new Error(leagueData.error || 'Could not load league data');
             }
 
+            // The league's own playoff rules, and every game left played
+            // against its real opponent.
+            simulator.applyLeagueSettings(leagueData.league);
+            await simulator.loadSchedule(leagueData);
+
             const standings = simulator.calculateCurrentStandings(leagueData.rosters, leagueData.users);
-            const structure = simulator.determinePlayoffStructure(leagueData.rosters.length);
+            const structure = simulator.determinePlayoffStructure(leagueData.rosters.length, leagueData.league);
 
-            const odds = this.runLeagueSimulation(simulator, standings, structure, this.SIMULATION_COUNT);
-            const breakouts = await this.predictBreakouts();
             const myRosterId = this.identifyUserRosterId(leagueData);
 
-            this.lastPredictions = { odds, breakouts, structure, myRosterId };
-            this.renderPredictions(odds, breakouts, structure, myRosterId);
+            const usedSeed = simulator.useSeed(seed ?? SeededRandom.newSeed());
+            const { odds, games, simulations } = await this.runLeagueSimulation(
+                simulator, standings, structure, this.SIMULATION_COUNT, {
+                    signal: controller.signal,
+                    focusRosterId: myRosterId,
+                    clinching: true,
+                    onProgress: (done, total) => {
+                        if (button) button.innerHTML = `<span>⏳</span> Simulating... ${Math.floor((done / total) * 100)}%`;
+                    }
+                }
+            );
+            const breakouts = await this.predictBreakouts();
+
+            this.lastPredictions = {
+                odds,
+                breakouts,
+                structure,
+                standings,
+                myRosterId,
+                seed: usedSeed,
+                simulations,
+                schedule: simulator.schedule?.weeks || [],
+                gamesThatMatter: PlayoffSimulator.gamesThatMatter(games, simulations).slice(0, this.GAMES_THAT_MATTER)
+            };
+            this.scenarioController?.abort();
+            this.scenario = PredictiveAnalytics.emptyScenario();
+            this.renderPredictions(this.lastPredictions);
 
             this.configManager.showNotification(
-                `📈 ${this.SIMULATION_COUNT.toLocaleString()} seasons simulated`,
+                `📈 ${simulations.toLocaleString()} seasons simulated`,
                 'success'
             );
 
         } catch (error) {
+            if (error.name === 'AbortError') {
+                this.configManager.showNotification('⏹ Predictions cancelled', 'info');
+                return;
+            }
+
             console.error('❌ Error running predictions:', error);
             this.renderError(error.message);
             this.configManager.showNotification(`❌ ${error.message}`, 'error');
         } finally {
+            if (this.abortController === controller) this.abortController = null;
+            cancelButton?.remove();
             if (button) {
                 button.disabled = false;
                 button.innerHTML = '<span>📈</span> Run Predictions';
@@ -94,67 +147,167 @@ class PredictiveAnalytics {
         }
     }
 
+    cancelPredictions() {
+        this.abortController?.abort();
+    }
+
+    /** A cancel button beside the run button, for as long as the run lasts. */
+    showCancelButton(runButton) {
+        if (!runButton) return null;
+
+        const cancelButton = document.createElement('button');
+        cancelButton.className = 'btn btn-outline';
+        cancelButton.dataset.action = 'cancel-predictions';
+        cancelButton.style.marginTop = runButton.style.marginTop;
+        cancelButton.innerHTML = '<span>⏹</span> Cancel';
+        runButton.after(cancelButton);
+        return cancelButton;
+    }
+
+    /**
+     * The last run again on the same seed. Anything that changed since - a
+     * trade, a waiver pickup, a week of results - is the only thing that moves
+     * the odds.
+     */
+    rerunWithSameSeed() {
+        return this.runPredictions({ seed: this.lastPredictions?.seed ?? null });
+    }
+
     /**
      * Plays out the rest of the season many times and records how often each
      * team makes the playoffs and wins it all.
      *
-     * The bracket and the rest-of-season model both live on PlayoffSimulator;
-     * this only changes the aggregation, recording every team on each pass
-     * instead of following a single target team.
+     * The seasons are played by PlayoffSimulator.simulate, in its worker, which
+     * tallies every team on each pass; this turns those tallies into odds.
+     * `options` (onProgress, signal, forcedResults, focusRosterId, clinching)
+     * is passed straight through. Resolves with the odds, the per-game counts
+     * for the focus team and the number of seasons played.
      */
-    runLeagueSimulation(simulator, standings, structure, numSimulations) {
-        const tally = {};
-        standings.forEach(team => {
-            tally[team.rosterId] = {
+    async runLeagueSimulation(simulator, standings, structure, numSimulations, options = {}) {
+        const { tallies, games, simulations, clinching } = await simulator.simulate(standings, structure, numSimulations, options);
+
+        const odds = standings.map(team => {
+            const record = tallies[team.rosterId];
+            return {
                 rosterId: team.rosterId,
                 teamName: team.teamName,
                 wins: team.wins,
                 losses: team.losses,
                 pointsFor: team.pointsFor,
                 avgPointsFor: team.avgPointsFor,
-                playoffs: 0,
-                titles: 0,
-                finals: 0,
-                finishSum: 0,
-                winsSum: 0,
-                byes: 0
+                playoffOdds: (record.playoffs / simulations) * 100,
+                titleOdds: (record.titles / simulations) * 100,
+                playoffInterval: SeededRandom.proportionInterval(record.playoffs, simulations),
+                titleInterval: SeededRandom.proportionInterval(record.titles, simulations),
+                finalsOdds: (record.finals / simulations) * 100,
+                byeOdds: (record.byes / simulations) * 100,
+                projectedWins: record.winsSum / simulations,
+                averageFinish: record.finishSum / simulations,
+                clinch: clinching?.get(team.rosterId) || null
             };
-        });
+        }).sort((a, b) => b.playoffOdds - a.playoffOdds || b.titleOdds - a.titleOdds);
 
-        for (let i = 0; i < numSimulations; i++) {
-            const season = simulator.simulateRestOfSeason(standings);
-            const outcome = simulator.simulatePlayoffs(season, structure);
+        return { odds, games, simulations };
+    }
 
-            outcome.forEach(team => {
-                const record = tally[team.rosterId];
-                if (!record) return;
+    // ======================
+    // WHAT-IF SCENARIOS
+    // ======================
 
-                record.finishSum += team.finalRank;
-                record.winsSum += (team.projectedWins !== undefined ? team.projectedWins : team.wins);
+    static emptyScenario() {
+        return { forced: {}, baseline: null, result: null, progress: null, error: null };
+    }
 
-                if (team.madePlayoffs) {
-                    record.playoffs++;
-                    if (team.playoffSeed <= structure.firstRoundByes) record.byes++;
-                    if (team.reachedChampionship) record.finals++;
-                    if (team.wonChampionship) record.titles++;
-                }
-            });
+    /**
+     * Picks `winnerId` to win a remaining game, or un-picks it when it was
+     * already the pick, then replays the season with every pick in place.
+     */
+    toggleForcedResult(week, idA, idB, winnerId) {
+        if (!this.lastPredictions) return;
+
+        const key = PlayoffSimulator.gameKey(week, idA, idB);
+        if (this.scenario.forced[key] === winnerId) {
+            delete this.scenario.forced[key];
+        } else {
+            this.scenario.forced[key] = winnerId;
         }
+        return this.runScenario();
+    }
 
-        return Object.values(tally).map(record => ({
-            rosterId: record.rosterId,
-            teamName: record.teamName,
-            wins: record.wins,
-            losses: record.losses,
-            pointsFor: record.pointsFor,
-            avgPointsFor: record.avgPointsFor,
-            playoffOdds: (record.playoffs / numSimulations) * 100,
-            titleOdds: (record.titles / numSimulations) * 100,
-            finalsOdds: (record.finals / numSimulations) * 100,
-            byeOdds: (record.byes / numSimulations) * 100,
-            projectedWins: record.winsSum / numSimulations,
-            averageFinish: record.finishSum / numSimulations
-        })).sort((a, b) => b.playoffOdds - a.playoffOdds || b.titleOdds - a.titleOdds);
+    clearScenario() {
+        this.scenarioController?.abort();
+        this.scenario = { ...PredictiveAnalytics.emptyScenario(), baseline: this.scenario.baseline };
+        this.renderScenarioEditor();
+    }
+
+    /**
+     * Every team's odds with the picked results forced, next to the same run
+     * without them. Both use the predictions' seed and the same number of
+     * seasons, so each unpicked game plays out identically in both, and the
+     * difference between them is what the picks did.
+     */
+    async runScenario() {
+        const simulator = window.playoffSimulator;
+        const { standings, structure, seed } = this.lastPredictions;
+
+        this.scenarioController?.abort();
+        if (!Object.keys(this.scenario.forced).length) {
+            this.scenario.result = null;
+            this.renderScenarioEditor();
+            return;
+        }
+
+        const controller = new AbortController();
+        this.scenarioController = controller;
+
+        const options = {
+            signal: controller.signal,
+            onProgress: (done, total) => {
+                this.scenario.progress = done / total;
+                this.renderScenarioResults();
+            }
+        };
+
+        try {
+            this.scenario.error = null;
+            this.scenario.progress = 0;
+            this.renderScenarioEditor();
+
+            if (!this.scenario.baseline) {
+                simulator.useSeed(seed);
+                const { odds } = await this.runLeagueSimulation(
+                    simulator, standings, structure, this.SCENARIO_SIMULATION_COUNT, options
+                );
+                this.scenario.baseline = odds;
+            }
+
+            simulator.useSeed(seed);
+            const { odds } = await this.runLeagueSimulation(simulator, standings, structure, this.SCENARIO_SIMULATION_COUNT, {
+                ...options,
+                forcedResults: { ...this.scenario.forced }
+            });
+
+            const baseline = new Map(this.scenario.baseline.map(team => [team.rosterId, team]));
+            this.scenario.result = odds.map(team => {
+                const before = baseline.get(team.rosterId);
+                return {
+                    ...team,
+                    playoffChange: team.playoffOdds - (before?.playoffOdds ?? team.playoffOdds),
+                    byeChange: team.byeOdds - (before?.byeOdds ?? team.byeOdds),
+                    titleChange: team.titleOdds - (before?.titleOdds ?? team.titleOdds)
+                };
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('❌ Error running scenario:', error);
+            this.scenario.error = error.message;
+        } finally {
+            if (this.scenarioController === controller) {
+                this.scenarioController = null;
+                this.scenario.progress = null;
+                this.renderScenarioEditor();
+            }
+        }
     }
 
     identifyUserRosterId(leagueData) {
@@ -320,7 +473,7 @@ class PredictiveAnalytics {
         `;
     }
 
-    renderPredictions(odds, breakouts, structure, myRosterId) {
+    renderPredictions({ odds, breakouts, structure, myRosterId, seed, simulations, gamesThatMatter }) {
         const container = this.getContainer();
         if (!container) return;
 
@@ -331,15 +484,22 @@ class PredictiveAnalytics {
                 <div>
                     <h3>📈 Season Predictions</h3>
                     <p>
-                        ${this.SIMULATION_COUNT.toLocaleString()} simulated seasons from week
+                        ${simulations.toLocaleString()} simulated seasons from week
                         ${this.currentWeek} · top ${structure.playoffTeams} make the playoffs${
                             structure.firstRoundByes ? `, top ${structure.firstRoundByes} get byes` : ''
-                        }
+                        }${structure.divisions > 1 ? ` · ${structure.divisions} division winners seeded first` : ''}${
+                            structure.medianGames ? ' · weekly median games' : ''
+                        } · seed ${seed}
                     </p>
                 </div>
-                <button class="btn btn-outline" data-action="run-predictions" id="runPredictionsBtn">
-                    <span>🔄</span> Re-run
-                </button>
+                <div class="prediction-actions">
+                    <button class="btn btn-outline" data-action="rerun-predictions-same-seed">
+                        <span>🔁</span> Same seed
+                    </button>
+                    <button class="btn btn-outline" data-action="run-predictions" id="runPredictionsBtn">
+                        <span>🔄</span> Re-run
+                    </button>
+                </div>
             </div>
 
             ${me ? `
@@ -349,10 +509,12 @@ class PredictiveAnalytics {
                         <div class="metric-card">
                             <div class="metric-value">${me.playoffOdds.toFixed(1)}%</div>
                             <div class="metric-label">Playoff odds</div>
+                            <div class="metric-interval">${this.formatInterval(me.playoffInterval)}</div>
                         </div>
                         <div class="metric-card">
                             <div class="metric-value">${me.titleOdds.toFixed(1)}%</div>
                             <div class="metric-label">Title odds</div>
+                            <div class="metric-interval">${this.formatInterval(me.titleInterval)}</div>
                         </div>
                         <div class="metric-card">
                             <div class="metric-value">${me.projectedWins.toFixed(1)}</div>
@@ -382,6 +544,7 @@ class PredictiveAnalytics {
                             <th>Proj. wins</th>
                             <th>Playoffs</th>
                             <th>Title</th>
+                            <th>Status</th>
                         </tr>
                     </thead>
                     <tbody>
@@ -393,21 +556,34 @@ class PredictiveAnalytics {
                                 <td>
                                     <div class="odds-bar">
                                         <div class="odds-fill playoffs" style="width: ${Math.max(1, team.playoffOdds).toFixed(1)}%"></div>
-                                        <span>${team.playoffOdds.toFixed(1)}%</span>
+                                        <span title="${this.formatInterval(team.playoffInterval)}">${team.playoffOdds.toFixed(1)}%</span>
                                     </div>
                                 </td>
                                 <td>
                                     <div class="odds-bar">
                                         <div class="odds-fill title" style="width: ${Math.max(1, team.titleOdds).toFixed(1)}%"></div>
-                                        <span>${team.titleOdds.toFixed(1)}%</span>
+                                        <span title="${this.formatInterval(team.titleInterval)}">${team.titleOdds.toFixed(1)}%</span>
                                     </div>
                                 </td>
+                                <td>${team.clinch ? `<span class="clinch-badge ${team.clinch.state}">${team.clinch.label}</span>` : '-'}</td>
                             </tr>
                         `).join('')}
                     </tbody>
                 </table>
             </div>
 
+            ${me && gamesThatMatter.length ? `
+                <h4 class="prediction-section-title">🎯 Games that matter most to you</h4>
+                <div class="matter-list">
+                    ${gamesThatMatter.map(game => this.renderGameThatMatters(game, odds)).join('')}
+                </div>
+            ` : ''}
+
+            <h4 class="prediction-section-title">🧪 What-if scenarios</h4>
+            <div id="scenarioEditor" class="scenario-editor">
+                ${this.scenarioEditorHTML()}
+            </div>
+
             <h4 class="prediction-section-title">🚀 Breakout candidates</h4>
             ${breakouts.length ? `
                 <div class="breakout-grid">
@@ -433,12 +609,20 @@ class PredictiveAnalytics {
             <div class="weather-education">
                 <h4>💡 How to read these</h4>
                 <p>
-                    The odds come from simulating the rest of the season thousands of times using each
-                    team's win rate and scoring average, then playing out the bracket. They are not a
-                    prediction of any single week - a 20% title chance still happens one time in five.
+                    The odds come from simulating the rest of the season thousands of times - every game
+                    against its real opponent, each team scoring its projected lineup with its own
+                    week-to-week spread - then playing out the bracket. They are not a prediction of any
+                    single week - a 20% title chance still happens one time in five. The interval under
+                    each figure is how far the simulation itself could be off; "Same seed" replays the
+                    same dice, so after a roster move only that move shifts the numbers.
                     Early in the season the sample is small, so treat the numbers as directional and
                     watch how they move week to week rather than fixating on today's figure.
                 </p>
+                <p>
+                    The status column is exact rather than simulated: a magic number is how many more
+                    wins guarantee a playoff spot whichever games they come in and whatever happens
+                    elsewhere, with head-to-head games and points-for ties accounted for.
+                </p>
                 <p>
                     Breakout likelihood weighs age, experience and depth-chart position above raw
                     popularity, because add volume alone mostly tells you what already happened.
@@ -447,6 +631,134 @@ class PredictiveAnalytics {
         `;
     }
 
+    teamName(rosterId, odds = this.lastPredictions?.odds || []) {
+        return odds.find(team => team.rosterId === rosterId)?.teamName || `Team ${rosterId}`;
+    }
+
+    renderGameThatMatters(game, odds) {
+        const nameA = this.teamName(game.teamA, odds);
+        const nameB = this.teamName(game.teamB, odds);
+        const better = game.oddsIfA >= game.oddsIfB ? nameA : nameB;
+
+        return `
+            <div class="matter-row">
+                <div class="matter-game">
+                    <span class="matter-week">Week ${game.week}</span>
+                    <strong>${nameA}</strong> vs <strong>${nameB}</strong>
+                </div>
+                <div class="matter-odds">
+                    ${game.oddsIfA.toFixed(1)}% if ${nameA} wins · ${game.oddsIfB.toFixed(1)}% if ${nameB} wins
+                </div>
+                <div class="matter-swing" title="Root for ${better}">${game.swing.toFixed(1)} pt swing</div>
+            </div>
+        `;
+    }
+
+    /** Re-renders the editor in place, leaving the rest of the predictions alone. */
+    renderScenarioEditor() {
+        const editor = document.getElementById('scenarioEditor');
+        if (editor) editor.innerHTML = this.scenarioEditorHTML();
+    }
+
+    renderScenarioResults() {
+        const results = document.getElementById('scenarioResults');
+        if (results) results.innerHTML = this.scenarioResultsHTML();
+    }
+
+    scenarioEditorHTML() {
+        const { schedule = [] } = this.lastPredictions || {};
+        if (!schedule.length) {
+            return `
+                <p class="prediction-empty">
+                    Sleeper has no regular-season games left to pick in this league.
+                </p>
+            `;
+        }
+
+        const forcedCount = Object.keys(this.scenario.forced).length;
+        const pick = (week, idA, idB, winnerId) => {
+            const forced = this.scenario.forced[PlayoffSimulator.gameKey(week, idA, idB)] === winnerId;
+            return `
+                <button class="scenario-pick${forced ? ' forced' : ''}" data-action="force-result"
+                        data-week="${week}" data-team-a="${idA}" data-team-b="${idB}" data-winner="${winnerId}">
+                    ${this.teamName(winnerId)}
+                </button>
+            `;
+        };
+
+        return `
+            <p class="scenario-hint">
+                Pick the winner of any game left on the schedule and every team's odds are
+                replayed with that result locked in. Pick the same team again to undo it.
+                ${forcedCount ? `<button class="btn btn-outline" data-action="clear-scenario">Clear ${forcedCount} pick${forcedCount === 1 ? '' : 's'}</button>` : ''}
+            </p>
+            <div class="scenario-weeks">
+                ${schedule.map(({ week, games }) => `
+                    <div class="scenario-week">
+                        <h5>Week ${week}</h5>
+                        ${games.map(([idA, idB]) => `
+                            <div class="scenario-game">
+                                ${pick(week, idA, idB, idA)}
+                                <span class="scenario-vs">vs</span>
+                                ${pick(week, idA, idB, idB)}
+                            </div>
+                        `).join('')}
+                    </div>
+                `).join('')}
+            </div>
+            <div id="scenarioResults" class="scenario-results">
+                ${this.scenarioResultsHTML()}
+            </div>
+        `;
+    }
+
+    scenarioResultsHTML() {
+        const { result, progress, error } = this.scenario;
+        const myRosterId = this.lastPredictions?.myRosterId;
+        const change = value => {
+            const rounded = Math.round(value * 10) / 10;
+            if (!rounded) return '<span class="scenario-change">-</span>';
+            return `<span class="scenario-change ${rounded > 0 ? 'up' : 'down'}">${rounded > 0 ? '+' : ''}${rounded.toFixed(1)}</span>`;
+        };
+
+        if (progress !== null) {
+            return `<p class="prediction-empty">⏳ Replaying the season... ${Math.floor(progress * 100)}%</p>`;
+        }
+        if (error) {
+            return `<p class="prediction-empty">❌ ${error}</p>`;
+        }
+        if (!result) return '';
+
+        return `
+            <div class="prediction-table-wrap">
+                <table class="prediction-table">
+                    <thead>
+                        <tr>
+                            <th>Team</th>
+                            <th>Playoffs</th>
+                            <th>Bye</th>
+                            <th>Title</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${result.map(team => `
+                            <tr class="${team.rosterId === myRosterId ? 'is-mine' : ''}">
+                                <td>${team.teamName}${team.rosterId === myRosterId ? ' <span class="you-flag">YOU</span>' : ''}</td>
+                                <td>${team.playoffOdds.toFixed(1)}% ${change(team.playoffChange)}</td>
+                                <td>${team.byeOdds.toFixed(1)}% ${change(team.byeChange)}</td>
+                                <td>${team.titleOdds.toFixed(1)}% ${change(team.titleChange)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <p class="scenario-hint">
+                ${this.SCENARIO_SIMULATION_COUNT.toLocaleString()} seasons on seed ${this.lastPredictions.seed};
+                changes are against the same seasons with no picks.
+            </p>
+        `;
+    }
+
     describeOutlook(me, structure, leagueSize) {
         const odds = me.playoffOdds;
 
@@ -467,6 +779,10 @@ class PredictiveAnalytics {
         return `A long shot at ${odds.toFixed(1)}%. If your league has keepers or dynasty rules, this is the point to sell veterans for next year. If not, swing for high-ceiling players and hope.`;
     }
 
+    formatInterval(interval) {
+        return interval ? `95% CI ${interval.low.toFixed(1)}-${interval.high.toFixed(1)}%` : '';
+    }
+
     ordinal(n) {
         const s = ['th', 'st', 'nd', 'rd'];
         const v = n % 100;
@@ -1,30 +1,27 @@
 /**
  * Hot/Cold Streak Detection System for Fantasy Football Command Center
  * File: streak-analyzer.js
- * 
- * This system analyzes player performance trends over recent games to identify:
- * - Hot streaks (consistently outperforming expectations)
- * - Cold streaks (consistently underperforming expectations) 
+ *
+ * This system scores every rostered player's recent games against their own
+ * baseline to identify:
+ * - Hot streaks (recent games well above what the player usually scores)
+ * - Cold streaks (recent games well below it)
  * - Neutral trends (normal variance)
- * 
+ *
+ * The game logs are PlayerStats.seasonLogFor. The last STREAK_WINDOW games are
+ * the streak; the games before them are the baseline, pulled toward the
+ * preseason projection until there are enough of them. The gap between the
+ * two is a z-score against the player's own week-to-week noise, so a
+ * boom-or-bust receiver needs a bigger run than a steady back to count as
+ * streaking, and a gap over two games counts for less than one over five.
+ *
  * Educational focus: Explains WHY streaks matter and what causes them
  */
 
 class HotColdStreakAnalyzer {
-    constructor() {
-        this.streakThresholds = {
-            hot: {
-                minGames: 3,
-                performanceRatio: 1.20, // 120% of projection
-                consistency: 0.25 // Low standard deviation
-            },
-            cold: {
-                minGames: 3,
-                performanceRatio: 0.80, // 80% of projection
-                consistency: 0.30 // Moderate standard deviation
-            }
-        };
-        
+    constructor(playerStats = null) {
+        this.playerStats = playerStats || PlayerStats.shared();
+
         this.educationalContexts = {
             hot: [
                 "Player may have increased role in offense",
@@ -43,168 +40,213 @@ class HotColdStreakAnalyzer {
         };
     }
 
+    // ======================
+    // LEAGUE GAME LOGS
+    // ======================
+
+    /**
+     * The streak input for every rostered player in the league, from the
+     * data LeagueAnalyzer.loadLeagueData returns (which has already loaded
+     * PlayerStats). PlayerStats keeps only the last few weeks, so the rest of
+     * the season is loaded first - the baseline is every game before the
+     * streak. Players without a game in the logs are left out - there is
+     * nothing to score.
+     */
+    async collectRosteredPlayers(leagueData, userRosterId = null) {
+        const { rosters = [], users = [], allPlayers = {} } = leagueData;
+        const managers = new Map(users.map(user => [user.user_id, user.display_name]));
+        await this.playerStats.loadWeeks(1);
+
+        return rosters.flatMap(roster => (roster.players || []).map(playerId => {
+            const player = allPlayers[playerId];
+            const gameLog = this.playerStats.seasonLogFor(playerId);
+            if (!player || !gameLog.length) return null;
+
+            return {
+                playerId: String(playerId),
+                playerInfo: {
+                    name: player.full_name || `${player.first_name} ${player.last_name}`,
+                    position: player.position,
+                    team: player.team || 'FA',
+                    manager: managers.get(roster.owner_id) || `Team ${roster.roster_id}`,
+                    mine: roster.roster_id === userRosterId
+                },
+                gameLog,
+                prior: {
+                    rate: this.playerStats.preseasonRateFor(playerId),
+                    spread: this.playerStats.spreads[player.position] ?? PlayerStats.DEFAULT_SPREAD
+                },
+                opportunity: this.playerStats.opportunityTrendFor(playerId)
+            };
+        })).filter(Boolean);
+    }
+
+    // ======================
+    // STREAK SCORING
+    // ======================
+
     /**
      * Analyze a player's recent performance for streak patterns
-     * @param {Array} gameLog - Array of recent games with actual vs projected points
+     * @param {Array} gameLog - PlayerStats.seasonLogFor: [{ week, points }], oldest first
      * @param {Object} playerInfo - Player metadata (name, position, team)
+     * @param {Object} [opportunity] - PlayerStats.opportunityTrendFor, when the logs have usage
+     * @param {Object} [prior] - { rate, spread }: preseason points per week and the position's weekly spread
      * @returns {Object} Streak analysis with educational context
      */
-    analyzePlayerStreak(gameLog, playerInfo) {
-        if (!gameLog || gameLog.length < 2) {
+    analyzePlayerStreak(gameLog, playerInfo, opportunity = null, prior = null) {
+        if (!gameLog || gameLog.length < HotColdStreakAnalyzer.MIN_GAMES) {
             return this.createNeutralResult(playerInfo, "Insufficient data");
         }
 
         // Calculate performance metrics
-        const performanceData = this.calculatePerformanceMetrics(gameLog);
-        
+        const metrics = this.calculatePerformanceMetrics(gameLog, prior);
+        if (!metrics) {
+            return this.createNeutralResult(playerInfo, "No baseline to measure recent games against");
+        }
+
         // Determine streak type
-        const streakType = this.determineStreakType(performanceData, gameLog.length);
-        
+        const streakType = this.determineStreakType(metrics);
+
         // Generate educational context
-        const educationalContext = this.generateEducationalContext(streakType, performanceData, playerInfo);
-        
-        // Calculate confidence level
-        const confidence = this.calculateConfidence(streakType, performanceData, gameLog.length);
+        const educationalContext = this.generateEducationalContext(streakType, metrics, playerInfo);
+
+        // Calculate confidence level, then weigh it against the workload
+        const usage = this.assessUsage(streakType, opportunity);
+        const confidence = Math.max(5, Math.min(95,
+            this.calculateConfidence(streakType, metrics) + usage.confidenceModifier));
 
         return {
             player: playerInfo.name,
             position: playerInfo.position,
             team: playerInfo.team,
+            manager: playerInfo.manager || null,
+            mine: Boolean(playerInfo.mine),
             streakType: streakType,
             gamesAnalyzed: gameLog.length,
-            avgPerformanceRatio: performanceData.avgRatio,
-            consistency: performanceData.consistency,
+            recentGames: metrics.recentGames,
+            recentAverage: metrics.recentAverage,
+            baseline: metrics.baseline,
+            priorGames: metrics.priorGames,
+            zScore: metrics.zScore,
+            consistency: metrics.spread,
             confidence: confidence,
+            usage,
+            regression: this.estimateRegression(metrics, usage),
             educationalContext: educationalContext,
-            visualData: this.createVisualData(gameLog),
+            visualData: this.createVisualData(gameLog, metrics),
             actionableAdvice: this.generateActionableAdvice(streakType, playerInfo),
             lastUpdated: new Date().toISOString()
         };
     }
 
     /**
-     * Calculate key performance metrics from game log
+     * The recent window against the player's own baseline.
+     *
+     * The baseline averages the games before the window with the preseason
+     * projection counted as STABILIZATION_GAMES games of its own - the same
+     * weighting PlayerStats.projectionFor uses - so it leans on the projection
+     * in September and on the player by November. Week-to-week noise is the
+     * player's own spread over the baseline games - the streak would widen
+     * it and hide itself - pulled toward the position's the same way. Both
+     * averages are estimates, so the z-score's standard error carries the
+     * sample size of each. Null with neither earlier games nor a projection
+     * to build a baseline from.
      */
-    calculatePerformanceMetrics(gameLog) {
-        // Calculate performance ratios (actual / projected)
-        const performanceRatios = gameLog.map(game => {
-            if (!game.projectedPoints || game.projectedPoints === 0) {
-                return 1.0; // Neutral if no projection available
-            }
-            return game.actualPoints / game.projectedPoints;
-        });
-
-        // Calculate average performance ratio
-        const avgRatio = performanceRatios.reduce((sum, ratio) => sum + ratio, 0) / performanceRatios.length;
-
-        // Calculate consistency (standard deviation)
-        const variance = performanceRatios.reduce((sum, ratio) => {
-            return sum + Math.pow(ratio - avgRatio, 2);
-        }, 0) / performanceRatios.length;
-        
-        const consistency = Math.sqrt(variance);
-
-        // Calculate trend (is performance improving or declining?)
-        const trend = this.calculateTrend(performanceRatios);
+    calculatePerformanceMetrics(gameLog, prior = null) {
+        const stabilization = PlayerStats.STABILIZATION_GAMES;
+        const scores = gameLog.map(game => Number(game.points) || 0);
+        const recentGames = Math.min(HotColdStreakAnalyzer.STREAK_WINDOW, scores.length);
+        const recent = scores.slice(scores.length - recentGames);
+        const earlier = scores.slice(0, scores.length - recentGames);
+        const total = list => list.reduce((sum, points) => sum + points, 0);
+
+        const priorRate = prior?.rate > 0 ? prior.rate : null;
+        const priorGames = priorRate === null ? 0 : stabilization;
+        const baselineGames = earlier.length + priorGames;
+        if (baselineGames === 0) return null;
+
+        const baseline = (total(earlier) + priorGames * (priorRate ?? 0)) / baselineGames;
+        if (!(baseline > 0)) return null;
+
+        const typical = prior?.spread ?? PlayerStats.DEFAULT_SPREAD;
+        const own = PlayerStats.relativeSpread(earlier);
+        const spread = own === null
+            ? typical
+            : (earlier.length * own + stabilization * typical) / (earlier.length + stabilization);
+        const sigma = Math.max(HotColdStreakAnalyzer.MIN_SIGMA, spread * baseline);
+
+        const recentAverage = total(recent) / recentGames;
+        const standardError = sigma * Math.sqrt(1 / recentGames + 1 / baselineGames);
 
         return {
-            avgRatio,
-            consistency,
-            trend,
-            ratios: performanceRatios
+            scores,
+            recentGames,
+            recentAverage,
+            baseline,
+            baselineGames,
+            priorGames,
+            spread,
+            sigma,
+            zScore: (recentAverage - baseline) / standardError
         };
     }
 
     /**
-     * Calculate trend direction (improving/declining/stable)
-     */
-    calculateTrend(ratios) {
-        if (ratios.length < 3) return 'stable';
-        
-        const firstHalf = ratios.slice(0, Math.floor(ratios.length / 2));
-        const secondHalf = ratios.slice(Math.floor(ratios.length / 2));
-        
-        const firstAvg = firstHalf.reduce((a, b) => a + b, 0) / firstHalf.length;
-        const secondAvg = secondHalf.reduce((a, b) => a + b, 0) / secondHalf.length;
-        
-        const difference = secondAvg - firstAvg;
-        
-        if (difference > 0.15) return 'improving';
-        if (difference < -0.15) return 'declining';
-        return 'stable';
-    }
-
-    /**
-     * Determine streak type based on performance metrics
+     * A full window past Z_STREAK is a streak; anything past Z_EMERGING - or
+     * a big gap over fewer games than a full window - is one forming.
      */
-    determineStreakType(performanceData, gameCount) {
-        const { avgRatio, consistency } = performanceData;
-        const { hot, cold } = this.streakThresholds;
-
-        // Hot streak: High performance with consistency
-        if (gameCount >= hot.minGames && 
-            avgRatio >= hot.performanceRatio && 
-            consistency <= hot.consistency) {
-            return 'hot';
-        }
-
-        // Cold streak: Low performance 
-        if (gameCount >= cold.minGames && 
-            avgRatio <= cold.performanceRatio) {
-            return 'cold';
-        }
-
-        // Check for emerging trends
-        if (gameCount >= 2) {
-            if (avgRatio >= 1.15 && performanceData.trend === 'improving') {
-                return 'heating_up';
-            }
-            if (avgRatio <= 0.85 && performanceData.trend === 'declining') {
-                return 'cooling_down';
-            }
-        }
-
+    determineStreakType(metrics) {
+        const { zScore, recentGames } = metrics;
+        const fullWindow = recentGames >= HotColdStreakAnalyzer.STREAK_WINDOW;
+
+        if (fullWindow && zScore >= HotColdStreakAnalyzer.Z_STREAK) return 'hot';
+        if (fullWindow && zScore <= -HotColdStreakAnalyzer.Z_STREAK) return 'cold';
+        if (zScore >= HotColdStreakAnalyzer.Z_EMERGING) return 'heating_up';
+        if (zScore <= -HotColdStreakAnalyzer.Z_EMERGING) return 'cooling_down';
         return 'neutral';
     }
 
     /**
      * Generate educational context explaining the streak
      */
-    generateEducationalContext(streakType, performanceData, playerInfo) {
+    generateEducationalContext(streakType, metrics, playerInfo) {
+        const gap = `${metrics.recentAverage.toFixed(1)} pts a game over the last ${metrics.recentGames} ` +
+            `against a ${metrics.baseline.toFixed(1)}-point baseline (z = ${metrics.zScore.toFixed(1)})`;
+
         const contexts = {
             hot: {
                 title: "🔥 Hot Streak Detected",
-                explanation: `${playerInfo.name} is significantly outperforming projections with consistent results. This suggests underlying positive factors.`,
-                whyItMatters: "Hot streaks often indicate improved usage, easier matchups, or better team performance. They can persist for several more weeks.",
+                explanation: `${playerInfo.name} is at ${gap} - a bigger gap than their usual week-to-week swings explain.`,
+                whyItMatters: "Hot streaks often indicate improved usage, easier matchups, or better team performance. Part of the gap usually persists; the rest is luck that evens out.",
                 considerations: this.educationalContexts.hot,
                 fantasyImpact: "Consider starting with confidence or targeting in trades while value may still be reasonable."
             },
             cold: {
-                title: "🧊 Cold Streak Identified", 
-                explanation: `${playerInfo.name} has been consistently underperforming expectations. This pattern suggests addressable issues.`,
+                title: "🧊 Cold Streak Identified",
+                explanation: `${playerInfo.name} is at ${gap} - further below their norm than bad luck alone usually goes.`,
                 whyItMatters: "Cold streaks often have identifiable causes. Understanding the reason helps predict if it will continue or reverse.",
                 considerations: this.educationalContexts.cold,
                 fantasyImpact: "Consider benching temporarily, but don't panic-trade at lowest value. Look for buy-low opportunities."
             },
             heating_up: {
                 title: "📈 Heating Up",
-                explanation: `${playerInfo.name} shows improving performance trends. This could be the start of a hot streak.`,
+                explanation: `${playerInfo.name} is at ${gap}. Above normal, but not yet clear of noise - this could be the start of a hot streak.`,
                 whyItMatters: "Early trend identification allows you to capitalize before others notice the pattern.",
-                considerations: ["Performance trending upward", "May break out soon", "Good buy-low candidate"],
+                considerations: ["Recent games above their own baseline", "May break out soon", "Good buy-low candidate"],
                 fantasyImpact: "Monitor closely for continued improvement. Consider acquiring before hot streak is obvious."
             },
             cooling_down: {
-                title: "📉 Cooling Down", 
-                explanation: `${playerInfo.name} shows declining performance trends. Early warning of potential cold streak.`,
+                title: "📉 Cooling Down",
+                explanation: `${playerInfo.name} is at ${gap}. Below normal, but not yet clear of noise - an early warning of a cold streak.`,
                 whyItMatters: "Catching declining trends early allows you to sell high or adjust lineup expectations.",
-                considerations: ["Performance trending downward", "May enter cold streak", "Consider selling high"],
+                considerations: ["Recent games below their own baseline", "May enter cold streak", "Consider selling high"],
                 fantasyImpact: "Monitor for continued decline. Consider trading while value is still strong."
             },
             neutral: {
                 title: "📊 Normal Variance",
-                explanation: `${playerInfo.name} is performing within normal expected ranges with typical week-to-week variance.`,
+                explanation: `${playerInfo.name} is at ${gap} - within their normal week-to-week variance.`,
                 whyItMatters: "Normal variance is healthy. Not every player needs to be in a streak to be valuable.",
-                considerations: ["Consistent with projections", "No significant trend", "Reliable option"],
+                considerations: ["Consistent with their own baseline", "No significant trend", "Reliable option"],
                 fantasyImpact: "Start with confidence based on matchup and projections. No streak adjustments needed."
             }
         };
@@ -213,49 +255,93 @@ class HotColdStreakAnalyzer {
     }
 
     /**
-     * Calculate confidence level in the streak analysis
+     * Whether the workload agrees with the streak. A hot run on more snaps,
+     * targets and carries is a bigger role; the same run on an unchanged
+     * workload is touchdowns, and those even out. A cold run works the same
+     * way in reverse. Without usage data there is nothing to weigh.
      */
-    calculateConfidence(streakType, performanceData, gameCount) {
-        let baseConfidence = 50;
-
-        // More games = higher confidence
-        baseConfidence += Math.min(gameCount * 8, 30); // Up to +30 for games
-
-        // Stronger performance ratios = higher confidence
-        if (streakType === 'hot') {
-            const excessPerformance = (performanceData.avgRatio - 1.2) * 100;
-            baseConfidence += Math.min(excessPerformance, 15);
-        } else if (streakType === 'cold') {
-            const underPerformance = (0.8 - performanceData.avgRatio) * 100;
-            baseConfidence += Math.min(underPerformance, 15);
+    assessUsage(streakType, opportunity) {
+        if (!opportunity) return { direction: null, verdict: null, note: null, confidenceModifier: 0 };
+
+        const described = PlayerStats.describeUsage(opportunity);
+        const hot = streakType === 'hot' || streakType === 'heating_up';
+        const cold = streakType === 'cold' || streakType === 'cooling_down';
+        const { direction } = opportunity;
+
+        if ((hot && direction === 'rising') || (cold && direction === 'falling')) {
+            return {
+                direction,
+                verdict: 'supported',
+                note: `The workload moved with the points: ${described}`,
+                confidenceModifier: 10
+            };
         }
+        if (hot || cold) {
+            return {
+                direction,
+                verdict: 'unsupported',
+                note: hot
+                    ? `The workload has not grown (${described}) - the extra points are likely touchdowns that will not keep coming`
+                    : `The workload is intact (${described}) - the points should follow it back`,
+                confidenceModifier: -15
+            };
+        }
+        return { direction, verdict: null, note: `Workload: ${described}`, confidenceModifier: 0 };
+    }
 
-        // Better consistency = higher confidence
-        const consistencyBonus = Math.max(0, (0.3 - performanceData.consistency) * 50);
-        baseConfidence += Math.min(consistencyBonus, 10);
+    /**
+     * Confidence in the call, as a percentage. For a streak it is the
+     * probability the recent games really sit on the side of the baseline
+     * they appear to, read off the z-score - so the same gap over fewer games
+     * or against a thinner baseline scores lower. For normal variance it is
+     * the two-sided p-value: how ordinary the recent games look.
+     */
+    calculateConfidence(streakType, metrics) {
+        const probability = SeededRandom.normalCdf(Math.abs(metrics.zScore));
+        const confidence = streakType === 'neutral' ? 2 * (1 - probability) : probability;
+        return Math.round(confidence * 100);
+    }
 
-        // Trend alignment increases confidence
-        if ((streakType === 'hot' && performanceData.trend === 'improving') ||
-            (streakType === 'cold' && performanceData.trend === 'declining')) {
-            baseConfidence += 5;
-        }
+    /**
+     * What to expect next week. A recent run is a noisy read on a role that
+     * may really have changed, so only part of its gap to the baseline
+     * carries forward: recentGames / (recentGames + STABILIZATION_GAMES),
+     * the credit a player's own games get over a projection. A workload that
+     * moved with the points keeps more of the gap; one that did not keeps
+     * less.
+     */
+    estimateRegression(metrics, usage = null) {
+        const stabilization = PlayerStats.STABILIZATION_GAMES
+            * (HotColdStreakAnalyzer.USAGE_STABILIZATION[usage?.verdict] ?? 1);
+        const persistence = metrics.recentGames / (metrics.recentGames + stabilization);
+        const gap = metrics.recentAverage - metrics.baseline;
 
-        return Math.min(Math.round(baseConfidence), 95); // Cap at 95%
+        return {
+            expected: metrics.baseline + persistence * gap,
+            persistence,
+            regressed: (1 - persistence) * gap
+        };
     }
 
     /**
-     * Create visual data for streak display
+     * Each game against the baseline. A game more than PERFORMANCE_BAND
+     * standard deviations from it counts as above or below.
      */
-    createVisualData(gameLog) {
-        return gameLog.map((game, index) => ({
-            week: game.week || index + 1,
-            actual: game.actualPoints,
-            projected: game.projectedPoints,
-            ratio: game.projectedPoints ? game.actualPoints / game.projectedPoints : 1,
-            performance: game.projectedPoints ? 
-                (game.actualPoints >= game.projectedPoints * 1.1 ? 'above' :
-                 game.actualPoints <= game.projectedPoints * 0.9 ? 'below' : 'neutral') : 'neutral'
-        }));
+    createVisualData(gameLog, metrics) {
+        const band = HotColdStreakAnalyzer.PERFORMANCE_BAND;
+        return gameLog.map((game, index) => {
+            const actual = Number(game.points) || 0;
+            const zScore = (actual - metrics.baseline) / metrics.sigma;
+            return {
+                week: game.week || index + 1,
+                actual,
+                baseline: metrics.baseline,
+                ratio: actual / metrics.baseline,
+                zScore,
+                recent: index >= gameLog.length - metrics.recentGames,
+                performance: zScore >= band ? 'above' : zScore <= -band ? 'below' : 'neutral'
+            };
+        });
     }
 
     /**
@@ -283,7 +369,7 @@ class HotColdStreakAnalyzer {
             ],
             cooling_down: [
                 `Monitor ${playerInfo.name} for continued decline`,
-                "Consider trading while value is still strong", 
+                "Consider trading while value is still strong",
                 "Have backup options ready",
                 "Don't ignore the warning signs"
             ],
@@ -306,9 +392,13 @@ class HotColdStreakAnalyzer {
             player: playerInfo.name,
             position: playerInfo.position,
             team: playerInfo.team,
+            manager: playerInfo.manager || null,
+            mine: Boolean(playerInfo.mine),
             streakType: 'neutral',
             gamesAnalyzed: 0,
+            zScore: null,
             confidence: 0,
+            regression: null,
             educationalContext: {
                 title: "📊 Insufficient Data",
                 explanation: reason,
@@ -326,7 +416,8 @@ class HotColdStreakAnalyzer {
      */
     analyzeMultiplePlayers(playersData) {
         return playersData.map(playerData => {
-            return this.analyzePlayerStreak(playerData.gameLog, playerData.playerInfo);
+            return this.analyzePlayerStreak(
+                playerData.gameLog, playerData.playerInfo, playerData.opportunity, playerData.prior);
         });
     }
 
@@ -336,7 +427,7 @@ class HotColdStreakAnalyzer {
     getStreakSummary(analysis) {
         const emoji = {
             hot: '🔥',
-            cold: '🧊', 
+            cold: '🧊',
             heating_up: '📈',
             cooling_down: '📉',
             neutral: '📊'
@@ -352,6 +443,20 @@ class HotColdStreakAnalyzer {
     }
 }
 
+// Games needed before a streak is scored at all.
+HotColdStreakAnalyzer.MIN_GAMES = 2;
+// The most recent games that make up the streak; the rest are the baseline.
+HotColdStreakAnalyzer.STREAK_WINDOW = 3;
+// z-scores for a streak (one-sided 95%) and for one forming.
+HotColdStreakAnalyzer.Z_STREAK = 1.645;
+HotColdStreakAnalyzer.Z_EMERGING = 1.0;
+// Floor on a game's standard deviation, so a low scorer's tiny swings are not read as streaks.
+HotColdStreakAnalyzer.MIN_SIGMA = 2;
+// Standard deviations from the baseline at which a single game counts as above or below.
+HotColdStreakAnalyzer.PERFORMANCE_BAND = 0.5;
+// How the workload scales the games a streak needs before it is believed.
+HotColdStreakAnalyzer.USAGE_STABILIZATION = { supported: 0.5, unsupported: 2 };
+
 // UI Manager for displaying streak analysis
 class StreakAnalysisUI {
     constructor(containerId) {
@@ -360,7 +465,9 @@ class StreakAnalysisUI {
     }
 
     /**
-     * Render streak analysis for multiple players
+     * Render streak analysis for every rostered player: your own roster in
+     * full, strongest streak first, then the surest streaks on the other
+     * rosters.
      */
     renderStreakAnalysis(playersData) {
         if (!this.container) {
@@ -368,20 +475,33 @@ class StreakAnalysisUI {
             return;
         }
 
-        const analyses = this.analyzer.analyzeMultiplePlayers(playersData);
+        const analyses = this.analyzer.analyzeMultiplePlayers(playersData)
+            .filter(analysis => analysis.gamesAnalyzed > 0);
 
         // Retained so "View Detailed Analysis" can expand a card without re-running
         // the analyzer or refetching the game logs.
         this.analyses = analyses;
 
+        const byStrength = (a, b) => Math.abs(b.zScore) - Math.abs(a.zScore);
+        const yours = analyses.filter(analysis => analysis.mine).sort(byStrength);
+        const elsewhere = analyses
+            .filter(analysis => !analysis.mine && analysis.streakType !== 'neutral')
+            .sort((a, b) => b.confidence - a.confidence || byStrength(a, b));
+        const streaking = analyses.filter(analysis => analysis.streakType !== 'neutral').length;
+
         this.container.innerHTML = `
             <div class="streak-analysis-header">
                 <h2>🔥 Hot/Cold Streak Analysis</h2>
-                <p class="streak-subtitle">AI-powered performance trend analysis with educational insights</p>
-            </div>
-            <div class="streak-analysis-grid">
-                ${analyses.map(analysis => this.createStreakCard(analysis)).join('')}
+                <p class="streak-subtitle">
+                    ${analyses.length} rostered players scored against their own baselines · ${streaking} streaking
+                </p>
             </div>
+            ${yours.length ? this.createSection('Your Roster', yours) : ''}
+            ${this.createSection(
+                yours.length ? 'Around the League' : 'Streaks Across the League',
+                elsewhere.slice(0, StreakAnalysisUI.LEAGUE_CARDS),
+                'Nobody else in the league is outside their normal range right now.'
+            )}
             <div class="streak-educational-section">
                 ${this.createEducationalSection()}
             </div>
@@ -391,6 +511,41 @@ class StreakAnalysisUI {
         this.addEventListeners();
     }
 
+    /** Shows why there is nothing to score, in place of the cards. */
+    renderNoData(message) {
+        if (!this.container) return;
+        this.analyses = [];
+        this.container.innerHTML = `
+            <div class="streak-empty-state">
+                <div class="icon">📊</div>
+                <h3>No Game Logs Yet</h3>
+                <p>${message}</p>
+            </div>
+        `;
+    }
+
+    createSection(title, analyses, emptyMessage = '') {
+        return `
+            <h3 class="streak-section-title">${title}</h3>
+            ${analyses.length ? `
+            <div class="streak-analysis-grid">
+                ${analyses.map(analysis => this.createStreakCard(analysis)).join('')}
+            </div>` : `<p class="streak-section-empty">${emptyMessage}</p>`}
+        `;
+    }
+
+    /** "Expect X next week" with how much of the recent gap is expected to fade. */
+    describeRegression(analysis) {
+        const { regression } = analysis;
+        if (!regression) return '';
+
+        const gap = analysis.recentAverage - analysis.baseline;
+        const fade = Math.abs(gap) < 0.5
+            ? 'in line with the baseline'
+            : `${Math.round((1 - regression.persistence) * 100)}% of the ${Math.abs(gap).toFixed(1)}-point gap expected to fade`;
+        return `Expect ${regression.expected.toFixed(1)} pts next week - ${fade}.`;
+    }
+
     /**
      * Create individual streak card
      */
@@ -405,6 +560,7 @@ class StreakAnalysisUI {
                         <div class="player-meta">
                             <span class="position-badge">${analysis.position}</span>
                             <span class="team-name">${analysis.team}</span>
+                            ${!analysis.mine && analysis.manager ? `<span class="streak-manager">${analysis.manager}</span>` : ''}
                         </div>
                     </div>
                     <div class="streak-indicator ${analysis.streakType}">
@@ -415,19 +571,24 @@ class StreakAnalysisUI {
 
                 <div class="performance-metrics">
                     <div class="metric">
-                        <span class="metric-value">${(analysis.avgPerformanceRatio * 100).toFixed(0)}%</span>
-                        <span class="metric-label">vs Projection</span>
+                        <span class="metric-value">${analysis.zScore >= 0 ? '+' : ''}${analysis.zScore.toFixed(1)}</span>
+                        <span class="metric-label">z vs Baseline</span>
                     </div>
                     <div class="metric">
                         <span class="metric-value">${analysis.confidence}%</span>
                         <span class="metric-label">Confidence</span>
                     </div>
                     <div class="metric">
-                        <span class="metric-value">${analysis.gamesAnalyzed}</span>
-                        <span class="metric-label">Games</span>
+                        <span class="metric-value">${analysis.regression.expected.toFixed(1)}</span>
+                        <span class="metric-label">Next Week</span>
                     </div>
                 </div>
 
+                <p class="streak-regression">
+                    Last ${analysis.recentGames}: ${analysis.recentAverage.toFixed(1)} pts a game vs a
+                    ${analysis.baseline.toFixed(1)} baseline. ${this.describeRegression(analysis)}
+                </p>
+
                 <div class="game-performance">
                     <h4>Recent Performance</h4>
                     <div class="games-grid">
@@ -441,6 +602,12 @@ class StreakAnalysisUI {
                         <p>${analysis.educationalContext.explanation}</p>
                     </div>
                     
+                    ${analysis.usage?.note ? `
+                    <div class="streak-usage ${analysis.usage.verdict || ''}">
+                        <h5>🏈 Usage</h5>
+                        <p>${analysis.usage.note}</p>
+                    </div>` : ''}
+
                     <div class="fantasy-impact">
                         <h5>💡 Fantasy Impact</h5>
                         <p>${analysis.educationalContext.fantasyImpact}</p>
@@ -467,12 +634,12 @@ class StreakAnalysisUI {
     createGameBar(game) {
         const height = Math.max(20, Math.min(80, game.ratio * 40));
         return `
-            <div class="game-bar ${game.performance}" 
+            <div class="game-bar ${game.performance}${game.recent ? ' recent' : ''}"
                  style="height: ${height}px"
                  data-week="${game.week}"
-                 data-actual="${game.actual}"
-                 data-projected="${game.projected}"
-                 title="Week ${game.week}: ${game.actual} pts (${game.projected} proj)">
+                 data-actual="${game.actual.toFixed(1)}"
+                 data-baseline="${game.baseline.toFixed(1)}"
+                 title="Week ${game.week}: ${game.actual.toFixed(1)} pts (${game.baseline.toFixed(1)} baseline)">
             </div>
         `;
     }
@@ -487,11 +654,11 @@ class StreakAnalysisUI {
                 <div class="educational-grid">
                     <div class="educational-item">
                         <h4>🤔 What Are Streaks?</h4>
-                        <p>Sustained periods where players consistently outperform (hot) or underperform (cold) expectations. Not just random variance - they often indicate real changes.</p>
+                        <p>Recent games further above (hot) or below (cold) a player's own baseline than their normal week-to-week swings explain. The z-score measures how far.</p>
                     </div>
                     <div class="educational-item">
                         <h4>🎯 Why They Matter</h4>
-                        <p>Streaks have predictive value and often continue for several weeks. They can indicate usage changes, health factors, or matchup luck.</p>
+                        <p>Part of a streak is a real change in role or health and carries forward; the rest is luck and fades. The next-week estimate keeps only the part that tends to last.</p>
                     </div>
                     <div class="educational-item">
                         <h4>💡 How to Use</h4>
@@ -544,11 +711,9 @@ class StreakAnalysisUI {
         const ctx = analysis.educationalContext;
         const games = analysis.visualData;
 
-        const best = games.reduce((a, b) => (b.ratio > a.ratio ? b : a), games[0]);
-        const worst = games.reduce((a, b) => (b.ratio < a.ratio ? b : a), games[0]);
-        const beat = games.filter(g => g.performance === 'above').length;
-        const totalActual = games.reduce((sum, g) => sum + g.actual, 0);
-        const totalProjected = games.reduce((sum, g) => sum + g.projected, 0);
+        const best = games.reduce((a, b) => (b.actual > a.actual ? b : a), games[0]);
+        const worst = games.reduce((a, b) => (b.actual < a.actual ? b : a), games[0]);
+        const seasonAverage = games.reduce((sum, g) => sum + g.actual, 0) / games.length;
 
         const modal = document.createElement('div');
         modal.id = 'streakDetailModal';
@@ -575,63 +740,67 @@ class StreakAnalysisUI {
                 <div style="padding: 1rem 1.5rem; overflow-y: auto;">
                     <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(110px, 1fr)); gap: 0.75rem; margin-bottom: 1.25rem;">
                         <div class="metric-card">
-                            <div class="metric-value">${(analysis.avgPerformanceRatio * 100).toFixed(0)}%</div>
-                            <div class="metric-label">vs Projection</div>
+                            <div class="metric-value">${analysis.recentAverage.toFixed(1)}</div>
+                            <div class="metric-label">Last ${analysis.recentGames} Avg</div>
                         </div>
                         <div class="metric-card">
-                            <div class="metric-value">${analysis.confidence}%</div>
-                            <div class="metric-label">Confidence</div>
+                            <div class="metric-value">${analysis.baseline.toFixed(1)}</div>
+                            <div class="metric-label">Baseline</div>
+                        </div>
+                        <div class="metric-card">
+                            <div class="metric-value">${analysis.zScore >= 0 ? '+' : ''}${analysis.zScore.toFixed(2)}</div>
+                            <div class="metric-label">z-score</div>
                         </div>
                         <div class="metric-card">
-                            <div class="metric-value">${(analysis.consistency * 100).toFixed(0)}%</div>
-                            <div class="metric-label">Consistency</div>
+                            <div class="metric-value">${analysis.confidence}%</div>
+                            <div class="metric-label">Confidence</div>
                         </div>
                         <div class="metric-card">
-                            <div class="metric-value">${beat}/${games.length}</div>
-                            <div class="metric-label">Games Beat Proj.</div>
+                            <div class="metric-value">${analysis.regression.expected.toFixed(1)}</div>
+                            <div class="metric-label">Next Week</div>
                         </div>
                     </div>
 
+                    <p style="color: var(--text-secondary); margin: 0 0 1.25rem;">${this.describeRegression(analysis)}</p>
+
                     <h4 style="margin: 0 0 0.5rem; color: var(--text-primary);">📊 Game-by-game</h4>
                     <table style="width: 100%; border-collapse: collapse; font-size: 0.9rem; margin-bottom: 1.25rem;">
                         <thead>
                             <tr style="color: var(--text-secondary); text-align: left;">
                                 <th style="padding: 0.4rem 0;">Week</th>
-                                <th style="padding: 0.4rem 0;">Actual</th>
-                                <th style="padding: 0.4rem 0;">Projected</th>
-                                <th style="padding: 0.4rem 0;">Diff</th>
-                                <th style="padding: 0.4rem 0;">vs Proj.</th>
+                                <th style="padding: 0.4rem 0;">Points</th>
+                                <th style="padding: 0.4rem 0;">vs Baseline</th>
+                                <th style="padding: 0.4rem 0;">z</th>
                             </tr>
                         </thead>
                         <tbody>
                             ${games.map(g => {
-                                const diff = g.actual - g.projected;
+                                const diff = g.actual - g.baseline;
                                 const color = g.performance === 'above' ? '#2ecc71'
                                             : g.performance === 'below' ? '#ef4444' : 'var(--text-secondary)';
                                 return `
-                                    <tr style="border-top: 1px solid var(--border-color);">
-                                        <td style="padding: 0.4rem 0; color: var(--text-primary);">${g.week}</td>
+                                    <tr style="border-top: 1px solid var(--border-color);${g.recent ? ' font-weight: 600;' : ''}">
+                                        <td style="padding: 0.4rem 0; color: var(--text-primary);">${g.week}${g.recent ? ' ·' : ''}</td>
                                         <td style="padding: 0.4rem 0; color: var(--text-primary);">${g.actual.toFixed(1)}</td>
-                                        <td style="padding: 0.4rem 0; color: var(--text-secondary);">${g.projected.toFixed(1)}</td>
                                         <td style="padding: 0.4rem 0; color: ${color};">${diff >= 0 ? '+' : ''}${diff.toFixed(1)}</td>
-                                        <td style="padding: 0.4rem 0; color: ${color}; font-weight: 500;">${(g.ratio * 100).toFixed(0)}%</td>
+                                        <td style="padding: 0.4rem 0; color: ${color};">${g.zScore >= 0 ? '+' : ''}${g.zScore.toFixed(1)}</td>
                                     </tr>
                                 `;
                             }).join('')}
                             <tr style="border-top: 2px solid var(--border-color); font-weight: 600;">
-                                <td style="padding: 0.4rem 0; color: var(--text-primary);">Total</td>
-                                <td style="padding: 0.4rem 0; color: var(--text-primary);">${totalActual.toFixed(1)}</td>
-                                <td style="padding: 0.4rem 0; color: var(--text-secondary);">${totalProjected.toFixed(1)}</td>
+                                <td style="padding: 0.4rem 0; color: var(--text-primary);">Average</td>
+                                <td style="padding: 0.4rem 0; color: var(--text-primary);">${seasonAverage.toFixed(1)}</td>
                                 <td colspan="2" style="padding: 0.4rem 0; color: var(--text-primary);">
-                                    ${totalActual >= totalProjected ? '+' : ''}${(totalActual - totalProjected).toFixed(1)} pts
+                                    ${seasonAverage >= analysis.baseline ? '+' : ''}${(seasonAverage - analysis.baseline).toFixed(1)} pts
                                 </td>
                             </tr>
                         </tbody>
                     </table>
 
                     <p style="color: var(--text-secondary); font-size: 0.875rem; margin: 0 0 1.25rem;">
-                        Best week: <strong style="color: var(--text-primary);">Week ${best.week}</strong> (${(best.ratio * 100).toFixed(0)}% of projection) ·
-                        Worst week: <strong style="color: var(--text-primary);">Week ${worst.week}</strong> (${(worst.ratio * 100).toFixed(0)}%)
+                        Best week: <strong style="color: var(--text-primary);">Week ${best.week}</strong> (${best.actual.toFixed(1)} pts) ·
+                        Worst week: <strong style="color: var(--text-primary);">Week ${worst.week}</strong> (${worst.actual.toFixed(1)} pts) ·
+                        Weeks marked · are the streak window
                     </p>
 
                     <h4 style="margin: 0 0 0.5rem; color: var(--text-primary);">${ctx.title}</h4>
@@ -656,9 +825,10 @@ class StreakAnalysisUI {
                     </div>
 
                     <p style="color: var(--text-secondary); font-size: 0.8rem; margin-top: 1.25rem;">
-                        Based on ${analysis.gamesAnalyzed} games. Confidence reflects sample size and how
-                        consistent the pattern is - a strong streak over few games still scores lower than a
-                        steady one over many.
+                        Based on ${analysis.gamesAnalyzed} games. The baseline is the games before the last
+                        ${analysis.recentGames}${analysis.priorGames
+                            ? `, with the preseason projection counted as ${analysis.priorGames} more` : ''}. Confidence comes from the z-score, so the same
+                        gap over fewer games or against a thinner baseline scores lower.
                     </p>
                 </div>
             </div>
@@ -693,7 +863,7 @@ class StreakAnalysisUI {
         tooltip.innerHTML = `
             <strong>Week ${e.target.dataset.week}</strong><br>
             Actual: ${e.target.dataset.actual} pts<br>
-            Projected: ${e.target.dataset.projected} pts
+            Baseline: ${e.target.dataset.baseline} pts
         `;
         
         document.body.appendChild(tooltip);
@@ -714,52 +884,13 @@ class StreakAnalysisUI {
     }
 }
 
-// Demo data for testing
-class StreakAnalysisDemo {
-    static getSampleData() {
-        return [
-            {
-                playerInfo: { name: "Bijan Robinson", position: "RB", team: "ATL" },
-                gameLog: [
-                    { week: 1, actualPoints: 18.5, projectedPoints: 15.2 },
-                    { week: 2, actualPoints: 22.1, projectedPoints: 16.8 },
-                    { week: 3, actualPoints: 19.7, projectedPoints: 15.5 },
-                    { week: 4, actualPoints: 24.3, projectedPoints: 17.1 }
-                ]
-            },
-            {
-                playerInfo: { name: "Calvin Ridley", position: "WR", team: "TEN" },
-                gameLog: [
-                    { week: 1, actualPoints: 8.2, projectedPoints: 14.5 },
-                    { week: 2, actualPoints: 6.7, projectedPoints: 13.8 },
-                    { week: 3, actualPoints: 9.1, projectedPoints: 14.2 },
-                    { week: 4, actualPoints: 7.8, projectedPoints: 15.1 }
-                ]
-            },
-            {
-                playerInfo: { name: "Josh Allen", position: "QB", team: "BUF" },
-                gameLog: [
-                    { week: 1, actualPoints: 24.8, projectedPoints: 22.1 },
-                    { week: 2, actualPoints: 18.2, projectedPoints: 21.5 },
-                    { week: 3, actualPoints: 23.7, projectedPoints: 22.8 },
-                    { week: 4, actualPoints: 21.9, projectedPoints: 23.2 }
-                ]
-            }
-        ];
-    }
-
-    static initialize() {
-        const ui = new StreakAnalysisUI('streak-analysis-container');
-        const sampleData = this.getSampleData();
-        ui.renderStreakAnalysis(sampleData);
-    }
-}
+// Streaks shown from the other rosters - the league has a couple of hundred players.
+StreakAnalysisUI.LEAGUE_CARDS = 12;
 
 // Export classes for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { 
-        HotColdStreakAnalyzer, 
-        StreakAnalysisUI,
-        StreakAnalysisDemo 
+    module.exports = {
+        HotColdStreakAnalyzer,
+        StreakAnalysisUI
     };
-}
\ No newline at end of file
+}
@@ -81,6 +81,10 @@ class TeamManager {
                     <div id="matchupAnalysis" class="matchup-container" style="display: none;">
                         <!-- Matchup analysis will be displayed here -->
                     </div>
+
+                    <div id="liveMatchup" class="live-matchup-container" style="display: none;">
+                        <!-- Live game-day scoring will be displayed here -->
+                    </div>
                 </div>
             `;
         }
@@ -126,6 +130,7 @@ class TeamManager {
             // Add additional feature buttons
             this.addTradeAnalyzerButton();
             this.addPlayoffSimulatorButton();
+            this.addLiveMatchupButton();
             
             this.configManager.showNotification('✅ Roster loaded successfully!', 'success');
 
@@ -346,12 +351,12 @@ class TeamManager {
             this.lineupOptimizer = new LineupOptimizer(this.configManager, this.sleeperAPI);
             
             // Get optimization recommendations
-            const recommendations = await this.lineupOptimizer.optimizeWeeklyLineup(
+            const { recommendations, lineup } = await this.lineupOptimizer.optimizeWeeklyLineup(
                 this.currentRoster, 
                 this.currentWeek
             );
 
-            this.displayLineupOptimization(recommendations);
+            this.displayLineupOptimization(recommendations, lineup);
             
             this.configManager.showNotification('🎯 Lineup optimization complete!', 'success');
 
@@ -364,7 +369,7 @@ class TeamManager {
         }
     }
 
-    displayLineupOptimization(recommendations) {
+    displayLineupOptimization(recommendations, lineup) {
         const container = document.getElementById('lineupOptimization');
         if (!container) return;
 
@@ -374,6 +379,8 @@ class TeamManager {
                 <p>AI-powered start/sit suggestions with explanations</p>
             </div>
             
+            ${this.renderOptimalLineup(lineup)}
+            
             <div class="recommendations-grid">
                 ${recommendations.map(rec => `
                     <div class="recommendation-card ${rec.type}">
@@ -400,6 +407,47 @@ class TeamManager {
         container.style.display = 'block';
     }
 
+    /** Slot-by-slot comparison of the Sleeper lineup with the optimal one. */
+    renderOptimalLineup(lineup) {
+        if (!lineup) return '';
+        if (!lineup.available) {
+            return `<div class="optimal-lineup unavailable">📭 Optimal lineup unavailable: ${lineup.note}</div>`;
+        }
+
+        const formatPoints = points => points.toFixed(1);
+        const cell = entry => entry
+            ? `${entry.name} <span class="slot-meta">${entry.position} - ${entry.team || 'FA'} · ${formatPoints(entry.points)}</span>`
+            : '<span class="slot-meta">Empty</span>';
+
+        const delta = lineup.delta;
+        const verdict = delta > 0.05
+            ? `Optimal lineup projects <strong>+${formatPoints(delta)} pts</strong> over your current lineup`
+            : 'Your current lineup is already the highest-projected one';
+
+        return `
+            <div class="optimal-lineup">
+                <div class="optimal-lineup-summary ${delta > 0.05 ? 'gain' : 'set'}">
+                    <div>${verdict}</div>
+                    <div class="slot-meta">Current ${formatPoints(lineup.currentTotal)} → Optimal ${formatPoints(lineup.optimalTotal)} · ${lineup.source}</div>
+                </div>
+                <table class="optimal-lineup-table">
+                    <thead>
+                        <tr><th>Slot</th><th>On Sleeper</th><th>Optimal</th></tr>
+                    </thead>
+                    <tbody>
+                        ${lineup.rows.map(row => `
+                            <tr class="${(row.current?.id || null) !== (row.optimal?.id || null) ? 'changed' : ''}">
+                                <td class="slot-name">${row.slot.replace(/_/g, ' ')}</td>
+                                <td>${cell(row.current)}</td>
+                                <td>${cell(row.optimal)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
     async analyzeMatchups() {
         if (!this.currentRoster) {
             this.configManager.showNotification('❌ Load your roster first', 'error');
@@ -480,12 +528,23 @@ class LineupOptimizer {
     constructor(configManager, sleeperAPI) {
         this.configManager = configManager;
         this.sleeperAPI = sleeperAPI;
+        this.playerStats = PlayerStats.shared();
     }
 
     async optimizeWeeklyLineup(userRoster, week) {
         // Get all players data
-        const players = await this.sleeperAPI.fetchAPI('/players/nfl');
+        const players = await this.sleeperAPI.getAllPlayers();
         const { roster } = userRoster;
+        const league = await this.sleeperAPI.getLeague(
+            roster.league_id || this.configManager.config.sleeperLeagueId
+        );
+        const slots = LineupOptimizer.starterSlots(league?.roster_positions);
+        // Without the league's slots there is no lineup to optimize, and an
+        // empty result would read as a finished one.
+        if (slots.length === 0) {
+            throw new Error('Could not read the starting lineup slots for this league');
+        }
+        const lineup = await this.solveOptimalLineup(roster, slots, league, week, players);
         
         const recommendations = [];
         
@@ -500,38 +559,222 @@ class LineupOptimizer {
             
             if (!starter) continue;
             
-            // Find bench alternatives for this position
+            // Find bench alternatives for this slot
             const alternatives = bench
                 .map(id => players[id])
-                .filter(p => p && this.canPlayPosition(p.position, i))
+                .filter(p => p && this.canPlayPosition(p, slots[i]))
                 .slice(0, 3); // Top 3 alternatives
             
             // Generate recommendation
             const rec = await this.generateStartSitRecommendation(starter, alternatives, week);
-            if (rec) {
-                recommendations.push(rec);
+            if (!rec) continue;
+
+            if (lineup.available && !lineup.optimalIds.has(String(starterId)) && rec.type === 'start') {
+                rec.type = 'consider';
+                rec.reasoning += `. The projection-optimal lineup benches ${rec.player.name} this week`;
             }
+            recommendations.push(rec);
         }
         
-        return recommendations;
+        return { recommendations, lineup };
     }
-    
-    canPlayPosition(playerPosition, slotIndex) {
-        // Simple position eligibility - would be more sophisticated in real implementation
-        const positionMappings = {
-            0: ['QB'], // QB slot
-            1: ['RB'], // RB1 slot  
-            2: ['RB'], // RB2 slot
-            3: ['WR'], // WR1 slot
-            4: ['WR'], // WR2 slot
-            5: ['TE'], // TE slot
-            6: ['RB', 'WR', 'TE'], // FLEX slot
-            7: ['K'], // K slot
-            8: ['DEF'] // DEF slot
+
+    /**
+     * Starting slots in the order Sleeper lists them, which is also the order
+     * of `roster.starters`. Bench, IR and taxi spots never score.
+     */
+    static starterSlots(rosterPositions) {
+        return (rosterPositions || []).filter(slot => !LineupOptimizer.NON_STARTING_SLOTS.has(slot));
+    }
+
+    /**
+     * The positions a player can fill. Sleeper lists IDP players by their real
+     * position (CB, DE, ILB) but fills IDP slots by fantasy position, which it
+     * publishes as `fantasy_positions`; the map covers players without it.
+     */
+    static playerPositions(player) {
+        if (!player) return [];
+        if (Array.isArray(player.fantasy_positions) && player.fantasy_positions.length) {
+            return player.fantasy_positions;
+        }
+        return [LineupOptimizer.IDP_POSITION_MAP[player.position] || player.position];
+    }
+
+    canPlayPosition(player, slot) {
+        const accepts = LineupOptimizer.SLOT_ELIGIBILITY[slot] || [];
+        return LineupOptimizer.playerPositions(player).some(position => accepts.includes(position));
+    }
+
+    /**
+     * The highest-projected lineup this roster can field in the league's own
+     * slots, set against the lineup currently saved on Sleeper.
+     *
+     * Filling slots greedily is not enough once a league mixes flex types: a
+     * WRRB_FLEX and a REC_FLEX both want the same receivers, and whichever is
+     * filled first can strand the best player for the other. The assignment is
+     * solved exactly instead - a roster and a lineup are small enough that this
+     * costs nothing.
+     */
+    async solveOptimalLineup(roster, slots, league, week, players) {
+        if (!slots.length) {
+            return { available: false, note: 'This league does not publish its roster slots' };
+        }
+
+        await this.playerStats.ensureLoaded({
+            season: league?.season,
+            week,
+            scoringFormat: this.configManager.config.scoringFormat || 'Half PPR',
+            leagueId: this.configManager.config.sleeperLeagueId,
+            rosterFormat: this.configManager.config.rosterFormat || 'Standard',
+            teams: league?.total_rosters || this.configManager.config.leagueSize || 12,
+            allPlayers: players
+        });
+
+        const projections = await this.playerStats.projectionsForWeek(week);
+        if (!projections.size) {
+            return { available: false, note: `Sleeper has not published week ${week} projections yet` };
+        }
+
+        // A player on IR or the taxi squad cannot be started, whatever he projects.
+        const unavailable = new Set([...(roster.reserve || []), ...(roster.taxi || [])].map(String));
+        const pool = (roster.players || [])
+            .map(String)
+            .filter(id => players[id] && !unavailable.has(id));
+
+        // No projection means no expected points - a bye, or no role this week.
+        const projected = id => projections.get(String(id)) ?? 0;
+
+        const assignment = LineupOptimizer.assignSlots(
+            slots,
+            pool,
+            (id, slot) => this.canPlayPosition(players[id], slot),
+            projected
+        );
+
+        const describe = id => {
+            if (!id || id === '0' || !players[id]) return null;
+            const player = players[id];
+            return {
+                id,
+                name: `${player.first_name} ${player.last_name}`,
+                position: player.position,
+                team: player.team,
+                points: projected(id)
+            };
         };
-        
-        const validPositions = positionMappings[slotIndex] || [];
-        return validPositions.includes(playerPosition);
+
+        const starters = (roster.starters || []).map(String);
+        const rows = slots.map((slot, index) => ({
+            slot,
+            current: describe(starters[index]),
+            optimal: describe(assignment[index])
+        }));
+
+        const total = key => rows.reduce((sum, row) => sum + (row[key]?.points || 0), 0);
+        const currentTotal = total('current');
+        const optimalTotal = total('optimal');
+
+        return {
+            available: true,
+            week,
+            rows,
+            currentTotal,
+            optimalTotal,
+            delta: optimalTotal - currentTotal,
+            optimalIds: new Set(assignment.filter(Boolean)),
+            source: `Sleeper week ${week} projections, ${this.playerStats.describeScoring()}`
+        };
+    }
+
+    /**
+     * Total points of the best lineup a set of players can field in these
+     * slots, for callers that need the number rather than the lineup.
+     */
+    static bestLineupPoints(slots, playerIds, players, pointsFor) {
+        const canPlay = (id, slot) => {
+            const accepts = LineupOptimizer.SLOT_ELIGIBILITY[slot] || [];
+            return LineupOptimizer.playerPositions(players[id]).some(position => accepts.includes(position));
+        };
+        return LineupOptimizer.assignSlots(slots, playerIds, canPlay, pointsFor)
+            .reduce((sum, id) => sum + (id ? pointsFor(id) : 0), 0);
+    }
+
+    /**
+     * Maximum-projection assignment of players to slots (Hungarian method).
+     *
+     * Returns one player ID per slot, or null where no eligible player is left.
+     * Every slot also gets a padding "empty" column priced worse than any real
+     * eligible player, so the problem is always solvable and a slot is only
+     * left empty when nobody on the roster can fill it.
+     */
+    static assignSlots(slots, playerIds, isEligible, pointsFor) {
+        const INELIGIBLE = 1e6;
+        const EMPTY = 1e3;
+        const n = slots.length;
+        const m = playerIds.length + n;
+
+        const cost = (row, col) => {
+            if (col > playerIds.length) return EMPTY;
+            const id = playerIds[col - 1];
+            return isEligible(id, slots[row - 1]) ? -pointsFor(id) : INELIGIBLE;
+        };
+
+        const u = new Array(n + 1).fill(0);
+        const v = new Array(m + 1).fill(0);
+        const p = new Array(m + 1).fill(0);
+        const way = new Array(m + 1).fill(0);
+
+        for (let i = 1; i <= n; i++) {
+            p[0] = i;
+            let j0 = 0;
+            const minv = new Array(m + 1).fill(Infinity);
+            const used = new Array(m + 1).fill(false);
+
+            do {
+                used[j0] = true;
+                const i0 = p[j0];
+                let delta = Infinity;
+                let j1 = 0;
+
+                for (let j = 1; j <= m; j++) {
+                    if (used[j]) continue;
+                    const reduced = cost(i0, j) - u[i0] - v[j];
+                    if (reduced < minv[j]) {
+                        minv[j] = reduced;
+                        way[j] = j0;
+                    }
+                    if (minv[j] < delta) {
+                        delta = minv[j];
+                        j1 = j;
+                    }
+                }
+
+                for (let j = 0; j <= m; j++) {
+                    if (used[j]) {
+                        u[p[j]] += delta;
+                        v[j] -= delta;
+                    } else {
+                        minv[j] -= delta;
+                    }
+                }
+                j0 = j1;
+            } while (p[j0] !== 0);
+
+            do {
+                const j1 = way[j0];
+                p[j0] = p[j1];
+                j0 = j1;
+            } while (j0);
+        }
+
+        const assignment = new Array(n).fill(null);
+        for (let j = 1; j <= m; j++) {
+            const row = p[j];
+            if (!row) continue;
+            const id = j <= playerIds.length ? playerIds[j - 1] : null;
+            assignment[row - 1] = id && isEligible(id, slots[row - 1]) ? id : null;
+        }
+        return assignment;
     }
     
     async generateStartSitRecommendation(starter, alternatives, week) {
@@ -1360,8 +1603,56 @@ class LineupOptimizer {
 
         teamActions.appendChild(playoffBtn);
     }
+
+    addLiveMatchupButton() {
+        const teamActions = document.querySelector('.team-actions');
+        if (!teamActions || document.getElementById('liveMatchupBtn')) return;
+
+        const liveBtn = document.createElement('button');
+        liveBtn.className = 'btn btn-outline';
+        liveBtn.id = 'liveMatchupBtn';
+        liveBtn.innerHTML = '<span>🔴</span> Live Scoring';
+        liveBtn.onclick = () => {
+            if (!window.liveMatchupTracker) {
+                this.configManager.showNotification('Live scoring is still loading. Please try again in a moment.', 'info');
+                return;
+            }
+            window.liveMatchupTracker.start();
+        };
+
+        teamActions.appendChild(liveBtn);
+    }
 }
 
+/**
+ * Positions each Sleeper roster slot accepts. Anything not listed here is a
+ * slot the optimizer does not know, and it is left for the user to fill.
+ */
+LineupOptimizer.SLOT_ELIGIBILITY = {
+    QB: ['QB'],
+    RB: ['RB'],
+    WR: ['WR'],
+    TE: ['TE'],
+    K: ['K'],
+    DEF: ['DEF'],
+    FLEX: ['RB', 'WR', 'TE'],
+    WRRB_FLEX: ['WR', 'RB'],
+    REC_FLEX: ['WR', 'TE'],
+    SUPER_FLEX: ['QB', 'RB', 'WR', 'TE'],
+    DL: ['DL'],
+    LB: ['LB'],
+    DB: ['DB'],
+    IDP_FLEX: ['DL', 'LB', 'DB']
+};
+
+LineupOptimizer.NON_STARTING_SLOTS = new Set(['BN', 'IR', 'TAXI']);
+
+LineupOptimizer.IDP_POSITION_MAP = {
+    DE: 'DL', DT: 'DL', NT: 'DL',
+    ILB: 'LB', OLB: 'LB', MLB: 'LB',
+    CB: 'DB', S: 'DB', FS: 'DB', SS: 'DB'
+};
+
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { TeamManager, LineupOptimizer };
@@ -36,6 +36,7 @@ class TradeAnalyzer {
         await this.playerStats.ensureLoaded({
             week: this.currentWeek,
             scoringFormat: this.configManager.config.scoringFormat || 'Half PPR',
+            leagueId: this.configManager.config.sleeperLeagueId,
             rosterFormat: this.configManager.config.rosterFormat || 'Standard',
             teams: this.configManager.config.leagueSize || 12,
             allPlayers
@@ -118,13 +119,22 @@ class TradeAnalyzer {
         return Math.max(0.8, Math.min(1.5, 1 + (scarcityRatio - 0.5)));
     }
 
-    async analyzeTradeProposal(yourPlayers, theirPlayers, leagueData = null) {
+    /**
+     * Each side is a list of assets: players, and draft picks in Sleeper's
+     * traded-pick shape (see isDraftPick). Both are valued on the same 0-100
+     * scale, so a pick counts toward the totals and the fairness rating like
+     * any player would.
+     */
+    async analyzeTradeProposal(yourAssets, theirAssets, leagueData = null) {
         try {
             // Load league context if provided
             if (leagueData) {
                 this.leagueContext = leagueData;
             }
 
+            const yourPlayers = yourAssets.filter(asset => !TradeAnalyzer.isDraftPick(asset));
+            const theirPlayers = theirAssets.filter(asset => !TradeAnalyzer.isDraftPick(asset));
+
             // Calculate player values
             const yourPlayerValues = await Promise.all(
                 yourPlayers.map(player => this.calculatePlayerValue(player))
@@ -133,12 +143,26 @@ class TradeAnalyzer {
                 theirPlayers.map(player => this.calculatePlayerValue(player))
             );
 
+            // Picks are valued off where their original owners are projected
+            // to finish, simulated once for the whole proposal.
+            const yourPickValues = [];
+            const theirPickValues = [];
+            for (const pick of yourAssets.filter(TradeAnalyzer.isDraftPick)) {
+                yourPickValues.push(await this.calculatePickValue(pick));
+            }
+            for (const pick of theirAssets.filter(TradeAnalyzer.isDraftPick)) {
+                theirPickValues.push(await this.calculatePickValue(pick));
+            }
+
             // Calculate total values
-            const yourTotalValue = yourPlayerValues.reduce((sum, pv) => sum + pv.totalValue, 0);
-            const theirTotalValue = theirPlayerValues.reduce((sum, pv) => sum + pv.totalValue, 0);
+            const sumValues = values => values.reduce((sum, v) => sum + v.totalValue, 0);
+            const yourTotalValue = sumValues(yourPlayerValues) + sumValues(yourPickValues);
+            const theirTotalValue = sumValues(theirPlayerValues) + sumValues(theirPickValues);
 
             // Analyze trade impact
-            const tradeImpact = await this.analyzeTradeImpact(yourPlayers, theirPlayers);
+            const tradeImpact = await this.analyzeTradeImpact(
+                yourPlayers, theirPlayers, yourPickValues, theirPickValues
+            );
 
             // Generate recommendation
             const recommendation = this.generateTradeRecommendation(
@@ -148,13 +172,17 @@ class TradeAnalyzer {
             return {
                 yourPlayers: yourPlayerValues,
                 theirPlayers: theirPlayerValues,
+                yourPicks: yourPickValues,
+                theirPicks: theirPickValues,
                 yourTotalValue: Math.round(yourTotalValue),
                 theirTotalValue: Math.round(theirTotalValue),
                 valueDifference: Math.round(theirTotalValue - yourTotalValue),
                 fairnessRating: this.calculateFairnessRating(yourTotalValue, theirTotalValue),
                 tradeImpact,
                 recommendation,
-                analysis: this.generateTradeAnalysis(yourPlayerValues, theirPlayerValues, tradeImpact)
+                analysis: this.generateTradeAnalysis(
+                    yourPlayerValues, theirPlayerValues, tradeImpact, yourPickValues, theirPickValues
+                )
             };
 
         } catch (error) {
@@ -166,7 +194,11 @@ class TradeAnalyzer {
     async calculatePlayerValue(player) {
         try {
             const scoringFormat = this.configManager.config.scoringFormat || 'Half PPR';
-            const isPPR = scoringFormat.includes('PPR');
+            // The league's own settings, when loaded, say what a catch is worth
+            // at each position - including a TE premium no canned format has.
+            const scoring = this.playerStats.scoring;
+            const isPPR = scoring ? scoring.receptionPoints('WR') > 0 : scoringFormat.includes('PPR');
+            const tePremium = scoring ? scoring.receptionPoints('TE') - scoring.receptionPoints('WR') : 0;
             // Roster format, not scoring format - Super Flex is about how many
             // quarterbacks start, which is orthogonal to points per reception.
             const isSuperflex = this.configManager.startsTwoQuarterbacks();
@@ -178,7 +210,7 @@ class TradeAnalyzer {
                 QB: isSuperflex ? 65 : 55,
                 RB: isPPR ? 70 : 75,
                 WR: isPPR ? 75 : 65,
-                TE: isPPR ? 60 : 50,
+                TE: (isPPR ? 60 : 50) + (tePremium > 0 ? 10 : 0),
                 K: 35,
                 DEF: 40
             };
@@ -234,7 +266,9 @@ class TradeAnalyzer {
                 player,
                 baseValue: Math.round(baseValue),
                 totalValue: Math.round(totalValue),
-                valueBasis: hasRealValue ? this.playerStats.describeSource() : 'position defaults (no published numbers)',
+                valueBasis: hasRealValue
+                    ? `${this.playerStats.describeSource()}, ${this.playerStats.describeScoring()}`
+                    : 'position defaults (no published numbers)',
                 breakdown: {
                     position: hasRealValue ? Math.round(producedValue) : positionBaseValues[player.position],
                     age: this.getAgeAdjustment(age),
@@ -326,6 +360,141 @@ class TradeAnalyzer {
         return Math.round(Math.max(-8, Math.min(8, (net / this.marketScale) * 8)));
     }
 
+    // ======================
+    // DRAFT PICKS
+    // ======================
+
+    /**
+     * A draft pick as a trade asset: `{ type: 'pick', season, round, roster_id }`,
+     * where roster_id is the original owner - the team whose finish decides
+     * where the pick lands, whoever holds it now. The same fields Sleeper's
+     * traded_picks endpoints return.
+     */
+    static isDraftPick(asset) {
+        return asset?.type === 'pick';
+    }
+
+    /**
+     * The season of the next draft. Until the league has drafted for the
+     * current season, that draft is still ahead; after it, next year's is.
+     */
+    nextDraftSeason() {
+        const league = this.leagueContext?.league;
+        const season = Number(league?.season) || new Date().getFullYear();
+        return ['pre_draft', 'drafting'].includes(league?.status) ? season : season + 1;
+    }
+
+    /**
+     * Where each team is projected to finish, from PlayoffSimulator run over
+     * every roster in the league. Cached against the rosters it was run on, so
+     * the picks in one proposal share a single simulation.
+     */
+    async loadProjectedFinishes() {
+        const { rosters } = this.leagueContext || {};
+        if (!Array.isArray(rosters) || !rosters.length) return null;
+        if (this.projectedFinishes?.rosters === rosters) return this.projectedFinishes.byRoster;
+
+        const simulator = await this.createSimulator();
+
+        // One seed for the session, so re-analyzing a trade values its picks
+        // the same way instead of re-rolling them.
+        this.pickSeed = this.pickSeed ?? SeededRandom.newSeed();
+        const byRoster = await simulator.projectFinishes(this.leagueContext, TradeAnalyzer.PICK_SIMULATIONS, this.pickSeed);
+        this.projectedFinishes = { rosters, byRoster, seasonLength: simulator.seasonLength };
+        return byRoster;
+    }
+
+    /**
+     * A pick's value within its round: the top of the round for the first
+     * slot, sliding to the bottom for the last. Past the curve every pick is a
+     * lottery ticket of the same small worth.
+     */
+    pickSlotValue(round, slot, teams) {
+        const curve = TradeAnalyzer.PICK_ROUND_VALUES[round];
+        if (!curve) return TradeAnalyzer.LATE_PICK_VALUE;
+
+        const [top, bottom] = curve;
+        const position = teams > 1 ? (slot - 1) / (teams - 1) : 0;
+        return top - (top - bottom) * position;
+    }
+
+    /**
+     * A draft pick on the player scale.
+     *
+     * The draft runs in reverse order of finish, so the original owner's
+     * projected finish sets the slot: the value is the round curve averaged
+     * over every finish the simulation produced, weighted by how often it did.
+     * Only the next draft can be projected this way - this season's standings
+     * say little about a finish two seasons out - so later picks are valued at
+     * the middle of their round and discounted per season of waiting.
+     */
+    async calculatePickValue(pick) {
+        const season = Number(pick.season) || this.nextDraftSeason();
+        const round = Number(pick.round) || 1;
+        const rosterId = Number(pick.roster_id);
+        const teams = this.leagueContext?.rosters?.length || this.configManager.config.leagueSize || 12;
+        const nextSeason = this.nextDraftSeason();
+        const owner = this.teamNameFor(rosterId);
+
+        const finishes = season === nextSeason ? await this.loadProjectedFinishes().catch(error => {
+            console.warn('⚠️ Could not project finishes for pick values:', error);
+            return null;
+        }) : null;
+        const finish = finishes?.get(rosterId) || null;
+
+        let value;
+        let projectedSlot = null;
+        if (finish) {
+            value = 0;
+            Object.entries(finish.distribution).forEach(([rank, share]) => {
+                value += share * this.pickSlotValue(round, teams + 1 - Number(rank), teams);
+            });
+            projectedSlot = Math.min(teams, Math.max(1, Math.round(teams + 1 - finish.averageFinish)));
+        } else {
+            value = this.pickSlotValue(round, (teams + 1) / 2, teams);
+        }
+
+        const seasonsOut = Math.max(0, season - nextSeason);
+        value *= Math.pow(TradeAnalyzer.PICK_SEASON_DISCOUNT, seasonsOut);
+        const totalValue = Math.round(Math.max(1, Math.min(100, value)));
+
+        const gamesPlayed = (() => {
+            const settings = this.leagueContext?.rosters?.find(r => r.roster_id === rosterId)?.settings || {};
+            return (settings.wins || 0) + (settings.losses || 0) + (settings.ties || 0);
+        })();
+        const halfSeason = (this.projectedFinishes?.seasonLength || 14) / 2;
+
+        return {
+            pick,
+            label: `${season} Round ${round}${owner ? ` (${owner})` : ''}`,
+            season,
+            round,
+            projectedSlot,
+            projectedFinish: finish ? Math.round(finish.averageFinish * 10) / 10 : null,
+            totalValue,
+            valueBasis: finish
+                ? `${owner || 'original owner'} projected to finish ${this.ordinal(Math.round(finish.averageFinish))}`
+                : seasonsOut > 0
+                    ? `mid-round, discounted ${seasonsOut} season${seasonsOut > 1 ? 's' : ''}`
+                    : 'mid-round (no standings to project from)',
+            tier: this.getPlayerTier(totalValue),
+            confidence: finish ? (gamesPlayed >= halfSeason ? 'High' : 'Medium') : 'Low'
+        };
+    }
+
+    teamNameFor(rosterId) {
+        const { rosters = [], users = [] } = this.leagueContext || {};
+        const ownerId = rosters.find(r => r.roster_id === rosterId)?.owner_id;
+        const user = users.find(u => u.user_id === ownerId);
+        return user?.metadata?.team_name || user?.display_name || null;
+    }
+
+    ordinal(n) {
+        const suffix = ['th', 'st', 'nd', 'rd'];
+        const v = n % 100;
+        return n + (suffix[(v - 20) % 10] || suffix[v] || suffix[0]);
+    }
+
     getPlayerTier(value) {
         if (value >= 85) return 'Elite';
         if (value >= 75) return 'High-End';
@@ -352,7 +521,7 @@ class TradeAnalyzer {
         return 'Low';
     }
 
-    async analyzeTradeImpact(yourPlayers, theirPlayers) {
+    async analyzeTradeImpact(yourPlayers, theirPlayers, yourPicks = [], theirPicks = []) {
         const impact = {
             positionalImpact: {},
             rosterBalance: 'neutral',
@@ -388,17 +557,34 @@ class TradeAnalyzer {
         }
 
         // Risk assessment based on injury history and age
-        const yourAvgAge = yourPlayers.reduce((sum, p) => sum + this.calculatePlayerAge(p), 0) / yourPlayers.length;
-        const theirAvgAge = theirPlayers.reduce((sum, p) => sum + this.calculatePlayerAge(p), 0) / theirPlayers.length;
+        // A side made only of picks has no age to compare.
+        const averageAge = players => players.length
+            ? players.reduce((sum, p) => sum + this.calculatePlayerAge(p), 0) / players.length
+            : null;
+        const yourAvgAge = averageAge(yourPlayers);
+        const theirAvgAge = averageAge(theirPlayers);
+        const bothAged = yourAvgAge !== null && theirAvgAge !== null;
         
         const injuredPlayers = [...yourPlayers, ...theirPlayers].filter(p => p.injury_status);
         
-        if (theirAvgAge > yourAvgAge + 3 || injuredPlayers.length > 1) {
+        if ((bothAged && theirAvgAge > yourAvgAge + 3) || injuredPlayers.length > 1) {
             impact.riskAssessment = 'high';
-        } else if (theirAvgAge < yourAvgAge - 2 && injuredPlayers.length === 0) {
+        } else if (bothAged && theirAvgAge < yourAvgAge - 2 && injuredPlayers.length === 0) {
             impact.riskAssessment = 'low';
         }
 
+        // Draft capital is the future half of a trade: picks pay off in
+        // seasons to come, players mostly in this one.
+        const pickTotal = picks => picks.reduce((sum, p) => sum + p.totalValue, 0);
+        const netPickValue = pickTotal(theirPicks) - pickTotal(yourPicks);
+        impact.draftCapital = {
+            given: pickTotal(yourPicks),
+            received: pickTotal(theirPicks),
+            net: netPickValue
+        };
+        if (netPickValue >= TradeAnalyzer.PICK_IMPACT_THRESHOLD) impact.futureImpact = 'gain';
+        else if (netPickValue <= -TradeAnalyzer.PICK_IMPACT_THRESHOLD) impact.futureImpact = 'loss';
+
         return impact;
     }
 
@@ -450,12 +636,12 @@ class TradeAnalyzer {
         return { recommendation, reasoning };
     }
 
-    generateTradeAnalysis(yourPlayers, theirPlayers, impact) {
+    generateTradeAnalysis(yourPlayers, theirPlayers, impact, yourPicks = [], theirPicks = []) {
         const analysis = [];
 
         // Value comparison
-        const yourTotal = yourPlayers.reduce((sum, p) => sum + p.totalValue, 0);
-        const theirTotal = theirPlayers.reduce((sum, p) => sum + p.totalValue, 0);
+        const yourTotal = [...yourPlayers, ...yourPicks].reduce((sum, p) => sum + p.totalValue, 0);
+        const theirTotal = [...theirPlayers, ...theirPicks].reduce((sum, p) => sum + p.totalValue, 0);
         
         analysis.push({
             category: 'Value Analysis',
@@ -470,6 +656,22 @@ class TradeAnalyzer {
             });
         });
 
+        // Each pick, with where it is projected to land
+        const describePick = (pickValue, verb) => {
+            const slot = pickValue.projectedSlot
+                ? `, projected ${pickValue.round}.${String(pickValue.projectedSlot).padStart(2, '0')}`
+                : '';
+            return `${verb} ${pickValue.label}${slot} - worth ${pickValue.totalValue} (${pickValue.valueBasis}).`;
+        };
+        yourPicks.forEach(pickValue => analysis.push({
+            category: 'Draft Picks',
+            description: describePick(pickValue, 'Giving up')
+        }));
+        theirPicks.forEach(pickValue => analysis.push({
+            category: 'Draft Picks',
+            description: describePick(pickValue, 'Receiving')
+        }));
+
         // Risk analysis
         analysis.push({
             category: 'Risk Assessment',
@@ -479,50 +681,716 @@ class TradeAnalyzer {
         return analysis;
     }
 
-    async generateTradeProposals(userTeam, leagueData, targetNeeds = []) {
+    // ======================
+    // TRADE BUILDER
+    // ======================
+
+    /**
+     * The league the Trade Calculator builds in, loaded on the first click:
+     * the rosters, your team, and who holds every pick in the next few
+     * drafts. Shared with concurrent callers while it loads.
+     */
+    async loadTradeBuilder() {
+        if (this.builder) return this.builder;
+
+        this.builderLoading = this.builderLoading || this.createTradeBuilder()
+            .finally(() => { this.builderLoading = null; });
+        return this.builderLoading;
+    }
+
+    async createTradeBuilder() {
+        const leagueId = this.configManager.config.sleeperLeagueId;
+        if (!leagueId) {
+            throw new Error('Please configure your Sleeper League ID first');
+        }
+
+        const analyzer = window.leagueAnalyzer || new LeagueAnalyzer(this.configManager);
+        const leagueData = await analyzer.loadLeagueData(leagueId);
+        this.leagueContext = leagueData;
+
+        const yourRosterId = (await analyzer.identifyUserTeam(leagueData).catch(() => null))?.roster?.roster_id
+            ?? leagueData.rosters[0]?.roster_id ?? null;
+        const partner = leagueData.rosters.find(roster => roster.roster_id !== yourRosterId);
+
+        this.builder = {
+            leagueData,
+            picks: await this.loadPickOwnership(leagueData),
+            sides: {
+                your: { rosterId: yourRosterId, assets: [] },
+                their: { rosterId: partner?.roster_id ?? null, assets: [] }
+            },
+            picking: null
+        };
+        return this.builder;
+    }
+
+    /**
+     * Who holds every pick in the next PICK_SEASONS drafts, keyed
+     * `season:round:original roster id`. Every team starts with its own
+     * picks; Sleeper's traded picks say which have changed hands - the
+     * league's list for seasons whose draft does not exist yet, and the
+     * upcoming draft's own once it does.
+     */
+    async loadPickOwnership({ league, rosters }) {
+        const firstSeason = this.nextDraftSeason();
+        const rounds = Number(league?.settings?.draft_rounds) || TradeAnalyzer.PICK_ROUND_VALUES.length - 1;
+        const owners = new Map();
+        for (let season = firstSeason; season < firstSeason + TradeAnalyzer.PICK_SEASONS; season++) {
+            for (let round = 1; round <= rounds; round++) {
+                rosters.forEach(({ roster_id: rosterId }) => owners.set(`${season}:${round}:${rosterId}`, rosterId));
+            }
+        }
+
+        const drafts = await this.sleeperAPI.getDrafts(league.league_id).catch(() => []);
+        const upcoming = (Array.isArray(drafts) ? drafts : [])
+            .find(draft => Number(draft.season) === firstSeason && draft.status !== 'complete');
+        const traded = await Promise.all([
+            this.sleeperAPI.getLeagueTradedPicks(league.league_id).catch(() => []),
+            upcoming ? this.sleeperAPI.getTradedPicks(upcoming.draft_id).catch(() => []) : []
+        ]);
+
+        traded.forEach(list => (Array.isArray(list) ? list : []).forEach(pick => {
+            const key = `${pick.season}:${pick.round}:${pick.roster_id}`;
+            if (owners.has(key)) owners.set(key, pick.owner_id);
+        }));
+        return owners;
+    }
+
+    /** Opens the player and pick picker on one side of the builder. */
+    async addPlayerToTrade(side) {
         try {
-            if (!window.leagueAnalyzer) {
-                throw new Error('League analyzer not available');
+            await this.loadTradeBuilder();
+        } catch (error) {
+            console.error('❌ Error loading the trade builder:', error);
+            this.configManager.showNotification(`❌ ${error.message}`, 'error');
+            return;
+        }
+
+        this.builder.picking = side;
+        this.renderTradeSide('your');
+        this.renderTradeSide('their');
+    }
+
+    /** Switches one side to another team, which empties that side. */
+    selectTradeTeam(side, rosterId) {
+        if (!this.builder) return;
+
+        this.builder.sides[side] = { rosterId: Number(rosterId), assets: [] };
+        this.renderTradeSide('your');
+        this.renderTradeSide('their');
+    }
+
+    /** Adds the picked player or pick to a side, then values it. */
+    async selectTradeAsset(side, key) {
+        const asset = key ? this.tradeAssetFor(key) : null;
+        if (!asset) return;
+
+        const entry = { key, asset, value: null };
+        this.builder.sides[side].assets.push(entry);
+        this.builder.picking = null;
+        this.renderTradeSide(side);
+
+        entry.value = TradeAnalyzer.isDraftPick(asset)
+            ? await this.calculatePickValue(asset)
+            : await this.calculatePlayerValue(asset);
+        this.renderTradeSide(side);
+    }
+
+    removeFromTrade(side, index) {
+        if (!this.builder) return;
+
+        this.builder.sides[side].assets.splice(index, 1);
+        this.renderTradeSide(side);
+    }
+
+    /**
+     * The asset behind a picker key: `player:<id>` for a player, with his id
+     * alongside Sleeper's record, or `pick:<season>:<round>:<roster id>` for
+     * a pick in the shape isDraftPick describes.
+     */
+    tradeAssetFor(key) {
+        const [kind, ...parts] = key.split(':');
+        if (kind === 'pick') {
+            const [season, round, rosterId] = parts.map(Number);
+            return { type: 'pick', season, round, roster_id: rosterId, owner_id: this.builder.picks.get(parts.join(':')) };
+        }
+
+        const player = this.builder.leagueData.allPlayers?.[parts[0]];
+        return player ? { ...player, player_id: parts[0] } : null;
+    }
+
+    /** A name and a line of detail for a player or a pick. */
+    describeTradeAsset(asset) {
+        if (TradeAnalyzer.isDraftPick(asset)) {
+            const owner = this.teamNameFor(asset.roster_id);
+            return { name: `${asset.season} Round ${asset.round}`, details: owner ? `${owner}'s pick` : 'Draft pick' };
+        }
+        return {
+            name: asset.full_name || `${asset.first_name} ${asset.last_name}`,
+            details: `${asset.position} - ${asset.team || 'FA'}`
+        };
+    }
+
+    /** What a side's team could still add: its players, then the picks it holds. */
+    tradeOptions(side) {
+        const { leagueData, picks, sides } = this.builder;
+        const { rosterId, assets } = sides[side];
+        const taken = new Set(assets.map(entry => entry.key));
+        const roster = leagueData.rosters.find(r => r.roster_id === rosterId);
+        const order = ['QB', 'RB', 'WR', 'TE', 'K', 'DEF'];
+        const rank = position => (order.includes(position) ? order.indexOf(position) : order.length);
+
+        const players = (roster?.players || [])
+            .map(id => ({ key: `player:${id}`, asset: this.tradeAssetFor(`player:${id}`) }))
+            .filter(option => option.asset && !taken.has(option.key))
+            .sort((a, b) => rank(a.asset.position) - rank(b.asset.position)
+                || this.describeTradeAsset(a.asset).name.localeCompare(this.describeTradeAsset(b.asset).name));
+        const ownedPicks = [...picks]
+            .filter(([, owner]) => owner === rosterId)
+            .map(([pickKey]) => ({ key: `pick:${pickKey}`, asset: this.tradeAssetFor(`pick:${pickKey}`) }))
+            .filter(option => !taken.has(option.key));
+
+        return { players, picks: ownedPicks };
+    }
+
+    renderTradeSide(side) {
+        const container = document.getElementById(side === 'your' ? 'yourPlayers' : 'theirPlayers');
+        const total = document.getElementById(side === 'your' ? 'yourTotal' : 'theirTotal');
+        if (!container || !this.builder) return;
+
+        const { leagueData, sides, picking } = this.builder;
+        const { rosterId, assets } = sides[side];
+        const otherRosterId = sides[side === 'your' ? 'their' : 'your'].rosterId;
+        const option = ({ key, asset }) => {
+            const { name, details } = this.describeTradeAsset(asset);
+            return `<option value="${key}">${name} (${details})</option>`;
+        };
+
+        const teams = leagueData.rosters
+            .filter(roster => roster.roster_id !== otherRosterId)
+            .map(roster => `
+                <option value="${roster.roster_id}" ${roster.roster_id === rosterId ? 'selected' : ''}>
+                    ${this.teamNameFor(roster.roster_id) || `Team ${roster.roster_id}`}
+                </option>
+            `).join('');
+
+        const selected = assets.map(({ asset, value }, index) => {
+            const { name, details } = this.describeTradeAsset(asset);
+            return `
+                <div class="selected-player">
+                    <div class="player-info">
+                        <div class="player-name">${name}</div>
+                        <div class="player-details">${details}</div>
+                    </div>
+                    <div class="player-value">${value ? value.totalValue : '...'}</div>
+                    <button class="remove-player" onclick="window.tradeAnalyzer.removeFromTrade('${side}', ${index})">✕</button>
+                </div>
+            `;
+        }).join('');
+
+        let picker = `
+            <div class="add-player-btn" onclick="window.tradeAnalyzer.addPlayerToTrade('${side}')">
+                + Add Player or Pick
+            </div>
+        `;
+        if (picking === side) {
+            const options = this.tradeOptions(side);
+            picker = `
+                <select class="trade-picker" onchange="window.tradeAnalyzer.selectTradeAsset('${side}', this.value)">
+                    <option value="">Choose a player or pick...</option>
+                    <optgroup label="Players">${options.players.map(option).join('')}</optgroup>
+                    <optgroup label="Draft Picks">${options.picks.map(option).join('')}</optgroup>
+                </select>
+            `;
+        }
+
+        container.innerHTML = `
+            <select class="trade-picker" onchange="window.tradeAnalyzer.selectTradeTeam('${side}', this.value)">
+                ${teams}
+            </select>
+            ${selected}
+            ${picker}
+        `;
+        if (total) {
+            total.textContent = `Total Value: ${assets.reduce((sum, entry) => sum + (entry.value?.totalValue || 0), 0)}`;
+        }
+    }
+
+    /** Values the trade on the builder through analyzeTradeProposal and shows the verdict. */
+    async analyzeTrade() {
+        const results = document.getElementById('tradeResults');
+        const sides = this.builder?.sides;
+        if (!results) return;
+        if (!sides?.your.assets.length || !sides.their.assets.length) {
+            this.configManager.showNotification('⚠️ Add at least one player or pick to each side first', 'warning');
+            return;
+        }
+
+        results.style.display = 'block';
+        results.innerHTML = `
+            <div class="loading-state">
+                <div class="icon">⏳</div>
+                <p>Valuing every player and projecting where each pick lands...</p>
+            </div>
+        `;
+
+        try {
+            const result = await this.analyzeTradeProposal(
+                sides.your.assets.map(entry => entry.asset),
+                sides.their.assets.map(entry => entry.asset),
+                this.builder.leagueData
+            );
+            this.builderTrade = this.builderTradeForOdds();
+            results.innerHTML = this.renderTradeResult(result);
+        } catch (error) {
+            results.innerHTML = `
+                <div class="empty-state">
+                    <div class="icon">❌</div>
+                    <p>Could not analyze this trade: ${error.message}</p>
+                </div>
+            `;
+        }
+    }
+
+    /**
+     * An analyzeTradeProposal result: both totals, every player and pick with
+     * what its value rests on, the draft capital changing hands, and the
+     * recommendation.
+     */
+    renderTradeResult(result) {
+        const { tradeImpact, recommendation } = result;
+        const slug = text => String(text).toLowerCase().replace(/\s+/g, '-');
+        const row = (name, details, value) => `
+            <div class="breakdown-row tier-${slug(value.tier)}">
+                <div>
+                    <div class="player-name">${name}</div>
+                    <div class="value-basis">${details} · ${value.valueBasis || 'no value basis'}</div>
+                </div>
+                <div class="breakdown-value">${value.totalValue} <span class="value-tier">${value.tier}</span></div>
+            </div>
+        `;
+        const rows = (players, picks) => [
+            ...players.map(value => {
+                const { name, details } = this.describeTradeAsset(value.player);
+                return row(name, details, value);
+            }),
+            ...picks.map(value => row(
+                value.label,
+                value.projectedSlot ? `projected ${value.round}.${String(value.projectedSlot).padStart(2, '0')}` : `Round ${value.round}`,
+                value
+            ))
+        ].join('');
+
+        const { given, received, net } = tradeImpact.draftCapital;
+        const draftCapital = result.yourPicks.length || result.theirPicks.length ? `
+            <div class="draft-capital ${tradeImpact.futureImpact}">
+                Draft capital: ${given} given, ${received} received, net ${net >= 0 ? '+' : ''}${net}
+            </div>
+        ` : '';
+
+        const difference = result.valueDifference;
+        return `
+            <div class="trade-results-header">
+                <h4>Trade Analysis <span class="fairness-indicator ${slug(result.fairnessRating)}">${result.fairnessRating}</span></h4>
+            </div>
+            <div class="value-comparison">
+                <div class="value-side your-value">
+                    <div class="value-number">${result.yourTotalValue}</div>
+                    <div class="value-label">You Give</div>
+                </div>
+                <div class="value-difference">
+                    <div class="difference-number">${difference >= 0 ? '+' : ''}${difference}</div>
+                    <div class="difference-label">${difference >= 0 ? 'In your favor' : 'In their favor'}</div>
+                </div>
+                <div class="value-side their-value">
+                    <div class="value-number">${result.theirTotalValue}</div>
+                    <div class="value-label">You Get</div>
+                </div>
+            </div>
+            <div class="trade-breakdown">
+                <div class="breakdown-side">
+                    <h5>You give</h5>
+                    ${rows(result.yourPlayers, result.yourPicks)}
+                </div>
+                <div class="breakdown-side">
+                    <h5>You get</h5>
+                    ${rows(result.theirPlayers, result.theirPicks)}
+                </div>
+            </div>
+            ${draftCapital}
+            <div class="trade-recommendation ${recommendation.recommendation}">
+                <div class="recommendation-header">
+                    <span class="recommendation-type ${recommendation.recommendation}">${recommendation.recommendation}</span>
+                </div>
+                <div class="recommendation-reasoning">${recommendation.reasoning}</div>
+            </div>
+            <div class="trade-analysis">
+                <h4>Analysis</h4>
+                <div class="analysis-grid">
+                    ${result.analysis.map(item => `
+                        <div class="analysis-item">
+                            <div class="analysis-category">${item.category}</div>
+                            <div class="analysis-description">${item.description}</div>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+            ${this.builderTrade ? `
+                <div class="proposal-actions">
+                    <button class="btn btn-secondary" onclick="window.tradeAnalyzer.showBuilderTradeOdds()">
+                        🏆 Playoff Odds
+                    </button>
+                </div>
+                <div class="trade-odds" id="tradeOdds-builder"></div>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * The builder's trade in the shape analyzeTradeOdds reads, your team as
+     * team A. Picks do not play this season, so only the players move; null
+     * when no player does.
+     */
+    builderTradeForOdds() {
+        const { your, their } = this.builder.sides;
+        const players = side => side.assets
+            .filter(entry => !TradeAnalyzer.isDraftPick(entry.asset))
+            .map(entry => ({ id: entry.asset.player_id }));
+        const team = side => ({
+            rosterId: side.rosterId,
+            teamName: this.teamNameFor(side.rosterId) || `Team ${side.rosterId}`
+        });
+
+        const gives = players(your);
+        const gets = players(their);
+        if (!gives.length && !gets.length) return null;
+        return { teamA: team(your), teamB: team(their), gives, gets };
+    }
+
+    showBuilderTradeOdds() {
+        if (!this.builderTrade) return;
+        return this.runTradeOdds(this.builderTrade, 'builder');
+    }
+
+    /**
+     * The Player Values tab: every rostered player in the league, valued the
+     * way the builder values them, highest first.
+     */
+    async loadPlayerValues() {
+        const list = document.getElementById('playerValuesList');
+        if (!list) return;
+        const position = document.getElementById('positionFilter')?.value || 'all';
+
+        list.innerHTML = `
+            <div class="loading-state">
+                <div class="icon">⏳</div>
+                <p>Valuing every rostered player...</p>
+            </div>
+        `;
+
+        try {
+            const { leagueData } = await this.loadTradeBuilder();
+            const managers = new Map();
+            leagueData.rosters.forEach(roster => (roster.players || []).forEach(id => {
+                managers.set(String(id), this.teamNameFor(roster.roster_id) || `Team ${roster.roster_id}`);
+            }));
+
+            const players = [...managers.keys()]
+                .map(id => this.tradeAssetFor(`player:${id}`))
+                .filter(player => player && (position === 'all' || player.position === position));
+            const values = (await Promise.all(players.map(player => this.calculatePlayerValue(player))))
+                .sort((a, b) => b.totalValue - a.totalValue);
+
+            if (!values.length) {
+                list.innerHTML = `
+                    <div class="empty-state">
+                        <div class="icon">📊</div>
+                        <p>No rostered players at that position.</p>
+                    </div>
+                `;
+                return;
             }
 
-            // Get league analysis for trade targets
-            const leagueAnalysis = await window.leagueAnalyzer.analyzeLeagueStandings();
-            const tradeTargets = leagueAnalysis.tradeTargets;
+            list.innerHTML = values.map(value => {
+                const { name, details } = this.describeTradeAsset(value.player);
+                return `
+                    <div class="player-value-item tier-${value.tier.toLowerCase().replace(/\s+/g, '-')}">
+                        <div class="player-value-info">
+                            <div class="player-value-name">${name}</div>
+                            <div class="player-value-details">${details} · ${managers.get(value.player.player_id)} · ${value.valueBasis}</div>
+                        </div>
+                        <div class="player-value-score">
+                            <div class="value-score">${value.totalValue}</div>
+                            <div class="value-tier">${value.tier}</div>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+
+        } catch (error) {
+            list.innerHTML = `
+                <div class="empty-state">
+                    <div class="icon">❌</div>
+                    <p>Could not load player values: ${error.message}</p>
+                </div>
+            `;
+        }
+    }
 
-            const proposals = [];
+    // ======================
+    // TRADE FINDER
+    // ======================
 
-            for (const target of tradeTargets.slice(0, 3)) {
-                // Generate specific trade proposals for this target
-                const targetProposals = await this.generateSpecificTradeProposals(
-                    userTeam, target, leagueData
-                );
-                proposals.push(...targetProposals);
+    /**
+     * League-wide trade search through TradeFinder, on the league data
+     * LeagueAnalyzer loads. With a user team, only trades involving that team
+     * are returned.
+     */
+    async generateTradeProposals(userTeam = null, leagueData = null) {
+        try {
+            const analyzer = window.leagueAnalyzer || new LeagueAnalyzer(this.configManager);
+            if (!leagueData) {
+                const leagueId = this.configManager.config.sleeperLeagueId;
+                if (!leagueId) {
+                    throw new Error('Please configure your Sleeper League ID first');
+                }
+                leagueData = await analyzer.loadLeagueData(leagueId);
             }
+            this.leagueContext = leagueData;
+
+            const userRosterId = userTeam?.roster?.roster_id
+                ?? (await analyzer.identifyUserTeam(leagueData).catch(() => null))?.roster?.roster_id
+                ?? null;
 
-            // Sort by value and fairness
-            return proposals
-                .sort((a, b) => (b.valueDifference + b.fairnessScore) - (a.valueDifference + a.fairnessScore))
-                .slice(0, 5);
+            this.tradeFinder = this.tradeFinder || new TradeFinder(this.configManager, analyzer);
+            const result = await this.tradeFinder.find(leagueData, { userRosterId });
+
+            if (userTeam) {
+                result.trades = result.trades.filter(trade => trade.involvesUser);
+            }
+            return result;
 
         } catch (error) {
             console.error('❌ Error generating trade proposals:', error);
-            return [];
+            throw error;
+        }
+    }
+
+    /** The Trade Proposals tab: the finder's results, your trades first. */
+    async generateProposals() {
+        const list = document.getElementById('proposalsList');
+        if (!list) return;
+
+        list.innerHTML = `
+            <div class="loading-state">
+                <div class="icon">⏳</div>
+                <p>Searching every roster for trades that help both sides...</p>
+            </div>
+        `;
+
+        try {
+            const result = await this.generateTradeProposals();
+            const trades = [
+                ...result.trades.filter(trade => trade.involvesUser),
+                ...result.trades.filter(trade => !trade.involvesUser)
+            ];
+
+            if (!trades.length) {
+                list.innerHTML = `
+                    <div class="empty-state">
+                        <div class="icon">🤝</div>
+                        <p>No trade in the league improves both teams' projected lineups right now.</p>
+                    </div>
+                `;
+                return;
+            }
+
+            this.foundTrades = trades;
+            list.innerHTML = trades.map((trade, index) => this.renderFoundTrade(trade, result.userRosterId, index)).join('') +
+                `<p class="proposals-source">Lineups projected from ${result.source}.</p>`;
+
+        } catch (error) {
+            list.innerHTML = `
+                <div class="empty-state">
+                    <div class="icon">❌</div>
+                    <p>Could not search for trades: ${error.message}</p>
+                </div>
+            `;
+        }
+    }
+
+    /** One found trade, told from your side when you are in it. */
+    renderFoundTrade(trade, userRosterId, index) {
+        const flip = trade.teamB.rosterId === userRosterId;
+        const [you, them] = flip ? [trade.teamB, trade.teamA] : [trade.teamA, trade.teamB];
+        const [sends, receives] = flip ? [trade.gets, trade.gives] : [trade.gives, trade.gets];
+        const [yourGain, theirGain] = flip ? [trade.gainB, trade.gainA] : [trade.gainA, trade.gainB];
+        const players = list => list
+            .map(player => `<div>${player.name} <span class="slot-meta">${player.position} - ${player.team || 'FA'} · ${player.weeklyPoints}/wk</span></div>`)
+            .join('');
+
+        return `
+            <div class="proposal-card ${trade.involvesUser ? 'your-trade' : ''}">
+                <div class="proposal-header">
+                    <span class="proposal-team">${you.teamName} ⇄ ${them.teamName}</span>
+                    <span class="proposal-type">${trade.tradeType}</span>
+                </div>
+                <div class="proposal-players">
+                    <div class="proposal-side">
+                        <h5>${you.teamName} sends</h5>
+                        ${players(sends)}
+                    </div>
+                    <div class="trade-arrow">⇄</div>
+                    <div class="proposal-side">
+                        <h5>${them.teamName} sends</h5>
+                        ${players(receives)}
+                    </div>
+                </div>
+                <div class="proposal-gains">
+                    Projected lineup: ${you.teamName} +${yourGain} pts/wk, ${them.teamName} +${theirGain} pts/wk
+                </div>
+                <div class="proposal-reasoning">${trade.reasoning}</div>
+                <div class="proposal-actions">
+                    <button class="btn btn-secondary" onclick="window.tradeAnalyzer.showTradeOdds(${index})">
+                        🏆 Playoff Odds
+                    </button>
+                </div>
+                <div class="trade-odds" id="tradeOdds-${index}"></div>
+            </div>
+        `;
+    }
+
+    // ======================
+    // PLAYOFF ODDS
+    // ======================
+
+    /**
+     * A simulator for one run, sharing only this analyzer's API cache. The
+     * app's window.playoffSimulator belongs to the Playoffs and Predictions
+     * tabs: projecting pick finishes or a trade's odds applies this league's
+     * settings, reloads the schedule and reseeds it, and a trade run swaps
+     * its strengths between the two seasons it plays. On the shared one that
+     * changed the odds those tabs were simulating, and a run cancelled for
+     * the next one would restore its strengths onto a schedule the next run
+     * had just cleared.
+     */
+    async createSimulator() {
+        const simulator = new PlayoffSimulator(this.configManager);
+        simulator.sleeperAPI = this.sleeperAPI;
+        await simulator.loadCurrentWeek();
+        return simulator;
+    }
+
+    /**
+     * What a trade does to both teams' playoff and title chances: the trade
+     * applied to both rosters, their lineups re-projected for the rest of the
+     * season and the season simulated again against the same seed. `trade`
+     * is a TradeFinder trade, or the builder's in the same shape (see
+     * builderTradeForOdds). Null when the league cannot be simulated from
+     * projected lineups.
+     */
+    async analyzeTradeOdds(trade, { signal = null, onProgress = null } = {}) {
+        if (!this.leagueContext?.rosters?.length) {
+            throw new Error('Load your league before simulating a trade');
         }
+
+        const simulator = await this.createSimulator();
+        const result = await simulator.projectTradeOdds(this.leagueContext, {
+            teamA: trade.teamA.rosterId,
+            teamB: trade.teamB.rosterId,
+            gives: trade.gives.map(player => player.id),
+            gets: trade.gets.map(player => player.id)
+        }, PlayoffSimulator.TRADE_SIMULATIONS, { seed: this.pickSeed, signal, onProgress });
+        if (!result) return null;
+
+        const names = new Map([trade.teamA, trade.teamB].map(team => [team.rosterId, team.teamName]));
+        result.teams.forEach(team => { team.teamName = names.get(team.rosterId); });
+        return result;
     }
 
-    async generateSpecificTradeProposals(userTeam, target, leagueData) {
-        // This would generate specific 1-for-1, 2-for-1, etc. trade proposals
-        // For now, return a sample proposal structure
-        return [{
-            targetTeam: target.team,
-            yourPlayers: [], // Would be populated with actual players
-            theirPlayers: [], // Would be populated with actual players
-            tradeType: '1-for-1',
-            reasoning: target.reasoning,
-            valueDifference: 0,
-            fairnessScore: 0.8,
-            confidence: 'Medium'
-        }];
+    /** The odds for one card in the Trade Proposals tab. */
+    async showTradeOdds(index) {
+        const trade = this.foundTrades?.[index];
+        if (!trade) return;
+        return this.runTradeOdds(trade, index);
+    }
+
+    /**
+     * Runs analyzeTradeOdds and shows the before and after in the
+     * `tradeOdds-<key>` container beneath the trade - a finder card's index,
+     * or 'builder' for the Trade Calculator's result. Opening another trade's
+     * odds stops the run still going.
+     */
+    async runTradeOdds(trade, key) {
+        const container = document.getElementById(`tradeOdds-${key}`);
+        if (!container) return;
+
+        this.oddsController?.abort();
+        const controller = new AbortController();
+        this.oddsController = controller;
+        this.pickSeed = this.pickSeed ?? SeededRandom.newSeed();
+
+        container.innerHTML = `
+            <div class="simulation-progress">
+                <div class="simulation-progress-bar" id="tradeOddsBar-${key}"></div>
+            </div>
+            <p class="trade-odds-note" id="tradeOddsText-${key}">Simulating the season with and without the trade...</p>
+        `;
+        const onProgress = (done, total) => {
+            const bar = document.getElementById(`tradeOddsBar-${key}`);
+            const text = document.getElementById(`tradeOddsText-${key}`);
+            if (bar) bar.style.width = `${(done / total) * 100}%`;
+            if (text) text.textContent = `${done.toLocaleString()} of ${total.toLocaleString()} seasons`;
+        };
+
+        try {
+            const result = await this.analyzeTradeOdds(trade, { signal: controller.signal, onProgress });
+            container.innerHTML = result
+                ? this.renderTradeOdds(result)
+                : '<p class="trade-odds-note">Playoff odds need the league\'s remaining schedule and weekly projections, which are not available yet.</p>';
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                container.innerHTML = '';
+                return;
+            }
+            console.error('❌ Error simulating trade odds:', error);
+            container.innerHTML = `<p class="trade-odds-note">Could not simulate this trade: ${error.message}</p>`;
+        } finally {
+            if (this.oddsController === controller) this.oddsController = null;
+        }
+    }
+
+    /** Both teams before and after, each change beside its new figure. */
+    renderTradeOdds(result) {
+        const change = (before, after, unit = '') => {
+            const delta = after - before;
+            const direction = delta > 0.05 ? 'up' : delta < -0.05 ? 'down' : '';
+            return `${before.toFixed(1)}${unit} → ${after.toFixed(1)}${unit} ` +
+                `<span class="odds-change ${direction}">(${delta >= 0 ? '+' : ''}${delta.toFixed(1)})</span>`;
+        };
+
+        const rows = result.teams.map(({ teamName, before, after, weeklyPoints }) => `
+            <tr>
+                <td>${teamName}</td>
+                <td>${change(weeklyPoints.before, weeklyPoints.after)}</td>
+                <td>${change(before.playoffOdds, after.playoffOdds, '%')}</td>
+                <td>${change(before.byeOdds, after.byeOdds, '%')}</td>
+                <td>${change(before.championshipOdds, after.championshipOdds, '%')}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <table class="trade-odds-table">
+                <thead>
+                    <tr><th>Team</th><th>Pts/wk</th><th>Playoffs</th><th>Bye</th><th>Title</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <p class="trade-odds-note">
+                ${result.simulations.toLocaleString()} seasons each way, seed ${result.seed}.
+                Points per week are each team's best projected lineup over the rest of the regular season.
+            </p>
+        `;
     }
 
     async displayTradeAnalyzer() {
@@ -545,6 +1413,9 @@ class TradeAnalyzer {
                     <button class="tab-btn" data-tab="market">
                         📊 Player Values
                     </button>
+                    <button class="tab-btn" data-tab="history">
+                        📜 Trade History
+                    </button>
                 </div>
 
                 <!-- Trade Calculator Tab -->
@@ -552,10 +1423,10 @@ class TradeAnalyzer {
                     <div class="trade-builder">
                         <div class="trade-sides">
                             <div class="trade-side your-side">
-                                <h4>Your Players</h4>
+                                <h4>You Give</h4>
                                 <div class="player-selection" id="yourPlayers">
                                     <div class="add-player-btn" onclick="window.tradeAnalyzer.addPlayerToTrade('your')">
-                                        + Add Player
+                                        + Add Player or Pick
                                     </div>
                                 </div>
                                 <div class="side-total" id="yourTotal">Total Value: 0</div>
@@ -564,10 +1435,10 @@ class TradeAnalyzer {
                             <div class="trade-arrow">⇄</div>
                             
                             <div class="trade-side their-side">
-                                <h4>Their Players</h4>
+                                <h4>You Get</h4>
                                 <div class="player-selection" id="theirPlayers">
                                     <div class="add-player-btn" onclick="window.tradeAnalyzer.addPlayerToTrade('their')">
-                                        + Add Player
+                                        + Add Player or Pick
                                     </div>
                                 </div>
                                 <div class="side-total" id="theirTotal">Total Value: 0</div>
@@ -589,8 +1460,8 @@ class TradeAnalyzer {
                 <!-- Trade Proposals Tab -->
                 <div class="tab-content" id="proposals-tab">
                     <div class="proposals-header">
-                        <h4>💡 AI-Generated Trade Proposals</h4>
-                        <p>Based on your team needs and league analysis</p>
+                        <h4>💡 League-Wide Trade Finder</h4>
+                        <p>Trades that improve both teams' projected starting lineups, from every roster in the league</p>
                         <button class="btn btn-primary" onclick="window.tradeAnalyzer.generateProposals()">
                             ✨ Generate New Proposals
                         </button>
@@ -598,7 +1469,24 @@ class TradeAnalyzer {
                     <div class="proposals-list" id="proposalsList">
                         <div class="empty-state">
                             <div class="icon">💡</div>
-                            <p>Click "Generate New Proposals" to see AI-powered trade suggestions based on your team's needs and league dynamics.</p>
+                            <p>Click "Generate New Proposals" to search every roster for trades that help both sides.</p>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Trade History Tab -->
+                <div class="tab-content" id="history-tab">
+                    <div class="proposals-header">
+                        <h4>📜 Trade History</h4>
+                        <p>Every trade this season, graded on its value at the time and the starter points each side has scored since</p>
+                        <button class="btn btn-primary" onclick="window.tradeGrader.gradeLeagueTrades()">
+                            📜 Grade League Trades
+                        </button>
+                    </div>
+                    <div class="trade-history-list" id="tradeHistoryList">
+                        <div class="empty-state">
+                            <div class="icon">📜</div>
+                            <p>Click "Grade League Trades" to look back at every completed trade.</p>
                         </div>
                     </div>
                 </div>
@@ -652,6 +1540,18 @@ class TradeAnalyzer {
     }
 }
 
+// Simulated seasons behind a pick's projected slot.
+TradeAnalyzer.PICK_SIMULATIONS = 2000;
+// Value at the first and last slot of each round, on the player scale: an
+// early first buys a starter, a late third a bench flier.
+TradeAnalyzer.PICK_ROUND_VALUES = [null, [80, 55], [50, 35], [32, 22], [20, 12]];
+TradeAnalyzer.LATE_PICK_VALUE = 8;
+TradeAnalyzer.PICK_SEASON_DISCOUNT = 0.85;
+// Drafts ahead the builder offers picks in - as far out as Sleeper trades them.
+TradeAnalyzer.PICK_SEASONS = 3;
+// Net pick value that moves a trade's future impact off neutral.
+TradeAnalyzer.PICK_IMPACT_THRESHOLD = 5;
+
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = TradeAnalyzer;
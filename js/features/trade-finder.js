@@ -0,0 +1,248 @@
+/**
+ * Trade Finder
+ *
+ * Searches every pair of rosters in the league for trades that make both
+ * starting lineups better.
+ *
+ * A trade only happens when both managers say yes, so a suggestion that wins
+ * on one side of the ledger is not a suggestion. Each team's positional
+ * surplus and deficit, read from LeagueAnalyzer.analyzePositionalStrength,
+ * narrows the search to players a team can spare at positions the other side
+ * is short of. Every package is then judged the way a manager would judge it:
+ * does my best possible lineup score more after the trade than before? That
+ * lineup is solved with LineupOptimizer.assignSlots in the league's own
+ * roster slots, so a receiver who would only sit on the bench is worth
+ * nothing to the team getting him.
+ *
+ * Packages are ranked by mutual gain - the smaller of the two teams' gains -
+ * since that is the side that has to be talked into it.
+ */
+
+class TradeFinder {
+    constructor(configManager, leagueAnalyzer) {
+        this.configManager = configManager;
+        this.leagueAnalyzer = leagueAnalyzer || new LeagueAnalyzer(configManager);
+        this.playerStats = PlayerStats.shared();
+    }
+
+    // ======================
+    // SEARCH
+    // ======================
+
+    /**
+     * Every mutually beneficial package in the league, best first.
+     *
+     * `leagueData` is LeagueAnalyzer.loadLeagueData's shape: league, rosters,
+     * users and allPlayers. Returns the trades, each team's surplus and
+     * deficit, and the user's roster id when it can be identified.
+     */
+    async find(leagueData, { userRosterId = null, limit = TradeFinder.RESULT_LIMIT } = {}) {
+        const { league, rosters = [], users = [], allPlayers = {} } = leagueData;
+        const slots = LineupOptimizer.starterSlots(league?.roster_positions);
+        if (!slots.length) {
+            throw new Error('This league does not publish its roster slots');
+        }
+        if (!this.playerStats.hasData()) {
+            throw new Error(`No ${this.playerStats.describeSource()} to project lineups from yet`);
+        }
+
+        const teams = [];
+        for (const roster of rosters) {
+            const user = users.find(u => u.user_id === roster.owner_id);
+            teams.push(await this.buildTeam(roster, user, allPlayers, slots));
+        }
+        this.markSurplusAndDeficit(teams, slots);
+
+        const trades = [];
+        for (let i = 0; i < teams.length; i++) {
+            for (let j = i + 1; j < teams.length; j++) {
+                trades.push(...this.searchPair(teams[i], teams[j], allPlayers, slots));
+            }
+        }
+
+        trades.forEach(trade => {
+            trade.involvesUser = userRosterId !== null
+                && (trade.teamA.rosterId === userRosterId || trade.teamB.rosterId === userRosterId);
+        });
+
+        return {
+            trades: trades
+                .sort((a, b) => b.mutualGain - a.mutualGain || (b.gainA + b.gainB) - (a.gainA + a.gainB))
+                .slice(0, limit),
+            teams: teams.map(({ rosterId, teamName, lineupPoints, surplus, deficit }) =>
+                ({ rosterId, teamName, lineupPoints, surplus, deficit })),
+            userRosterId,
+            source: `${this.playerStats.describeSource()}, ${this.playerStats.describeScoring()}`
+        };
+    }
+
+    /**
+     * The best packages between two teams. Only the top few per pair are kept,
+     * so one lopsided pair of rosters cannot fill the whole list with
+     * variations on the same deal.
+     */
+    searchPair(teamA, teamB, allPlayers, slots) {
+        const fromA = this.candidates(teamA, teamB);
+        const fromB = this.candidates(teamB, teamA);
+        if (!fromA.length || !fromB.length) return [];
+
+        const found = [];
+        for (const give of TradeFinder.packages(fromA)) {
+            for (const get of TradeFinder.packages(fromB)) {
+                // Two-for-two is the largest shape searched.
+                if (give.length + get.length > 4) continue;
+
+                const trade = this.evaluate(teamA, teamB, give, get, allPlayers, slots);
+                if (trade) found.push(trade);
+            }
+        }
+
+        return found
+            .sort((a, b) => b.mutualGain - a.mutualGain)
+            .slice(0, TradeFinder.TRADES_PER_PAIR);
+    }
+
+    /** Every one- and two-player package from a candidate list. */
+    static packages(candidates) {
+        const packages = candidates.map(id => [id]);
+        for (let i = 0; i < candidates.length; i++) {
+            for (let j = i + 1; j < candidates.length; j++) {
+                packages.push([candidates[i], candidates[j]]);
+            }
+        }
+        return packages;
+    }
+
+    /**
+     * What `giver` could send `receiver`: its best players at positions where
+     * it has a surplus and the receiver a deficit.
+     */
+    candidates(giver, receiver) {
+        const positions = giver.surplus.filter(position => receiver.deficit.includes(position));
+        return giver.pool
+            .filter(id => positions.includes(giver.positionOf.get(id)))
+            .sort((a, b) => this.weeklyPoints(b) - this.weeklyPoints(a))
+            .slice(0, TradeFinder.CANDIDATES_PER_SIDE);
+    }
+
+    /**
+     * Both teams' lineups after the swap. A package is kept only when each
+     * side gains at least MIN_GAIN a week - less than that is noise in a
+     * projection, not a reason to trade.
+     */
+    evaluate(teamA, teamB, give, get, allPlayers, slots) {
+        const swap = (pool, out, incoming) => pool.filter(id => !out.includes(id)).concat(incoming);
+        const gainA = this.lineupPoints(swap(teamA.pool, give, get), allPlayers, slots) - teamA.lineupPoints;
+        if (gainA < TradeFinder.MIN_GAIN) return null;
+        const gainB = this.lineupPoints(swap(teamB.pool, get, give), allPlayers, slots) - teamB.lineupPoints;
+        if (gainB < TradeFinder.MIN_GAIN) return null;
+
+        const describe = id => {
+            const player = allPlayers[id] || {};
+            return {
+                id,
+                player_id: id,
+                name: player.full_name || [player.first_name, player.last_name].filter(Boolean).join(' ') || `Player ${id}`,
+                position: player.position,
+                team: player.team,
+                weeklyPoints: Math.round(this.weeklyPoints(id) * 10) / 10
+            };
+        };
+        const positions = ids => [...new Set(ids.map(id => allPlayers[id]?.position))].join('/');
+
+        return {
+            teamA: { rosterId: teamA.rosterId, teamName: teamA.teamName },
+            teamB: { rosterId: teamB.rosterId, teamName: teamB.teamName },
+            gives: give.map(describe),
+            gets: get.map(describe),
+            tradeType: `${give.length}-for-${get.length}`,
+            gainA: Math.round(gainA * 10) / 10,
+            gainB: Math.round(gainB * 10) / 10,
+            mutualGain: Math.round(Math.min(gainA, gainB) * 10) / 10,
+            reasoning: `${teamA.teamName} can spare ${positions(give)} and needs ${positions(get)}; ` +
+                `${teamB.teamName} the reverse.` +
+                (give.length !== get.length ? ' The side getting more players will have to drop a bench player.' : '')
+        };
+    }
+
+    // ======================
+    // TEAMS
+    // ======================
+
+    async buildTeam(roster, user, allPlayers, slots) {
+        // A player on IR or the taxi squad cannot start for either side.
+        const unavailable = new Set([...(roster.reserve || []), ...(roster.taxi || [])].map(String));
+        const pool = (roster.players || [])
+            .map(String)
+            .filter(id => allPlayers[id] && !unavailable.has(id));
+
+        return {
+            rosterId: roster.roster_id,
+            teamName: user?.metadata?.team_name || user?.display_name || `Team ${roster.roster_id}`,
+            pool,
+            positionOf: new Map(pool.map(id => [id, allPlayers[id].position])),
+            lineupPoints: this.lineupPoints(pool, allPlayers, slots),
+            positionalStrength: await this.leagueAnalyzer.analyzePositionalStrength(roster, allPlayers),
+            surplus: [],
+            deficit: []
+        };
+    }
+
+    /**
+     * Surplus and deficit against the rest of the league. A deficit is a
+     * position rated clearly below the league average; a surplus is any other
+     * position with more rated players than the lineup's dedicated slots there,
+     * so there is someone to give. Unrated positions are neither.
+     */
+    markSurplusAndDeficit(teams, slots) {
+        TradeFinder.POSITIONS.forEach(position => {
+            const rated = teams
+                .map(team => team.positionalStrength[position])
+                .filter(strength => typeof strength?.rating === 'number');
+            if (!rated.length) return;
+
+            const average = rated.reduce((sum, strength) => sum + strength.rating, 0) / rated.length;
+            const starters = slots.filter(slot => slot === position).length;
+
+            teams.forEach(team => {
+                const strength = team.positionalStrength[position];
+                if (typeof strength?.rating !== 'number') return;
+
+                if (strength.rating < average - TradeFinder.DEFICIT_MARGIN) {
+                    team.deficit.push(position);
+                } else if ((strength.rated || 0) > starters) {
+                    team.surplus.push(position);
+                }
+            });
+        });
+    }
+
+    // ======================
+    // LINEUPS
+    // ======================
+
+    /** The blended weekly rate from PlayerStats. No numbers means no points. */
+    weeklyPoints(playerId) {
+        return this.playerStats.projectionFor(playerId)?.rate ?? 0;
+    }
+
+    /** The best lineup these players can field in the league's slots. */
+    lineupPoints(playerIds, allPlayers, slots) {
+        return LineupOptimizer.bestLineupPoints(slots, playerIds, allPlayers, id => this.weeklyPoints(id));
+    }
+}
+
+// Kickers and defenses are left out: nobody trades for one.
+TradeFinder.POSITIONS = ['QB', 'RB', 'WR', 'TE'];
+TradeFinder.CANDIDATES_PER_SIDE = 4;
+TradeFinder.TRADES_PER_PAIR = 2;
+TradeFinder.RESULT_LIMIT = 10;
+// Projected points per week each side must gain.
+TradeFinder.MIN_GAIN = 0.5;
+// Rating points below the league average that make a position a need.
+TradeFinder.DEFICIT_MARGIN = 5;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TradeFinder;
+}
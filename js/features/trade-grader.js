@@ -0,0 +1,359 @@
+/**
+ * Trade Grader
+ *
+ * Looks back at every completed trade in the league and grades it twice:
+ *
+ * - **On paper** - each side's haul valued as it stood going into the week
+ *   of the trade (PlayerStats.valueAsOf, so later weeks cannot leak in), and
+ *   rated with TradeAnalyzer.calculateFairnessRating.
+ * - **On the field** - the points each side's new players have scored since,
+ *   counted only in weeks they were in that team's starting lineup. A player
+ *   on the bench won nobody anything.
+ *
+ * Each side's grade is its share of the starter points against an even split;
+ * setting that share against its share of the value says whether the trade
+ * played out as it looked when it was made. Draft picks count toward the
+ * paper value but score nothing until they are used.
+ */
+
+class TradeGrader {
+    constructor(configManager, tradeAnalyzer = null) {
+        this.configManager = configManager;
+        this.sleeperAPI = new SleeperAPI();
+        this.playerStats = PlayerStats.shared();
+        // Only the stateless parts of the analyzer are used, so a fresh one
+        // stands in if the shared one failed to start.
+        this.tradeAnalyzer = tradeAnalyzer || new TradeAnalyzer(configManager);
+        this.grades = null;
+        this.loading = false;
+    }
+
+    // ======================
+    // DATA LOADING
+    // ======================
+
+    async loadLeagueTrades(leagueId) {
+        const [league, rosters, users, state, allPlayers] = await Promise.all([
+            this.sleeperAPI.getLeague(leagueId),
+            this.sleeperAPI.getRosters(leagueId),
+            this.sleeperAPI.getUsers(leagueId),
+            this.sleeperAPI.getNFLState().catch(() => null),
+            this.sleeperAPI.getAllPlayers().catch(() => null)
+        ]);
+
+        // A trade can go through in the week being played, before it has any
+        // scores, so its transactions are read too.
+        const lastScored = SleeperAPI.lastScoredWeek(league, state?.week);
+        const lastLeg = league?.status === 'complete' ? lastScored : Math.max(1, state?.week || 1);
+
+        const transactions = await this.sleeperAPI.getSeasonTransactions(leagueId, lastLeg);
+        const trades = transactions
+            .filter(transaction => transaction.type === 'trade' && transaction.status === 'complete')
+            .sort((a, b) => (Number(b.leg) || 0) - (Number(a.leg) || 0)
+                || (b.status_updated || 0) - (a.status_updated || 0));
+
+        // Scores are only needed from the earliest trade on.
+        const firstLeg = trades.length ? Math.min(...trades.map(trade => Number(trade.leg) || 1)) : lastScored + 1;
+        const weeks = [];
+        for (let week = Math.max(1, firstLeg); week <= lastScored; week++) weeks.push(week);
+        const matchups = new Map(await Promise.all(weeks.map(week => this.sleeperAPI.getMatchups(leagueId, week)
+            .then(rows => [week, Array.isArray(rows) ? rows : []])
+            .catch(() => [week, []]))));
+
+        await this.playerStats.ensureLoaded({
+            season: league?.season,
+            week: state?.week,
+            scoringFormat: this.configManager.config.scoringFormat || 'Half PPR',
+            leagueId,
+            rosterFormat: this.configManager.config.rosterFormat || 'Standard',
+            teams: league?.total_rosters || this.configManager.config.leagueSize || 12,
+            allPlayers
+        });
+        // A trade is valued on every game before it, and the shared index
+        // only keeps the last few weeks.
+        await this.playerStats.loadWeeks(1, lastScored);
+
+        return {
+            league,
+            rosters: rosters || [],
+            users: users || [],
+            allPlayers: allPlayers || {},
+            trades,
+            matchups,
+            lastScored
+        };
+    }
+
+    // ======================
+    // GRADING
+    // ======================
+
+    /** Every trade graded, newest first. */
+    gradeTrades(data, userRosterId = null) {
+        return data.trades.map(trade => this.gradeTrade(trade, data, userRosterId));
+    }
+
+    gradeTrade(trade, data, userRosterId = null) {
+        const { league, rosters, users, allPlayers, matchups, lastScored } = data;
+        const week = Number(trade.leg) || 1;
+        const teams = rosters.length || this.configManager.config.leagueSize || 12;
+        const weeksSince = Math.max(0, lastScored - week + 1);
+
+        const sides = (trade.roster_ids || []).map(rosterId => {
+            const players = Object.entries(trade.adds || {})
+                .filter(([, to]) => to === rosterId)
+                .map(([playerId]) => this.describePlayer(playerId, allPlayers, week));
+            const picks = (trade.draft_picks || [])
+                .filter(pick => pick.owner_id === rosterId)
+                .map(pick => this.describePick(pick, league, teams, rosters, users));
+            const faab = (trade.waiver_budget || [])
+                .filter(transfer => transfer.receiver === rosterId)
+                .reduce((sum, transfer) => sum + (Number(transfer.amount) || 0), 0);
+
+            // Starter points since the trade, week by week
+            let points = 0;
+            let starts = 0;
+            for (let w = week; w <= lastScored; w++) {
+                const row = (matchups.get(w) || []).find(r => r.roster_id === rosterId);
+                if (!row) continue;
+                const starters = new Set((row.starters || []).map(String));
+                players.forEach(player => {
+                    if (!starters.has(player.id)) return;
+                    const scored = Number(row.players_points?.[player.id]) || 0;
+                    player.points += scored;
+                    player.starts += 1;
+                    points += scored;
+                    starts += 1;
+                });
+            }
+
+            return {
+                rosterId,
+                name: this.teamName(rosterId, rosters, users),
+                mine: rosterId === userRosterId,
+                players,
+                picks,
+                faab,
+                value: players.reduce((sum, player) => sum + player.value, 0)
+                    + picks.reduce((sum, pick) => sum + pick.value, 0),
+                points,
+                starts
+            };
+        });
+
+        const totalValue = sides.reduce((sum, side) => sum + side.value, 0);
+        const totalPoints = sides.reduce((sum, side) => sum + side.points, 0);
+        const values = sides.map(side => side.value);
+        const pending = weeksSince < TradeGrader.MIN_WEEKS || totalPoints === 0;
+
+        sides.forEach(side => {
+            side.expectedShare = totalValue ? side.value / totalValue : 1 / sides.length;
+            side.realizedShare = totalPoints ? side.points / totalPoints : null;
+            side.grade = pending ? null : TradeGrader.letterGrade(side.realizedShare - 1 / sides.length);
+            side.versusPaper = pending ? null : TradeGrader.describeSurprise(side.realizedShare - side.expectedShare);
+        });
+
+        const leader = pending ? null : [...sides].sort((a, b) => b.points - a.points)[0];
+        const runnerUp = pending ? null : [...sides].sort((a, b) => b.points - a.points)[1];
+
+        return {
+            transactionId: trade.transaction_id,
+            week,
+            season: league?.season,
+            weeksSince,
+            involvesUser: sides.some(side => side.mine),
+            fairness: totalValue
+                ? this.tradeAnalyzer.calculateFairnessRating(Math.max(...values), Math.min(...values))
+                : null,
+            sides,
+            pending,
+            leader: leader && runnerUp ? { name: leader.name, margin: leader.points - runnerUp.points } : null
+        };
+    }
+
+    describePlayer(playerId, allPlayers, week) {
+        const player = allPlayers[playerId];
+        const value = player ? this.playerStats.valueAsOf({ player_id: playerId, ...player }, week) : null;
+        return {
+            id: String(playerId),
+            name: player ? `${player.first_name} ${player.last_name}` : `Player ${playerId}`,
+            position: player?.position || '',
+            // No numbers at the time (a rookie without a preseason line, a
+            // kicker the scale does not cover) counts as replacement level.
+            value: value ?? TradeGrader.UNKNOWN_VALUE,
+            valued: value !== null,
+            points: 0,
+            starts: 0
+        };
+    }
+
+    /**
+     * A pick as the league would have seen it at the time: the middle of its
+     * round, since no finish could be projected for it yet, discounted per
+     * season it is away from the next draft - the same curve TradeAnalyzer
+     * prices picks on.
+     */
+    describePick(pick, league, teams, rosters, users) {
+        const season = Number(pick.season);
+        const round = Number(pick.round) || 1;
+        const nextDraft = (Number(league?.season) || season) + (['pre_draft', 'drafting'].includes(league?.status) ? 0 : 1);
+        const seasonsOut = Math.max(0, season - nextDraft);
+        const value = this.tradeAnalyzer.pickSlotValue(round, (teams + 1) / 2, teams)
+            * Math.pow(TradeAnalyzer.PICK_SEASON_DISCOUNT, seasonsOut);
+        const original = this.teamName(pick.roster_id, rosters, users);
+
+        return {
+            label: `${pick.season} Round ${round}${pick.owner_id !== pick.roster_id ? ` (${original})` : ''}`,
+            value
+        };
+    }
+
+    /** A side's edge over an even split of the starter points, as a letter. */
+    static letterGrade(edge) {
+        const bands = TradeGrader.GRADE_BANDS;
+        if (edge >= bands.A) return 'A';
+        if (edge >= bands.B) return 'B';
+        if (edge > -bands.B) return 'C';
+        if (edge > -bands.A) return 'D';
+        return 'F';
+    }
+
+    static describeSurprise(difference) {
+        if (difference >= TradeGrader.SURPRISE) return 'Beat its paper value';
+        if (difference <= -TradeGrader.SURPRISE) return 'Fell short of its paper value';
+        return 'Played out as valued';
+    }
+
+    teamName(rosterId, rosters, users) {
+        const roster = rosters.find(r => r.roster_id === rosterId);
+        const user = roster ? users.find(u => u.user_id === roster.owner_id) : null;
+        return user?.metadata?.team_name || user?.display_name || `Team ${rosterId}`;
+    }
+
+    // ======================
+    // TRADE HISTORY TAB
+    // ======================
+
+    /** The Trade History tab in the trade analyzer: every trade this season, graded. */
+    async gradeLeagueTrades() {
+        const list = document.getElementById('tradeHistoryList');
+        if (!list || this.loading) return;
+
+        const leagueId = this.configManager.config.sleeperLeagueId;
+        if (!leagueId) {
+            list.innerHTML = `
+                <div class="empty-state">
+                    <div class="icon">⚙️</div>
+                    <p>Configure your Sleeper League ID to grade its trades.</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.loading = true;
+        list.innerHTML = `
+            <div class="loading-state">
+                <div class="icon">⏳</div>
+                <p>Reading every trade and the lineups since...</p>
+            </div>
+        `;
+
+        try {
+            const data = await this.loadLeagueTrades(leagueId);
+            const userRosterId = window.teamManager?.currentRoster?.roster?.roster_id ?? null;
+            this.grades = this.gradeTrades(data, userRosterId);
+
+            if (!this.grades.length) {
+                list.innerHTML = `
+                    <div class="empty-state">
+                        <div class="icon">🤝</div>
+                        <p>No trades have been completed in this league this season.</p>
+                    </div>
+                `;
+                return;
+            }
+
+            list.innerHTML = this.grades.map(grade => this.renderGrade(grade)).join('') + `
+                <p class="proposals-source">
+                    Paper value from each player's production before the trade week, ${this.playerStats.describeScoring()}.
+                    Points are starting-lineup points only, through week ${data.lastScored}.
+                </p>
+            `;
+            console.log(`📜 TradeGrader: graded ${this.grades.length} trades`);
+
+        } catch (error) {
+            console.error('❌ Error grading trades:', error);
+            list.innerHTML = `
+                <div class="empty-state">
+                    <div class="icon">❌</div>
+                    <p>Could not grade trades: ${error.message}</p>
+                </div>
+            `;
+        } finally {
+            this.loading = false;
+        }
+    }
+
+    renderGrade(grade) {
+        const summary = grade.pending
+            ? `Too early to grade - ${grade.weeksSince} week${grade.weeksSince === 1 ? '' : 's'} of games since`
+            : grade.leader
+                ? `${grade.leader.name} ahead by ${grade.leader.margin.toFixed(1)} starter points over ${grade.weeksSince} weeks`
+                : '';
+
+        return `
+            <div class="graded-trade${grade.involvesUser ? ' mine' : ''}">
+                <div class="graded-trade-header">
+                    <span>Week ${grade.week}</span>
+                    ${grade.fairness ? `<span class="graded-fairness">${grade.fairness} on paper</span>` : ''}
+                </div>
+                <div class="graded-sides">
+                    ${grade.sides.map(side => this.renderSide(side)).join('')}
+                </div>
+                <div class="graded-summary">${summary}</div>
+            </div>
+        `;
+    }
+
+    renderSide(side) {
+        const assets = [
+            ...side.players.map(player => `
+                <li>
+                    ${player.name} <span class="graded-meta">${player.position}${player.valued ? '' : ' · no numbers at the time'}</span>
+                    <span class="graded-points">${player.points.toFixed(1)} pts · ${player.starts} start${player.starts === 1 ? '' : 's'}</span>
+                </li>
+            `),
+            ...side.picks.map(pick => `<li>${pick.label} <span class="graded-meta">pick</span></li>`),
+            ...(side.faab ? [`<li>$${side.faab} FAAB</li>`] : [])
+        ];
+
+        return `
+            <div class="graded-side${side.mine ? ' mine' : ''}">
+                <div class="graded-side-header">
+                    <strong>${side.name}</strong>
+                    ${side.grade ? `<span class="graded-letter grade-${side.grade.toLowerCase()}">${side.grade}</span>` : ''}
+                </div>
+                <div class="graded-meta">Received</div>
+                <ul>${assets.join('') || '<li>Nothing</li>'}</ul>
+                <div class="graded-totals">
+                    <span>Value then: ${Math.round(side.value)}</span>
+                    <span>Starter pts since: ${side.points.toFixed(1)}</span>
+                </div>
+                ${side.versusPaper ? `<div class="graded-meta">${side.versusPaper}</div>` : ''}
+            </div>
+        `;
+    }
+}
+// Weeks of games after a trade before it is graded.
+TradeGrader.MIN_WEEKS = 2;
+// Paper value for a player with no numbers at the time: replacement level.
+TradeGrader.UNKNOWN_VALUE = 50;
+// Share of the starter points over an even split that earns an A, and a B.
+TradeGrader.GRADE_BANDS = { A: 0.15, B: 0.05 };
+// Gap between realized and paper share worth calling a surprise.
+TradeGrader.SURPRISE = 0.1;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TradeGrader;
+}
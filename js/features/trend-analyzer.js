@@ -126,6 +126,13 @@ class TrendAnalyzer {
         if (teamContext.catalyst) catalysts.push(teamContext.catalyst);
         if (teamContext.risk) riskFactors.push(teamContext.risk);
 
+        // Usage, the part of a breakout that lasts
+        const usage = this.getUsageBreakoutContext(player);
+        breakoutScore += usage.scoreModifier;
+        confidence += usage.confidenceModifier;
+        if (usage.catalyst) catalysts.unshift(usage.catalyst);
+        if (usage.risk) riskFactors.push(usage.risk);
+
         // Injury status
         if (player.injury_status) {
             breakoutScore -= 15;
@@ -195,6 +202,36 @@ class TrendAnalyzer {
         };
     }
 
+    /**
+     * Whether the player's role is growing, from the snap, target and touch
+     * trend in PlayerStats. A rising role is the strongest catalyst there is.
+     * Points climbing while the role stays flat is the opposite: touchdowns
+     * on the same workload, which rarely keep coming.
+     */
+    getUsageBreakoutContext(player) {
+        const stats = PlayerStats.shared();
+        const usage = stats.opportunityTrendFor(player.player_id);
+        const none = { scoreModifier: 0, confidenceModifier: 0, catalyst: null, risk: null };
+        if (!usage) return none;
+
+        const described = PlayerStats.describeUsage(usage);
+        if (usage.direction === 'rising') {
+            return { ...none, scoreModifier: 12, confidenceModifier: 10, catalyst: `Role growing: ${described}` };
+        }
+        if (usage.direction === 'falling') {
+            return { ...none, scoreModifier: -12, confidenceModifier: -5, risk: `Role shrinking: ${described}` };
+        }
+        if (stats.trendFor(player.player_id)?.direction === 'improving') {
+            return {
+                ...none,
+                scoreModifier: -6,
+                confidenceModifier: -10,
+                risk: `Points are up but the workload is not (${described}) - likely touchdown-driven`
+            };
+        }
+        return none;
+    }
+
     getBreakoutTimeframe(breakoutScore, addCount) {
         if (breakoutScore >= 85 && addCount > 2000) return 'immediate';
         if (breakoutScore >= 75) return '1-2 weeks';
@@ -286,6 +323,17 @@ class TrendAnalyzer {
             concerns.push('RB wear and tear concerns');
         }
 
+        // A shrinking role confirms the drops; a steady one says the market
+        // is reacting to a quiet week or two of scoring
+        const usage = PlayerStats.shared().opportunityTrendFor(player.player_id);
+        if (usage?.direction === 'falling') {
+            declineScore += 15;
+            concerns.unshift(`Role shrinking: ${PlayerStats.describeUsage(usage)}`);
+        } else if (usage && !player.injury_status) {
+            declineScore -= 10;
+            concerns.push(`Workload holding (${PlayerStats.describeUsage(usage)}) - the drops may be an overreaction`);
+        }
+
         const reasoning = `${player.first_name} ${player.last_name} showing decline signals: ${concerns.slice(0, 2).join(', ')}`;
 
         return {
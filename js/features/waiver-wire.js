@@ -83,9 +83,10 @@ class WaiverWireManager {
         loadBtn.innerHTML = '<span>⏳</span> Analyzing...';
 
         try {
-            // Get trending adds and drops
+            // Get trending adds and drops - wide enough to cover most of the
+            // free-agent pool, where trending is one signal among several
             const [trendingAdds, trendingDrops] = await Promise.all([
-                this.sleeperAPI.getTrendingPlayers('add', 24, 50),
+                this.sleeperAPI.getTrendingPlayers('add', 24, 200),
                 this.sleeperAPI.getTrendingPlayers('drop', 24, 25)
             ]);
 
@@ -96,19 +97,31 @@ class WaiverWireManager {
             await PlayerStats.shared().ensureLoaded({
                 week: this.currentWeek,
                 scoringFormat: this.configManager.config.scoringFormat || 'Half PPR',
+                leagueId: this.configManager.config.sleeperLeagueId,
                 rosterFormat: this.configManager.config.rosterFormat || 'Standard',
                 teams: this.configManager.config.leagueSize || 12,
                 allPlayers
             });
 
+            // Who is actually available in this league
+            const leagueId = this.configManager.config.sleeperLeagueId;
+            const pool = leagueId
+                ? await this.buildFreeAgentPool(leagueId, allPlayers, trendingAdds).catch(error => {
+                    console.warn('⚠️ Could not read league rosters, falling back to trending adds:', error);
+                    return null;
+                })
+                : null;
+
             // Generate AI recommendations
             const recommendations = await this.generateWaiverRecommendations(
                 trendingAdds, 
                 trendingDrops, 
-                allPlayers
+                allPlayers,
+                pool
             );
+            await this.attachBidAdvice(recommendations, allPlayers);
 
-            this.displayWaiverRecommendations(recommendations);
+            this.displayWaiverRecommendations(recommendations, pool);
             
             this.configManager.showNotification('🔍 Waiver wire analysis complete!', 'success');
 
@@ -121,51 +134,196 @@ class WaiverWireManager {
         }
     }
 
-    async generateWaiverRecommendations(trendingAdds, trendingDrops, allPlayers) {
+    /**
+     * The pickups worth making. With a free-agent pool they are its best
+     * players by rest-of-season value, in that order; without one - no league
+     * configured, or its rosters would not load - the most added players
+     * across Sleeper, which may include players already rostered here.
+     */
+    async generateWaiverRecommendations(trendingAdds, trendingDrops, allPlayers, pool = null) {
         const scoringFormat = this.configManager.config.scoringFormat || 'Half PPR';
-        const isPPR = scoringFormat.includes('PPR');
+        const scoring = PlayerStats.shared().scoring;
+        const isPPR = scoring ? scoring.receptionPoints('WR') > 0 : scoringFormat.includes('PPR');
         
         const recommendations = [];
+        const candidates = pool
+            ? pool.players.slice(0, WaiverWireManager.POOL_CANDIDATES)
+            : trendingAdds.slice(0, 10).map(trending => ({ id: trending.player_id, adds: trending.count }));
 
-        // Analyze top trending adds
-        for (let i = 0; i < Math.min(trendingAdds.length, 10); i++) {
-            const trending = trendingAdds[i];
-            const player = allPlayers[trending.player_id];
+        for (const candidate of candidates) {
+            const player = allPlayers[candidate.id];
             
             if (!player) continue;
 
-            const analysis = this.analyzeWaiverPickup(player, trending, isPPR);
+            const analysis = this.analyzeWaiverPickup(player, { count: candidate.adds }, isPPR, scoring);
             if (analysis.recommendation !== 'avoid') {
                 recommendations.push({
                     type: 'pickup',
                     player: {
-                        id: trending.player_id,
+                        id: candidate.id,
                         name: `${player.first_name} ${player.last_name}`,
                         position: player.position,
                         team: player.team,
                         injury_status: player.injury_status
                     },
                     priority: analysis.priority,
-                    reasoning: analysis.reasoning,
-                    addPercentage: trending.count,
-                    scoringContext: scoringFormat,
+                    reasoning: candidate.restOfSeason
+                        ? `${this.describeRestOfSeason(candidate.restOfSeason)}. ${analysis.reasoning}`
+                        : analysis.reasoning,
+                    addPercentage: candidate.adds,
+                    restOfSeason: candidate.restOfSeason || null,
+                    scoringContext: PlayerStats.shared().describeScoring(),
                     confidence: analysis.confidence
                 });
             }
         }
 
-        // Sort by priority and confidence
-        recommendations.sort((a, b) => {
-            const priorityOrder = { 'high': 3, 'medium': 2, 'low': 1 };
-            const priorityDiff = priorityOrder[b.priority] - priorityOrder[a.priority];
-            if (priorityDiff !== 0) return priorityDiff;
-            return b.confidence - a.confidence;
-        });
+        // The pool is already in value order; trending adds are sorted by
+        // priority and confidence, since that is all there is to go on
+        if (!pool) {
+            recommendations.sort((a, b) => {
+                const priorityOrder = { 'high': 3, 'medium': 2, 'low': 1 };
+                const priorityDiff = priorityOrder[b.priority] - priorityOrder[a.priority];
+                if (priorityDiff !== 0) return priorityDiff;
+                return b.confidence - a.confidence;
+            });
+        }
 
         return recommendations.slice(0, 8); // Top 8 recommendations
     }
 
-    analyzeWaiverPickup(player, trending, isPPR) {
+    // ======================
+    // FREE AGENT POOL
+    // ======================
+
+    /**
+     * Every player a team in this league could add: Sleeper's player database
+     * less everyone on a roster, including reserve and taxi spots, and less
+     * anyone dropped recently enough to still be on waivers. Only players at
+     * positions the league starts are kept.
+     *
+     * The pool is ranked by rest-of-season value over replacement from
+     * PlayerStats. Trending adds count for something - a player the rest of
+     * Sleeper is rushing to add often has news the season line has not caught
+     * up with - but at most TRENDING_BONUS points, enough to settle near-ties
+     * and never enough to lift a bench body over a starter.
+     */
+    async buildFreeAgentPool(leagueId, allPlayers, trendingAdds = []) {
+        const [league, rosters] = await Promise.all([
+            this.sleeperAPI.getLeague(leagueId),
+            this.sleeperAPI.getRosters(leagueId)
+        ]);
+        if (!Array.isArray(rosters)) throw new Error('League rosters are unavailable');
+
+        const rostered = new Set();
+        rosters.forEach(roster => {
+            [...(roster.players || []), ...(roster.reserve || []), ...(roster.taxi || [])]
+                .forEach(id => rostered.add(String(id)));
+        });
+        const onWaivers = await this.recentlyDropped(leagueId, league);
+        onWaivers.forEach(id => { if (rostered.has(id)) onWaivers.delete(id); });
+
+        const slots = LineupOptimizer.starterSlots(league?.roster_positions);
+        const optimizer = new LineupOptimizer(this.configManager, this.sleeperAPI);
+        const startable = player => !slots.length || slots.some(slot => optimizer.canPlayPosition(player, slot));
+
+        const adds = new Map(trendingAdds.map(trending => [String(trending.player_id), trending.count]));
+        const mostAdds = Math.max(1, ...adds.values());
+        const stats = PlayerStats.shared();
+
+        const players = [];
+        Object.entries(allPlayers).forEach(([id, player]) => {
+            if (rostered.has(id) || onWaivers.has(id)) return;
+            if (!player.active || !player.team || !startable(player)) return;
+
+            const count = adds.get(id) || 0;
+
+            // Without a season line to value anyone, the adds are all there
+            // is - still only among players who are actually available.
+            if (!stats.hasData()) {
+                if (count > 0) players.push({ id, adds: count, restOfSeason: null, score: count });
+                return;
+            }
+
+            const restOfSeason = stats.restOfSeasonFor({ ...player, player_id: id });
+            if (!restOfSeason || !(restOfSeason.points > 0)) return;
+
+            const value = restOfSeason.overReplacement ?? restOfSeason.points;
+            players.push({
+                id,
+                adds: count,
+                restOfSeason,
+                score: value + WaiverWireManager.TRENDING_BONUS * (count / mostAdds)
+            });
+        });
+
+        players.sort((a, b) => b.score - a.score);
+
+        return {
+            players,
+            rostered: rostered.size,
+            onWaivers: onWaivers.size,
+            weeksLeft: stats.weeksRemaining()
+        };
+    }
+
+    /**
+     * Players dropped in this league who have not cleared waivers yet. A drop
+     * sits on waivers for the league's waiver_clear_days, so only this week's
+     * and last week's transactions can still hold one.
+     */
+    async recentlyDropped(leagueId, league) {
+        const clearDays = Number(league?.settings?.waiver_clear_days ?? 2);
+        const cutoff = Date.now() - clearDays * 24 * 60 * 60 * 1000;
+        const week = Math.max(1, this.currentWeek || 1);
+        const transactions = await this.sleeperAPI.getSeasonTransactions(leagueId, week, week - 1);
+
+        const dropped = new Set();
+        transactions.forEach(transaction => {
+            if (transaction.status !== 'complete' || !transaction.drops) return;
+            if ((transaction.status_updated || 0) < cutoff) return;
+            Object.keys(transaction.drops).forEach(id => dropped.add(String(id)));
+        });
+        return dropped;
+    }
+
+    /** The rest-of-season line for a pickup's analysis. */
+    describeRestOfSeason(restOfSeason) {
+        const { weeklyRate, points, weeksLeft, overReplacement, thisWeek } = restOfSeason;
+        const versus = overReplacement === null ? ''
+            : `, ${overReplacement >= 0 ? '+' : ''}${(overReplacement / Math.max(1, weeksLeft)).toFixed(1)} a week against a replacement-level starter`;
+        const range = thisWeek.ceiling > 0
+            ? `. This week: ${thisWeek.floor.toFixed(1)} floor, ${thisWeek.median.toFixed(1)} median, ${thisWeek.ceiling.toFixed(1)} ceiling`
+            : '';
+        return `${weeklyRate.toFixed(1)} pts/wk - about ${Math.round(points)} over the ${weeksLeft} weeks left${versus}${range}`;
+    }
+
+    /**
+     * In a FAAB league, a bid range for each pickup from FaabAdvisor. Any
+     * other league, or one whose claims cannot be read, gets no bids rather
+     * than an error - the rankings stand on their own.
+     */
+    async attachBidAdvice(recommendations, allPlayers) {
+        const leagueId = this.configManager.config.sleeperLeagueId;
+        if (!leagueId || !recommendations.length) return;
+
+        try {
+            this.faabAdvisor = this.faabAdvisor || new FaabAdvisor(this.configManager);
+            const advice = await this.faabAdvisor.adviseTargets(recommendations.map(rec => rec.player), {
+                leagueId,
+                currentWeek: this.currentWeek,
+                allPlayers,
+                userRosterId: window.teamManager?.currentRoster?.roster?.roster_id ?? null
+            });
+            if (!advice) return;
+
+            recommendations.forEach(rec => { rec.bid = advice.get(String(rec.player.id)) || null; });
+        } catch (error) {
+            console.warn('⚠️ Could not price FAAB bids:', error);
+        }
+    }
+
+    analyzeWaiverPickup(player, trending, isPPR, scoring = null) {
         const reasons = [];
         let priority = 'medium';
         let confidence = 60;
@@ -225,6 +383,15 @@ class WaiverWireManager {
             }
         }
 
+        // A positional reception bonus in the league's own settings
+        const catchBonus = scoring && ['RB', 'WR', 'TE'].includes(player.position)
+            ? scoring.receptionPoints(player.position) - (Number(scoring.settings.rec) || 0)
+            : 0;
+        if (catchBonus > 0) {
+            confidence += 5;
+            reasons.push(`Your league pays ${player.position}s an extra ${catchBonus} per catch`);
+        }
+
         // Final priority adjustment based on confidence
         if (confidence >= 80) {
             priority = 'high';
@@ -314,14 +481,18 @@ class WaiverWireManager {
         };
     }
 
-    displayWaiverRecommendations(recommendations) {
+    displayWaiverRecommendations(recommendations, pool = null) {
         const container = document.getElementById('waiverRecommendations');
         if (!container) return;
 
+        const source = pool
+            ? `Available in your league - ${pool.rostered} rostered and ${pool.onWaivers} on waivers left out, ranked by rest-of-season value`
+            : 'Most added across Sleeper - connect your league to leave out players already rostered';
+
         container.innerHTML = `
             <div class="recommendations-header">
                 <h4>🎯 Top Waiver Wire Pickups (Week ${this.currentWeek})</h4>
-                <p>AI-ranked recommendations with detailed analysis</p>
+                <p>${source}</p>
             </div>
             
             <div class="waiver-grid">
@@ -339,6 +510,11 @@ class WaiverWireManager {
                         </div>
                         
                         <div class="waiver-stats">
+                            ${rec.restOfSeason ? `
+                            <div class="stat">
+                                <span class="stat-label">ROS pts:</span>
+                                <span class="stat-value">${Math.round(rec.restOfSeason.points)}</span>
+                            </div>` : ''}
                             <div class="stat">
                                 <span class="stat-label">Adds (24h):</span>
                                 <span class="stat-value">${rec.addPercentage.toLocaleString()}</span>
@@ -356,6 +532,7 @@ class WaiverWireManager {
                         <div class="waiver-reasoning">
                             <strong>📝 Analysis:</strong> ${rec.reasoning}
                         </div>
+                        ${rec.bid ? this.renderBidAdvice(rec.bid) : ''}
                         
                         <div class="waiver-actions">
                             <button class="btn btn-sm btn-outline" onclick="waiverWireManager.getPlayerDetails('${rec.player.id}')">
@@ -370,6 +547,35 @@ class WaiverWireManager {
         container.style.display = 'block';
     }
 
+    /** A pickup's bid range and the chance of winning at each amount in it. */
+    renderBidAdvice(bid) {
+        if (!bid.available) {
+            return `<div class="faab-bid"><strong>💰 FAAB bid:</strong> ${bid.reason}</div>`;
+        }
+
+        const range = bid.low === null
+            ? `more than your $${bid.yourRemaining} left is likely needed`
+            : bid.high === null || bid.high === bid.low
+                ? `$${bid.low}`
+                : `$${bid.low}–$${bid.high}`;
+
+        return `
+            <div class="faab-bid">
+                <strong>💰 FAAB bid:</strong> ${range}
+                <div class="faab-ladder">
+                    ${bid.ladder.map(step => `
+                        <span class="faab-step">$${step.amount} <small>${Math.round(step.probability)}% to win</small></span>
+                    `).join('')}
+                </div>
+                <div class="faab-note">
+                    From ${bid.comparables} winning bid${bid.comparables === 1 ? '' : 's'} this season on comparable players.
+                    The richest rival has $${bid.rivalMax} left.
+                    ${bid.thinHistory ? 'Few of them are close matches, so treat the range as rough.' : ''}
+                </div>
+            </div>
+        `;
+    }
+
     async analyzeDropCandidates() {
         const dropBtn = document.getElementById('analyzeDropsBtn');
         if (!dropBtn) return;
@@ -809,6 +1015,11 @@ class WaiverWireManager {
     }
 }
 
+// Pool players run through the pickup analysis, best first.
+WaiverWireManager.POOL_CANDIDATES = 12;
+// Most rest-of-season points a player can gain from being the most added.
+WaiverWireManager.TRENDING_BONUS = 10;
+
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = WaiverWireManager;
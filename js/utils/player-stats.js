@@ -3,7 +3,9 @@
  *
  * One place that turns Sleeper's stats and projections endpoints into the
  * numbers the analysis features need: a per-player point total, a positional
- * value scale, week-by-week game logs, and team-level offensive output.
+ * value scale, week-by-week game logs with the opportunity behind them,
+ * team-level offensive output, and a blended rest-of-season projection with a
+ * weekly floor and ceiling.
  *
  * Several features used to invent these with Math.random(), which made the same
  * roster score differently on every click. Everything here is derived from real
@@ -24,12 +26,18 @@ class PlayerStats {
         this.currentWeek = null;
         this.seasonType = null;
         this.scoringFormat = null;
+        this.scoring = null;             // ScoringEngine for the league, when one is known
         this.rosterFormat = 'Standard';
         this.teams = 12;
         this.seasonPoints = new Map();   // player_id -> points for the season
-        this.weeks = [];                 // [{ week, points: Map }] most recent last
+        this.weeks = [];                 // [{ week, points: Map, usage: Map }] most recent last
+        this.weekLogs = new Map();       // week -> the same entry, for every week loadWeeks has fetched
         this.baselines = {};             // position -> { elite, replacement, starterAvg }
         this.teamOffense = new Map();    // NFL team -> { points, rank, of }
+        this.weekProjections = new Map(); // week -> Map(player_id -> projected points)
+        this.preseasonPoints = new Map(); // player_id -> preseason projected season points
+        this.gamesPlayed = new Map();    // player_id -> games in the season line
+        this.spreads = {};               // position -> typical weekly spread, as a share of the mean
         this.allPlayers = null;
     }
 
@@ -93,6 +101,8 @@ class PlayerStats {
         this.currentWeek = options.week || state?.week || 1;
         this.seasonType = state?.season_type || 'regular';
         this.scoringFormat = options.scoringFormat || 'Half PPR';
+        this.scoring = options.scoring
+            || await ScoringEngine.forLeague(this.api, options.leagueId).catch(() => null);
         this.rosterFormat = options.rosterFormat || 'Standard';
         this.teams = options.teams || 12;
         this.allPlayers = options.allPlayers || await this.api.getAllPlayers().catch(() => null);
@@ -116,11 +126,23 @@ class PlayerStats {
         this.seasonPoints = this.source ? this.pointsFromLines(seasonLine) : new Map();
 
         if (this.source === 'stats') {
-            this.weeks = await this.loadWeeks(options.weeksBack || 8);
+            this.weeks = await this.loadWeeks(this.currentWeek - (options.weeksBack || 8));
         }
 
+        // Projections blend what has been played with what was forecast, so
+        // once games are being measured the preseason line is kept alongside.
+        if (this.source === 'stats') {
+            this.gamesPlayed = this.gamesFromLines(seasonLine);
+            this.preseasonPoints = this.pointsFromLines(
+                await this.api.getSeasonProjections(this.season).catch(() => null));
+        } else {
+            this.preseasonPoints = this.seasonPoints;
+        }
+        await this.projectionsForWeek(this.currentWeek).catch(() => null);
+
         this.baselines = this.computeBaselines();
         this.teamOffense = this.computeTeamOffense();
+        this.spreads = this.computeSpreads();
         this.ready = true;
 
         console.log(
@@ -133,27 +155,37 @@ class PlayerStats {
         return this;
     }
 
-    /** The trailing window of weeks that have actually been played. */
-    async loadWeeks(weeksBack) {
-        const lastPlayed = this.currentWeek - 1;
-        if (lastPlayed < 1) return [];
-
-        const from = Math.max(1, lastPlayed - weeksBack + 1);
+    /**
+     * The played weeks from `from` through `to` (the last played week by
+     * default), oldest first. load() keeps only a trailing window in
+     * `this.weeks`, which is what recent form is read from; a feature that
+     * needs the whole season calls this for the earlier weeks and reads them
+     * through seasonLogFor. Weeks already fetched are not fetched again.
+     */
+    async loadWeeks(from = 1, to = this.currentWeek - 1) {
+        const first = Math.max(1, from);
         const requests = [];
-        for (let week = from; week <= lastPlayed; week++) {
+        for (let week = first; week <= to; week++) {
+            if (this.weekLogs.has(week)) continue;
             requests.push(
                 this.api.getWeeklyStats(this.season, week)
-                    .then(lines => ({ week, points: this.pointsFromLines(lines) }))
-                    .catch(() => ({ week, points: new Map() }))
+                    .then(lines => ({ week, points: this.pointsFromLines(lines), usage: this.usageFromLines(lines) }))
+                    .catch(() => ({ week, points: new Map(), usage: new Map() }))
+                    .then(entry => {
+                        if (entry.points.size > 0) this.weekLogs.set(week, entry);
+                    })
             );
         }
+        await Promise.all(requests);
 
-        const loaded = await Promise.all(requests);
-        return loaded.filter(entry => entry.points.size > 0);
+        return [...this.weekLogs.values()]
+            .filter(entry => entry.week >= first && entry.week <= to)
+            .sort((a, b) => a.week - b.week);
     }
 
     /**
-     * Sleeper publishes each scoring format as its own field, so the league's
+     * With a league to read, every line is scored against that league's own
+     * settings. Without one, Sleeper's pre-computed field for the configured
      * format is read directly rather than approximated with a multiplier.
      */
     pointsFromLines(lines) {
@@ -161,13 +193,73 @@ class PlayerStats {
         if (!lines) return points;
 
         Object.keys(lines).forEach(playerId => {
-            const value = SleeperAPI.pointsForFormat(lines[playerId], this.scoringFormat);
+            const value = this.pointsForLine(lines[playerId], this.allPlayers?.[playerId]?.position);
             if (typeof value === 'number') points.set(String(playerId), value);
         });
 
         return points;
     }
 
+    /**
+     * The opportunity behind each player's week: targets, carries, red-zone
+     * looks, and the player's share of the offense's snaps and targets. Points swing
+     * on touchdowns; the chances to score are what a role looks like, and
+     * they are far steadier week to week.
+     *
+     * Snap share is Sleeper's own snap counts. Target share is measured
+     * against every target thrown to the player's current team that week.
+     */
+    usageFromLines(lines) {
+        const usage = new Map();
+        const teamTargets = new Map();
+        if (!lines) return usage;
+
+        Object.entries(lines).forEach(([playerId, line]) => {
+            const targets = Number(line?.rec_tgt) || 0;
+            const carries = Number(line?.rush_att) || 0;
+            const snaps = Number(line?.off_snp) || 0;
+            if (!targets && !carries && !snaps) return;
+
+            const teamSnaps = Number(line.tm_off_snp) || 0;
+            const team = this.allPlayers?.[playerId]?.team;
+            if (team) teamTargets.set(team, (teamTargets.get(team) || 0) + targets);
+
+            usage.set(String(playerId), {
+                targets,
+                carries,
+                redZone: (Number(line.rec_rz_tgt) || 0) + (Number(line.rush_rz_att) || 0),
+                snapShare: teamSnaps > 0 ? snaps / teamSnaps : null,
+                targetShare: null,
+                team
+            });
+        });
+
+        usage.forEach(entry => {
+            const total = teamTargets.get(entry.team);
+            entry.targetShare = total > 0 ? entry.targets / total : null;
+            delete entry.team;
+        });
+
+        return usage;
+    }
+
+    /** Games each player has appeared in, from the `gp` on a season line. */
+    gamesFromLines(lines) {
+        const games = new Map();
+        Object.entries(lines || {}).forEach(([playerId, line]) => {
+            const gp = Number(line?.gp);
+            if (gp > 0) games.set(String(playerId), gp);
+        });
+        return games;
+    }
+
+    /** One stat line in the scoring this index was loaded with. */
+    pointsForLine(line, position) {
+        return this.scoring
+            ? this.scoring.pointsFor(line, position)
+            : SleeperAPI.pointsForFormat(line, this.scoringFormat);
+    }
+
     /**
      * Per position, the two anchors that a 0-100 value scale needs: what a
      * replacement-level starter produces, and what an elite one does.
@@ -231,6 +323,48 @@ class PlayerStats {
         return offense;
     }
 
+    /**
+     * How much a typical player at each position swings week to week, as the
+     * standard deviation over the mean - the median across every player with
+     * enough games in the logs to measure one.
+     */
+    computeSpreads() {
+        const byPosition = {};
+
+        this.logsByPlayer().forEach((scores, playerId) => {
+            const position = this.allPlayers?.[playerId]?.position;
+            const spread = PlayerStats.relativeSpread(scores);
+            if (!position || spread === null) return;
+            (byPosition[position] = byPosition[position] || []).push(spread);
+        });
+
+        const spreads = {};
+        Object.entries(byPosition).forEach(([position, list]) => {
+            list.sort((a, b) => a - b);
+            spreads[position] = list[Math.floor(list.length / 2)];
+        });
+        return spreads;
+    }
+
+    /** Every player's weekly scores in the loaded game logs. */
+    logsByPlayer() {
+        const logs = new Map();
+        this.weeks.forEach(entry => entry.points.forEach((points, playerId) => {
+            if (!logs.has(playerId)) logs.set(playerId, []);
+            logs.get(playerId).push(points);
+        }));
+        return logs;
+    }
+
+    /** Standard deviation over mean, or null with too few games or no mean. */
+    static relativeSpread(scores) {
+        if (scores.length < PlayerStats.MIN_GAMES_FOR_SPREAD) return null;
+        const mean = scores.reduce((sum, points) => sum + points, 0) / scores.length;
+        if (!(mean > 0)) return null;
+        const variance = scores.reduce((sum, points) => sum + (points - mean) ** 2, 0) / (scores.length - 1);
+        return Math.sqrt(variance) / mean;
+    }
+
     // ======================
     // LOOKUPS
     // ======================
@@ -252,11 +386,180 @@ class PlayerStats {
             : `${this.season} projections`;
     }
 
+    /** The scoring the numbers are in - the league's own, or a canned format. */
+    describeScoring() {
+        return this.scoring ? this.scoring.describe() : this.scoringFormat;
+    }
+
+    /**
+     * Sleeper's projection for one week, in the league's scoring format.
+     *
+     * Lineup decisions are made a week at a time, so the season line is the
+     * wrong number to set a lineup with - it cannot see a bye or a week-to-week
+     * role change. An empty map means Sleeper has not published the week yet,
+     * and callers should say so rather than fall back to anything else.
+     */
+    async projectionsForWeek(week) {
+        if (this.weekProjections.has(week)) return this.weekProjections.get(week);
+
+        const lines = await this.api.getWeeklyProjections(this.season, week);
+        const points = this.pointsFromLines(lines);
+        if (points.size) this.weekProjections.set(week, points);
+
+        return points;
+    }
+
     pointsFor(playerId) {
         const value = this.seasonPoints.get(String(playerId));
         return typeof value === 'number' ? value : null;
     }
 
+    /**
+     * Points per week from the season line: actual points over the weeks
+     * played once the season is under way, the projection spread over the
+     * regular season before it. Null when Sleeper has no numbers for him.
+     */
+    weeklyRate(playerId) {
+        const points = this.pointsFor(playerId);
+        if (points === null) return null;
+
+        return points / this.rateWeeks();
+    }
+
+    /** The weeks a season line is spread over to make a weekly rate. */
+    rateWeeks() {
+        return this.isActual()
+            ? Math.max(1, (this.currentWeek || 2) - 1)
+            : PlayerStats.SEASON_WEEKS;
+    }
+
+    /** Regular-season weeks still to be played, counting the current one. */
+    weeksRemaining() {
+        return this.isActual()
+            ? Math.max(0, PlayerStats.SEASON_WEEKS - (this.currentWeek || 1) + 1)
+            : PlayerStats.SEASON_WEEKS;
+    }
+
+    /**
+     * What a player is worth from here to the end of the regular season: the
+     * weekly rate over the weeks left, and the same measured against a
+     * replacement-level starter at the position, which is what lets a
+     * quarterback and a tight end be ranked on one list. Read off
+     * projectionFor, with this week's range alongside. `overReplacement` is
+     * null at a position without a baseline; the whole result is null without
+     * a projection.
+     */
+    restOfSeasonFor(player) {
+        const projection = player ? this.projectionFor(player.player_id) : null;
+        if (!projection) return null;
+
+        const { weeksLeft, rate, restOfSeason, median, floor, ceiling } = projection;
+        const baseline = this.baselines[player.position];
+        const replacementRate = baseline ? baseline.replacement / this.rateWeeks() : null;
+
+        return {
+            weeklyRate: rate,
+            weeksLeft,
+            points: restOfSeason,
+            overReplacement: replacementRate === null ? null : restOfSeason - replacementRate * weeksLeft,
+            thisWeek: { median, floor, ceiling }
+        };
+    }
+
+    // ======================
+    // PROJECTIONS
+    // ======================
+
+    /**
+     * One player's expected scoring from here on, blended from three sources:
+     *
+     *   - season to date, per game played, once games are being measured;
+     *   - the preseason projection, spread over the regular season;
+     *   - Sleeper's projection for the current week.
+     *
+     * The first two trade weight game by game: a player's own production
+     * counts for games / (games + STABILIZATION_GAMES), so the preseason line
+     * carries a September rate and fades out by November. The weekly
+     * projection sees what both miss - a new role, an injury ahead on the
+     * depth chart - and takes WEEKLY_WEIGHT of the rate whenever it has one.
+     *
+     * Returns the per-week `rate`, this week's expected points, the
+     * rest-of-season total, and this week's median, floor (10th percentile)
+     * and ceiling (90th). Null when no source has the player.
+     */
+    projectionFor(playerId) {
+        const id = String(playerId);
+        const preseasonRate = this.preseasonRateFor(id);
+        const games = this.isActual() ? (this.gamesPlayed.get(id) || 0) : 0;
+        const seasonRate = games > 0 ? this.pointsFor(id) / games : null;
+        const weekly = this.weekProjections.get(this.currentWeek)?.get(id) ?? null;
+        if (preseasonRate === null && seasonRate === null && weekly === null) return null;
+
+        const seasonWeight = seasonRate === null ? 0
+            : preseasonRate === null ? 1
+                : games / (games + PlayerStats.STABILIZATION_GAMES);
+        const weeklyWeight = weekly > 0
+            ? (seasonRate === null && preseasonRate === null ? 1 : PlayerStats.WEEKLY_WEIGHT)
+            : 0;
+        const longRun = seasonWeight * (seasonRate ?? 0) + (1 - seasonWeight) * (preseasonRate ?? 0);
+        const rate = weeklyWeight * (weekly || 0) + (1 - weeklyWeight) * longRun;
+
+        // This week is Sleeper's own number when it has one - a zero there
+        // is a bye or an injury, not a projection to smooth over.
+        const thisWeek = weekly ?? rate;
+        const weeksLeft = this.weeksRemaining();
+        const range = this.weeklyRange(id, thisWeek);
+
+        return {
+            rate,
+            thisWeek,
+            restOfSeason: weeksLeft > 0 ? thisWeek + rate * (weeksLeft - 1) : 0,
+            weeksLeft,
+            ...range,
+            weights: {
+                season: (1 - weeklyWeight) * seasonWeight,
+                preseason: (1 - weeklyWeight) * (1 - seasonWeight),
+                weekly: weeklyWeight
+            }
+        };
+    }
+
+    /** The preseason projection per regular-season week, or null without one. */
+    preseasonRateFor(playerId) {
+        const preseason = this.preseasonPoints.get(String(playerId));
+        return typeof preseason === 'number' ? preseason / PlayerStats.SEASON_WEEKS : null;
+    }
+
+    /**
+     * The spread of one week's score around its expectation. Fantasy scores
+     * are skewed - a floor near zero, a long tail of big games - so the week
+     * is modelled as lognormal with the player's own week-to-week spread,
+     * pulled toward the position's typical one until enough games are in.
+     */
+    weeklyRange(playerId, expected) {
+        if (!(expected > 0)) return { median: 0, floor: 0, ceiling: 0, spread: null };
+
+        const position = this.allPlayers?.[playerId]?.position;
+        const typical = this.spreads[position] ?? PlayerStats.DEFAULT_SPREAD;
+        const scores = this.weeklyFor(playerId).map(game => game.points);
+        const own = PlayerStats.relativeSpread(scores);
+        const spread = own === null
+            ? typical
+            : (scores.length * own + PlayerStats.STABILIZATION_GAMES * typical)
+                / (scores.length + PlayerStats.STABILIZATION_GAMES);
+
+        const sigma = Math.sqrt(Math.log(1 + spread * spread));
+        const mu = Math.log(expected) - (sigma * sigma) / 2;
+        const z = 1.2816; // 10th and 90th percentiles
+
+        return {
+            median: Math.exp(mu),
+            floor: Math.exp(mu - z * sigma),
+            ceiling: Math.exp(mu + z * sigma),
+            spread
+        };
+    }
+
     /**
      * Positional value on a 0-100 scale: replacement level sits at 50 and the
      * elite anchor at 100, so the number means something league-relative
@@ -276,10 +579,52 @@ class PlayerStats {
         return Math.max(0, Math.min(100, value));
     }
 
+    /**
+     * valueFor as it stood going into `week`: only the games before it,
+     * blended with the preseason line the way projectionFor blends them, on
+     * the same scale. This is how a past trade is valued without the hindsight
+     * of the weeks that followed it. Reads seasonLogFor, so the weeks before
+     * `week` have to have been loaded. Null with nothing to go on.
+     */
+    valueAsOf(player, week) {
+        const baseline = player ? this.baselines[player.position] : null;
+        if (!baseline) return null;
+
+        const id = String(player.player_id);
+        const games = this.seasonLogFor(id).filter(game => game.week < week);
+        const preseasonRate = this.preseasonRateFor(id);
+        const seasonRate = games.length
+            ? games.reduce((sum, game) => sum + game.points, 0) / games.length
+            : null;
+        if (seasonRate === null && preseasonRate === null) return null;
+
+        const seasonWeight = seasonRate === null ? 0
+            : preseasonRate === null ? 1
+                : games.length / (games.length + PlayerStats.STABILIZATION_GAMES);
+        const rate = seasonWeight * (seasonRate ?? 0) + (1 - seasonWeight) * (preseasonRate ?? 0);
+
+        // The baselines are season totals; compare per week.
+        const weeks = this.rateWeeks();
+        const value = 50 + 50 * ((rate * weeks - baseline.replacement) / (baseline.elite - baseline.replacement));
+        return Math.max(0, Math.min(100, value));
+    }
+
     /** Every played week this player recorded a stat line in. */
     weeklyFor(playerId) {
+        return PlayerStats.gameLog(this.weeks, playerId);
+    }
+
+    /**
+     * weeklyFor over every week loaded, not just the trailing window - the
+     * whole season once loadWeeks has fetched it.
+     */
+    seasonLogFor(playerId) {
+        return PlayerStats.gameLog([...this.weekLogs.values()].sort((a, b) => a.week - b.week), playerId);
+    }
+
+    static gameLog(weeks, playerId) {
         const id = String(playerId);
-        return this.weeks
+        return weeks
             .filter(entry => entry.points.has(id))
             .map(entry => ({ week: entry.week, points: entry.points.get(id) }));
     }
@@ -309,6 +654,74 @@ class PlayerStats {
         };
     }
 
+    /** Every played week this player saw the field, with the opportunity in it. */
+    usageFor(playerId) {
+        const id = String(playerId);
+        return this.weeks
+            .filter(entry => entry.usage?.has(id))
+            .map(entry => ({ week: entry.week, ...entry.usage.get(id) }));
+    }
+
+    /**
+     * Recent opportunity against the player's earlier weeks, the usage
+     * counterpart to trendFor. Opportunities are targets plus carries; snap
+     * and target share are averaged over the weeks they were reported. The
+     * direction follows opportunities, or snap share for a player who had
+     * none earlier. Needs four weeks, like trendFor.
+     */
+    opportunityTrendFor(playerId) {
+        const weeks = this.usageFor(playerId);
+        if (weeks.length < 4) return null;
+
+        const split = Math.floor(weeks.length / 2);
+        const average = list => {
+            const mean = key => {
+                const values = list.map(week => week[key]).filter(value => typeof value === 'number');
+                return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+            };
+            return {
+                targets: mean('targets'),
+                carries: mean('carries'),
+                redZone: mean('redZone'),
+                snapShare: mean('snapShare'),
+                targetShare: mean('targetShare'),
+                opportunities: mean('targets') + mean('carries')
+            };
+        };
+
+        const earlier = average(weeks.slice(0, split));
+        const recent = average(weeks.slice(split));
+
+        let direction = 'steady';
+        if (earlier.opportunities > 0) {
+            const ratio = recent.opportunities / earlier.opportunities;
+            direction = ratio > 1.15 ? 'rising' : ratio < 0.85 ? 'falling' : 'steady';
+        } else if (recent.snapShare !== null && earlier.snapShare !== null) {
+            const change = recent.snapShare - earlier.snapShare;
+            direction = change > 0.1 ? 'rising' : change < -0.1 ? 'falling' : 'steady';
+        }
+
+        return { direction, recent, earlier, games: weeks.length };
+    }
+
+    /** An opportunity trend in a line: the shares and volume, earlier to recent. */
+    static describeUsage(trend) {
+        const percent = value => `${Math.round(value * 100)}%`;
+        const parts = [];
+        if (trend.earlier.snapShare !== null && trend.recent.snapShare !== null) {
+            parts.push(`snap share ${percent(trend.earlier.snapShare)} → ${percent(trend.recent.snapShare)}`);
+        }
+        if (trend.earlier.targetShare !== null && trend.recent.targetShare !== null
+            && (trend.earlier.targets > 0 || trend.recent.targets > 0)) {
+            parts.push(`target share ${percent(trend.earlier.targetShare)} → ${percent(trend.recent.targetShare)}`);
+        }
+        parts.push(`${trend.earlier.opportunities.toFixed(1)} → ${trend.recent.opportunities.toFixed(1)} touches and targets a game`);
+        if (trend.earlier.redZone > 0 || trend.recent.redZone > 0) {
+            parts.push(`${trend.earlier.redZone.toFixed(1)} → ${trend.recent.redZone.toFixed(1)} red-zone looks`);
+        }
+        return parts.join(', ');
+    }
+
     /**
      * Where a player's offense ranks in real fantasy production. Replaces the
      * randomly drawn "high-powered offense" blurbs that used to be attached to
@@ -340,6 +753,15 @@ class PlayerStats {
 }
 
 PlayerStats.instance = null;
+PlayerStats.SEASON_WEEKS = 17;
+// Games at which a player's own numbers and the prior count equally.
+PlayerStats.STABILIZATION_GAMES = 6;
+// Share of the weekly rate given to Sleeper's current-week projection.
+PlayerStats.WEEKLY_WEIGHT = 0.35;
+// Games needed before a player's own week-to-week spread is measured.
+PlayerStats.MIN_GAMES_FOR_SPREAD = 4;
+// Week-to-week spread over the mean for a position with no logs to measure.
+PlayerStats.DEFAULT_SPREAD = 0.5;
 
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = PlayerStats;
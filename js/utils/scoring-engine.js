@@ -0,0 +1,164 @@
+/**
+ * League Scoring Engine
+ *
+ * Scores a raw Sleeper stat line against one league's own `scoring_settings`.
+ *
+ * Sleeper publishes pre-computed points for three canned formats (pts_std,
+ * pts_half_ppr, pts_ppr), and everything used to be read through those. A
+ * league with a TE premium, six-point passing touchdowns, 100-yard bonuses or
+ * first-down points scores nothing like any of the three, so every value built
+ * on them was quietly wrong for it. Sleeper's own scoring is a weighted sum of
+ * stat keys, and the settings use the same key names as the stat lines, so the
+ * league's real number can be computed directly.
+ */
+
+class ScoringEngine {
+    constructor(settings, options = {}) {
+        this.settings = settings || {};
+        this.leagueId = options.leagueId || null;
+        this.leagueName = options.leagueName || null;
+        this.format = ScoringEngine.formatFor(this.settings);
+    }
+
+    /**
+     * The engine for a Sleeper league, or null when the league has no settings
+     * to read. One engine per league for the page - the settings only change
+     * when the commissioner edits them, and the league request is cached anyway.
+     */
+    static async forLeague(api, leagueId) {
+        if (!leagueId) return null;
+        const key = String(leagueId);
+        if (ScoringEngine.cache.has(key)) return ScoringEngine.cache.get(key);
+
+        const league = await api.getLeague(key).catch(error => {
+            console.warn('⚠️ ScoringEngine: league settings unavailable:', error.message);
+            return null;
+        });
+
+        const settings = league?.scoring_settings;
+        if (!settings || !Object.keys(settings).length) return null;
+
+        const engine = new ScoringEngine(settings, { leagueId: key, leagueName: league.name });
+        ScoringEngine.cache.set(key, engine);
+        console.log(`🧮 ScoringEngine: ${engine.describe()}`);
+        return engine;
+    }
+
+    /**
+     * The canned format closest to these settings. Used for labels and as the
+     * fallback when a line carries only Sleeper's pre-computed totals.
+     */
+    static formatFor(settings) {
+        const rec = Number(settings?.rec) || 0;
+        if (rec >= 0.75) return 'PPR';
+        if (rec >= 0.25) return 'Half PPR';
+        return 'Standard';
+    }
+
+    /**
+     * Fantasy points for one stat line, or null when the line carries none of
+     * the stats this league scores.
+     *
+     * `position` matters only for the position-specific reception bonuses
+     * (the TE premium is `bonus_rec_te`), which Sleeper applies per player
+     * rather than publishing as a stat of its own.
+     */
+    pointsFor(line, position) {
+        if (!line) return null;
+
+        let points = 0;
+        let scored = false;
+
+        for (const [key, weight] of Object.entries(this.settings)) {
+            if (!weight) continue;
+            const value = this.statValue(line, key, position);
+            if (typeof value !== 'number' || Number.isNaN(value)) continue;
+            points += value * weight;
+            scored = true;
+        }
+
+        if (scored) return Math.round(points * 100) / 100;
+
+        // Some projection feeds carry only the pre-computed totals. The nearest
+        // canned format is a better answer than no answer for those.
+        return SleeperAPI.pointsForFormat(line, this.format);
+    }
+
+    /**
+     * The stat a setting key refers to. Almost always the line's own field of
+     * the same name; the exceptions are stats Sleeper derives when it scores.
+     */
+    statValue(line, key, position) {
+        if (typeof line[key] === 'number') return line[key];
+
+        const positionBonus = key.match(/^bonus_rec_(rb|wr|te)$/);
+        if (positionBonus) {
+            return String(position || '').toUpperCase() === positionBonus[1].toUpperCase()
+                ? line.rec
+                : null;
+        }
+
+        // Yardage and points-allowed brackets only make sense for a single game.
+        // A season line with 1,400 receiving yards did not hit the 100-yard bonus
+        // once, it hit it some unknown number of times.
+        if ((line.gp ?? 1) > 1) return null;
+
+        const yardBonus = key.match(/^bonus_(pass|rush|rec)_yd_(\d+)$/);
+        if (yardBonus && typeof line[`${yardBonus[1]}_yd`] === 'number') {
+            return line[`${yardBonus[1]}_yd`] >= Number(yardBonus[2]) ? 1 : 0;
+        }
+
+        // Defensive brackets: `pts_allow_7_13` is a range, `pts_allow_35p` is
+        // open-ended and a bare `pts_allow_0` is the shutout. Yards allowed
+        // are bracketed the same way.
+        const allowed = key.match(/^(pts|yds)_allow_(\d+)(?:_(\d+)|(p))?$/);
+        if (allowed && typeof line[`${allowed[1]}_allow`] === 'number') {
+            const low = Number(allowed[2]);
+            const high = allowed[3] !== undefined ? Number(allowed[3]) : allowed[4] ? Infinity : low;
+            const value = line[`${allowed[1]}_allow`];
+            return value >= low && value <= high ? 1 : 0;
+        }
+
+        return null;
+    }
+
+    /** Points a reception is worth at a position, premiums included. */
+    receptionPoints(position) {
+        const bonus = Number(this.settings[`bonus_rec_${String(position || '').toLowerCase()}`]) || 0;
+        return (Number(this.settings.rec) || 0) + bonus;
+    }
+
+    /**
+     * The ways this league departs from its nearest canned format, for labels.
+     * Only the settings that move player values enough to mention are listed.
+     */
+    notableRules() {
+        const s = this.settings;
+        const rules = [];
+
+        if (s.bonus_rec_te) rules.push(`TE premium +${s.bonus_rec_te}/rec`);
+        if (s.bonus_rec_rb) rules.push(`RB +${s.bonus_rec_rb}/rec`);
+        if (s.bonus_rec_wr) rules.push(`WR +${s.bonus_rec_wr}/rec`);
+        if (s.pass_td && s.pass_td !== 4) rules.push(`${s.pass_td}-pt passing TD`);
+        if (s.pass_int && s.pass_int < -1) rules.push(`${s.pass_int} per INT`);
+        if (s.rec_fd || s.rush_fd) rules.push('first-down points');
+        if (Object.keys(s).some(key => /^bonus_(pass|rush|rec)_yd_\d+$/.test(key) && s[key])) {
+            rules.push('yardage bonuses');
+        }
+
+        return rules;
+    }
+
+    describe() {
+        const rules = this.notableRules();
+        return rules.length
+            ? `league scoring (${this.format}, ${rules.join(', ')})`
+            : `league scoring (${this.format})`;
+    }
+}
+
+ScoringEngine.cache = new Map();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScoringEngine;
+}
@@ -0,0 +1,99 @@
+/**
+ * Seeded Random
+ *
+ * A replayable random source for the simulations.
+ *
+ * Math.random cannot be replayed, so two runs of the same simulation never
+ * agree and there is no telling whether odds moved because something changed
+ * or because the dice did. A seeded generator replays the same draws: run it
+ * twice with one seed and the numbers match to the last decimal; change one
+ * input and keep the seed, and only that change moves them. That holds as long
+ * as a simulation draws the same number of values however its inputs come
+ * out, which the season and bracket models are written to do.
+ *
+ * The generator is mulberry32 - 32 bits of state, fast, and plenty for Monte
+ * Carlo work. It is not for anything that needs to be unpredictable.
+ */
+
+class SeededRandom {
+    constructor(seed = SeededRandom.newSeed()) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+        // Bound, so `rng.next` can be handed to anything that takes a
+        // Math.random-shaped function.
+        this.next = this.next.bind(this);
+    }
+
+    /** A fresh seed, short enough to read off the screen and type back in. */
+    static newSeed() {
+        const cryptoSource = typeof crypto !== 'undefined' && crypto.getRandomValues ? crypto : null;
+        const value = cryptoSource
+            ? cryptoSource.getRandomValues(new Uint32Array(1))[0]
+            : Math.floor(Math.random() * 0x100000000);
+        return (value % 999999) + 1;
+    }
+
+    /**
+     * Seeds arrive from text inputs as often as from code. Numbers are used as
+     * they are; any other text is hashed, so "week9" is as good a seed as 42.
+     */
+    static normalizeSeed(seed) {
+        const text = String(seed ?? '').trim();
+        if (/^\d+$/.test(text)) return Number(text) >>> 0;
+
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    /** The next value in [0, 1). */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /** Standard normal draw (Box-Muller) from a uniform source. */
+    static gaussian(random = Math.random) {
+        const u = 1 - random();
+        const v = random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    /** Standard normal CDF (Abramowitz and Stegun 7.1.26). */
+    static normalCdf(z) {
+        const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+        const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741
+            + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-(z * z) / 2);
+        return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+    }
+
+    /**
+     * The 95% interval around a simulated share, in percent (Wilson score).
+     * Holds up at the extremes where the textbook interval does not: a team
+     * that made the playoffs in none of 5,000 seasons gets 0-0.1%, not 0-0%.
+     */
+    static proportionInterval(successes, trials) {
+        if (!trials) return { low: 0, high: 100 };
+
+        const z = 1.96;
+        const p = successes / trials;
+        const denominator = 1 + (z * z) / trials;
+        const centre = (p + (z * z) / (2 * trials)) / denominator;
+        const margin = (z * Math.sqrt((p * (1 - p)) / trials + (z * z) / (4 * trials * trials))) / denominator;
+
+        return {
+            low: Math.max(0, centre - margin) * 100,
+            high: Math.min(1, centre + margin) * 100
+        };
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
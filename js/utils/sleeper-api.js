@@ -211,6 +211,14 @@ class SleeperAPI {
         return this.fetchAPI(`/draft/${draftId}/traded_picks`);
     }
 
+    /**
+     * Get traded picks across a league's future drafts, including seasons
+     * whose draft has not been created yet
+     */
+    async getLeagueTradedPicks(leagueId) {
+        return this.fetchAPI(`/league/${leagueId}/traded_picks`);
+    }
+
     /**
      * Get all NFL players.
      *
@@ -285,10 +293,11 @@ class SleeperAPI {
     }
 
     /**
-     * Get matchups for a specific week
+     * Get matchups for a specific week. Pass `useCache = false` for a week in
+     * progress - the points move every few minutes on a Sunday.
      */
-    async getMatchups(leagueId, week) {
-        return this.fetchAPI(`/league/${leagueId}/matchups/${week}`);
+    async getMatchups(leagueId, week, useCache = true) {
+        return this.fetchAPI(`/league/${leagueId}/matchups/${week}`, useCache);
     }
 
     /**
@@ -298,6 +307,36 @@ class SleeperAPI {
         return this.fetchAPI(`/league/${leagueId}/transactions/${week}`);
     }
 
+    /**
+     * Every transaction from `fromLeg` through `throughLeg`, in leg order. A
+     * week that fails to load or comes back malformed is skipped, so the
+     * result is whatever could be read.
+     */
+    async getSeasonTransactions(leagueId, throughLeg, fromLeg = 1) {
+        const legs = [];
+        for (let leg = Math.max(1, fromLeg); leg <= throughLeg; leg++) legs.push(leg);
+        const byLeg = await Promise.all(legs.map(leg => this.getTransactions(leagueId, leg)
+            .then(rows => (Array.isArray(rows) ? rows : []))
+            .catch(() => [])));
+        return byLeg.flat();
+    }
+
+    /**
+     * The last week with scores in it. Sleeper records it as last_scored_leg;
+     * for a league that predates the field, a finished season ran to the end
+     * of its playoffs and the season in progress to last week.
+     */
+    static lastScoredWeek(league, currentWeek) {
+        const recorded = Number(league?.settings?.last_scored_leg);
+        if (recorded > 0) return recorded;
+        if (league?.status === 'complete') {
+            const playoffStart = Number(league.settings?.playoff_week_start) || SleeperAPI.DEFAULT_PLAYOFF_WEEK;
+            const rounds = Math.ceil(Math.log2(Number(league.settings?.playoff_teams) || 6));
+            return playoffStart + rounds - 1;
+        }
+        return league?.status === 'in_season' ? Math.max(0, (currentWeek || 1) - 1) : 0;
+    }
+
     /**
      * Season-long projected fantasy points, keyed by player id.
      *
@@ -478,6 +517,9 @@ SleeperAPI.sharedInFlight = new Map();
 // How long the player database stays usable, in memory and in IndexedDB alike.
 SleeperAPI.PLAYER_CACHE_MAX_AGE = 24 * 60 * 60 * 1000;
 
+// Sleeper's default first playoff week, for leagues that do not say.
+SleeperAPI.DEFAULT_PLAYOFF_WEEK = 15;
+
 // Same-origin copy of the player database, trimmed to the fields the app reads
 // and refreshed once a day by workers/player-sync. Absent on a static-only
 // deploy, in which case getAllPlayers falls back to Sleeper.
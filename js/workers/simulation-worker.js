@@ -0,0 +1,36 @@
+/**
+ * Simulation Worker
+ *
+ * Plays PlayoffSimulator's seasons off the page's thread. A 100,000-season
+ * run takes long enough that doing it on the page would freeze scrolling,
+ * clicks and every other tab until it finished.
+ *
+ * The page posts one job - the simulator's state, the seed, the standings,
+ * the bracket, how many seasons to play and any what-if results - and gets
+ * back progress messages as the seasons are played, then the tallies and,
+ * when the job asks for them, the clinching statuses. There is no cancel
+ * message: the page cancels by terminating the worker, which stops it
+ * mid-loop.
+ */
+
+importScripts('../utils/seeded-random.js', '../features/clinch-analyzer.js', '../features/playoff-simulator.js');
+
+self.onmessage = ({ data: job }) => {
+    try {
+        const simulator = PlayoffSimulator.fromSimulationState(job.state);
+        simulator.useSeed(job.seed ?? SeededRandom.newSeed());
+
+        const { teams, games } = simulator.tallySeasons(job.standings, job.playoffStructure, job.numSimulations, {
+            forcedResults: job.forcedResults,
+            focusRosterId: job.focusRosterId,
+            onProgress: (done, total) => self.postMessage({ type: 'progress', done, total })
+        });
+
+        // A Map survives postMessage as it is.
+        const clinching = job.clinching ? simulator.analyzeClinching(job.standings, job.playoffStructure) : null;
+
+        self.postMessage({ type: 'result', teams, games, clinching });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
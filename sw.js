@@ -1,7 +1,7 @@
 // Service Worker for Fantasy Football Command Center
 // Enables offline functionality and PWA features
 
-const CACHE_NAME = 'fantasy-football-v5';
+const CACHE_NAME = 'fantasy-football-v19';
 
 // App shell. Every entry is verified to exist in the repo - a missing file would
 // make cache.addAll() reject and abort the whole install, which is what silently
@@ -16,6 +16,10 @@ const PRECACHE_URLS = [
   './css/features/analytics.css',
   './css/features/trade-analyzer.css',
   './css/features/playoff-simulator.css',
+  './css/features/power-rankings.css',
+  './css/features/league-history.css',
+  './css/features/manager-profiles.css',
+  './css/features/live-matchup.css',
   './css/features/weather.css',
   './css/features/predictions.css',
   './css/core/variables.css',
@@ -46,20 +50,35 @@ const PRECACHE_URLS = [
   './js/core/learning-manager.js',
   './js/core/event-manager.js',
   './js/features/pick-advisor.js',
+  './js/features/auction-advisor.js',
+  './js/features/keeper-advisor.js',
   './js/features/draft-tracker.js',
+  './js/features/mock-draft.js',
+  './js/features/keeper-manager.js',
   './js/features/streak-analyzer.js',
   './js/features/team-manager.js',
+  './js/features/faab-advisor.js',
   './js/features/waiver-wire.js',
   './js/features/performance-analytics.js',
   './js/features/trend-analyzer.js',
   './js/features/league-analyzer.js',
   './js/features/trade-analyzer.js',
+  './js/features/trade-finder.js',
+  './js/features/trade-grader.js',
+  './js/features/clinch-analyzer.js',
   './js/features/playoff-simulator.js',
+  './js/features/power-rankings.js',
+  './js/features/league-history.js',
+  './js/features/manager-profiles.js',
+  './js/features/live-matchup-tracker.js',
   './js/features/weather-analyzer.js',
   './js/features/predictive-analytics.js',
   './js/utils/persistent-cache.js',
   './js/utils/sleeper-api.js',
+  './js/utils/scoring-engine.js',
   './js/utils/player-stats.js',
+  './js/utils/seeded-random.js',
+  './js/workers/simulation-worker.js',
   './js/app.js',
   './icons/icon-96.png',
   './icons/icon-192.png',
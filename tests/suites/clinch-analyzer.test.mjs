@@ -0,0 +1,95 @@
+/**
+ * Clinching, elimination and magic numbers are exact.
+ *
+ * Counting wins against the bubble team is the easy answer and the wrong
+ * one: two rivals who still play each other cannot both win that game, and a
+ * division winner is seeded ahead of a wild card with a better record.
+ * ClinchAnalyzer answers each question against the real remaining schedule.
+ * The leagues here are four teams with a week or two left, few enough
+ * outcomes to list.
+ *
+ * A tie is broken on points for, which are not known yet, so it counts
+ * against a team asking whether it has clinched and for it asking whether it
+ * is still alive.
+ */
+
+import { openApp } from '../helpers/app.mjs';
+
+export const name = 'Clinch analysis';
+
+export async function run({ browser, baseUrl, t }) {
+    const { context, page } = await openApp(browser, { baseUrl });
+
+    // Statuses for a league of [rosterId, wins, losses, division] records.
+    const analyze = (records, weeks, playoffTeams, divisions = 0) => page.evaluate(league => {
+        const { records, weeks, playoffTeams, divisions } = league;
+        const standings = records.map(([rosterId, wins, losses, division]) => ({
+            rosterId, wins, losses, ties: 0, division
+        }));
+        const structure = { playoffTeams, firstRoundByes: 0, divisions, medianGames: false };
+        const statuses = new ClinchAnalyzer(standings, weeks, structure).analyze();
+        return statuses && [...statuses.values()].map(({ rosterId, state, label, magicNumber }) => ({
+            rosterId, state, label, magicNumber
+        }));
+    }, { records, weeks, playoffTeams, divisions });
+
+    const results = {
+        bubble: await analyze([[1, 10, 1], [2, 6, 5], [3, 5, 6], [4, 1, 10]],
+            [{ week: 12, games: [[1, 2], [3, 4]] }, { week: 13, games: [[1, 3], [2, 4]] }], 2),
+        headToHead: await analyze([[1, 8, 4], [2, 7, 5], [3, 7, 5], [4, 2, 10]],
+            [{ week: 13, games: [[1, 4], [2, 3]] }], 2),
+        divisions: await analyze([[1, 9, 3, 1], [2, 8, 4, 1], [3, 4, 8, 2], [4, 2, 10, 2]],
+            [{ week: 13, games: [[1, 2], [3, 4]] }], 2, 2),
+        tooBig: await page.evaluate(() => new ClinchAnalyzer(
+            Array.from({ length: ClinchAnalyzer.MAX_TEAMS + 1 }, (_, i) => ({ rosterId: i + 1, wins: 5, losses: 5, ties: 0 })),
+            [],
+            { playoffTeams: 6, firstRoundByes: 0, divisions: 0, medianGames: false }
+        ).analyze())
+    };
+
+    t.describe('Two weeks left, two spots');
+    // 10 wins; nobody else can get past 6 + 2 = 8.
+    t.equal('a team nobody can catch has clinched', results.bubble[0],
+        { rosterId: 1, state: 'clinched', label: 'Clinched playoffs', magicNumber: 0 });
+    // One win leaves Team 2 on 7, where Team 3 can tie it by beating 4 and 1.
+    // Two wins make 8, past Team 3's best of 7.
+    t.equal('the second team needs both its games', results.bubble[1],
+        { rosterId: 2, state: 'magic', label: 'Magic number 2', magicNumber: 2 });
+    // Winning out makes 7; Team 2 can still reach 8, so 3 needs it to slip.
+    t.equal('a team that can only get in if a rival slips needs help', results.bubble[2],
+        { rosterId: 3, state: 'needs-help', label: 'Needs help', magicNumber: null });
+    // Best case 3 wins, against 10 and at least 6.
+    t.equal('a team two others have passed for good is eliminated', results.bubble[3],
+        { rosterId: 4, state: 'eliminated', label: 'Eliminated', magicNumber: null });
+
+    t.describe('Rivals who play each other');
+    // Team 1 loses and stays on 8. Teams 2 and 3 play each other, so only
+    // one of them can reach 8: Team 1 finishes no worse than second. Counting
+    // each rival's best case alone would have both of them level with it.
+    t.equal('a team clinches when its chasers cannot both win', results.headToHead[0],
+        { rosterId: 1, state: 'clinched', label: 'Clinched playoffs', magicNumber: 0 });
+    // The winner reaches 8 and the loser is stuck on 7: only Team 1 can be
+    // level with the winner, so that one win is enough for either of them.
+    t.equal('and whichever chaser wins the game between them is in',
+        results.headToHead.slice(1, 3).map(status => status.label), ['Magic number 1', 'Magic number 1']);
+
+    t.describe('Division winners seeded first');
+    // Team 3 is on 4 wins and Team 4 can reach only 3: Team 3 wins its
+    // division, and a division winner takes one of the two spots.
+    t.equal('a four-win division leader has clinched', results.divisions[2],
+        { rosterId: 3, state: 'clinched', label: 'Clinched playoffs', magicNumber: 0 });
+    // Beating Team 2 takes Team 1 to 10 and the division; losing leaves the
+    // two level on 9 for the tiebreak.
+    t.equal('the other division is decided by the game between its leaders', results.divisions[0],
+        { rosterId: 1, state: 'magic', label: 'Magic number 1', magicNumber: 1 });
+    // Team 2's 8 wins beat Team 3's 4, but the second division spot is not
+    // open to a wild card: winning only makes a tie with Team 1.
+    t.equal('the runner-up behind a better record needs help', results.divisions[1],
+        { rosterId: 2, state: 'needs-help', label: 'Needs help', magicNumber: null });
+    t.equal('and the other division\'s last team is out', results.divisions[3].state, 'eliminated');
+
+    t.describe('Limits');
+    t.equal('a league too big to solve exactly gets no statuses', results.tooBig, null);
+
+    await context.close();
+}
@@ -0,0 +1,105 @@
+/**
+ * FAAB bids are priced from what this league has paid.
+ *
+ * A claim is a sealed-bid auction, so the chance a bid wins is read off the
+ * winning bids on comparable players: the weighted share of them it would
+ * have beaten, a tie counting half because waiver order settles it. Those
+ * bids are first turned into shares of the money the league had left when
+ * they were placed, and the recommended range is then the cheapest amounts
+ * that clear the odds.
+ *
+ * Scoring rates are stubbed out so that every comparable is equally close to
+ * the target and only position sets the weights: 1 for the same position,
+ * CROSS_POSITION_WEIGHT (0.35) for another.
+ */
+
+import { openApp } from '../helpers/app.mjs';
+
+export const name = 'FAAB bid advice';
+
+export async function run({ browser, baseUrl, t }) {
+    const { context, page } = await openApp(browser, { baseUrl });
+
+    {
+        // Weights 1, 1 and 2: a total of 4.
+        const odds = await page.evaluate(() => {
+            const advisor = new FaabAdvisor(null);
+            const comparables = [{ price: 10, weight: 1 }, { price: 20, weight: 1 }, { price: 30, weight: 2 }];
+            return {
+                byAmount: [5, 10, 25, 30, 35].map(amount => advisor.winProbability(amount, comparables, { rivalMax: 40 })),
+                unaffordable: advisor.winProbability(26, comparables, { rivalMax: 25 }),
+                noHistory: advisor.winProbability(10, [], { rivalMax: 40 })
+            };
+        });
+        const [below, tie, between, tieOnHeaviest, aboveAll] = odds.byAmount;
+
+        t.describe('Win probability');
+        t.equal('a bid under every comparable never wins', below, 0);
+        t.equal('a tie counts half', tie, 0.125);
+        t.equal('beating the 10 and the 20 wins half the weight', between, 0.5);
+        // 1 + 1 + 2/2, out of 4
+        t.equal('a tie with the heaviest bid counts half of it', tieOnHeaviest, 0.75);
+        t.equal('a bid over every comparable always wins', aboveAll, 1);
+        t.equal('and so does one no rival can afford to top, whatever was paid before', odds.unaffordable, 1);
+        t.equal('with nothing to compare against there are no odds', odds.noHistory, 0);
+    }
+
+    {
+        const shares = await page.evaluate(() => {
+            const league = { settings: { waiver_type: 2, waiver_budget: 100 } };
+            const claims = [
+                { week: 2, processed: 1, playerId: 'A', rosterId: 1, bid: 20, won: true },
+                { week: 2, processed: 1, playerId: 'B', rosterId: 2, bid: 10, won: false },
+                { week: 2, processed: 1, playerId: 'C', rosterId: 2, bid: 30, won: true },
+                { week: 3, processed: 2, playerId: 'D', rosterId: 1, bid: 10, won: true }
+            ];
+            return new FaabAdvisor(null).winningBids(claims, league, [{ roster_id: 1 }, { roster_id: 2 }])
+                .map(bid => Math.round(bid.share * 10000) / 10000);
+        });
+
+        t.describe('Bids as shares of the money left');
+        // Week 2's claims run together against 100 left on average: 20 and 30.
+        // The lost claim is not a price. By week 3 the teams have 80 and 70 left,
+        // so 10 is 10 / 75.
+        t.equal('each winning bid is measured against the budgets before its run', shares, [0.2, 0.3, 0.1333]);
+    }
+
+    {
+        const [advice, nothingToPrice] = await page.evaluate(() => {
+            const advisor = new FaabAdvisor(null);
+            advisor.playerStats = { projectionFor: () => null };
+            const history = [
+                { playerId: 'A', share: 0.2 },
+                { playerId: 'B', share: 0.4 },
+                { playerId: 'C', share: 0.6 }
+            ];
+            const allPlayers = { A: { position: 'WR' }, B: { position: 'WR' }, C: { position: 'RB' } };
+            const bidContext = { minimumBid: 0, yourRemaining: 30, rivalMax: 40, averageLeft: 50 };
+            const target = { id: 'T', position: 'WR' };
+            return [
+                advisor.recommendBid(target, history, bidContext, allPlayers),
+                advisor.recommendBid(target, [], bidContext, allPlayers)
+            ];
+        });
+
+        t.describe('The recommended range');
+        // At 50 left on average the shares price at 10 and 20 (WRs, weight 1)
+        // and 30 (an RB, weight 0.35) - a total weight of 2.35. A bid of 20 wins
+        // (1 + 0.5) / 2.35 = 63.8%, the first amount past half; 21 wins
+        // 2 / 2.35 = 85.1%, the first past 80%.
+        t.equal('the range runs from the first bid over 50% to the first over 80%',
+            { low: advice.low, high: advice.high }, { low: 20, high: 21 });
+        // 11 is the first amount past 25% (1 / 2.35 = 42.6%). 95% takes 31, more
+        // than the 30 left in your budget, so that rung is dropped.
+        t.equal('the ladder stops at what you can afford',
+            advice.ladder.map(({ amount, probability }) => [amount, Math.round(probability * 10) / 10]),
+            [[11, 42.6], [20, 63.8], [21, 85.1]]);
+        // Effective sample 2.35² / (1 + 1 + 0.35²) = 2.6, under the 4 wanted.
+        t.equal('three bids, one of them another position, is a thin history',
+            { comparables: advice.comparables, thinHistory: advice.thinHistory },
+            { comparables: 3, thinHistory: true });
+        t.equal('no winning bids at all gives no range', nothingToPrice.available, false);
+    }
+
+    await context.close();
+}
@@ -0,0 +1,109 @@
+/**
+ * What-if results are settled before the season is played.
+ *
+ * A forced game keeps both teams' simulated scores and hands the higher one
+ * to the side picked to win, so the winner's margin and the loser's points
+ * stay as realistic as any other week. The same run, followed from one team's
+ * point of view, counts how its playoff odds differ with each result of every
+ * game left - the list of games worth watching.
+ *
+ * Four teams, two weeks left, two playoff spots.
+ */
+
+import { openApp } from '../helpers/app.mjs';
+
+export const name = 'What-if results';
+
+const SCHEDULE = [{ week: 12, games: [[1, 2], [3, 4]] }, { week: 13, games: [[1, 3], [2, 4]] }];
+
+export async function run({ browser, baseUrl, t }) {
+    const { context, page } = await openApp(browser, { baseUrl });
+
+    const settled = await page.evaluate(weeks => {
+        const simulator = new PlayoffSimulator({ config: {} });
+        const means = { 1: 130, 2: 120, 3: 110, 4: 100 };
+        simulator.schedule = {
+            weeks,
+            strengths: new Map(Object.entries(means).map(([id, mean]) =>
+                [Number(id), { byWeek: new Map(), mean, spread: 0 }]))
+        };
+        const standings = [[1, 1000], [2, 1000], [3, 1000], [4, 1005]].map(([rosterId, pointsFor]) => ({
+            rosterId, wins: 5, losses: 5, ties: 0, pointsFor
+        }));
+        const play = forcedResults => {
+            const winners = [];
+            const season = simulator.simulateRestOfSeason(standings, forcedResults, winners);
+            return { winners, table: season.map(team => [team.rosterId, team.projectedWins, team.pointsFor]) };
+        };
+
+        return {
+            keys: [PlayoffSimulator.gameKey(13, 4, 2), PlayoffSimulator.gameKey(13, 2, 4)],
+            asProjected: play(null),
+            upsets: play({ [PlayoffSimulator.gameKey(12, 1, 2)]: 2, [PlayoffSimulator.gameKey(13, 4, 2)]: 4 })
+        };
+    }, SCHEDULE);
+
+    t.describe('Forcing a result');
+    t.equal('a game has one key whichever side is listed first', settled.keys, ['13:2-4', '13:2-4']);
+    // With no spread the better projection always wins: 1 and 3, then 1 and 2.
+    t.equal('left alone, every game goes to the projection', settled.asProjected.winners, [1, 3, 1, 2]);
+    // Team 2 takes Team 1's 130 and leaves it 120; Team 4 takes 120 from
+    // Team 2 and leaves it 100. Everyone finishes 6-6, so points decide it:
+    // 1250, 1230, 1225 and 1220.
+    t.equal('forced games go to the side picked, with the higher score', settled.upsets.winners, [2, 3, 1, 4]);
+    t.equal('and the standings follow', settled.upsets.table,
+        [[1, 6, 1250], [2, 6, 1230], [4, 6, 1225], [3, 6, 1220]]);
+
+    const odds = await page.evaluate(async weeks => {
+        const simulator = new PlayoffSimulator({ config: {} });
+        simulator.schedule = {
+            weeks,
+            strengths: new Map([1, 2, 3, 4].map(id => [id, { byWeek: new Map(), mean: 95 + id * 5, spread: 20 }]))
+        };
+        const standings = [[1, 7, 3], [2, 6, 4], [3, 6, 4], [4, 3, 7]].map(([rosterId, wins, losses]) => ({
+            rosterId, wins, losses, ties: 0, pointsFor: 1000
+        }));
+        const structure = simulator.determinePlayoffStructure(4, { settings: { playoff_teams: 2 } });
+        const run = async forcedResults => {
+            simulator.useSeed(11);
+            const { tallies, games, simulations } = await simulator.simulate(standings, structure, 2000,
+                { forcedResults, focusRosterId: 3 });
+            return { playoffs: tallies[3].playoffs, games, ranked: PlayoffSimulator.gamesThatMatter(games, simulations) };
+        };
+
+        const free = await run(null);
+        const forced = await run({ [PlayoffSimulator.gameKey(12, 3, 4)]: 4 });
+        return {
+            playoffs: [free.playoffs, forced.playoffs],
+            forcedGame: forced.games.find(game => game.week === 12 && game.teamA === 3).winsA,
+            ranked: free.ranked.map(game => [game.week, game.teamA, game.teamB]),
+            swings: free.ranked.map(game => game.swing),
+            forcedRanked: forced.ranked.map(game => [game.week, game.teamA, game.teamB]),
+            hand: PlayoffSimulator.gamesThatMatter([
+                { week: 12, teamA: 1, teamB: 2, winsA: 50, focusInWhenA: 40, focusInWhenB: 10 },
+                { week: 12, teamA: 3, teamB: 4, winsA: 99, focusInWhenA: 90, focusInWhenB: 0 },
+                { week: 13, teamA: 1, teamB: 3, winsA: 30, focusInWhenA: 6, focusInWhenB: 49 }
+            ], 100)
+        };
+    }, SCHEDULE);
+
+    t.describe('Games that matter');
+    // Game 1: 40 of 50 against 10 of 50. Game 3: 6 of 30 against 49 of 70.
+    // The middle game went one way 99 times in 100, under the 2% needed.
+    t.equal('the swing is the odds with one result against the other, biggest first', odds.hand, [
+        { week: 12, teamA: 1, teamB: 2, oddsIfA: 80, oddsIfB: 20, swing: 60 },
+        { week: 13, teamA: 1, teamB: 3, oddsIfA: 20, oddsIfB: 70, swing: 50 }
+    ]);
+    t.check('a team\'s own games are the ones that move its odds most',
+        odds.ranked.slice(0, 2).every(([, teamA, teamB]) => teamA === 3 || teamB === 3), odds.ranked);
+    t.check('and the list is in order of swing',
+        odds.swings.every((swing, index) => index === 0 || swing <= odds.swings[index - 1]), odds.swings);
+
+    t.describe('Playing a what-if');
+    t.equal('a forced game is never won by the other side', odds.forcedGame, 0);
+    t.check('losing it costs the focus team playoff seasons', odds.playoffs[1] < odds.playoffs[0], odds.playoffs);
+    t.check('and a settled game is no longer one to watch',
+        !odds.forcedRanked.some(([week, teamA]) => week === 12 && teamA === 3), odds.forcedRanked);
+
+    await context.close();
+}
@@ -0,0 +1,110 @@
+/**
+ * Lineups are solved from the league's own slots.
+ *
+ * A league that mixes flex types is where a greedy fill goes wrong: a
+ * WRRB_FLEX and a REC_FLEX both want the same receiver, and filling the first
+ * with him strands a tight end in the second. LineupOptimizer.assignSlots
+ * solves the whole assignment at once, and solveOptimalLineup sets the result
+ * against the lineup saved on Sleeper.
+ */
+
+import { openApp } from '../helpers/app.mjs';
+
+export const name = 'Lineup slot assignment';
+
+const PLAYERS = {
+    W1: { first_name: 'Wide', last_name: 'One', position: 'WR' },
+    R1: { first_name: 'Run', last_name: 'One', position: 'RB' },
+    T1: { first_name: 'Tight', last_name: 'One', position: 'TE' },
+    Q1: { first_name: 'Quarter', last_name: 'One', position: 'QB' },
+    C1: { first_name: 'Corner', last_name: 'One', position: 'CB' }
+};
+const POINTS = { W1: 20, R1: 15, T1: 5, Q1: 10, C1: 8 };
+
+export async function run({ browser, baseUrl, t }) {
+    const { context, page } = await openApp(browser, { baseUrl });
+
+    t.describe('Competing flex slots');
+    {
+        const assigned = await page.evaluate(({ players, points }) => {
+            const canPlay = (id, slot) => (LineupOptimizer.SLOT_ELIGIBILITY[slot] || [])
+                .some(position => LineupOptimizer.playerPositions(players[id]).includes(position));
+            return LineupOptimizer.assignSlots(['WRRB_FLEX', 'REC_FLEX'], ['W1', 'R1', 'T1'], canPlay, id => points[id]);
+        }, { players: PLAYERS, points: POINTS });
+
+        // Greedy puts W1 in the first flex and T1 in the second, for 25.
+        t.equal('each flex gets the player that maximises the pair', assigned, ['R1', 'W1']);
+        t.equal('and the pair is worth 35',
+            assigned.reduce((sum, id) => sum + POINTS[id], 0), 35);
+    }
+
+    t.describe('Slots nobody can fill');
+    {
+        const results = await page.evaluate(({ players, points }) => {
+            const canPlay = (id, slot) => (LineupOptimizer.SLOT_ELIGIBILITY[slot] || [])
+                .some(position => LineupOptimizer.playerPositions(players[id]).includes(position));
+            const assign = (slots, ids) => LineupOptimizer.assignSlots(slots, ids, canPlay, id => points[id]);
+            return {
+                unfillable: assign(['QB', 'TE'], ['Q1', 'W1']),
+                oneSlot: assign(['FLEX'], ['R1', 'W1']),
+                idp: assign(['IDP_FLEX'], ['C1', 'W1']),
+                cornerback: LineupOptimizer.playerPositions(players.C1),
+                starterSlots: LineupOptimizer.starterSlots(['QB', 'RB', 'BN', 'FLEX', 'IR', 'TAXI'])
+            };
+        }, { players: PLAYERS, points: POINTS });
+
+        t.equal('an unfillable slot is left empty, not given an ineligible player', results.unfillable, ['Q1', null]);
+        t.equal('a single flex takes the higher-scoring player', results.oneSlot, ['W1']);
+        t.equal('bench, IR and taxi spots are not starting slots', results.starterSlots, ['QB', 'RB', 'FLEX']);
+        t.equal('a cornerback plays as a DB', results.cornerback, ['DB']);
+        t.equal('and can fill an IDP flex', results.idp, ['C1']);
+    }
+
+    t.describe('Against the saved lineup');
+    {
+        const lineup = await page.evaluate(async ({ players, points }) => {
+            const optimizer = new LineupOptimizer({ config: {} }, null);
+            optimizer.playerStats = {
+                scoringFormat: 'PPR',
+                describeScoring: () => 'PPR',
+                ensureLoaded: async () => {},
+                projectionsForWeek: async () => new Map(Object.entries(points))
+            };
+            // W1 is on IR, so the best the roster can field without him is
+            // R1 in the flex and T1 at tight end.
+            const roster = {
+                players: ['W1', 'R1', 'T1', 'Q1'],
+                starters: ['Q1', 'T1', '0'],
+                reserve: ['W1']
+            };
+            const result = await optimizer.solveOptimalLineup(roster, ['QB', 'TE', 'FLEX'], {}, 5, players);
+            const optimizeWith = rosterPositions => {
+                optimizer.sleeperAPI = {
+                    getAllPlayers: async () => players,
+                    getLeague: async () => (rosterPositions ? { roster_positions: rosterPositions } : null)
+                };
+                return optimizer.optimizeWeeklyLineup({ roster: { ...roster, league_id: 'L1' } }, 5)
+                    .then(() => 'optimized', error => error.message);
+            };
+            return {
+                optimal: result.rows.map(row => row.optimal && row.optimal.id),
+                current: result.rows.map(row => row.current && row.current.id),
+                totals: [result.currentTotal, result.optimalTotal, result.delta],
+                noSlots: await optimizer.solveOptimalLineup(roster, [], {}, 5, players),
+                benchOnly: await optimizeWith(['BN', 'BN', 'IR']),
+                noLeague: await optimizeWith(undefined)
+            };
+        }, { players: PLAYERS, points: POINTS });
+
+        t.equal('a player on IR is never started', lineup.optimal, ['Q1', 'T1', 'R1']);
+        t.equal('an empty saved slot counts as nobody', lineup.current, ['Q1', 'T1', null]);
+        // Saved: 10 + 5. Optimal: 10 + 5 + 15.
+        t.equal('the gain is the flex left empty', lineup.totals, [15, 30, 15]);
+        t.equal('a league without slots gets no lineup', lineup.noSlots.available, false);
+        t.equal('and optimizing it is an error, not an empty success', lineup.benchOnly,
+            'Could not read the starting lineup slots for this league');
+        t.equal('as it is when the league itself could not be loaded', lineup.noLeague, lineup.benchOnly);
+    }
+
+    await context.close();
+}
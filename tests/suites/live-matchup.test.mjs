@@ -0,0 +1,126 @@
+/**
+ * Live win probability from the points on the board and the clock left.
+ *
+ * A starter still to play is worth their projection for the share of their
+ * game that remains, and the variance still to come shrinks with the clock.
+ * The chance of winning is the gap between the two projected finals over the
+ * combined spread; once nothing is left to play it is the scoreboard.
+ */
+
+import { openApp } from '../helpers/app.mjs';
+
+export const name = 'Live matchup win probability';
+
+// ESPN status blocks and the share of the game they leave.
+const GAME_STATES = [
+    ['a game not yet started has all of it left', undefined, { state: 'pre', fractionLeft: 1, detail: '' }],
+    ['a finished game has none', { type: { state: 'post' } }, { state: 'post', fractionLeft: 0, detail: 'Final' }],
+    ['7:30 left in the second quarter is 37:30 of 60',
+        { type: { state: 'in', shortDetail: '7:30 - 2nd' }, period: 2, clock: 450 },
+        { state: 'in', fractionLeft: 0.625, detail: '7:30 - 2nd' }],
+    ['overtime counts only its own clock',
+        { type: { state: 'in', shortDetail: '5:00 - OT' }, period: 5, clock: 300 },
+        { state: 'in', fractionLeft: 300 / 3600, detail: '5:00 - OT' }]
+];
+
+export async function run({ browser, baseUrl, t }) {
+    const { context, page } = await openApp(browser, { baseUrl });
+
+    const states = await page.evaluate(cases => cases.map(([, status]) => LiveMatchupTracker.gameState(status)), GAME_STATES);
+
+    t.describe('Game clocks');
+    GAME_STATES.forEach(([label, , expected], index) => t.equal(label, states[index], expected));
+
+    const live = await page.evaluate(() => {
+        const tracker = new LiveMatchupTracker(null);
+        tracker.playerStats = { projectionFor: id => (id === 'A' ? { spread: 0.4 } : null) };
+        tracker.context = {
+            userRosterId: 1,
+            allPlayers: {
+                A: { full_name: 'Al Ready', position: 'WR', team: 'KC' },
+                B: { full_name: 'Bo Later', position: 'RB', team: 'BUF' },
+                C: { full_name: 'Cy Done', position: 'QB', team: 'DAL' },
+                D: { full_name: 'Di Bye', position: 'TE', team: 'NYJ' }
+            },
+            projections: new Map([['A', 20], ['B', 10], ['C', 15], ['D', 10]]),
+            rosters: [{ roster_id: 1, owner_id: 'u1' }, { roster_id: 2, owner_id: 'u2' }],
+            users: [{ user_id: 'u1', display_name: 'Ann' }, { user_id: 'u2', display_name: 'Bo' }]
+        };
+
+        const matchups = [
+            { roster_id: 1, matchup_id: 1, starters: ['A', 'B', '0'], players_points: { A: 8 }, points: 8 },
+            { roster_id: 2, matchup_id: 1, starters: ['C', 'D'], players_points: { C: 24 } },
+            { roster_id: 3, matchup_id: 2, starters: [], points: 0 }
+        ];
+        // KC is in the third quarter with 15:00 left in it, BUF has not kicked
+        // off, DAL is final and NYJ is not on the scoreboard at all.
+        const clock = new Map([
+            ['KC', LiveMatchupTracker.gameState({ type: { state: 'in' }, period: 3, clock: 900 })],
+            ['BUF', LiveMatchupTracker.gameState({ type: { state: 'pre' } })],
+            ['DAL', LiveMatchupTracker.gameState({ type: { state: 'post' } })]
+        ]);
+        const summary = team => ({
+            teamName: team.teamName,
+            points: team.points,
+            remaining: team.remaining,
+            projectedFinal: team.projectedFinal,
+            variance: team.variance,
+            yetToPlay: team.yetToPlay,
+            playing: team.playing,
+            starters: team.starters.map(starter => [starter.id, starter.state, starter.remaining])
+        });
+
+        const withClock = tracker.scoreMatchup(matchups, clock);
+        const withoutClock = tracker.scoreMatchup(matchups, null);
+        const finished = points => ({ projectedFinal: points, variance: 0 });
+
+        return {
+            you: summary(withClock.you),
+            them: summary(withClock.them),
+            probability: Math.round(withClock.winProbability * 1000) / 1000,
+            clockAvailable: [withClock.clockAvailable, withoutClock.clockAvailable],
+            unclocked: withoutClock.you.starters.map(starter => [starter.id, starter.state, starter.remaining]),
+            final: [[30, 24], [24, 30], [24, 24]].map(([you, them]) =>
+                tracker.winProbability(finished(you), finished(them)))
+        };
+    });
+
+    t.describe('Scoring a team mid-week');
+    // A has half its game left: 10 of its 20 to come, variance (0.4 x 20)² / 2
+    // = 32. B has all of its 10 to come at the default spread: (0.5 x 10)² = 25.
+    // The empty slot scores nothing.
+    t.equal('your team', live.you, {
+        teamName: 'Ann',
+        points: 8,
+        remaining: 20,
+        projectedFinal: 28,
+        variance: 57,
+        yetToPlay: 1,
+        playing: 1,
+        starters: [['A', 'in', 10], ['B', 'pre', 10]]
+    });
+    // C's game is over; D's team has no game this week, so nothing is to come.
+    t.equal('and theirs, with a final and a bye', live.them, {
+        teamName: 'Bo',
+        points: 24,
+        remaining: 0,
+        projectedFinal: 24,
+        variance: 0,
+        yetToPlay: 0,
+        playing: 0,
+        starters: [['C', 'post', 0], ['D', 'bye', 0]]
+    });
+
+    t.describe('Win probability');
+    // 28 against 24 over sqrt(57): z = 0.53.
+    t.equal('the gap in projected finals over the combined spread', live.probability, 0.702);
+    t.equal('with nothing left to play it is the score', live.final, [1, 0, 0.5]);
+
+    t.describe('Without the scoreboard');
+    t.equal('the panel knows it had no clock', live.clockAvailable, [true, false]);
+    // A has scored 8 of 20, so 12 is still to come; B has scored nothing.
+    t.equal('each starter is credited with the projection not yet scored', live.unclocked,
+        [['A', 'in', 12], ['B', 'pre', 10]]);
+
+    await context.close();
+}
@@ -0,0 +1,127 @@
+/**
+ * Playoff odds follow the league's own rules.
+ *
+ * Sleeper's league settings say how many teams make the playoffs, the week
+ * they start, whether the league is split into divisions and whether every
+ * week adds a game against the league median. The simulator reads all four:
+ * the bracket and its byes come from the playoff field, division winners are
+ * seeded ahead of wild cards, and a median game is a second result each week.
+ */
+
+import { openApp } from '../helpers/app.mjs';
+
+export const name = 'Playoff rules';
+
+export async function run({ browser, baseUrl, t }) {
+    const { context, page } = await openApp(browser, { baseUrl });
+
+    {
+        const structures = await page.evaluate(() => {
+            const simulator = new PlayoffSimulator({ config: {} });
+            const structureFor = (leagueSize, settings) => {
+                const league = settings && { settings };
+                simulator.applyLeagueSettings(league);
+                const { playoffTeams, firstRoundByes, playoffWeekStart, playoffFormat, rounds } =
+                    simulator.determinePlayoffStructure(leagueSize, league);
+                return { playoffTeams, firstRoundByes, playoffWeekStart, playoffFormat, rounds };
+            };
+
+            return {
+                full: structureFor(10, { playoff_teams: 6, playoff_week_start: 15, divisions: 2, league_average_match: 1 }),
+                defaults: structureFor(12, null),
+                smallLeague: structureFor(8, {}),
+                oneBye: structureFor(8, { playoff_teams: 3, playoff_week_start: 16 })
+            };
+        });
+
+        t.describe('The playoff structure');
+        t.equal('six of ten teams, with byes, divisions and median games', structures.full, {
+            playoffTeams: 6,
+            firstRoundByes: 2,
+            playoffWeekStart: 15,
+            playoffFormat: 'Top 2 get byes, 2 division winners seeded first, weekly median games',
+            rounds: [
+                { round: 1, teams: 4, description: 'Quarterfinals' },
+                { round: 2, teams: 4, description: 'Semifinals' },
+                { round: 3, teams: 2, description: 'Championship' }
+            ]
+        });
+        t.equal('a league with no settings plays 14 weeks and sends six of twelve',
+            [structures.defaults.playoffTeams, structures.defaults.playoffWeekStart], [6, 15]);
+        t.equal('ten teams or fewer send four, with no byes',
+            [structures.smallLeague.playoffTeams, structures.smallLeague.playoffFormat], [4, 'No byes']);
+        // Three teams fill a bracket of four; the odd seed out sits the first round.
+        t.equal('the playoff week sets the season length, and a three-team field gives one bye',
+            [structures.oneBye.playoffWeekStart, structures.oneBye.firstRoundByes, structures.oneBye.playoffFormat],
+            [16, 1, 'Top seed gets a bye']);
+    }
+
+    {
+        const standings = await page.evaluate(() => {
+            const simulator = new PlayoffSimulator({ config: {} });
+            const roster = (id, division, wins, losses, fpts, fptsDecimal = 0) => ({
+                roster_id: id,
+                owner_id: `u${id}`,
+                settings: { division, wins, losses, ties: 0, fpts, fpts_decimal: fptsDecimal }
+            });
+            const rosters = [
+                roster(1, 1, 9, 3, 1400),
+                roster(2, 1, 8, 4, 1350),
+                roster(3, 1, 7, 5, 1300),
+                roster(4, 2, 6, 6, 1200),
+                roster(5, 2, 6, 6, 1200, 50),
+                roster(6, 2, 3, 9, 1100)
+            ];
+            const order = () => simulator.calculateCurrentStandings(rosters, []).map(team => team.rosterId);
+
+            const seeded = {};
+            simulator.applyLeagueSettings({ settings: {} });
+            seeded.byRecord = order();
+            simulator.applyLeagueSettings({ settings: { divisions: 2 } });
+            seeded.withDivisions = order();
+
+            // Twelve weeks with a median game each is 24 results.
+            simulator.applyLeagueSettings({ settings: { league_average_match: 1 } });
+            const [median] = simulator.calculateCurrentStandings([roster(7, 0, 16, 8, 1440)], []);
+            seeded.median = [median.gamesPlayed, median.avgPointsFor, Math.round(median.winPercentage * 1000) / 1000];
+            return seeded;
+        });
+
+        t.describe('Seeding');
+        // Teams 4 and 5 are both 6-6 on 1200 points; Sleeper's hundredths
+        // put Team 5 ahead.
+        t.equal('records first, then points for to the hundredth', standings.byRecord, [1, 2, 3, 5, 4, 6]);
+        t.equal('division winners go ahead of better wild-card records', standings.withDivisions, [1, 5, 2, 3, 4, 6]);
+        t.equal('a median-game league averages its points over weeks, not games', standings.median, [24, 120, 0.667]);
+    }
+
+    {
+        const season = await page.evaluate(() => {
+            const simulator = new PlayoffSimulator({ config: {} });
+            simulator.applyLeagueSettings({ settings: { playoff_week_start: 14, divisions: 2, league_average_match: 1 } });
+
+            // One week left, every team scoring exactly its mean.
+            const means = { 1: 130, 2: 120, 3: 110, 4: 100 };
+            simulator.schedule = {
+                weeks: [{ week: 13, games: [[1, 2], [3, 4]] }],
+                strengths: new Map(Object.entries(means).map(([id, mean]) =>
+                    [Number(id), { byWeek: new Map(), mean, spread: 0 }]))
+            };
+            const standings = [1, 2, 3, 4].map(rosterId => ({
+                rosterId, division: rosterId <= 2 ? 1 : 2, wins: 0, losses: 0, ties: 0, pointsFor: 0
+            }));
+
+            return simulator.simulateRestOfSeason(standings)
+                .map(team => [team.rosterId, team.projectedWins, team.projectedLosses]);
+        });
+
+        t.describe('Simulating with median games and divisions');
+        // 130 and 120 are the top half of the week: Team 2 loses its game
+        // and wins the median, Team 3 the other way round. Team 2 has more
+        // points, but Team 3 won division 2.
+        t.equal('each week is two results, and the division winner is seeded ahead of the tie',
+            season, [[1, 2, 0], [3, 1, 1], [2, 1, 1], [4, 0, 2]]);
+    }
+
+    await context.close();
+}
@@ -0,0 +1,116 @@
+/**
+ * Power rankings read the weeks that were played.
+ *
+ * A head-to-head record says as much about the schedule as the team, so
+ * every week is also scored as if each team had played the whole league: a
+ * win against everyone it outscored. Luck is actual wins less those expected
+ * wins. The league here is four teams over two weeks.
+ *
+ * Week 1: 1 (120) beats 2 (95), 3 (100) beats 4 (90).
+ * Week 2: 1 (130) beats 3 (80), 2 (125) beats 4 (80).
+ * Week 3 has not been played - every score is still 0.
+ */
+
+import { openApp } from '../helpers/app.mjs';
+
+export const name = 'Power rankings';
+
+const WEEKS = [
+    { week: 1, rows: [[1, 1, 120], [2, 1, 95], [3, 2, 100], [4, 2, 90]] },
+    { week: 2, rows: [[1, 1, 130], [3, 1, 80], [2, 2, 125], [4, 2, 80]] },
+    { week: 3, rows: [[1, 1, 0], [2, 1, 0], [3, 2, 0], [4, 2, 0]] }
+];
+
+export async function run({ browser, baseUrl, t }) {
+    const { context, page } = await openApp(browser, { baseUrl });
+
+    // Rankings over the first `weekCount` weeks, optionally with median games.
+    const rank = (weekCount, { medianGames = false, userRosterId = null } = {}) => page.evaluate(options => {
+        const { weekScores, weekCount, medianGames, userRosterId } = options;
+        const round = value => Math.round(value * 10000) / 10000;
+        const { weeks, teams } = new PowerRankings(null).buildRankings({
+            league: { settings: { league_average_match: medianGames ? 1 : 0 } },
+            rosters: [1, 2, 3, 4].map(id => ({ roster_id: id, owner_id: `u${id}` })),
+            users: [1, 2, 3, 4].map(id => ({ user_id: `u${id}`, display_name: `Manager ${id}` })),
+            weeks: weekScores.slice(0, weekCount).map(({ week, rows }) => ({
+                week,
+                rows: rows.map(([rosterId, matchupId, points]) => ({ roster_id: rosterId, matchup_id: matchupId, points }))
+            }))
+        }, userRosterId);
+
+        return {
+            weeks,
+            teams: teams.map(team => ({
+                rosterId: team.rosterId,
+                record: [team.wins, team.losses, team.ties],
+                allPlay: [team.allPlay.wins, team.allPlay.losses, team.allPlay.ties],
+                luck: round(team.luck),
+                power: round(team.power),
+                rank: team.rank,
+                movement: team.movement,
+                pfPercentile: round(team.pfPercentile),
+                mine: team.mine
+            }))
+        };
+    }, { weekScores: WEEKS, weekCount, medianGames, userRosterId });
+
+    const results = {
+        season: await rank(3, { userRosterId: 2 }),
+        weekOne: await rank(1),
+        weekOneWithMedian: await rank(1, { medianGames: true })
+    };
+
+    const team = (rankings, rosterId) => rankings.teams.find(entry => entry.rosterId === rosterId);
+    const season = results.season;
+
+    t.describe('Weeks');
+    t.equal('the unplayed week is skipped', season.weeks, [1, 2]);
+
+    t.describe('All-play records');
+    // Week 1 by score: 1, 3, 2, 4. Week 2: 1, 2, then 3 and 4 level on 80.
+    t.equal('the top scorer both weeks beats everyone', team(season, 1).allPlay, [6, 0, 0]);
+    t.equal('1-2 then 2-1', team(season, 2).allPlay, [3, 3, 0]);
+    t.equal('2-1 then 0-2 with the 80-80 tie', team(season, 3).allPlay, [2, 3, 1]);
+    t.equal('0-3 then 0-2-1', team(season, 4).allPlay, [0, 5, 1]);
+
+    t.describe('Luck');
+    // Expected wins are the share of the league outscored each week:
+    // Team 3 has 2/3 + (0 + 1/2)/3 = 5/6 against one real win.
+    t.equal('a team whose one win came in its lucky week is ahead of its scores',
+        team(season, 3).luck, 0.1667);
+    // 1/3 + 2/3 = 1 expected, 1 won.
+    t.equal('a team that won exactly its share has none', team(season, 2).luck, 0);
+    // 0 + (1/2)/3 expected, none won.
+    t.equal('a winless team that tied for third once is behind', team(season, 4).luck, -0.1667);
+    t.equal('a team that won the games it should have has none', team(season, 1).luck, 0);
+
+    t.describe('Power scores and movement');
+    // 100 x (0.5 season all-play + 0.3 recent all-play + 0.2 record):
+    // Team 2: 0.5 x 3/6 + 0.3 x (1/3 + 2/3)/2 + 0.2 x 1/2 = 50
+    // Team 3: 0.5 x 2.5/6 + 0.3 x (2/3 + 1/6)/2 + 0.2 x 1/2 = 43.33
+    t.equal('the season ranks on the blend',
+        season.teams.map(entry => [entry.rosterId, entry.power]),
+        [[1, 100], [2, 50], [3, 43.3333], [4, 6.6667]]);
+    // After week 1 Team 3 (2-1 all-play, a win) was second and Team 2 third.
+    t.equal('and the ranks moved from week 1',
+        season.teams.map(entry => [entry.rosterId, entry.rank, entry.movement]),
+        [[1, 1, 0], [2, 2, 1], [3, 3, -1], [4, 4, 0]]);
+    t.equal('the week-1 order on its own',
+        results.weekOne.teams.map(entry => entry.rosterId), [1, 3, 2, 4]);
+    // Season points: 250, 220, 180, 170.
+    t.equal('points-for percentiles',
+        season.teams.map(entry => entry.pfPercentile), [1, 0.6667, 0.3333, 0]);
+    t.check('your own team is marked', team(season, 2).mine && !team(season, 1).mine);
+
+    t.describe('Median games');
+    // Week 1's median is 97.5: 1 and 3 win it, 2 and 4 lose it.
+    t.equal('the median result is added to the record',
+        results.weekOneWithMedian.teams.map(entry => [entry.rosterId, entry.record]),
+        [[1, [2, 0, 0]], [3, [2, 0, 0]], [2, [0, 2, 0]], [4, [0, 2, 0]]]);
+    // Team 3: 2 - (2/3 + 1) with the median, 1 - 2/3 without.
+    t.equal('and carries no luck either way',
+        results.weekOneWithMedian.teams.map(entry => entry.luck),
+        results.weekOne.teams.map(entry => entry.luck));
+
+    await context.close();
+}
@@ -0,0 +1,105 @@
+/**
+ * The rest of the season is played on Sleeper's schedule.
+ *
+ * Four teams, four weeks played and two to go. Each team's expected score is
+ * its projected lineup for the week, or its scoring average when nothing is
+ * projected. Its spread is the standard deviation of the weeks it has played,
+ * or the league's pooled figure for a team with too few of them.
+ *
+ *   Played    Team 1  100 120 100 120     Team 2   90 110  90 110
+ *             Team 3  100 120 100 120     Team 4  100 100 130   -
+ *   Week 5    1 v 2, 3 v 4
+ *   Week 6    1 v 3, 2 v 4
+ */
+
+import { openApp } from '../helpers/app.mjs';
+
+export const name = 'Scheduled season';
+
+const row = (rosterId, matchupId, points = 0) => ({ roster_id: rosterId, matchup_id: matchupId, points });
+
+const MATCHUPS = {
+    1: [row(1, 1, 100), row(2, 1, 90), row(3, 2, 100), row(4, 2, 100)],
+    2: [row(1, 1, 120), row(3, 1, 120), row(2, 2, 110), row(4, 2, 100)],
+    3: [row(1, 1, 100), row(4, 1, 130), row(2, 2, 90), row(3, 2, 100)],
+    4: [row(1, 1, 120), row(4, 1, 0), row(2, 2, 110), row(3, 2, 120)],
+    5: [row(1, 1), row(2, 1), row(3, 2), row(4, 2)],
+    // Roster 9 is not in the league and has nobody to play.
+    6: [row(1, 1), row(3, 1), row(2, 2), row(4, 2), row(9, 3)]
+};
+
+// Projected lineups. Team 1 has nothing for week 6 and Team 3 nothing at all.
+const PROJECTED = { 1: { 5: 120, 6: 0 }, 2: { 5: 100, 6: 110 }, 4: { 5: 90, 6: 100 } };
+
+// Going into week 5: [wins, losses, points for].
+const RECORDS = { 1: [3, 1, 440], 2: [2, 2, 400], 3: [2, 2, 440], 4: [1, 3, 330] };
+
+export async function run({ browser, baseUrl, t }) {
+    const { context, page } = await openApp(browser, { baseUrl });
+
+    const loaded = await page.evaluate(async ({ matchups, projected, records }) => {
+        const simulator = new PlayoffSimulator({ config: {} });
+        simulator.seasonLength = 6;
+        simulator.currentWeek = 5;
+        simulator.sleeperAPI = { getMatchups: async (leagueId, week) => matchups[week] || [] };
+        simulator.projectLineups = async () => new Map(Object.entries(projected).map(([id, weeks]) =>
+            [Number(id), new Map(Object.entries(weeks).map(([week, points]) => [Number(week), points]))]));
+
+        const leagueData = {
+            league: { league_id: 'L1' },
+            rosters: Object.entries(records).map(([id, [wins, losses, fpts]]) => ({
+                roster_id: Number(id), owner_id: `u${id}`, settings: { wins, losses, ties: 0, fpts }
+            })),
+            users: Object.keys(records).map(id => ({ user_id: `u${id}`, display_name: `Team ${id}` }))
+        };
+        const schedule = await simulator.loadSchedule(leagueData);
+        const standings = simulator.calculateCurrentStandings(leagueData.rosters, leagueData.users);
+        const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+        const loaded = {
+            weeks: schedule.weeks,
+            strengths: [...schedule.strengths].map(([id, strength]) => [id, strength.mean, round(strength.spread, 2)]),
+            remaining: simulator.describeRemainingSchedule(1, standings)
+                .map(game => ({ ...game, winProbability: round(game.winProbability, 3) }))
+        };
+
+        // With no spread every team scores exactly what it is expected to.
+        schedule.strengths.forEach(strength => { strength.spread = 0; });
+        loaded.season = simulator.simulateRestOfSeason(standings)
+            .map(team => [team.rosterId, team.projectedWins, team.projectedLosses, team.pointsFor]);
+        return loaded;
+    }, { matchups: MATCHUPS, projected: PROJECTED, records: RECORDS });
+
+    t.describe('Loading the schedule');
+    t.equal('only the weeks left are scheduled, and a side with no opponent is dropped', loaded.weeks, [
+        { week: 5, games: [[1, 2], [3, 4]] },
+        { week: 6, games: [[1, 3], [2, 4]] }
+    ]);
+    // Team 1 averages its one projected week; Team 3 falls back to 440 / 4.
+    t.equal('expected scores come from the projected weeks, or the season average',
+        loaded.strengths.map(([id, mean]) => [id, mean]), [[1, 120], [2, 105], [3, 110], [4, 95]]);
+    // 100 and 120 twice each is a variance of 400/3. Team 4's zero is a week
+    // it has not played, which leaves it three games: the pooled variance is
+    // (3 x 400/3 + 300) / 4 = 175.
+    t.equal('a team\'s own spread once it has four games, the league\'s before that',
+        loaded.strengths.map(([id, , spread]) => [id, spread]), [[1, 11.55], [2, 11.55], [3, 11.55], [4, 13.23]]);
+
+    t.describe('Team 1\'s games left');
+    // 120 against 100 over a combined spread of sqrt(800/3) = 16.33 is
+    // z = 1.22; in week 6 Team 1 is taken at its 120 average against 110.
+    t.equal('each game with the opponent, the projections and the chance of winning', loaded.remaining, [
+        { week: 5, opponent: 'Team 2', opponentRecord: '2-2', projected: 120, opponentProjected: 100, winProbability: 0.89 },
+        { week: 6, opponent: 'Team 3', opponentRecord: '2-2', projected: 0, opponentProjected: 0, winProbability: 0.73 }
+    ]);
+
+    t.describe('Playing it out');
+    // Week 5: 1 beats 2 (120-100), 3 beats 4 (110-90).
+    // Week 6: 1 beats 3 (120-110), 2 beats 4 (110-100).
+    t.equal('the games on the schedule decide the records', loaded.season.map(([id, wins, losses]) => [id, wins, losses]),
+        [[1, 5, 1], [3, 3, 3], [2, 3, 3], [4, 1, 5]]);
+    // Team 3 has 440 + 110 + 110 = 660 to Team 2's 400 + 100 + 110 = 610.
+    t.equal('and points scored along the way break the tie',
+        loaded.season.map(([id, , , pointsFor]) => [id, pointsFor]), [[1, 680], [3, 660], [2, 610], [4, 520]]);
+
+    await context.close();
+}
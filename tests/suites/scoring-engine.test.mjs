@@ -0,0 +1,87 @@
+/**
+ * Stat lines are scored against the league's own settings.
+ *
+ * Sleeper's canned totals (pts_std, pts_half_ppr, pts_ppr) are wrong for any
+ * league with a TE premium, six-point passing touchdowns, yardage bonuses or
+ * defensive brackets, so ScoringEngine works the points out from the stat
+ * line itself, as the weighted sum Sleeper uses.
+ *
+ * The defensive brackets are the easy ones to get wrong: `pts_allow_0` is a
+ * bare number with no range after it, and yards allowed are bracketed the
+ * same way as points allowed.
+ */
+
+import { openApp } from '../helpers/app.mjs';
+
+export const name = 'League scoring engine';
+
+const SETTINGS = {
+    pass_yd: 0.04,
+    pass_td: 6,
+    rec: 1,
+    bonus_rec_te: 0.5,
+    rec_yd: 0.1,
+    rec_td: 6,
+    bonus_rec_yd_100: 3,
+    pts_allow_0: 10,
+    pts_allow_1_6: 7,
+    pts_allow_35p: -4,
+    yds_allow_0_100: 5,
+    yds_allow_550p: -7,
+    def_td: 6
+};
+
+const CATCHES = { rec: 5, rec_yd: 110, rec_td: 1 };
+
+// [group, label, stat line, position, points]
+const CASES = [
+    // 300 x 0.04 + 2 x 6
+    ['Offense', 'six-point passing touchdowns', { pass_yd: 300, pass_td: 2 }, 'QB', 24],
+    // 5 x 1.5 + 110 x 0.1 + 6 + 3
+    ['Offense', 'a tight end gets the premium and the 100-yard bonus', CATCHES, 'TE', 27.5],
+    // 5 + 11 + 6 + 3
+    ['Offense', 'the same line for a receiver has no premium', CATCHES, 'WR', 25],
+    // 80 + 140: a season line cannot say how many 100-yard games it holds
+    ['Offense', 'a season line earns no per-game bonus', { rec: 80, rec_yd: 1400, gp: 17 }, 'WR', 220],
+    // pts_allow_0 + yds_allow_0_100
+    ['Defense', 'a shutout scores the bare pts_allow_0 bracket', { pts_allow: 0, yds_allow: 90 }, 'DEF', 15],
+    // pts_allow_1_6 + yds_allow_550p
+    ['Defense', 'a range and an open-ended yards bracket', { pts_allow: 3, yds_allow: 600 }, 'DEF', 0],
+    // pts_allow_35p + def_td, and no bracket for 300 yards
+    ['Defense', 'an open-ended points bracket', { pts_allow: 40, yds_allow: 300, def_td: 1 }, 'DEF', 2],
+    ['Fallback', 'a line with only canned totals reads the nearest format',
+        { pts_ppr: 12.3, pts_half_ppr: 10, pts_std: 8 }, 'WR', 12.3]
+];
+
+export async function run({ browser, baseUrl, t }) {
+    const { context, page } = await openApp(browser, { baseUrl });
+
+    const scored = await page.evaluate(({ settings, cases }) => {
+        const engine = new ScoringEngine(settings);
+        return cases.map(([, , line, position]) => engine.pointsFor(line, position));
+    }, { settings: SETTINGS, cases: CASES });
+
+    let group = null;
+    CASES.forEach(([caseGroup, label, , , expected], index) => {
+        if (caseGroup !== group) t.describe(group = caseGroup);
+        t.equal(label, scored[index], expected);
+    });
+
+    t.describe('Format and labels');
+    const labels = await page.evaluate(settings => {
+        const engine = new ScoringEngine(settings);
+        return {
+            format: engine.format,
+            halfFormat: ScoringEngine.formatFor({ rec: 0.5 }),
+            tePoints: engine.receptionPoints('TE'),
+            rules: engine.notableRules()
+        };
+    }, SETTINGS);
+    t.equal('a full point per catch reads as PPR', labels.format, 'PPR');
+    t.equal('half a point reads as Half PPR', labels.halfFormat, 'Half PPR');
+    t.equal('a tight end catch is worth the premium on top', labels.tePoints, 1.5);
+    t.equal('the rules worth a label are listed',
+        labels.rules, ['TE premium +0.5/rec', '6-pt passing TD', 'yardage bonuses']);
+
+    await context.close();
+}
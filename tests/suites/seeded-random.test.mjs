@@ -0,0 +1,76 @@
+/**
+ * A seed replays a simulation exactly.
+ *
+ * The simulations draw from SeededRandom and every run shows its seed, so a
+ * run can be played again to see whether a trade or a week of results moved
+ * the odds. A seed written down last week has to give the same draws today:
+ * the first draws for a known seed are pinned to mulberry32's, and a seeded
+ * season run is played twice.
+ */
+
+import { openApp } from '../helpers/app.mjs';
+
+export const name = 'Seeded simulation replay';
+
+// Four teams, two weeks left, the top two make it.
+const RECORDS = [[1, 8, 3], [2, 6, 5], [3, 5, 6], [4, 3, 8]];
+
+export async function run({ browser, baseUrl, t }) {
+    const { context, page } = await openApp(browser, { baseUrl });
+
+    const generator = await page.evaluate(() => {
+        const draws = (seed, count) => {
+            const rng = new SeededRandom(seed);
+            return Array.from({ length: count }, () => rng.next());
+        };
+        return {
+            first: draws(42, 3),
+            replay: draws(42, 3),
+            otherSeed: draws(43, 3),
+            typed: [SeededRandom.normalizeSeed(' 42 '), SeededRandom.normalizeSeed('week9')],
+            interval: SeededRandom.proportionInterval(0, 5000)
+        };
+    });
+
+    t.describe('The generator');
+    t.equal('seed 42 gives mulberry32\'s first three draws',
+        generator.first, [0.6011037519201636, 0.44829055899754167, 0.8524657934904099]);
+    t.equal('and gives them again', generator.replay, generator.first);
+    t.check('another seed gives other draws', JSON.stringify(generator.otherSeed) !== JSON.stringify(generator.first));
+    // A number is used as it is, spaces and all; text goes through FNV-1a.
+    t.equal('seeds typed in as a number or as text', generator.typed, [42, 3953049452]);
+
+    t.describe('Intervals');
+    // Wilson at 0 of 5,000: (z²/2n ± z·√(z²/4n²)) / (1 + z²/n), both terms 3.8386e-4
+    t.equal('never happening in 5,000 seasons still leaves a sliver',
+        { low: generator.interval.low, high: Math.round(generator.interval.high * 10000) / 10000 },
+        { low: 0, high: 0.0768 });
+
+    const runs = await page.evaluate(async records => {
+        const standings = records.map(([rosterId, wins, losses]) => ({
+            rosterId, teamName: `Team ${rosterId}`, wins, losses, ties: 0,
+            gamesPlayed: wins + losses, pointsFor: 1100, avgPointsFor: 100, winPercentage: wins / (wins + losses)
+        }));
+        const play = async seed => {
+            const simulator = new PlayoffSimulator({ config: {} });
+            simulator.currentWeek = 12;
+            simulator.seasonLength = 13;
+            simulator.schedule = {
+                weeks: [{ week: 12, games: [[1, 2], [3, 4]] }, { week: 13, games: [[1, 3], [2, 4]] }],
+                strengths: new Map(records.map(([id]) => [id, { mean: 90 + id * 5, spread: 25, byWeek: new Map() }]))
+            };
+            simulator.useSeed(seed);
+            const structure = simulator.determinePlayoffStructure(4, { settings: { playoff_teams: 2 } });
+            const odds = await simulator.runSeasonSimulations(standings, structure, { roster: { roster_id: 2 } }, 500);
+            return JSON.stringify(odds);
+        };
+
+        return { season: await play(7), replay: await play(7), otherSeed: await play(8) };
+    }, RECORDS);
+
+    t.describe('A whole simulation');
+    t.check('500 seeded seasons replay tally for tally', runs.season === runs.replay);
+    t.check('and a different seed plays them differently', runs.season !== runs.otherSeed);
+
+    await context.close();
+}
@@ -0,0 +1,86 @@
+/**
+ * Seasons are played on the page when the worker cannot play them.
+ *
+ * A worker can fail two ways before it does any work: the constructor throws
+ * (a page opened from disk), or the constructor returns and the script then
+ * fails to load, which the page only hears about as an error event. Either
+ * way the run goes ahead on the page, on the same seed. Once the worker has
+ * started reporting, an error is the run failing and is passed on.
+ */
+
+import { openApp } from '../helpers/app.mjs';
+
+export const name = 'Simulation worker fallback';
+
+// Four teams, two weeks left, the top two make it.
+const RECORDS = [[1, 7, 4], [2, 6, 5], [3, 5, 6], [4, 4, 7]];
+
+export async function run({ browser, baseUrl, t }) {
+    const { context, page } = await openApp(browser, { baseUrl });
+
+    const runs = await page.evaluate(async records => {
+        const standings = records.map(([rosterId, wins, losses]) => ({
+            rosterId, wins, losses, ties: 0, pointsFor: 1100
+        }));
+
+        // Stand-ins for the browser's Worker: one whose script never loads,
+        // one that reports progress and then dies, one that cannot be built.
+        class UnloadableWorker {
+            constructor() {
+                setTimeout(() => this.onerror({ message: 'Failed to fetch', preventDefault() {} }));
+            }
+            postMessage() {}
+            terminate() {}
+        }
+        class FailingWorker {
+            constructor() {
+                setTimeout(() => {
+                    this.onmessage({ data: { type: 'progress', done: 100, total: 500 } });
+                    this.onerror({ message: 'Out of memory', preventDefault() {} });
+                });
+            }
+            postMessage() {}
+            terminate() {}
+        }
+        class UnbuildableWorker {
+            constructor() {
+                throw new Error('Worker scripts cannot be loaded from file: URLs');
+            }
+        }
+
+        const play = async WorkerClass => {
+            window.Worker = WorkerClass;
+            const simulator = new PlayoffSimulator({ config: {} });
+            simulator.schedule = {
+                weeks: [{ week: 12, games: [[1, 2], [3, 4]] }, { week: 13, games: [[1, 3], [2, 4]] }],
+                strengths: new Map(records.map(([id]) => [id, { mean: 90 + id * 5, spread: 25, byWeek: new Map() }]))
+            };
+            simulator.useSeed(7);
+            const structure = simulator.determinePlayoffStructure(4, { settings: { playoff_teams: 2 } });
+            try {
+                const { tallies, simulations } = await simulator.simulate(standings, structure, 500);
+                return { simulations, playoffs: records.map(([id]) => tallies[id].playoffs) };
+            } catch (error) {
+                return error.message;
+            } finally {
+                delete window.Worker;
+            }
+        };
+
+        return {
+            unbuildable: await play(UnbuildableWorker),
+            unloadable: await play(UnloadableWorker),
+            failing: await play(FailingWorker)
+        };
+    }, RECORDS);
+
+    t.describe('Falling back to the page');
+    t.equal('a worker that cannot be built plays all 500 seasons here', runs.unbuildable.simulations, 500);
+    t.equal('so does one whose script fails to load', runs.unloadable.simulations, 500);
+    t.equal('and on the same seed they come out the same', runs.unloadable.playoffs, runs.unbuildable.playoffs);
+
+    t.describe('Failing part way');
+    t.equal('an error after the worker has started is the run\'s', runs.failing, 'Out of memory');
+
+    await context.close();
+}
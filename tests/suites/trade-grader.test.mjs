@@ -0,0 +1,142 @@
+/**
+ * Completed trades are graded on the points they actually started.
+ *
+ * A trade is valued on paper as it stood in the week it was made, and graded
+ * on the starter points each side's new players have scored since: a player
+ * on the bench won nobody anything. The side's grade is its share of those
+ * points against an even split, and setting that share against its share of
+ * the paper value says whether the trade played out as it looked.
+ *
+ * Player values are pinned by a stub so the paper side is known exactly.
+ */
+
+import { openApp } from '../helpers/app.mjs';
+
+export const name = 'Trade grades';
+
+// Paper values going into the trade. P3 had no numbers at the time.
+const VALUES = { P1: 60, P2: 40 };
+
+export async function run({ browser, baseUrl, t }) {
+    const { context, page } = await openApp(browser, { baseUrl });
+
+    const results = await page.evaluate(values => {
+        const grader = new TradeGrader({ config: { leagueSize: 4 } });
+        const valuedAt = [];
+        grader.playerStats = {
+            valueAsOf: (player, week) => {
+                valuedAt.push(week);
+                return values[player.player_id] ?? null;
+            }
+        };
+
+        const row = (rosterId, starters, points) => ({ roster_id: rosterId, starters, players_points: points });
+        const data = {
+            league: { season: '2026', status: 'in_season' },
+            rosters: [1, 2, 3, 4].map(id => ({ roster_id: id, owner_id: `u${id}` })),
+            users: ['Ann', 'Bo', 'Cy', 'Di'].map((display_name, i) => ({ user_id: `u${i + 1}`, display_name })),
+            allPlayers: {
+                P1: { first_name: 'Pat', last_name: 'One', position: 'WR' },
+                P2: { first_name: 'Pat', last_name: 'Two', position: 'RB' },
+                P3: { first_name: 'Pat', last_name: 'Three', position: 'TE' }
+            },
+            matchups: new Map([
+                [5, [row(1, ['P1'], { P1: 20 }), row(2, ['P2'], { P2: 15, P3: 30 })]],
+                [6, [row(1, ['P1'], { P1: 10 }), row(2, ['P2', 'P3'], { P2: 10, P3: 5 })]],
+                [7, [row(1, [], { P1: 25 }), row(2, ['P2'], { P2: 10 })]]
+            ]),
+            lastScored: 7
+        };
+
+        const trade = leg => ({
+            transaction_id: `t${leg}`,
+            leg,
+            roster_ids: [1, 2],
+            adds: { P1: 1, P2: 2, P3: 2 },
+            draft_picks: [{ season: '2027', round: 1, roster_id: 3, owner_id: 1 }],
+            waiver_budget: [{ sender: 1, receiver: 2, amount: 5 }]
+        });
+
+        const graded = grader.gradeTrade(trade(5), data, 2);
+        const weeksValued = [...valuedAt];
+        const side = entry => ({
+            name: entry.name,
+            mine: entry.mine,
+            players: entry.players.map(player => [player.id, player.value, player.valued, player.points, player.starts]),
+            picks: entry.picks,
+            faab: entry.faab,
+            value: entry.value,
+            points: entry.points,
+            starts: entry.starts,
+            expectedShare: Math.round(entry.expectedShare * 10000) / 10000,
+            realizedShare: Math.round(entry.realizedShare * 10000) / 10000,
+            grade: entry.grade,
+            versusPaper: entry.versusPaper
+        });
+
+        const recent = grader.gradeTrade(trade(7), data, 2);
+
+        return {
+            weeksSince: graded.weeksSince,
+            involvesUser: graded.involvesUser,
+            fairness: graded.fairness,
+            pending: graded.pending,
+            leader: graded.leader,
+            sides: graded.sides.map(side),
+            valuedAt: weeksValued,
+            recent: {
+                pending: recent.pending,
+                grades: recent.sides.map(entry => entry.grade),
+                versusPaper: recent.sides.map(entry => entry.versusPaper),
+                leader: recent.leader
+            }
+        };
+    }, VALUES);
+
+    const [ann, bo] = results.sides;
+
+    t.describe('On paper');
+    t.check('players are valued as of the week of the trade', results.valuedAt.every(week => week === 5), results.valuedAt);
+    // A 2027 first from a 4-team league: the middle of the round, slot 2.5,
+    // on the 80-55 curve is 80 - 25 x 1.5/3 = 67.5, and 2027 is the next draft.
+    t.equal('a pick is the middle of its round, credited to its original team',
+        ann.picks, [{ label: '2027 Round 1 (Cy)', value: 67.5 }]);
+    t.equal('a player with no numbers at the time is replacement level',
+        bo.players.find(player => player[0] === 'P3').slice(1, 3), [50, false]);
+    // 60 + 67.5 against 40 + 50: 37.5 apart on an average of 108.75, 34.5%.
+    t.equal('each side\'s haul', [ann.value, bo.value], [127.5, 90]);
+    t.equal('and the gap rates as unfair', results.fairness, 'Unfair');
+    t.equal('FAAB sent along is listed with the side that got it', [ann.faab, bo.faab], [0, 5]);
+
+    t.describe('On the field');
+    // P1 starts weeks 5 and 6 (20 + 10) and sits in week 7 with 25.
+    t.equal('only weeks in the starting lineup count', [ann.points, ann.starts], [30, 2]);
+    // P2 15 + 10 + 10; P3 benched with 30 in week 5, started for 5 in week 6.
+    t.equal('a bench week scores nothing for the side', [bo.points, bo.starts], [40, 4]);
+    t.equal('three weeks of games since', results.weeksSince, 3);
+
+    t.describe('Grades');
+    // 30 and 40 of 70: 3/7 and 4/7, 0.0714 off an even split.
+    t.equal('the side that got more starter points is a B', [bo.realizedShare, bo.grade], [0.5714, 'B']);
+    t.equal('the other is a D', [ann.realizedShare, ann.grade], [0.4286, 'D']);
+    // Paper shares 127.5 / 217.5 = 0.5862 and 0.4138, 0.1576 from the field.
+    t.equal('Ann got more on paper and less on the field',
+        [ann.expectedShare, ann.versusPaper], [0.5862, 'Fell short of its paper value']);
+    t.equal('Bo got less on paper and more on the field', [bo.expectedShare, bo.versusPaper], [0.4138, 'Beat its paper value']);
+    t.equal('the leader and the margin', results.leader, { name: 'Bo', margin: 10 });
+    t.check('the trade is marked as yours', results.involvesUser && bo.mine && !ann.mine);
+
+    t.describe('Too soon to tell');
+    // Made in week 7 with week 7 the last scored: one week of games.
+    t.equal('a trade with under two weeks of games is not graded', results.recent,
+        { pending: true, grades: [null, null], versusPaper: [null, null], leader: null });
+
+    // A grade is the realized share's distance from an even split.
+    const letters = await page.evaluate(margins => margins.map(TradeGrader.letterGrade),
+        [0.15, 0.149, 0.05, 0, -0.05, -0.149, -0.15]);
+
+    t.describe('Letter bands');
+    t.equal('A from +15%, B from +5%, F from -15%', letters, ['A', 'B', 'B', 'C', 'D', 'D', 'F']);
+
+    await context.close();
+}
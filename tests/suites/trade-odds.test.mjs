@@ -0,0 +1,162 @@
+/**
+ * A trade's effect on the playoff race.
+ *
+ * Both rosters are re-projected with the players swapped and the rest of the
+ * season is played twice on one seed, once as the rosters stand and once
+ * after the trade. The same seed means the same draws, so the difference
+ * between the two runs is the trade and not the dice.
+ *
+ * Four teams tied at 5-5 with two weeks left and two playoff spots. Each
+ * roster is a quarterback, a back and a receiver, projected the same every
+ * week, and Team 1 sends its 40-point back to Team 2 for a 20-point one.
+ */
+
+import { openApp, healthySleeper } from '../helpers/app.mjs';
+
+export const name = 'Trade playoff odds';
+
+const POINTS = {
+    Q1: 20, R1: 40, W1: 50,
+    Q2: 20, R2: 20, W2: 60,
+    Q3: 20, R3: 30, W3: 55,
+    Q4: 20, R4: 25, W4: 50
+};
+
+// Ten weeks played, alternating 10 above and below each team's projection.
+function matchups(week) {
+    const pairs = week === 12 ? [[1, 3], [2, 4]] : [[1, 2], [3, 4]];
+    const projected = { 1: 110, 2: 100, 3: 105, 4: 95 };
+    return pairs.flatMap(([a, b], index) => [a, b].map(rosterId => ({
+        roster_id: rosterId,
+        matchup_id: index + 1,
+        points: week < 11 ? projected[rosterId] + (week % 2 ? 10 : -10) : 0
+    })));
+}
+
+function sleeper(url) {
+    if (url.includes('/state/nfl')) return JSON.stringify({ week: 11, season: '2026', season_type: 'regular' });
+    const match = url.match(/\/league\/L1\/matchups\/(\d+)/);
+    return match ? JSON.stringify(matchups(Number(match[1]))) : healthySleeper(url);
+}
+
+const positions = { Q: 'QB', R: 'RB', W: 'WR' };
+const LEAGUE = {
+    league: {
+        league_id: 'L1',
+        season: '2026',
+        roster_positions: ['QB', 'RB', 'WR', 'BN'],
+        settings: { playoff_teams: 2, playoff_week_start: 13 }
+    },
+    rosters: [1, 2, 3, 4].map(id => ({
+        roster_id: id,
+        owner_id: `u${id}`,
+        players: ['Q', 'R', 'W'].map(position => `${position}${id}`),
+        settings: { wins: 5, losses: 5, ties: 0, fpts: 1000 }
+    })),
+    users: [],
+    allPlayers: Object.fromEntries(Object.keys(POINTS).map(id => [id, { position: positions[id[0]] }]))
+};
+
+export async function run({ browser, baseUrl, t }) {
+    const { context, page } = await openApp(browser, { baseUrl, sleeper });
+
+    const results = await page.evaluate(async ({ points, leagueData }) => {
+        PlayerStats.instance = {
+            ensureLoaded: async () => {},
+            hasData: () => true,
+            projectionsForWeek: async () => new Map(Object.entries(points))
+        };
+        const trade = { teamA: 1, teamB: 2, gives: ['R1'], gets: ['R2'] };
+
+        const simulator = new PlayoffSimulator({ config: {} });
+        simulator.currentWeek = 11;
+        const progress = [];
+        const odds = await simulator.projectTradeOdds(leagueData, trade, 2000, {
+            seed: 21,
+            onProgress: (done, total) => progress.push([done, total])
+        });
+        const strengthAfter = simulator.schedule.strengths.get(1).mean;
+        const replay = await simulator.projectTradeOdds(leagueData, trade, 2000, { seed: 21 });
+        const noLineups = await simulator.projectTradeOdds(
+            { ...leagueData, league: { ...leagueData.league, roster_positions: [] } }, trade, 2000);
+
+        return { odds, replay, strengthAfter, lastProgress: progress[progress.length - 1], noLineups };
+    }, { points: POINTS, leagueData: LEAGUE });
+
+    const [teamOne, teamTwo] = results.odds.teams;
+
+    t.describe('Re-projecting the rosters');
+    // 20 + 40 + 50 becomes 20 + 20 + 50; 20 + 20 + 60 becomes 20 + 40 + 60.
+    t.equal('the team giving up the better back drops 20 points a week',
+        teamOne.weeklyPoints, { before: 110, after: 90 });
+    t.equal('and the team getting the back gains them', teamTwo.weeklyPoints, { before: 100, after: 120 });
+
+    t.describe('Before and after');
+    t.check('the team that got worse is less likely to make the playoffs',
+        teamOne.after.playoffOdds < teamOne.before.playoffOdds, [teamOne.before.playoffOdds, teamOne.after.playoffOdds]);
+    t.check('and wins fewer games',
+        teamOne.after.projectedWins < teamOne.before.projectedWins, [teamOne.before.projectedWins, teamOne.after.projectedWins]);
+    t.check('the team that got better is more likely',
+        teamTwo.after.playoffOdds > teamTwo.before.playoffOdds, [teamTwo.before.playoffOdds, teamTwo.after.playoffOdds]);
+    t.equal('both runs are reported as one, seed and all',
+        [results.odds.seed, results.odds.simulations, results.lastProgress], [21, 2000, [4000, 4000]]);
+
+    t.describe('Replaying');
+    t.equal('the same seed gives the same odds', results.replay, results.odds);
+    t.equal('the simulator\'s own schedule is put back afterwards', results.strengthAfter, 110);
+    t.equal('a league with no lineups to project has no trade odds', results.noLineups, null);
+
+    // The first run is cancelled as it reports progress and a second started
+    // in its place, the way opening another trade's odds does. Each run has
+    // a simulator of its own, so the cancelled one cannot touch the second's
+    // schedule, and neither touches the Playoffs tab's.
+    const restarted = await page.evaluate(async ({ points, leagueData }) => {
+        PlayerStats.instance = {
+            ensureLoaded: async () => {},
+            hasData: () => true,
+            projectionsForWeek: async () => new Map(Object.entries(points))
+        };
+        const shared = { weeks: [], strengths: new Map() };
+        window.playoffSimulator = new PlayoffSimulator({ config: {} });
+        window.playoffSimulator.schedule = shared;
+
+        const analyzer = new TradeAnalyzer({ config: {} });
+        analyzer.leagueContext = leagueData;
+        analyzer.pickSeed = 21;
+        const trade = {
+            teamA: { rosterId: 1, teamName: 'Team 1' },
+            teamB: { rosterId: 2, teamName: 'Team 2' },
+            gives: [{ id: 'R1' }],
+            gets: [{ id: 'R2' }]
+        };
+
+        const first = new AbortController();
+        let second = null;
+        const cancelled = analyzer.analyzeTradeOdds(trade, {
+            signal: first.signal,
+            onProgress: () => {
+                if (second) return;
+                first.abort();
+                second = analyzer.analyzeTradeOdds(trade);
+            }
+        }).then(() => 'finished', error => error.name);
+
+        const outcome = await cancelled;
+        const replacement = await second;
+        const undisturbed = await analyzer.analyzeTradeOdds(trade);
+        return {
+            outcome,
+            replacement: JSON.stringify(replacement),
+            undisturbed: JSON.stringify(undisturbed),
+            sharedUntouched: window.playoffSimulator.schedule === shared && shared.strengths.size === 0
+        };
+    }, { points: POINTS, leagueData: LEAGUE });
+
+    t.describe('Cancelling a run for another');
+    t.equal('the cancelled run ends as cancelled', restarted.outcome, 'AbortError');
+    t.check('the run that replaced it gets the odds it would have on its own',
+        restarted.replacement === restarted.undisturbed, restarted.replacement);
+    t.check('and the Playoffs tab\'s simulator is left alone', restarted.sharedUntouched);
+
+    await context.close();
+}